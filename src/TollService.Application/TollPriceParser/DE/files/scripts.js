@@ -2,11 +2,37 @@
  * Версия 5: Финальный скрипт для парсинга тарифов US 301.
  * ИСПРАВЛЕНО: Обновлен селектор для поиска таблицы тарифов.
  */
-async function scrapeAllUS301TollsV5(vehicleClass = 5) {
-  const url = "https://deldot.gov/public.ejs?command=PublicTollRateUS301";
 
-  // --- Исходные данные точек въезда/выезда ---
-  const entryPoints = [
+/**
+ * Классы ТС калькулятора DelDOT -> общая шкала (число осей и тип ТС),
+ * одинаковая для всех штатов.
+ */
+const DE_VEHICLE_CLASSES = {
+  1: { axles: 2, vehicle_type: "passenger", label: "2-Axle Passenger Vehicle" },
+  2: { axles: 2, vehicle_type: "truck", label: "2-Axle Truck" },
+  3: { axles: 3, vehicle_type: "truck", label: "3-Axle Truck" },
+  4: { axles: 4, vehicle_type: "truck", label: "4-Axle Truck" },
+  5: { axles: 5, vehicle_type: "truck", label: "5-Axle Truck" },
+  6: { axles: 6, vehicle_type: "truck", label: "6-Axle Truck" },
+};
+
+/**
+ * Цены, которые калькулятор отдаёт в таблице тарифов (поле строки результата -> способ оплаты
+ * и общая категория). Отдельного выбора оплаты в форме нет — обе цены приходят в одном ответе.
+ * Поле cash исторически называется так в 301.json, но это Video — счёт по номеру.
+ * E-ZPass калькулятор не делит на свой и чужой штат — это тариф transponder_in_state.
+ */
+const DE_PAYMENT_METHODS = {
+  ez_pass: { label: "E-ZPass", payment_method: "ez_pass", payment_category: "transponder_in_state" },
+  cash: { label: "Video", payment_method: "video", payment_category: "plate_billing" },
+};
+
+/**
+ * Точки въезда/выезда калькулятора — последний известный список. Перед прогоном
+ * scraper/run.js читает актуальный со страницы (discoverCatalog) и сообщает о расхождениях.
+ */
+const DE_INTERCHANGES = {
+  entries: [
     { id: "121", label: "Northbound - DE/MD Stateline" },
     { id: "122", label: "Northbound - Levels Rd" },
     { id: "132", label: "Southbound - Levels Rd" },
@@ -15,8 +41,8 @@ async function scrapeAllUS301TollsV5(vehicleClass = 5) {
     { id: "124", label: "Northbound - Jamison Corner Road" },
     { id: "130", label: "Southbound - Jamison Corner Road" },
     { id: "129", label: "Southbound - SR 1" },
-  ];
-  const exitPoints = [
+  ],
+  exits: [
     { id: "136", label: "Southbound - DE/MD Stateline" },
     { id: "135", label: "Southbound - Levels Rd" },
     { id: "134", label: "Southbound - Summit Bridge Road" },
@@ -25,12 +51,240 @@ async function scrapeAllUS301TollsV5(vehicleClass = 5) {
     { id: "126", label: "Northbound - Summit Bridge Road" },
     { id: "127", label: "Northbound - Jamison Corner Road" },
     { id: "128", label: "Northbound - SR 1" },
-  ];
+  ],
+};
+
+const DE_CATALOG_URL = "https://deldot.gov/public.ejs?command=PublicTollRateUS301";
+
+// scraper_version в provenance: поднимать при правке parseTollHtml и readCatalog
+const DE_SCRIPT_VERSION = "1.0.0";
+
+// Общий код скриптов штатов (scraper/lib/runtime.js). В консоль браузера вставляется сборка с ним:
+// scraper/dist/de-us301.console.js (node scraper/console.js)
+const { trackProvenance, createResultStream, classStream } =
+  typeof SCRAPER_RUNTIME !== "undefined" ? SCRAPER_RUNTIME : require("../../scraper/lib/runtime");
 
+/**
+ * Списки въездов и выездов из select'ов формы калькулятора: { entries, exits } с [{ id, label }].
+ */
+function readCatalog(html, parser = new globalThis.DOMParser()) {
+  const doc = parser.parseFromString(html, "text/html");
+  const options = (name) =>
+    [...doc.querySelectorAll(`select[name="${name}"] option`)]
+      .map((o) => ({ id: (o.getAttribute("value") || "").trim(), label: o.textContent.trim() }))
+      .filter((o) => o.id);
+
+  return { entries: options("entry"), exits: options("exit") };
+}
+
+async function discoverCatalog({ fetch = globalThis.fetch, DOMParser = globalThis.DOMParser } = {}) {
+  const response = await fetch(DE_CATALOG_URL);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const catalog = readCatalog(await response.text(), new DOMParser());
+  if (!catalog.entries.length || !catalog.exits.length) {
+    throw new Error("На странице калькулятора нет списков въездов и выездов");
+  }
+  return catalog;
+}
+
+/**
+ * Переводит строку результата в записи единого формата
+ * (scraper/schema/toll-rates.v1.schema.json) — по одной на способ оплаты из DE_PAYMENT_METHODS.
+ */
+function toCanonicalRecords(row, vehicleClass) {
+  const classInfo = DE_VEHICLE_CLASSES[vehicleClass] || {};
+  const status = row.status === "OK" ? "ok" : "error";
+  // Метки вида "Northbound - Levels Rd": направление — до дефиса
+  const direction = row.entry_label.split(" - ")[0].toLowerCase();
+
+  return Object.entries(DE_PAYMENT_METHODS).map(([field, payment]) => ({
+    state: "DE",
+    road: "US 301",
+    entry_id: row.entry,
+    entry_label: row.entry_label,
+    exit_id: row.exit,
+    exit_label: row.exit_label,
+    direction,
+    vehicle_class: String(vehicleClass),
+    axles: classInfo.axles ?? null,
+    vehicle_type: classInfo.vehicle_type ?? null,
+    payment_method: payment.payment_method,
+    payment_category: payment.payment_category,
+    amount: status === "ok" ? row[field] : null,
+    currency: "USD",
+    distance_miles: null,
+    status,
+    message: row.message || null,
+  }));
+}
+
+// Селекторы страницы тарифов, от которых зависит разбор; их же проверяет canary (scraper/lib/canary.js)
+const DE_SELECTORS = {
+  container: ".col-md-6.well",
+  table: ".col-md-6.well .table.table-condensed:first-of-type",
+  ez_pass_row: ".col-md-6.well .table.table-condensed:first-of-type tr:nth-child(2)",
+  video_row: ".col-md-6.well .table.table-condensed:first-of-type tr:nth-child(3)",
+};
+
+/**
+ * Парсит HTML и извлекает цены E-ZPass и Video (Cash).
+ * Использует специфический селектор на основе предоставленного HTML.
+ */
+function parseTollHtml(htmlText, parser = new globalThis.DOMParser()) {
+  const doc = parser.parseFromString(htmlText, "text/html");
+
+  // 1. Проверка на сообщение об ошибке (.errorMsg)
+  const errorMsg = doc.querySelector(".errorMsg");
+  if (errorMsg) {
+    return { ez_pass: null, cash: null, error: errorMsg.textContent.trim() };
+  }
+
+  // 2. Ищем контейнер Toll Rates (ближайший родитель для таблицы)
+  // В предоставленном HTML таблица Rate находится внутри div.col-md-6.well, после h4 "Toll Rates"
+  const tollRatesContainer = doc.querySelector(DE_SELECTORS.container);
+
+  if (!tollRatesContainer) {
+    return {
+      ez_pass: null,
+      cash: null,
+      error: "Toll rates container not found.",
+    };
+  }
+
+  // 3. Ищем первую таблицу с классом table-condensed внутри контейнера
+  const table = doc.querySelector(DE_SELECTORS.table);
+
+  if (!table) {
+    // Если таблица не найдена, это значит, что маршрут невалиден, или цены отсутствуют.
+    return {
+      ez_pass: null,
+      cash: null,
+      error: "Toll rates table not found inside container.",
+    };
+  }
+
+  // 4. Извлекаем цены
+  const ezPassRow = doc.querySelector(DE_SELECTORS.ez_pass_row); // E-ZPass - 2-я строка
+  const videoRow = doc.querySelector(DE_SELECTORS.video_row); // Video - 3-я строка
+
+  if (!ezPassRow || !videoRow) {
+    return {
+      ez_pass: null,
+      cash: null,
+      error: "E-ZPass or Video row not found.",
+    };
+  }
+
+  try {
+    // E-ZPass: второй td в строке
+    const ezPassCell = ezPassRow.querySelectorAll("td")[1];
+    // Video: второй td в строке
+    const videoCell = videoRow.querySelectorAll("td")[1];
+
+    const ezPassPriceText = ezPassCell.textContent
+      .trim()
+      .replace("$", "")
+      .replace(",", "");
+    const cashPriceText = videoCell.textContent
+      .trim()
+      .replace("$", "")
+      .replace(",", "");
+
+    // Нечисловая ячейка — ошибка разбора, а не бесплатный проезд
+    const ezPassPrice = parseFloat(ezPassPriceText);
+    const cashPrice = parseFloat(cashPriceText);
+
+    if (isNaN(ezPassPrice) || isNaN(cashPrice)) {
+      return { ez_pass: null, cash: null, error: "Parsed price is NaN." };
+    }
+
+    return { ez_pass: ezPassPrice, cash: cashPrice, error: null };
+  } catch (e) {
+    return {
+      ez_pass: null,
+      cash: null,
+      error: `Failed to parse price values: ${e.message}`,
+    };
+  }
+}
+
+/**
+ * Файл для C# по строкам прогона класса (до toDelawareRoutes из registry.js): успешные маршруты
+ * и сколько проверено. Тем же способом scraper/fold.js собирает файл из потока результатов.
+ */
+function outputOf(vehicleClass, rows, { provenance = null } = {}) {
+  return {
+    state: "Delaware",
+    road: "US 301",
+    vehicle_class_id: vehicleClass,
+    description: (DE_VEHICLE_CLASSES[vehicleClass] || {}).label || `Class ${vehicleClass}`,
+    total_routes_checked: rows.length,
+    toll_rates: rows.filter((r) => r.status === "OK"),
+    provenance,
+  };
+}
+
+// Записи единого формата по строкам прогона, включая неуспешные маршруты
+function recordsOf(vehicleClass, rows) {
+  return rows.flatMap((r) => toCanonicalRecords(r, vehicleClass));
+}
+
+/**
+ * Парсинг всех маршрутов для одного или нескольких классов ТС.
+ * vehicleClass: число, массив чисел или "all" (все классы из DE_VEHICLE_CLASSES).
+ * Возвращает outputs — прежний формат для C# по каждому классу — и общий список records.
+ */
+async function scrapeAllUS301TollsV5(options = {}) {
+  const { vehicleClass = 5 } = options;
+  const classes =
+    vehicleClass === "all" ? Object.keys(DE_VEHICLE_CLASSES) : [].concat(vehicleClass);
+
+  const outputs = {};
+  const records = [];
+  for (const cls of classes) {
+    const run = await scrapeUS301Class({ ...options, vehicleClass: Number(cls) });
+    outputs[cls] = run.output;
+    records.push(...run.records);
+  }
+
+  return { outputs, records };
+}
+
+async function scrapeUS301Class(options = {}) {
+  // В браузере используются глобальные fetch/DOMParser/console, в Node их передаёт scraper/run.js
+  const {
+    vehicleClass = 5,
+    fetch = globalThis.fetch,
+    DOMParser = globalThis.DOMParser,
+    log = console.log,
+    printResult = true,
+    checkpoint = null,
+    // Физически возможные пары [{ entry, exit }] из scraper/topology; без них — все сочетания
+    pairs = null,
+    // Списки въездов и выездов: по умолчанию встроенные, из Node — прочитанные со страницы
+    catalog = DE_INTERCHANGES,
+    // Поток результатов NDJSON (createResultStream, scraper/lib/stream.js); null — без потока
+    stream = null,
+    // Темп для браузера; из Node паузы не нужны — его задаёт scraper/lib/scheduler.js
+    batchSize = 10,
+    pauseMs = 200,
+  } = options;
+
+  const url = DE_CATALOG_URL;
+
+  // Контрольная точка (scraper/lib/checkpoint.js): маршруты с ценой из прошлого запуска не запрашиваются
+  const runRoute = (key, job) =>
+    checkpoint ? checkpoint.run(key, job, (row) => row.status === "OK") : job();
+
+  const entryPoints = catalog.entries;
+  const exitPoints = catalog.exits;
+
+  const allowed = pairs && new Set(pairs.map((p) => `${p.entry}|${p.exit}`));
   const possibleRoutes = [];
   for (const entry of entryPoints) {
     for (const exit of exitPoints) {
-      if (entry.id !== exit.id) {
+      if (entry.id !== exit.id && (!allowed || allowed.has(`${entry.id}|${exit.id}`))) {
         possibleRoutes.push({
           entry: entry.id,
           exit: exit.id,
@@ -43,108 +297,34 @@ async function scrapeAllUS301TollsV5(vehicleClass = 5) {
 
   const allResults = [];
   const parser = new DOMParser();
-
-  /**
-   * Парсит HTML и извлекает цены E-ZPass и Video (Cash).
-   * Использует специфический селектор на основе предоставленного HTML.
-   */
-  function parseTollHtml(htmlText) {
-    const doc = parser.parseFromString(htmlText, "text/html");
-
-    // 1. Проверка на сообщение об ошибке (.errorMsg)
-    const errorMsg = doc.querySelector(".errorMsg");
-    if (errorMsg) {
-      return { ez_pass: null, cash: null, error: errorMsg.textContent.trim() };
-    }
-
-    // 2. Ищем контейнер Toll Rates (ближайший родитель для таблицы)
-    // В предоставленном HTML таблица Rate находится внутри div.col-md-6.well, после h4 "Toll Rates"
-    const tollRatesContainer = doc.querySelector(".col-md-6.well");
-
-    if (!tollRatesContainer) {
-      return {
-        ez_pass: null,
-        cash: null,
-        error: "Toll rates container not found.",
-      };
-    }
-
-    // 3. Ищем первую таблицу с классом table-condensed внутри контейнера
-    const table = tollRatesContainer.querySelector(
-      ".table.table-condensed:first-of-type"
-    );
-
-    if (!table) {
-      // Если таблица не найдена, это значит, что маршрут невалиден, или цены отсутствуют.
-      return {
-        ez_pass: null,
-        cash: null,
-        error: "Toll rates table not found inside container.",
-      };
-    }
-
-    // 4. Извлекаем цены
-    const ezPassRow = table.querySelector("tr:nth-child(2)"); // E-ZPass - 2-я строка
-    const videoRow = table.querySelector("tr:nth-child(3)"); // Video - 3-я строка
-
-    if (!ezPassRow || !videoRow) {
-      return {
-        ez_pass: null,
-        cash: null,
-        error: "E-ZPass or Video row not found.",
-      };
-    }
-
-    try {
-      // E-ZPass: второй td в строке
-      const ezPassCell = ezPassRow.querySelectorAll("td")[1];
-      // Video: второй td в строке
-      const videoCell = videoRow.querySelectorAll("td")[1];
-
-      const ezPassPriceText = ezPassCell.textContent
-        .trim()
-        .replace("$", "")
-        .replace(",", "");
-      const cashPriceText = videoCell.textContent
-        .trim()
-        .replace("$", "")
-        .replace(",", "");
-
-      const ezPassPrice = parseFloat(ezPassPriceText) || 0;
-      const cashPrice = parseFloat(cashPriceText) || 0;
-
-      if (isNaN(ezPassPrice) || isNaN(cashPrice)) {
-        return { ez_pass: null, cash: null, error: "Parsed price is NaN." };
-      }
-
-      return { ez_pass: ezPassPrice, cash: cashPrice, error: null };
-    } catch (e) {
-      return {
-        ez_pass: null,
-        cash: null,
-        error: `Failed to parse price values: ${e.message}`,
-      };
-    }
-  }
+  const tracked = trackProvenance(fetch, {
+    script: "DE/files/scripts.js",
+    scraper_version: DE_SCRIPT_VERSION,
+    source: url,
+    parameters: { vehicle: vehicleClass, routes: possibleRoutes.length },
+  });
+  const events = classStream(stream, vehicleClass, {
+    script: "DE/files/scripts.js",
+    recordsOf: (rows) => recordsOf(vehicleClass, rows),
+  });
+  events.start(possibleRoutes.length);
 
   // --- Запуск всех запросов ---
-  console.log(
+  log(
     `Начинаем парсинг ${possibleRoutes.length} маршрутов для класса ТС ${vehicleClass}...`
   );
 
-  const BATCH_SIZE = 10;
-
-  for (let i = 0; i < possibleRoutes.length; i += BATCH_SIZE) {
-    const batch = possibleRoutes.slice(i, i + BATCH_SIZE);
+  for (let i = 0; i < possibleRoutes.length; i += batchSize) {
+    const batch = possibleRoutes.slice(i, i + batchSize);
 
-    const promises = batch.map(async (route) => {
+    const promises = batch.map((route) => runRoute(`${vehicleClass}|${route.entry}|${route.exit}`, async () => {
       const formData = new URLSearchParams();
       formData.append("entry", route.entry);
       formData.append("exit", route.exit);
       formData.append("vehicle", vehicleClass);
 
       try {
-        const response = await fetch(url, {
+        const response = await tracked.fetch(url, {
           method: "POST",
           headers: {
             "Content-Type": "application/x-www-form-urlencoded",
@@ -157,7 +337,7 @@ async function scrapeAllUS301TollsV5(vehicleClass = 5) {
         }
 
         const htmlText = await response.text();
-        const prices = parseTollHtml(htmlText);
+        const prices = parseTollHtml(htmlText, parser);
 
         return {
           entry: route.entry,
@@ -181,35 +361,53 @@ async function scrapeAllUS301TollsV5(vehicleClass = 5) {
           message: error.message,
         };
       }
-    });
+    }));
 
     const batchResults = await Promise.all(promises);
     allResults.push(...batchResults);
+    events.rows(batchResults);
 
-    console.log(
+    log(
       `Обработано маршрутов: ${allResults.length}/${possibleRoutes.length}`
     );
 
-    await new Promise((r) => setTimeout(r, 200));
+    if (pauseMs) await new Promise((r) => setTimeout(r, pauseMs));
   }
 
-  const successful_rates = allResults.filter((r) => r.status === "OK");
+  const provenance = tracked.finish();
+  events.end(provenance);
+  const finalTollData = outputOf(vehicleClass, allResults, { provenance });
 
-  const finalTollData = {
-    state: "Delaware",
-    road: "US 301",
-    vehicle_class_id: vehicleClass,
-    description: "5-Axle Truck",
-    total_routes_checked: allResults.length,
-    toll_rates: successful_rates,
-  };
+  if (printResult) {
+    log("--- ФИНАЛЬНЫЙ JSON (Успешные тарифы) ---");
+    log(JSON.stringify(finalTollData, null, 4));
+  }
 
-  console.log("--- ФИНАЛЬНЫЙ JSON (Успешные тарифы) ---");
-  console.log(JSON.stringify(finalTollData, null, 4));
+  // output — прежний формат для C#, records — единый формат (включая неуспешные маршруты)
+  const records = recordsOf(vehicleClass, allResults);
 
-  return finalTollData;
+  return { output: finalTollData, records };
 }
 
 // --- Запуск ---
-// Запустите эту функцию в консоли и скопируйте вывод "ФИНАЛЬНЫЙ JSON".
-scrapeAllUS301TollsV5(5);
+// В консоли браузера скрипт запускается сам и в конце скачивает de-us301.ndjson и de-us301.summary.json;
+// файл для C# из них: node scraper/fold.js de-us301.ndjson --target de-us301
+// Из Node: node scraper/run.js de-us301
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    scrapeAllUS301TollsV5,
+    parseTollHtml,
+    toCanonicalRecords,
+    outputOf,
+    recordsOf,
+    readCatalog,
+    discoverCatalog,
+    DE_VEHICLE_CLASSES,
+    DE_PAYMENT_METHODS,
+    DE_INTERCHANGES,
+    DE_SELECTORS,
+  };
+} else {
+  const stream = createResultStream("de-us301");
+  scrapeAllUS301TollsV5({ vehicleClass: 5, stream, printResult: false }).finally(() => stream.close());
+}
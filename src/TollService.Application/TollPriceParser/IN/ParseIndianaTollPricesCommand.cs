@@ -11,12 +11,37 @@ namespace TollService.Application.TollPriceParser.IN;
 public record ParseIndianaTollPricesCommand(string JsonContent) 
     : IRequest<ParseTollPricesResult>;
 
+/// <summary>
+/// Строка старого формата result*.Json: имена барьеров и цены строками ("$6.50", "N/A", "Error").
+/// </summary>
 public record IndianaTollPriceEntry(
     [property: JsonPropertyName("entry")] string Entry,
     [property: JsonPropertyName("exit")] string Exit,
     [property: JsonPropertyName("cash_rate")] string CashRate,
     [property: JsonPropertyName("avi_rate")] string AviRate);
 
+/// <summary>
+/// Документ скрипта IN/files/scripts.js: класс по осям на уровне файла и строки rates.
+/// </summary>
+public record IndianaTollRatesDocument(
+    [property: JsonPropertyName("axle_class")] int? AxleClass,
+    [property: JsonPropertyName("rates")] List<IndianaTollRate>? Rates);
+
+/// <summary>
+/// Строка rates: номера барьеров (entry_id/exit_id), их имена, направление и числовые цены.
+/// Status — ok, no_rate или error; цена null, если калькулятор её не вернул.
+/// </summary>
+public record IndianaTollRate(
+    [property: JsonPropertyName("entry_id")] string? EntryId,
+    [property: JsonPropertyName("entry")] string? Entry,
+    [property: JsonPropertyName("exit_id")] string? ExitId,
+    [property: JsonPropertyName("exit")] string? Exit,
+    [property: JsonPropertyName("direction")] string? Direction,
+    [property: JsonPropertyName("axle_class")] int? AxleClass,
+    [property: JsonPropertyName("cash")] double? Cash,
+    [property: JsonPropertyName("avi")] double? Avi,
+    [property: JsonPropertyName("status")] string? Status);
+
 public class ParseIndianaTollPricesCommandHandler(
     ITollDbContext _context,
     CalculatePriceService calculatePriceService) : IRequestHandler<ParseIndianaTollPricesCommand, ParseTollPricesResult>
@@ -24,18 +49,15 @@ public class ParseIndianaTollPricesCommandHandler(
     public async Task<ParseTollPricesResult> Handle(ParseIndianaTollPricesCommand request, CancellationToken ct)
     {
         var notFoundPlazas = new List<string>();
+        var skippedClasses = new Dictionary<string, int>();
         int updatedCount = 0;
 
-        // Парсим JSON с настройками для snake_case
-        List<IndianaTollPriceEntry>? priceEntries;
+        // Парсим JSON с настройками для snake_case: документ скрипта { axle_class, rates } или старый массив
+        List<IndianaPriceRow> priceEntries;
         try
         {
-            var options = new JsonSerializerOptions
-            {
-                PropertyNameCaseInsensitive = true
-            };
-            priceEntries = JsonSerializer.Deserialize<List<IndianaTollPriceEntry>>(request.JsonContent, options);
-            if (priceEntries == null || priceEntries.Count == 0)
+            priceEntries = ReadPriceRows(request.JsonContent);
+            if (priceEntries.Count == 0)
             {
                 return new ParseTollPricesResult(0, new List<string> { "JSON пуст или невалиден" });
             }
@@ -70,27 +92,45 @@ public class ParseIndianaTollPricesCommandHandler(
         // Обрабатываем каждую запись о цене
         foreach (var priceEntry in priceEntries)
         {
-            // Находим toll для entry (точка входа)
+            // Цены неизвестного класса не пишем: иначе они легли бы в чужой AxelType
+            if (priceEntry.AxelType == AxelType.Unknown)
+            {
+                var axleClass = priceEntry.AxleClass?.ToString() ?? "нет";
+                skippedClasses[axleClass] = skippedClasses.GetValueOrDefault(axleClass) + 1;
+                continue;
+            }
+
+            // Находим toll для entry (точка входа): по имени барьера, затем по его номеру
             var fromTolls = await FindOrCacheTolls(priceEntry.Entry, tollCache, indianaCalculator.Id, ct);
+            if (fromTolls.Count == 0 && priceEntry.EntryId != null)
+            {
+                fromTolls = await FindOrCacheTolls(priceEntry.EntryId, tollCache, indianaCalculator.Id, ct);
+            }
             if (fromTolls.Count == 0)
             {
-                notFoundPlazas.Add($"Entry: {priceEntry.Entry}");
+                notFoundPlazas.Add($"Entry: {priceEntry.Entry ?? priceEntry.EntryId}");
                 continue;
             }
 
             // Находим toll для exit (точка выхода)
             var toTolls = await FindOrCacheTolls(priceEntry.Exit, tollCache, indianaCalculator.Id, ct);
+            if (toTolls.Count == 0 && priceEntry.ExitId != null)
+            {
+                toTolls = await FindOrCacheTolls(priceEntry.ExitId, tollCache, indianaCalculator.Id, ct);
+            }
             if (toTolls.Count == 0)
             {
-                notFoundPlazas.Add($"Exit: {priceEntry.Exit}");
+                notFoundPlazas.Add($"Exit: {priceEntry.Exit ?? priceEntry.ExitId}");
                 continue;
             }
 
-            // Парсим цены
-            var cashPrice = ParsePrice(priceEntry.CashRate);
-            var aviPrice = ParsePrice(priceEntry.AviRate);
+            var cashPrice = priceEntry.Cash;
+            var aviPrice = priceEntry.Avi;
+            var axelType = priceEntry.AxelType;
 
-            var description = $"{priceEntry.Entry} -> {priceEntry.Exit}";
+            var description = priceEntry.Direction != null
+                ? $"{priceEntry.Entry} -> {priceEntry.Exit} ({priceEntry.Direction})"
+                : $"{priceEntry.Entry} -> {priceEntry.Exit}";
 
             // Обрабатываем все комбинации entry -> exit толлов (как в других штатах)
             var pairResults = TollPairProcessor.ProcessAllPairsToDictionaryList(
@@ -100,27 +140,28 @@ public class ParseIndianaTollPricesCommandHandler(
                 {
                     var tollPrices = new List<TollPrice>();
 
-                    if (cashPrice > 0)
+                    // null — калькулятор цену не вернул; 0 — бесплатный проезд, он тоже записывается
+                    if (cashPrice is { } cash)
                     {
                         tollPrices.Add(new TollPrice
                         {
                             TollId = entryToll.Id,
                             PaymentType = TollPaymentType.Cash,
-                            AxelType = AxelType._5L,
-                            Amount = cashPrice,
+                            AxelType = axelType,
+                            Amount = cash,
                             Description = description
                         });
                     }
 
                     // AVI в источнике используем как EZPass
-                    if (aviPrice > 0)
+                    if (aviPrice is { } avi)
                     {
                         tollPrices.Add(new TollPrice
                         {
                             TollId = entryToll.Id,
                             PaymentType = TollPaymentType.EZPass,
-                            AxelType = AxelType._5L,
-                            Amount = aviPrice,
+                            AxelType = axelType,
+                            Amount = avi,
                             Description = $"{description} (AVI)"
                         });
                     }
@@ -158,7 +199,11 @@ public class ParseIndianaTollPricesCommandHandler(
 
         await _context.SaveChangesAsync(ct);
 
-        return new ParseTollPricesResult(updatedCount, notFoundPlazas.Distinct().ToList());
+        var messages = notFoundPlazas.Distinct().ToList();
+        messages.AddRange(skippedClasses.Select(kvp =>
+            $"axle_class {kvp.Key}: нет соответствия AxelType, пропущено строк: {kvp.Value}"));
+
+        return new ParseTollPricesResult(updatedCount, messages);
     }
 
     /// <summary>
@@ -166,7 +211,7 @@ public class ParseIndianaTollPricesCommandHandler(
     /// Может вернуть несколько toll'ов (как в других штатах), поэтому возвращаем List&lt;Toll&gt;.
     /// </summary>
     private async Task<List<Toll>> FindOrCacheTolls(
-        string name,
+        string? name,
         Dictionary<string, List<Toll>> cache,
         Guid stateCalculatorId,
         CancellationToken ct)
@@ -215,12 +260,81 @@ public class ParseIndianaTollPricesCommandHandler(
     }
 
     /// <summary>
-    /// Парсит цену из строки (убирает символ доллара и пробелы)
+    /// Строка цен после чтения любого из двух форматов.
+    /// </summary>
+    private sealed record IndianaPriceRow(
+        string? Entry,
+        string? EntryId,
+        string? Exit,
+        string? ExitId,
+        string? Direction,
+        double? Cash,
+        double? Avi,
+        int? AxleClass,
+        AxelType AxelType);
+
+    /// <summary>
+    /// Читает документ скрипта { axle_class, rates: [...] } (строки со status не ok пропускаются)
+    /// или старый массив [{ entry, exit, cash_rate, avi_rate }] — он исторически собран для 5 осей.
+    /// </summary>
+    private static List<IndianaPriceRow> ReadPriceRows(string json)
+    {
+        var options = new JsonSerializerOptions
+        {
+            PropertyNameCaseInsensitive = true
+        };
+
+        using var document = JsonDocument.Parse(json);
+        if (document.RootElement.ValueKind == JsonValueKind.Array)
+        {
+            var entries = document.RootElement.Deserialize<List<IndianaTollPriceEntry>>(options) ?? new();
+            return entries
+                .Select(e => new IndianaPriceRow(
+                    e.Entry, null, e.Exit, null, null,
+                    ParsePrice(e.CashRate), ParsePrice(e.AviRate), 5, AxelType._5L))
+                .ToList();
+        }
+
+        var rates = document.RootElement.Deserialize<IndianaTollRatesDocument>(options);
+        if (rates?.Rates == null)
+        {
+            return new List<IndianaPriceRow>();
+        }
+
+        return rates.Rates
+            .Where(r => string.Equals(r.Status, "ok", StringComparison.OrdinalIgnoreCase))
+            .Select(r =>
+            {
+                var axleClass = r.AxleClass ?? rates.AxleClass;
+                return new IndianaPriceRow(
+                    r.Entry, r.EntryId, r.Exit, r.ExitId, r.Direction,
+                    r.Cash, r.Avi, axleClass, ToAxelType(axleClass));
+            })
+            .ToList();
+    }
+
+    /// <summary>
+    /// axle_class калькулятора (число осей) -> AxelType, как в LinkMarylandTollsCommand: 5 осей — _5L, 6 — _6L.
+    /// Для остальных классов общего соответствия нет (по описанию AxelType _1L — это 2 оси, FL сдвигает
+    /// на единицу), поэтому они, как и отсутствующий axle_class, — Unknown и не импортируются.
+    /// </summary>
+    private static AxelType ToAxelType(int? axleClass)
+    {
+        return axleClass switch
+        {
+            5 => AxelType._5L,
+            6 => AxelType._6L,
+            _ => AxelType.Unknown
+        };
+    }
+
+    /// <summary>
+    /// Парсит цену из строки (убирает символ доллара и пробелы); null — цены нет ("N/A", "Error")
     /// </summary>
-    private static double ParsePrice(string priceString)
+    private static double? ParsePrice(string priceString)
     {
         if (string.IsNullOrWhiteSpace(priceString))
-            return 0.0;
+            return null;
 
         var text = priceString.Trim();
         // Убираем символ доллара и пробелы
@@ -232,7 +346,7 @@ public class ParseIndianaTollPricesCommandHandler(
             return price;
         }
 
-        return 0.0;
+        return null;
     }
 }
 
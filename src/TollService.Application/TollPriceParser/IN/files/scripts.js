@@ -1,177 +1,318 @@
-//(async () => {
-//    // 1.    
-//    const fixedEntry = "Westpoint";
-
-//    // 2.   
-//    const barriers = [
-//        { name: "Westpoint", id: "0001" },
-//        { name: "Calumet E/B Entry", id: "0005" },
-//        { name: "Calumet W/B", id: "0006" },
-//        { name: "Cline (Gary) E/W", id: "0010" },
-//        { name: "Gary East", id: "0017" },
-//        { name: "Lake Station", id: "0021" },
-//        { name: "Portage / Willow Creek", id: "0024" },
-//        { name: "Valparaiso/Chesterton", id: "0031" },
-//        { name: "Michigan City", id: "0039" },
-//        { name: "LaPorte", id: "0049" },
-//        { name: "South Bend West", id: "0072" },
-//        { name: "South Bend Notre Dame", id: "0077" },
-//        { name: "Mishawaka", id: "0083" },
-//        { name: "Elkhart", id: "0092" },
-//        { name: "Elkhart East", id: "0096" },
-//        { name: "Bristol/Goshen", id: "0101" },
-//        { name: "Middlebury", id: "0107" },
-//        { name: "Howe/LaGrange", id: "0121" },
-//        { name: "Angola", id: "0144" },
-//        { name: "Eastpoint", id: "0153" }
-//    ];
-
-//    const results = [];
-//    const url = '/wp-admin/admin-ajax.php';
-
-//    //  
-//    const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-
-//    //   
-//    async function getPrice(entry, exit, paymentType) {
-//        const params = new URLSearchParams({
-//            action: 'get_toll_rate',
-//            axle_class: '6',
-//            entry_barrier: entry,
-//            exit_barrier: exit,
-//            payment_type: paymentType,
-//        });
-
-//        try {
-//            const response = await fetch(url, {
-//                method: 'POST',
-//                headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8' },
-//                body: params.toString()
-//            });
-//            const text = await response.text();
-//            let price = text.replace(/"/g, '').trim();
-//            return price || "N/A";
-//        } catch (e) {
-//            return "Error";
-//        }
-//    }
-
-//    console.log(`    : ${fixedEntry}...`);
-
-//    // 3.   
-//    for (let i = 0; i < barriers.length; i++) {
-//        const exitPoint = barriers[i].name;
-
-//        // ,   -      (Westpoint -> Westpoint)
-//        if (exitPoint === fixedEntry) continue;
-
-//        console.log(`: ${fixedEntry} -> ${exitPoint}`);
-
-//        const [cashPrice, aviPrice] = await Promise.all([
-//            getPrice(fixedEntry, exitPoint, 'CASH'),
-//            getPrice(fixedEntry, exitPoint, 'AVI')
-//        ]);
-
-//        results.push({
-//            entry: fixedEntry,
-//            exit: exitPoint,
-//            cash_rate: cashPrice,
-//            avi_rate: aviPrice
-//        });
-
-//        //  
-//        await sleep(50);
-//    }
-
-//    console.log("! :");
-//    console.log(JSON.stringify(results, null, 2));
-//    console.table(results);
-//})();
-
-
-
-(async () => {
-
-    const barriers = [
-        { name: "Westpoint", id: "0001" },
-        { name: "Calumet E/B Entry", id: "0005" },
-        { name: "Calumet W/B", id: "0006" },
-        { name: "Cline (Gary) E/W", id: "0010" },
-        { name: "Gary East", id: "0017" },
-        { name: "Lake Station", id: "0021" },
-        { name: "Portage / Willow Creek", id: "0024" },
-        { name: "Valparaiso/Chesterton", id: "0031" },
-        { name: "Michigan City", id: "0039" },
-        { name: "LaPorte", id: "0049" },
-        { name: "South Bend West", id: "0072" },
-        { name: "South Bend Notre Dame", id: "0077" },
-        { name: "Mishawaka", id: "0083" },
-        { name: "Elkhart", id: "0092" },
-        { name: "Elkhart East", id: "0096" },
-        { name: "Bristol/Goshen", id: "0101" },
-        { name: "Middlebury", id: "0107" },
-        { name: "Howe/LaGrange", id: "0121" },
-        { name: "Angola", id: "0144" },
-        { name: "Eastpoint", id: "0153" }
-    ];
+// admin-ajax отвечает JSON-строкой вида "\"$6.50\""; пустой ответ — нет тарифа (null).
+// Непустой ответ, в котором нет числа, — ошибка калькулятора, а не бесплатный проезд
+function parseRate(text) {
+    const rate = String(text).replace(/"/g, '').trim();
+    if (!rate) return null;
+
+    const amount = parseFloat(rate.replace(/[$,]/g, ''));
+    if (Number.isNaN(amount)) throw new Error(`Неожиданный ответ калькулятора: ${rate.slice(0, 80)}`);
+    return amount;
+}
+
+// Барьеры калькулятора: id (номер барьера) уходит в запрос как entry_barrier/exit_barrier.
+// Номера растут с запада на восток. Последний известный список; перед прогоном
+// scraper/run.js читает актуальный со страницы
+const IN_BARRIERS = [
+    { name: "Westpoint", id: "0001" },
+    { name: "Calumet E/B Entry", id: "0005" },
+    { name: "Calumet W/B", id: "0006" },
+    { name: "Cline (Gary) E/W", id: "0010" },
+    { name: "Gary East", id: "0017" },
+    { name: "Lake Station", id: "0021" },
+    { name: "Portage / Willow Creek", id: "0024" },
+    { name: "Valparaiso/Chesterton", id: "0031" },
+    { name: "Michigan City", id: "0039" },
+    { name: "LaPorte", id: "0049" },
+    { name: "South Bend West", id: "0072" },
+    { name: "South Bend Notre Dame", id: "0077" },
+    { name: "Mishawaka", id: "0083" },
+    { name: "Elkhart", id: "0092" },
+    { name: "Elkhart East", id: "0096" },
+    { name: "Bristol/Goshen", id: "0101" },
+    { name: "Middlebury", id: "0107" },
+    { name: "Howe/LaGrange", id: "0121" },
+    { name: "Angola", id: "0144" },
+    { name: "Eastpoint", id: "0153" }
+];
+
+const IN_INTERCHANGES = {
+    entries: IN_BARRIERS.map(b => ({ id: b.id, label: b.name })),
+    exits: IN_BARRIERS.map(b => ({ id: b.id, label: b.name }))
+};
+
+const IN_CATALOG_URL = '/toll-calculator/';
+
+// Версия разбора ответа калькулятора (parseRate)
+const IN_SCRIPT_VERSION = '1.0.0';
+
+// Общий код скриптов штатов (scraper/lib/runtime.js). В консоль браузера вставляется сборка с ним:
+// scraper/dist/in-tollroad.console.js (node scraper/console.js)
+const { trackProvenance, createResultStream, classStream } =
+    typeof SCRAPER_RUNTIME !== 'undefined' ? SCRAPER_RUNTIME : require('../../scraper/lib/runtime');
+
+function readCatalog(html, parser = new globalThis.DOMParser()) {
+    const doc = parser.parseFromString(html, 'text/html');
+    const options = name => [...doc.querySelectorAll(`select[name="${name}"] option`)]
+        .map(o => ({ id: (o.getAttribute('value') || '').trim(), label: o.textContent.trim() }))
+        .filter(o => o.id);
+
+    return { entries: options('entry_barrier'), exits: options('exit_barrier') };
+}
+
+async function discoverCatalog({ fetch = globalThis.fetch, DOMParser = globalThis.DOMParser } = {}) {
+    const response = await fetch(IN_CATALOG_URL);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const catalog = readCatalog(await response.text(), new DOMParser());
+    if (!catalog.entries.length || !catalog.exits.length) {
+        throw new Error('На странице калькулятора нет списков въездов и выездов');
+    }
+    return catalog;
+}
+
+// Направление по номерам барьеров: к большему номеру — на восток.
+// null, если номер не число (новый барьер с нестандартным id)
+function directionOf(entryId, exitId) {
+    const from = parseInt(entryId, 10);
+    const to = parseInt(exitId, 10);
+    if (Number.isNaN(from) || Number.isNaN(to) || from === to) return null;
+    return to > from ? 'eastbound' : 'westbound';
+}
+
+// axle_class калькулятора (число осей) -> общая шкала классов ТС
+const IN_VEHICLE_CLASSES = {
+    '2': { axles: 2, vehicle_type: 'passenger', label: '2 Axle' },
+    '3': { axles: 3, vehicle_type: 'truck', label: '3 Axle' },
+    '4': { axles: 4, vehicle_type: 'truck', label: '4 Axle' },
+    '5': { axles: 5, vehicle_type: 'truck', label: '5 Axle' },
+    '6': { axles: 6, vehicle_type: 'truck', label: '6 Axle' },
+    '7': { axles: 7, vehicle_type: 'truck', label: '7 Axle' },
+    '8': { axles: 8, vehicle_type: 'truck', label: '8 Axle' },
+    '9': { axles: 9, vehicle_type: 'truck', label: '9 Axle' }
+};
+
+// payment_type калькулятора -> способ оплаты (поле строки результата) и общая категория.
+// Скрипт запрашивает цену по каждому payment_type из таблицы
+const IN_PAYMENT_METHODS = {
+    CASH: { label: 'Cash', payment_method: 'cash', payment_category: 'cash' },
+    AVI: { label: 'E-ZPass (AVI)', payment_method: 'avi', payment_category: 'transponder_in_state' }
+};
+
+// Перевод строки результата в записи единого формата (scraper/schema/toll-rates.v1.schema.json).
+// cash/avi — числа или null; status строки: ok, no_rate (калькулятор не знает пару), error (запрос не удался).
+// Способа оплаты, который не запрашивался (paymentMethods), в строке нет — и записи по нему тоже
+function toCanonicalRecords(row) {
+    const classInfo = IN_VEHICLE_CLASSES[row.axle_class] || {};
+
+    const requested = Object.values(IN_PAYMENT_METHODS).filter(({ payment_method }) => payment_method in row);
+    return requested.map(({ payment_method: paymentMethod, payment_category: paymentCategory }) => {
+        const amount = row[paymentMethod];
+        const status = typeof amount === 'number' ? 'ok' : row.status === 'error' ? 'error' : 'no_rate';
+
+        return {
+            state: 'IN',
+            road: 'Indiana Toll Road',
+            entry_id: row.entry_id,
+            entry_label: row.entry,
+            exit_id: row.exit_id,
+            exit_label: row.exit,
+            direction: row.direction,
+            vehicle_class: String(row.axle_class),
+            axles: classInfo.axles ?? null,
+            vehicle_type: classInfo.vehicle_type ?? null,
+            payment_method: paymentMethod,
+            payment_category: paymentCategory,
+            amount: status === 'ok' ? amount : null,
+            currency: 'USD',
+            distance_miles: null,
+            status,
+            message: status === 'ok' ? null : row.message
+        };
+    });
+}
+
+// Файл для C# по строкам прогона класса. Тем же способом scraper/fold.js собирает файл из потока результатов
+function outputOf(vehicleClass, rows, { provenance = null } = {}) {
+    const classInfo = IN_VEHICLE_CLASSES[vehicleClass] || {};
+    return {
+        state: 'Indiana',
+        road: 'Indiana Toll Road',
+        axle_class: vehicleClass,
+        vehicle_class: classInfo.label || `${vehicleClass} Axle`,
+        vehicle_type: classInfo.vehicle_type ?? null,
+        total_checked: rows.length,
+        total_success: rows.filter(r => r.status === 'ok').length,
+        rates: rows,
+        provenance
+    };
+}
+
+// Класс ТС уже есть в строке (axle_class)
+function recordsOf(vehicleClass, rows) {
+    return rows.flatMap(r => toCanonicalRecords(r));
+}
+
+// Запрос идёт на относительный URL, поэтому в браузере скрипт запускается только на сайте Indiana Toll Road;
+// из Node: node scraper/run.js in-tollroad (origin подставляет run.js).
+// vehicleClass: число осей, массив или 'all' (все классы из IN_VEHICLE_CLASSES)
+async function scrapeIndianaTollRoad(options = {}) {
+    const { vehicleClass = 6 } = options;
+    const classes = vehicleClass === 'all' ? Object.keys(IN_VEHICLE_CLASSES) : [].concat(vehicleClass);
+
+    const outputs = {};
+    const records = [];
+    for (const cls of classes) {
+        const run = await scrapeIndianaClass({ ...options, vehicleClass: Number(cls) });
+        outputs[cls] = run.output;
+        records.push(...run.records);
+    }
+
+    return { outputs, records };
+}
+
+async function scrapeIndianaClass(options = {}) {
+    const {
+        vehicleClass = 6,
+        fetch = globalThis.fetch,
+        log = console.log,
+        printResult = true,
+        checkpoint = null,
+        // Физически возможные пары [{ entry, exit }] (номера барьеров) из scraper/topology;
+        // без них — все сочетания
+        pairs = null,
+        // Списки въездов и выездов: по умолчанию встроенные, из Node — прочитанные со страницы
+        catalog = IN_INTERCHANGES,
+        // Коды payment_type (ключи IN_PAYMENT_METHODS); по умолчанию — все
+        paymentMethods = null,
+        // Поток результатов NDJSON (createResultStream, scraper/lib/stream.js); null — без потока
+        stream = null,
+        // В браузере — по 10 пар параллельно с паузой между пачками; из Node темп задаёт scraper/lib/scheduler.js
+        batchSize = 10,
+        pauseMs = 200
+    } = options;
+
+    // Контрольная точка (scraper/lib/checkpoint.js): пары без ошибок из прошлого запуска не запрашиваются
+    const isDone = row => row.status !== 'error';
+    const runPair = (key, job) => checkpoint ? checkpoint.run(key, job, isDone) : job();
 
     const results = [];
     const url = '/wp-admin/admin-ajax.php';
+    const tracked = trackProvenance(fetch, {
+        script: 'IN/files/scripts.js',
+        scraper_version: IN_SCRIPT_VERSION,
+        source: url,
+        parameters: { action: 'get_toll_rate', axle_class: vehicleClass, payment_type: paymentMethods || 'all' }
+    });
 
     const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
+    // { amount } — число или null (нет тарифа); { error } — запрос не удался
     async function getPrice(entry, exit, paymentType) {
         const params = new URLSearchParams({
             action: 'get_toll_rate',
-            axle_class: '6',
+            axle_class: String(vehicleClass),
             entry_barrier: entry,
             exit_barrier: exit,
             payment_type: paymentType,
         });
 
         try {
-            const response = await fetch(url, {
+            const response = await tracked.fetch(url, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8' },
                 body: params.toString()
             });
-            const text = await response.text();
-            return text.replace(/"/g, '').trim() || "N/A";
-        } catch {
-            return "Error";
+            if (!response.ok) return { amount: null, error: `${paymentType}: HTTP ${response.status}` };
+            return { amount: parseRate(await response.text()), error: null };
+        } catch (e) {
+            return { amount: null, error: `${paymentType}: ${e.message}` };
         }
     }
 
-    console.log(`   ALL ? ALL...`);
+    const types = Object.entries(IN_PAYMENT_METHODS)
+        .filter(([type]) => !paymentMethods || paymentMethods.map(String).includes(type));
+    if (!types.length) throw new Error(`Нет способов оплаты ${paymentMethods} в IN_PAYMENT_METHODS`);
 
-    // ??  ? 
-    for (const entry of barriers) {
-        for (const exit of barriers) {
+    const labels = new Map([...catalog.entries, ...catalog.exits].map(b => [b.id, b.label]));
 
-            //  A ? A
-            if (entry.name === exit.name) continue;
+    // Все сочетания без A -> A (или только пары из топологии)
+    const allowed = pairs && new Set(pairs.map(p => `${p.entry}|${p.exit}`));
+    const routes = [];
+    for (const { id: entry } of catalog.entries)
+        for (const { id: exit } of catalog.exits)
+            if (entry !== exit && (!allowed || allowed.has(`${entry}|${exit}`)))
+                routes.push({ entry, exit });
 
-            console.log(`: ${entry.name} -> ${exit.name}`);
+    log(`Начинаем сбор цен: ${routes.length} пар, ${vehicleClass} осей...`);
 
-            const [cashPrice, aviPrice] = await Promise.all([
-                getPrice(entry.name, exit.name, 'CASH'),
-                getPrice(entry.name, exit.name, 'AVI')
-            ]);
+    const events = classStream(stream, vehicleClass, {
+        script: 'IN/files/scripts.js',
+        recordsOf: rows => recordsOf(vehicleClass, rows)
+    });
+    events.start(routes.length);
 
-            results.push({
-                entry: entry.name,
-                exit: exit.name,
-                axle_class: 6,
-                cash_rate: cashPrice,
-                avi_rate: aviPrice
-            });
+    for (let i = 0; i < routes.length; i += batchSize) {
+        const batch = routes.slice(i, i + batchSize);
 
-            await sleep(100);
-        }
+        const rows = await Promise.all(batch.map(({ entry, exit }) =>
+            runPair(`${vehicleClass}|${entry}|${exit}`, async () => {
+                log(`Запрос: ${labels.get(entry) || entry} -> ${labels.get(exit) || exit}`);
+
+                // Выбранные способы оплаты параллельно: { cash: ..., avi: ... }
+                const prices = await Promise.all(types.map(([type]) => getPrice(entry, exit, type)));
+                const amounts = Object.fromEntries(types.map(([, method], i) => [method.payment_method, prices[i].amount]));
+                const errors = prices.map(p => p.error).filter(Boolean);
+
+                return {
+                    entry_id: entry,
+                    entry: labels.get(entry) || null,
+                    exit_id: exit,
+                    exit: labels.get(exit) || null,
+                    direction: directionOf(entry, exit),
+                    axle_class: vehicleClass,
+                    ...amounts,
+                    status: errors.length ? 'error' : prices.every(p => p.amount === null) ? 'no_rate' : 'ok',
+                    message: errors.length ? errors.join('; ') : null
+                };
+            })
+        ));
+
+        results.push(...rows);
+        events.rows(rows);
+        if (pauseMs) await sleep(pauseMs);
+    }
+
+    const provenance = tracked.finish();
+    events.end(provenance);
+    const json = outputOf(vehicleClass, results, { provenance });
+
+    if (printResult) {
+        log("Готово!");
+        console.table(results);
+        log(JSON.stringify(json, null, 2));
     }
 
-    console.log("!");
-    console.table(results);
-    console.log(JSON.stringify(results, null, 2));
+    return { output: json, records: recordsOf(vehicleClass, results) };
+}
 
-})();
+// В консоли браузера результат скачивается файлами in-tollroad.ndjson и in-tollroad.summary.json;
+// файл для C# из них: node scraper/fold.js in-tollroad.ndjson --target in-tollroad
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        scrapeIndianaTollRoad,
+        parseRate,
+        directionOf,
+        toCanonicalRecords,
+        outputOf,
+        recordsOf,
+        readCatalog,
+        discoverCatalog,
+        IN_BARRIERS,
+        IN_VEHICLE_CLASSES,
+        IN_PAYMENT_METHODS,
+        IN_INTERCHANGES
+    };
+} else {
+    const stream = createResultStream('in-tollroad');
+    scrapeIndianaTollRoad({ stream, printResult: false }).finally(() => stream.close());
+}
@@ -1,139 +1,594 @@
-(async function scrapeEZDriveMA() {
-    const BASE_URL = "https://www.ezdrivema.com/TollCalculator";
+/* ===============================
+   VIEWSTATE / FORM
+=============================== */
+
+function readFormState(html, parser = new globalThis.DOMParser()) {
+    return formStateOf(parser.parseFromString(html, "text/html"));
+}
+
+function formStateOf(doc) {
+    const val = id => doc.querySelector(`input[name="${id}"]`)?.value;
+
+    return {
+        __VIEWSTATE: val("__VIEWSTATE"),
+        __VIEWSTATEGENERATOR: val("__VIEWSTATEGENERATOR"),
+        __EVENTVALIDATION: val("__EVENTVALIDATION"),
+        __RequestVerificationToken: val("__RequestVerificationToken")
+    };
+}
+
+function buildRouteForm(state, entry, exit, axles, payMethod) {
+    const form = new FormData();
+
+    Object.entries(state).forEach(([k, v]) => form.append(k, v));
+
+    form.append("dnn$ctr1341$View$ddlEntry", entry);
+    form.append("dnn$ctr1341$View$ddlExit", exit);
+    form.append("dnn$ctr1341$View$ddlAxleType", axles);
+    form.append("dnn$ctr1341$View$ddlPaymethod", payMethod);
+    form.append("dnn$ctr1341$View$btnSubmit", "Submit");
+
+    return form;
+}
+
+/* ===============================
+   PARSE RESULT
+=============================== */
+
+function parseResult(html, parser = new globalThis.DOMParser()) {
+    return resultOf(parser.parseFromString(html, "text/html"));
+}
+
+// Метки страницы результата, от которых зависит разбор; их же проверяет canary (scraper/lib/canary.js)
+const MA_SELECTORS = {
+    entry: "#dnn_ctr1341_View_lblEntry",
+    exit: "#dnn_ctr1341_View_lblExit",
+    axles: "#dnn_ctr1341_View_lblAxles",
+    payment: "#dnn_ctr1341_View_lblPaymentMethod",
+    toll_eb: "#dnn_ctr1341_View_lblTollEB",
+    mileage_eb: "#dnn_ctr1341_View_lblMileageEB",
+    time_eb: "#dnn_ctr1341_View_lblTimeEB",
+    toll_wb: "#dnn_ctr1341_View_lblTollWB",
+    mileage_wb: "#dnn_ctr1341_View_lblMileageWB",
+    time_wb: "#dnn_ctr1341_View_lblTimeWB"
+};
+
+function resultOf(doc) {
+    const get = name => doc.querySelector(MA_SELECTORS[name])?.textContent.trim() || null;
+
+    return {
+        entryText: get("entry"),
+        exitText: get("exit"),
+        axlesText: get("axles"),
+        paymentText: get("payment"),
+
+        eastbound: {
+            toll: get("toll_eb"),
+            mileage: get("mileage_eb"),
+            time: get("time_eb")
+        },
+
+        westbound: {
+            toll: get("toll_wb"),
+            mileage: get("mileage_wb"),
+            time: get("time_wb")
+        }
+    };
+}
+
+/* ===============================
+   SESSION / EMPTY RESULTS
+=============================== */
+
+// Тексты страниц ошибок ASP.NET/DNN, когда postback с устаревшим состоянием отклонён
+const MA_SESSION_ERRORS = /viewstate|state information is invalid|anti-?forgery|verification token|session (has )?expired|an error has occurred/i;
+
+/**
+ * Разбирает ответ на postback и решает, что он значит:
+ *  "ok"       — есть тариф хотя бы в одну сторону;
+ *  "no_route" — запрос принят (есть метки маршрута или форма вернулась с нашими въездом/выездом),
+ *               но тарифа нет: такого маршрута не существует (Entry_2 -> Exit_2 и т.п.);
+ *  "session"  — postback не принят: нет формы WebForms, страница ошибки или форма сброшена
+ *               к значениям по умолчанию. Нужно новое состояние и повтор.
+ * state — свежие __VIEWSTATE и пр. из ответа (null, если формы нет).
+ */
+function classifyResult(html, entry, exit, parser = new globalThis.DOMParser()) {
+    const doc = parser.parseFromString(html, "text/html");
+    const data = resultOf(doc);
+    const state = formStateOf(doc);
+    const hasForm = Boolean(state.__VIEWSTATE);
+
+    if (data.eastbound.toll || data.westbound.toll) {
+        return { kind: "ok", data, state: hasForm ? state : null };
+    }
+
+    if (!hasForm) {
+        return { kind: "session", data, state: null, reason: "в ответе нет формы WebForms" };
+    }
+
+    if (MA_SESSION_ERRORS.test(doc.body?.textContent || "")) {
+        return { kind: "session", data, state: null, reason: "страница ошибки состояния формы" };
+    }
+
+    const selected = name => doc.querySelector(`select[name="dnn$ctr1341$View$${name}"] option[selected]`)?.value;
+    if (data.entryText || data.exitText || (selected("ddlEntry") === entry && selected("ddlExit") === exit)) {
+        return { kind: "no_route", data, state };
+    }
+
+    return { kind: "session", data, state: null, reason: "форма сброшена, postback не принят" };
+}
+
+/* ===============================
+   ENTRY / EXIT CATALOG
+=============================== */
+
+// Последний известный список значений ddlEntry/ddlExit. Перед прогоном scraper/run.js
+// читает актуальный со страницы (discoverCatalog) и сообщает о расхождениях
+const MA_ENTRIES = [
+    "Entry_1", "Entry_2", "Entry_3", "Entry_4", "Entry_5", "Entry_6", "Entry_7", "Entry_8", "Entry_9",
+    "Entry_10", "Entry_10A", "Entry_11", "Entry_11A", "Entry_12", "Entry_13", "Entry_14WB", "Entry_15EB",
+    "Entry_16EB", "Entry_17", "Entry_18WB", "Entry_19", "Entry_20EB", "Entry_21WB", "Entry_22WB",
+    "Entry_22AWB", "Entry_23WB", "Entry_24", "Entry_25", "Entry_26"
+];
+
+const MA_EXITS = [
+    "Exit_1WB", "Exit_2", "Exit_3", "Exit_4", "Exit_5", "Exit_6", "Exit_7", "Exit_8", "Exit_9",
+    "Exit_10", "Exit_10A", "Exit_11", "Exit_11A", "Exit_12", "Exit_13", "Exit_14EB", "Exit_15WB",
+    "Exit_16WB", "Exit_17", "Exit_18EB", "Exit_19", "Exit_20WB", "Exit_21_NX", "Exit_22EB",
+    "Exit_22A_NX", "Exit_23_NX", "Exit_24", "Exit_25", "Exit_26"
+];
+
+// Подписей во встроенном списке нет — они появятся после первого чтения страницы
+const MA_INTERCHANGES = {
+    entries: MA_ENTRIES.map(id => ({ id, label: null })),
+    exits: MA_EXITS.map(id => ({ id, label: null }))
+};
+
+const MA_CATALOG_URL = "https://www.ezdrivema.com/TollCalculator";
+
+// Новая версия — при изменении формы калькулятора (readFormState) или разбора parseResult
+const MA_SCRIPT_VERSION = "1.0.0";
+
+// Общий код скриптов штатов (scraper/lib/runtime.js). В консоль браузера вставляется сборка с ним:
+// scraper/dist/ma-turnpike.console.js (node scraper/console.js)
+const { trackProvenance, createResultStream, classStream } =
+    typeof SCRAPER_RUNTIME !== "undefined" ? SCRAPER_RUNTIME : require("../../scraper/lib/runtime");
+
+// Скрытые поля ASP.NET (__VIEWSTATE и т.п.) — десятки килобайт на запрос, в provenance не нужны.
+// Форма маршрута — FormData (buildRouteForm), String() от неё дал бы "[object FormData]"
+function withoutFormState(body) {
+    const params = new URLSearchParams(typeof body === "string" ? body : [...body.entries()]);
+    for (const key of [...params.keys()]) if (key.startsWith("__")) params.delete(key);
+    return params.toString();
+}
+
+function readCatalog(html, parser = new globalThis.DOMParser()) {
+    const doc = parser.parseFromString(html, "text/html");
+    const options = name => [...doc.querySelectorAll(`select[name$="${name}"] option`)]
+        .map(o => ({ id: (o.getAttribute("value") || "").trim(), label: o.textContent.trim() }))
+        .filter(o => o.id);
+
+    return { entries: options("ddlEntry"), exits: options("ddlExit") };
+}
+
+async function discoverCatalog({ fetch = globalThis.fetch, DOMParser = globalThis.DOMParser } = {}) {
+    const res = await fetch(MA_CATALOG_URL, { credentials: "include" });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    const catalog = readCatalog(await res.text(), new DOMParser());
+    if (!catalog.entries.length || !catalog.exits.length) {
+        throw new Error("На странице калькулятора нет списков въездов и выездов");
+    }
+    return catalog;
+}
+
+/* ===============================
+   CANONICAL RECORDS
+   (scraper/schema/toll-rates.v1.schema.json)
+=============================== */
+
+// Известные коды ddlPaymethod калькулятора -> способ и категория оплаты единого формата
+const MA_PAYMENT_METHODS = {
+    "1": { label: "Pay By Plate MA", payment_method: "pay_by_plate_ma", payment_category: "plate_billing" }
+};
+
+// "E-ZPass MA" -> "e_zpass_ma"
+const slug = text => String(text).toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+
+/**
+ * Способ оплаты по подписи калькулятора (для кодов, которых нет в MA_PAYMENT_METHODS,
+ * и старых выгрузок, где записана только подпись).
+ */
+function paymentOf(label) {
+    const text = String(label).toLowerCase();
+    const payment_category =
+        /plate|mail|video/.test(text) ? "plate_billing" :
+        /non[- ]?ma|out[- ]of[- ]state/.test(text) ? "transponder_out_of_state" :
+        /e-?z ?-?pass|transponder/.test(text) ? "transponder_in_state" :
+        /cash/.test(text) ? "cash" :
+        null;
+
+    return { label: String(label), payment_method: slug(label), payment_category };
+}
+
+// Способы оплаты из списка ddlPaymethod страницы: [{ code, label, payment_method, payment_category }]
+function paymentMethodsOf(doc) {
+    return [...doc.querySelectorAll('select[name$="ddlPaymethod"] option')]
+        .map(o => ({ code: (o.getAttribute("value") || "").trim(), text: o.textContent.trim() }))
+        .filter(o => o.code)
+        .map(({ code, text }) => ({ code, ...(MA_PAYMENT_METHODS[code] || paymentOf(text || `paymethod ${code}`)) }));
+}
+
+// Коды ddlAxleType калькулятора (число осей) -> общая шкала классов ТС
+const MA_VEHICLE_CLASSES = {
+    "2": { axles: 2, vehicle_type: "passenger", label: "2 Axle" },
+    "3": { axles: 3, vehicle_type: "truck", label: "3 Axle" },
+    "4": { axles: 4, vehicle_type: "truck", label: "4 Axle" },
+    "5": { axles: 5, vehicle_type: "truck", label: "5 Axle" },
+    "6": { axles: 6, vehicle_type: "truck", label: "6 Axle" },
+    "7": { axles: 7, vehicle_type: "truck", label: "7 Axle" }
+};
+
+const toNumber = text => {
+    if (text === null || text === undefined) return null;
+    const n = parseFloat(String(text).replace(/[$,]/g, ""));
+    return Number.isNaN(n) ? null : n;
+};
+
+// Время в пути со страницы, "01:20" -> 80 минут
+const minutesOf = text => {
+    const m = /^(\d+):(\d{2})$/.exec(String(text ?? "").trim());
+    return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+
+const MA_SUFFIX_DIRECTIONS = { EB: "eastbound", WB: "westbound" };
+
+// Номера развязок растут с запада (1, граница с NY) на восток (26, Бостон); 10A — между 10 и 11
+const interchangeOf = id => {
+    const m = /_(\d+)(A?)/.exec(id || "");
+    return m ? Number(m[1]) + (m[2] ? 0.5 : 0) : null;
+};
+
+/**
+ * В какую сторону едут по паре entry -> exit. Суффикс EB/WB у кода (Entry_14WB, Exit_14EB) —
+ * съезд работает только в эту сторону; без суффиксов сторону задаёт порядок развязок.
+ * [] — пара невозможна: суффиксы расходятся между собой или с порядком развязок (разворота нет),
+ * или въезд и выезд на одной развязке.
+ */
+function travelDirectionsOf(entry, exit) {
+    const constraints = [entry, exit]
+        .map(id => MA_SUFFIX_DIRECTIONS[(/(EB|WB)$/.exec(id || "") || [])[1]])
+        .filter(Boolean);
+    const from = interchangeOf(entry);
+    const to = interchangeOf(exit);
+    if (from !== null && to !== null && from !== to) constraints.push(from < to ? "eastbound" : "westbound");
+
+    if (!constraints.length) return [];
+    return ["eastbound", "westbound"].filter(direction => constraints.every(c => c === direction));
+}
+
+/**
+ * Тариф по паре entry -> exit из блоков eastbound/westbound страницы (или строки результата):
+ * [{ direction, amount, distance_miles, duration_minutes }]. Калькулятор заполняет оба блока
+ * для любой пары — второй относится к обратной поездке exit -> entry (так его читает C#),
+ * поэтому здесь остаются только направления из travelDirectionsOf и только с тарифом.
+ */
+function directionsOf(data, entry, exit) {
+    return travelDirectionsOf(entry, exit)
+        .map(direction => [direction, data[direction]])
+        .filter(([, block]) => block && toNumber(block.toll) !== null)
+        .map(([direction, block]) => ({
+            direction,
+            amount: toNumber(block.toll),
+            distance_miles: toNumber(block.mileage),
+            duration_minutes: minutesOf(block.time)
+        }));
+}
+
+// Блоки eastbound/westbound для файла C#: без значений блок не сохраняется
+function resultBlocksOf(data) {
+    return Object.fromEntries(["eastbound", "westbound"]
+        .filter(direction => data[direction] && Object.values(data[direction]).some(v => v !== null))
+        .map(direction => [direction, data[direction]]));
+}
+
+// payment — { payment_method, payment_category } (см. MA_PAYMENT_METHODS, paymentOf)
+function toCanonicalRecords(row, vehicleClass, payment) {
+    const classInfo = MA_VEHICLE_CLASSES[vehicleClass] || {};
+    const base = {
+        state: "MA",
+        road: "Massachusetts Turnpike",
+        entry_id: row.EntryNumber,
+        entry_label: row.entry || null,
+        exit_id: row.ExitNumber,
+        exit_label: row.exit || null,
+        vehicle_class: String(vehicleClass),
+        axles: classInfo.axles ?? null,
+        vehicle_type: classInfo.vehicle_type ?? null,
+        payment_method: payment.payment_method,
+        payment_category: payment.payment_category ?? null,
+        currency: "USD"
+    };
+
+    if (row.status === "NO_ROUTE") {
+        return [{
+            ...base, direction: null, amount: null, distance_miles: null,
+            status: "no_rate", message: row.error || null
+        }];
+    }
+
+    if (row.status !== "OK") {
+        return [{
+            ...base, direction: null, amount: null, distance_miles: null,
+            status: "error", message: row.error || null
+        }];
+    }
+
+    // У строк старых выгрузок directions нет — разбираются блоки страницы
+    const directions = row.directions || directionsOf(row, row.EntryNumber, row.ExitNumber);
+    const records = directions.map(d => ({
+        ...base,
+        direction: d.direction,
+        amount: d.amount,
+        distance_miles: d.distance_miles,
+        duration_minutes: d.duration_minutes,
+        status: "ok",
+        message: null
+    }));
+
+    // Калькулятор не вернул тарифа в сторону поездки — такого маршрута нет
+    if (records.length === 0) {
+        const unexpected = travelDirectionsOf(row.EntryNumber, row.ExitNumber).length === 0 &&
+            [row.eastbound, row.westbound].some(d => d && toNumber(d.toll) !== null);
+        return [{
+            ...base, direction: null, amount: null, distance_miles: null,
+            status: "no_rate",
+            message: unexpected ? "Тариф есть, но поездка по паре невозможна по направлениям развязок" : null
+        }];
+    }
+
+    return records;
+}
+
+/**
+ * Файл для C# по строкам прогона класса: способы оплаты, счётчики и все строки.
+ * Тем же способом scraper/fold.js собирает файл из потока результатов.
+ */
+function outputOf(vehicleClass, rows, { parameters = {}, provenance = null } = {}) {
+    return {
+        state: "Massachusetts",
+        road: "Massachusetts Turnpike",
+        payment_methods: (parameters.payments || []).map(({ code, label }) => ({ code, label })),
+        total: rows.length,
+        ok: rows.filter(x => x.status === "OK").length,
+        data: rows,
+        provenance
+    };
+}
+
+// Записи единого формата; parameters.payments — способы оплаты, предложенные калькулятором
+function recordsOf(vehicleClass, rows, { parameters = {} } = {}) {
+    const paymentByCode = Object.fromEntries((parameters.payments || []).map(p => [p.code, p]));
+    return rows.flatMap(r =>
+        toCanonicalRecords(r, String(vehicleClass), paymentByCode[r.PayMethod] || paymentOf(r.payment || "unknown")));
+}
+
+/**
+ * Парсинг для одного или нескольких классов ТС.
+ * vehicleClass: число осей, массив или "all" (все коды из MA_VEHICLE_CLASSES).
+ */
+async function scrapeEZDriveMA(options = {}) {
+    const { vehicleClass = 5 } = options;
+    const classes = vehicleClass === "all" ? Object.keys(MA_VEHICLE_CLASSES) : [].concat(vehicleClass);
+
+    const outputs = {};
+    const records = [];
+    for (const cls of classes) {
+        const run = await scrapeEZDriveClass({ ...options, vehicleClass: Number(cls) });
+        outputs[cls] = run.output;
+        records.push(...run.records);
+    }
+
+    return { outputs, records };
+}
+
+async function scrapeEZDriveClass(options = {}) {
+    const {
+        vehicleClass = 5,
+        fetch = globalThis.fetch,
+        DOMParser = globalThis.DOMParser,
+        log = console.log,
+        printResult = true,
+        checkpoint = null,
+        // Физически возможные пары [{ entry, exit }] из scraper/topology; без них — все сочетания
+        pairs = null,
+        // Списки въездов и выездов: по умолчанию встроенные, из Node — прочитанные со страницы
+        catalog = MA_INTERCHANGES,
+        // Коды ddlPaymethod; по умолчанию — все способы оплаты из списка на странице
+        paymentMethods = null,
+        // Поток результатов NDJSON (createResultStream, scraper/lib/stream.js); null — без потока
+        stream = null,
+        // Темп для браузера; из Node паузы не нужны — его задаёт scraper/lib/scheduler.js
+        batchSize = 100,
+        pauseMs = 500
+    } = options;
+
+    const BASE_URL = MA_CATALOG_URL;
     const parser = new DOMParser();
 
-    const AXLES = "5";        // 5 Axle
-    const PAYMETHOD = "1";    // pay-by-plateMA
+    const AXLES = String(vehicleClass); // код ddlAxleType, см. MA_VEHICLE_CLASSES
+    const tracked = trackProvenance(fetch, {
+        script: "MA/fieles/ParseScript.js",
+        scraper_version: MA_SCRIPT_VERSION,
+        source: BASE_URL,
+        parameters: { ddlAxleType: AXLES, ddlPaymethod: paymentMethods || "all" },
+        bodyOf: withoutFormState
+    });
 
-    /* ===============================
-       ENTRY / EXIT LIST
-    =============================== */
+    // Контрольная точка (scraper/lib/checkpoint.js): маршруты, на которые в прошлый запуск
+    // был получен ответ (тариф или "маршрута нет"), не запрашиваются
+    const isDone = row => row.status === "OK" || row.status === "NO_ROUTE";
+    const runRoute = (key, job) => checkpoint ? checkpoint.run(key, job, isDone) : job();
 
-    const ENTRIES = [
-        "Entry_1", "Entry_2", "Entry_3", "Entry_4", "Entry_5", "Entry_6", "Entry_7", "Entry_8", "Entry_9",
-        "Entry_10", "Entry_10A", "Entry_11", "Entry_11A", "Entry_12", "Entry_13", "Entry_14WB", "Entry_15EB",
-        "Entry_16EB", "Entry_17", "Entry_18WB", "Entry_19", "Entry_20EB", "Entry_21WB", "Entry_22WB",
-        "Entry_22AWB", "Entry_23WB", "Entry_24", "Entry_25", "Entry_26"
-    ];
+    // Сколько раз подряд пробовать маршрут с новым состоянием формы
+    const SESSION_RETRIES = 3;
 
-    const EXITS = [
-        "Exit_1WB", "Exit_2", "Exit_3", "Exit_4", "Exit_5", "Exit_6", "Exit_7", "Exit_8", "Exit_9",
-        "Exit_10", "Exit_10A", "Exit_11", "Exit_11A", "Exit_12", "Exit_13", "Exit_14EB", "Exit_15WB",
-        "Exit_16WB", "Exit_17", "Exit_18EB", "Exit_19", "Exit_20WB", "Exit_21_NX", "Exit_22EB",
-        "Exit_22A_NX", "Exit_23_NX", "Exit_24", "Exit_25", "Exit_26"
-    ];
+    const ENTRIES = catalog.entries.map(e => e.id);
+    const EXITS = catalog.exits.map(x => x.id);
 
     /* ===============================
        LOAD VIEWSTATE
     =============================== */
 
     async function loadState() {
-        const html = await (await fetch(BASE_URL, { credentials: "include" })).text();
-        const doc = parser.parseFromString(html, "text/html");
+        for (let attempt = 0; ; attempt++) {
+            const res = await tracked.fetch(BASE_URL, { credentials: "include" });
+            const html = await res.text();
+            if (res.ok) return readState(html);
+
+            // Страницу ошибки состояния формы ASP.NET отдаёт с HTTP 500 — её запрашиваем заново
+            const { kind, reason } = classifyResult(html, null, null, parser);
+            if (kind !== "session" || attempt >= SESSION_RETRIES) throw new Error(`HTTP ${res.status}`);
+            log(`Страница калькулятора: ${reason} (HTTP ${res.status}), запрашиваем заново`);
+        }
+    }
 
-        const val = id => doc.querySelector(`input[name="${id}"]`)?.value;
+    function readState(html) {
+        const doc = parser.parseFromString(html, "text/html");
+        const state = formStateOf(doc);
+        if (!state.__VIEWSTATE) throw new Error("На странице калькулятора нет __VIEWSTATE");
 
-        return {
-            __VIEWSTATE: val("__VIEWSTATE"),
-            __VIEWSTATEGENERATOR: val("__VIEWSTATEGENERATOR"),
-            __EVENTVALIDATION: val("__EVENTVALIDATION"),
-            __RequestVerificationToken: val("__RequestVerificationToken")
-        };
+        // Список способов оплаты читается со страницы один раз, при первой загрузке
+        if (!session.payments) session.payments = paymentMethodsOf(doc);
+        return state;
     }
 
-    /* ===============================
-       PARSE RESULT
-    =============================== */
-
-    function parseResult(html) {
-        const doc = parser.parseFromString(html, "text/html");
-        const get = id => doc.querySelector(`#${id}`)?.textContent.trim() || null;
-
-        return {
-            entryText: get("dnn_ctr1341_View_lblEntry"),
-            exitText: get("dnn_ctr1341_View_lblExit"),
-            axlesText: get("dnn_ctr1341_View_lblAxles"),
-            paymentText: get("dnn_ctr1341_View_lblPaymentMethod"),
-
-            eastbound: {
-                toll: get("dnn_ctr1341_View_lblTollEB"),
-                mileage: get("dnn_ctr1341_View_lblMileageEB"),
-                time: get("dnn_ctr1341_View_lblTimeEB")
-            },
-
-            westbound: {
-                toll: get("dnn_ctr1341_View_lblTollWB"),
-                mileage: get("dnn_ctr1341_View_lblMileageWB"),
-                time: get("dnn_ctr1341_View_lblTimeWB")
-            }
-        };
+    // Текущее состояние формы общее для всех запросов: WebForms ждёт ViewState
+    // из последнего ответа, поэтому оно обновляется после каждого принятого postback.
+    // generation растёт при каждой новой загрузке страницы: ответ на postback, отправленный
+    // до неё, состояние уже не обновляет — иначе поздний ответ затрёт только что полученное
+    const session = { state: null, generation: 0, renewing: null, payments: null };
+
+    // Новое состояние запрашивается один раз, даже если его одновременно потеряли несколько запросов:
+    // если после отправки запроса страница уже загружена заново, повтор идёт с её состоянием
+    async function renewState(generation) {
+        if (session.generation !== generation) return;
+        if (!session.renewing) {
+            session.renewing = loadState()
+                .then(state => {
+                    session.state = state;
+                    session.generation++;
+                })
+                .finally(() => { session.renewing = null; });
+        }
+        await session.renewing;
     }
 
     /* ===============================
        POST REQUEST
     =============================== */
 
-    async function fetchRoute(state, entry, exit) {
-        const form = new FormData();
-
-        Object.entries(state).forEach(([k, v]) => form.append(k, v));
-
-        form.append("dnn$ctr1341$View$ddlEntry", entry);
-        form.append("dnn$ctr1341$View$ddlExit", exit);
-        form.append("dnn$ctr1341$View$ddlAxleType", AXLES);
-        form.append("dnn$ctr1341$View$ddlPaymethod", PAYMETHOD);
-        form.append("dnn$ctr1341$View$btnSubmit", "Submit");
+    async function fetchRoute(entry, exit, payMethod) {
+        for (let attempt = 0; ; attempt++) {
+            const used = session.state;
+            const generation = session.generation;
+            const form = buildRouteForm(used, entry, exit, AXLES, payMethod);
+
+            const res = await tracked.fetch(BASE_URL, {
+                method: "POST",
+                body: form,
+                credentials: "include"
+            });
+            // Отклонённый postback ASP.NET отдаёт с HTTP 500: ответ разбирается до проверки статуса,
+            // иначе устаревшее состояние формы так и не обновится
+            const result = classifyResult(await res.text(), entry, exit, parser);
+            if (!res.ok && result.kind !== "session") throw new Error(`HTTP ${res.status}`);
+            if (result.kind !== "session") {
+                if (result.state && session.generation === generation) session.state = result.state;
+                return result;
+            }
 
-        const html = await (await fetch(BASE_URL, {
-            method: "POST",
-            body: form,
-            credentials: "include"
-        })).text();
+            if (attempt >= SESSION_RETRIES) {
+                return result;
+            }
 
-        return parseResult(html);
+            log(`${entry} -> ${exit}: ${result.reason}, обновляем ViewState`);
+            await renewState(generation);
+        }
     }
 
     /* ===============================
        BUILD ROUTES
     =============================== */
 
+    const allowed = pairs && new Set(pairs.map(p => `${p.entry}|${p.exit}`));
     const routes = [];
     for (const e of ENTRIES)
         for (const x of EXITS)
-            if (e !== x)
+            if (e !== x && (!allowed || allowed.has(`${e}|${x}`)))
                 routes.push({ entry: e, exit: x });
 
-    console.log(`Routes to check: ${routes.length}`);
+    session.state = await loadState();
 
-    const state = await loadState();
-    const results = [];
+    // Без списка на странице — известные коды
+    const offered = session.payments.length
+        ? session.payments
+        : Object.entries(MA_PAYMENT_METHODS).map(([code, p]) => ({ code, ...p }));
+    const payments = paymentMethods
+        ? offered.filter(p => paymentMethods.map(String).includes(p.code))
+        : offered;
+    if (!payments.length) throw new Error(`Калькулятор не предлагает способов оплаты ${paymentMethods}`);
 
-    const BATCH = 100;
-    const DELAY_BETWEEN_BATCHES = 500;
+    // Каждый маршрут — по каждому способу оплаты
+    const jobsToRun = payments.flatMap(payment => routes.map(route => ({ ...route, payment })));
+    log(`Routes to check: ${routes.length} x ${payments.length} payment methods`);
+
+    const events = classStream(stream, vehicleClass, {
+        script: "MA/fieles/ParseScript.js",
+        parameters: { payments },
+        recordsOf: rows => recordsOf(vehicleClass, rows, { parameters: { payments } })
+    });
+    events.start(jobsToRun.length);
+
+    const results = [];
 
     /* ===============================
        MAIN LOOP
     =============================== */
 
-    for (let i = 0; i < routes.length; i += BATCH) {
-        const batch = routes.slice(i, i + BATCH);
+    for (let i = 0; i < jobsToRun.length; i += batchSize) {
+        const batch = jobsToRun.slice(i, i + batchSize);
 
-        const jobs = batch.map(async r => {
+        const jobs = batch.map(r => runRoute(`${AXLES}|${r.payment.code}|${r.entry}|${r.exit}`, async () => {
             try {
-                const data = await fetchRoute(state, r.entry, r.exit);
+                const { kind, data, reason } = await fetchRoute(r.entry, r.exit, r.payment.code);
+
+                if (kind !== "ok") {
+                    return {
+                        EntryNumber: r.entry,
+                        ExitNumber: r.exit,
+                        PayMethod: r.payment.code,
+                        payment: r.payment.label,
+                        entry: data.entryText,
+                        exit: data.exitText,
+                        status: kind === "no_route" ? "NO_ROUTE" : "SESSION",
+                        error: kind === "no_route" ? "Маршрута нет" : reason
+                    };
+                }
 
                 return {
                     EntryNumber: r.entry,
                     ExitNumber: r.exit,
+                    PayMethod: r.payment.code,
 
                     entry: data.entryText,
                     exit: data.exitText,
 
-                    axles: data.axlesText || "5 Axle",
-                    payment: data.paymentText || "pay-by-plate",
+                    axles: data.axlesText || `${AXLES} Axle`,
+                    payment: data.paymentText || r.payment.label,
 
-                    eastbound: data.eastbound,
-                    westbound: data.westbound,
+                    ...resultBlocksOf(data),
+                    directions: directionsOf(data, r.entry, r.exit),
 
                     status: "OK"
                 };
@@ -141,31 +596,64 @@
                 return {
                     EntryNumber: r.entry,
                     ExitNumber: r.exit,
+                    PayMethod: r.payment.code,
+                    payment: r.payment.label,
                     status: "ERR",
                     error: e.message
                 };
             }
-        });
+        }));
 
         const out = await Promise.all(jobs);
         results.push(...out);
+        events.rows(out);
 
-        console.log(`Progress ${results.length}/${routes.length}`);
-        await new Promise(r => setTimeout(r, DELAY_BETWEEN_BATCHES));
+        log(`Progress ${results.length}/${jobsToRun.length}`);
+        if (pauseMs) await new Promise(r => setTimeout(r, pauseMs));
     }
 
     /* ===============================
        FINAL JSON
     =============================== */
 
-    const json = {
-        state: "Massachusetts",
-        road: "Massachusetts Turnpike",
-        total: results.length,
-        ok: results.filter(x => x.status === "OK").length,
-        data: results
-    };
+    const provenance = tracked.finish();
+    events.end(provenance);
+    const json = outputOf(vehicleClass, results, { parameters: { payments }, provenance });
 
-    console.log("=== FINAL JSON ===");
-    console.log(JSON.stringify(json, null, 2));
-})();
+    if (printResult) {
+        log("=== FINAL JSON ===");
+        log(JSON.stringify(json, null, 2));
+    }
+
+    const records = recordsOf(vehicleClass, results, { parameters: { payments } });
+
+    return { output: json, records };
+}
+
+// Из Node: node scraper/run.js ma-turnpike. В консоли браузера результат скачивается файлами
+// ma-turnpike.ndjson и ma-turnpike.summary.json; файл для C# из них:
+// node scraper/fold.js ma-turnpike.ndjson --target ma-turnpike
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        scrapeEZDriveMA,
+        readFormState,
+        buildRouteForm,
+        parseResult,
+        classifyResult,
+        toCanonicalRecords,
+        directionsOf,
+        travelDirectionsOf,
+        outputOf,
+        recordsOf,
+        paymentOf,
+        readCatalog,
+        discoverCatalog,
+        MA_PAYMENT_METHODS,
+        MA_VEHICLE_CLASSES,
+        MA_INTERCHANGES,
+        MA_SELECTORS
+    };
+} else {
+    const stream = createResultStream("ma-turnpike");
+    scrapeEZDriveMA({ stream, printResult: false }).finally(() => stream.close());
+}
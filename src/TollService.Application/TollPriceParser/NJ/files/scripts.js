@@ -1,51 +1,344 @@
 /**
  * Скрипт для парсинга тарифов New Jersey Turnpike (NJTA).
  * Запускать в консоли браузера на сайте https://www.njta.gov/
+ * или из Node: node scraper/run.js nj-turnpike
  */
-async function scrapeNJTurnpikeTolls(vehicleClass = 5) {
-  const baseUrl = "https://www.njta.gov/wp-json/njta/v1/partials";
 
-  // 1. Список точек (извлечен из вашего HTML select)
-  const interchanges = [
-    { id: "01", name: "01: DELAWARE MEMORIAL BRIDGE" },
-    { id: "02", name: "02: US 322, SWEDESBORO, CHESTER" },
-    { id: "03", name: "03: NJ 168, WOODBURY, SOUTH CAMDEN" },
-    { id: "04", name: "04: NJ 73, CAMDEN, PHILADELPHIA" },
-    { id: "05", name: "05: BURLINGTON, MT. HOLLY" },
-    { id: "06", name: "06: PENNSYLVANIA TURNPIKE" },
-    { id: "07", name: "07: US 206, BORDENTOWN, TRENTON" },
-    { id: "07A", name: "07A: I-195, TRENTON, HAMILTON" },
-    { id: "08", name: "08: NJ 33, HIGHTSTOWN, FREEHOLD" },
-    { id: "08A", name: "08A: CRANBURY, JAMESBURG" },
-    { id: "09", name: "09: NJ 18, NEW BRUNSWICK" },
-    { id: "10", name: "10: I-287, METUCHEN, PERTH AMBOY" },
-    { id: "11", name: "11: GARDEN STATE PARKWAY" },
-    { id: "12", name: "12: CARTERET, RAHWAY" },
-    { id: "13", name: "13: I-278, ELIZABETH, STATEN ISLAND" },
-    { id: "13A", name: "13A: NEWARK AIRPORT, ELIZABETH SEAPORT" },
-    { id: "14", name: "14: NEWARK AIRPORT, I-78, US 1 AND 9" },
-    { id: "14A", name: "14A: HUDSON CITY EXT, BAYONNE" },
-    { id: "14B", name: "14B: JERSEY CITY, LIBERTY ST. PARK" },
-    { id: "14C", name: "14C: HOLLAND TUNNEL" },
-    { id: "15E", name: "15E: US 1 AND 9, NEWARK, JERSEY CITY" },
-    { id: "15W", name: "15W: I-280, NEWARK, HARRISON" },
-    { id: "15X", name: "15X: SECAUCUS TRANSFER STATION, SECAUCUS" },
-    { id: "16E", name: "16E: NJ 3, LINCOLN TUNNEL, SECAUCUS" },
-    { id: "16W", name: "16W: NJ 3, SPORTSPLEX, EAST RUTHERFORD" },
-    { id: "18E", name: "18E: GWB, US 46, I-80, RIDGEFIELD PARK" },
-    { id: "18W", name: "18W: GWB, US 46, I-80, RIDGEFIELD PARK" },
+/**
+ * Классы ТС калькулятора NJTA (параметр vehicle-type) -> число осей и тип ТС.
+ */
+const NJ_VEHICLE_CLASSES = {
+  1: { axles: 2, vehicle_type: "passenger", label: "Passenger Vehicle" },
+  2: { axles: 2, vehicle_type: "truck", label: "2-Axle Truck" },
+  3: { axles: 3, vehicle_type: "truck", label: "3-Axle Truck" },
+  4: { axles: 4, vehicle_type: "truck", label: "4-Axle Truck" },
+  5: { axles: 5, vehicle_type: "truck", label: "5-Axle Truck" },
+  6: { axles: 6, vehicle_type: "truck", label: "6+ Axle Truck" },
+};
+
+/**
+ * Цены ответа калькулятора (поле строки результата = payment_method) -> общая категория.
+ * Выбора оплаты в форме нет: все три цены приходят в одном ответе; свой и чужой
+ * E-ZPass калькулятор не различает.
+ */
+const NJ_PAYMENT_METHODS = {
+  cash: { label: "Cash", payment_method: "cash", payment_category: "cash" },
+  ez_pass_peak: { label: "E-ZPass Peak", payment_method: "ez_pass_peak", payment_category: "transponder_in_state" },
+  ez_pass_off_peak: {
+    label: "E-ZPass Off-Peak",
+    payment_method: "ez_pass_off_peak",
+    payment_category: "transponder_in_state",
+  },
+};
+
+/**
+ * Часы пик E-ZPass NJTA: в будни 7:00–9:00 и 16:30–18:30, в выходные 11:00–19:00,
+ * остальное время — внепиковый тариф. Калькулятор отдаёт обе цены, но не часы,
+ * поэтому окна записаны здесь и попадают в schedule записей (scraper/lib/schedule.js).
+ */
+const NJ_WEEKDAYS = ["mon", "tue", "wed", "thu", "fri"];
+const NJ_WEEKEND = ["sat", "sun"];
+
+const NJ_RATE_SCHEDULES = {
+  peak: {
+    period: "peak",
+    timezone: "America/New_York",
+    windows: [
+      { days: NJ_WEEKDAYS, start: "07:00", end: "09:00" },
+      { days: NJ_WEEKDAYS, start: "16:30", end: "18:30" },
+      { days: NJ_WEEKEND, start: "11:00", end: "19:00" },
+    ],
+  },
+  off_peak: {
+    period: "off_peak",
+    timezone: "America/New_York",
+    windows: [
+      { days: NJ_WEEKDAYS, start: "00:00", end: "07:00" },
+      { days: NJ_WEEKDAYS, start: "09:00", end: "16:30" },
+      { days: NJ_WEEKDAYS, start: "18:30", end: "24:00" },
+      { days: NJ_WEEKEND, start: "00:00", end: "11:00" },
+      { days: NJ_WEEKEND, start: "19:00", end: "24:00" },
+    ],
+  },
+};
+
+/**
+ * Программы скидок калькулятора: параметр запроса и классы ТС, для которых программа
+ * существует (обе — только легковые с E-ZPass). Для каждой программы маршрут запрашивается ещё раз.
+ */
+const NJ_DISCOUNT_PROGRAMS = {
+  senior: { param: "senior-discount", label: "Senior Citizen Discount", classes: [1] },
+  green: { param: "green-discount", label: "Green Pass Discount", classes: [1] },
+};
+
+/**
+ * Развязки калькулятора (select'ы формы, у въезда и выезда один список) — последний
+ * известный вариант. Перед прогоном scraper/run.js читает актуальный со страницы
+ * (discoverCatalog) и сообщает о расхождениях.
+ */
+const NJ_INTERCHANGE_LIST = [
+  { id: "01", label: "01: DELAWARE MEMORIAL BRIDGE" },
+  { id: "02", label: "02: US 322, SWEDESBORO, CHESTER" },
+  { id: "03", label: "03: NJ 168, WOODBURY, SOUTH CAMDEN" },
+  { id: "04", label: "04: NJ 73, CAMDEN, PHILADELPHIA" },
+  { id: "05", label: "05: BURLINGTON, MT. HOLLY" },
+  { id: "06", label: "06: PENNSYLVANIA TURNPIKE" },
+  { id: "07", label: "07: US 206, BORDENTOWN, TRENTON" },
+  { id: "07A", label: "07A: I-195, TRENTON, HAMILTON" },
+  { id: "08", label: "08: NJ 33, HIGHTSTOWN, FREEHOLD" },
+  { id: "08A", label: "08A: CRANBURY, JAMESBURG" },
+  { id: "09", label: "09: NJ 18, NEW BRUNSWICK" },
+  { id: "10", label: "10: I-287, METUCHEN, PERTH AMBOY" },
+  { id: "11", label: "11: GARDEN STATE PARKWAY" },
+  { id: "12", label: "12: CARTERET, RAHWAY" },
+  { id: "13", label: "13: I-278, ELIZABETH, STATEN ISLAND" },
+  { id: "13A", label: "13A: NEWARK AIRPORT, ELIZABETH SEAPORT" },
+  { id: "14", label: "14: NEWARK AIRPORT, I-78, US 1 AND 9" },
+  { id: "14A", label: "14A: HUDSON CITY EXT, BAYONNE" },
+  { id: "14B", label: "14B: JERSEY CITY, LIBERTY ST. PARK" },
+  { id: "14C", label: "14C: HOLLAND TUNNEL" },
+  { id: "15E", label: "15E: US 1 AND 9, NEWARK, JERSEY CITY" },
+  { id: "15W", label: "15W: I-280, NEWARK, HARRISON" },
+  { id: "15X", label: "15X: SECAUCUS TRANSFER STATION, SECAUCUS" },
+  { id: "16E", label: "16E: NJ 3, LINCOLN TUNNEL, SECAUCUS" },
+  { id: "16W", label: "16W: NJ 3, SPORTSPLEX, EAST RUTHERFORD" },
+  { id: "18E", label: "18E: GWB, US 46, I-80, RIDGEFIELD PARK" },
+  { id: "18W", label: "18W: GWB, US 46, I-80, RIDGEFIELD PARK" },
+];
+
+const NJ_INTERCHANGES = { entries: NJ_INTERCHANGE_LIST, exits: NJ_INTERCHANGE_LIST };
+
+const NJ_CATALOG_URL = "https://www.njta.gov/toll-calculator/";
+
+// Поднимается, когда меняется разбор страницы результата (parseResponse)
+const NJ_SCRIPT_VERSION = "1.0.0";
+
+// Общий код скриптов штатов (scraper/lib/runtime.js). В консоль браузера вставляется сборка с ним:
+// scraper/dist/nj-turnpike.console.js (node scraper/console.js)
+const { trackProvenance, createResultStream, classStream } =
+  typeof SCRAPER_RUNTIME !== "undefined" ? SCRAPER_RUNTIME : require("../../scraper/lib/runtime");
+
+/**
+ * Списки въездов и выездов из select'ов entrance/exit: { entries, exits } с [{ id, label }].
+ */
+function readCatalog(html, parser = new globalThis.DOMParser()) {
+  const doc = parser.parseFromString(html, "text/html");
+  const options = (name) =>
+    [...doc.querySelectorAll(`select[name="${name}"] option`)]
+      .map((o) => ({ id: (o.getAttribute("value") || "").trim(), label: o.textContent.trim() }))
+      .filter((o) => o.id);
+
+  return { entries: options("entrance"), exits: options("exit") };
+}
+
+async function discoverCatalog({ fetch = globalThis.fetch, DOMParser = globalThis.DOMParser } = {}) {
+  const response = await fetch(NJ_CATALOG_URL);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const catalog = readCatalog(await response.text(), new DOMParser());
+  if (!catalog.entries.length || !catalog.exits.length) {
+    throw new Error("На странице калькулятора нет списков въездов и выездов");
+  }
+  return catalog;
+}
+
+// Функция очистки цены от '$' и преобразования в число
+const parsePrice = (str) => {
+  if (!str) return null;
+  const clean = str.replace("$", "").replace(",", "").trim();
+  // Нечисловой текст — цены нет (no_rate), а не бесплатный проезд
+  const value = parseFloat(clean);
+  return Number.isNaN(value) ? null : value;
+};
+
+// Селекторы ответа trip-details, от которых зависит разбор; их же проверяет canary (scraper/lib/canary.js)
+const NJ_SELECTORS = {
+  cash: ".trip-calculation__cash-sum .trip-calculation__number--total",
+  ez_pass_peak: ".trip-calculation__peak .trip-calculation__number",
+  ez_pass_off_peak: ".trip-calculation__off-peak .trip-calculation__number",
+};
+
+/**
+ * Парсер HTML ответа NJTA
+ */
+function parseResponse(html, parser = new globalThis.DOMParser()) {
+  const doc = parser.parseFromString(html, "text/html");
+
+  // Cash находится в .trip-calculation__total -> .trip-calculation__cash-sum -> .trip-calculation__number--total
+  const cashEl = doc.querySelector(NJ_SELECTORS.cash);
+
+  // Peak находится в .trip-calculation__peak -> .trip-calculation__number
+  const peakEl = doc.querySelector(NJ_SELECTORS.ez_pass_peak);
+
+  // Off-Peak находится в .trip-calculation__off-peak -> .trip-calculation__number
+  const offPeakEl = doc.querySelector(NJ_SELECTORS.ez_pass_off_peak);
+
+  return {
+    cash: cashEl ? parsePrice(cashEl.textContent) : null,
+    ez_pass_peak: peakEl ? parsePrice(peakEl.textContent) : null,
+    ez_pass_off_peak: offPeakEl ? parsePrice(offPeakEl.textContent) : null,
+  };
+}
+
+/**
+ * Переводит строку результата в записи единого формата
+ * (scraper/schema/toll-rates.v1.schema.json) — по одной на способ оплаты,
+ * плюс E-ZPass по каждой программе скидок из row.discounts.
+ */
+function toCanonicalRecords(row, vehicleClass) {
+  const classInfo = NJ_VEHICLE_CLASSES[vehicleClass] || {};
+  const status =
+    row.status === "OK" ? "ok" : row.status === "No Rates Found" ? "no_rate" : "error";
+
+  const record = (paymentMethod, amount, schedule, discount) => {
+    // Отдельная цена может отсутствовать даже у успешного маршрута
+    const missing = status === "ok" && (amount === null || amount === undefined);
+    return {
+      state: "NJ",
+      road: "NJ Turnpike",
+      entry_id: row.entry,
+      entry_label: row.entry_name || null,
+      exit_id: row.exit,
+      exit_label: row.exit_name || null,
+      direction: null,
+      vehicle_class: String(vehicleClass),
+      axles: classInfo.axles ?? null,
+      vehicle_type: classInfo.vehicle_type ?? null,
+      payment_method: paymentMethod,
+      payment_category: NJ_PAYMENT_METHODS[paymentMethod].payment_category,
+      amount: status === "ok" && !missing ? amount : null,
+      currency: "USD",
+      distance_miles: null,
+      schedule,
+      discount,
+      status: missing ? "no_rate" : status,
+      message: row.message || null,
+    };
+  };
+
+  const ezPass = (prices, discount) => [
+    record("ez_pass_peak", prices.ez_pass_peak, NJ_RATE_SCHEDULES.peak, discount),
+    record("ez_pass_off_peak", prices.ez_pass_off_peak, NJ_RATE_SCHEDULES.off_peak, discount),
+  ];
+
+  return [
+    record("cash", row.cash, null, null),
+    ...ezPass(row, null),
+    ...Object.entries(row.discounts || {}).flatMap(([discount, prices]) => ezPass(prices, discount)),
   ];
+}
 
-  // 2. Генерация маршрутов
+/**
+ * Файл для C# (turnpike_prices.json) по строкам прогона класса: маршруты с ценой, расписания
+ * и собранные программы скидок. Тем же способом scraper/fold.js собирает файл из потока результатов.
+ */
+function outputOf(vehicleClass, rows, { parameters = {}, provenance = null } = {}) {
+  return {
+    state: "New Jersey",
+    road: "NJ Turnpike",
+    vehicle_class_id: vehicleClass,
+    description: (NJ_VEHICLE_CLASSES[vehicleClass] || {}).label || `Class ${vehicleClass}`,
+    // Когда действуют ez_pass_peak и ez_pass_off_peak, и какие программы скидок собраны в discounts
+    rate_schedules: NJ_RATE_SCHEDULES,
+    discount_programs: parameters.discounts || [],
+    total_checked: rows.length,
+    toll_rates: rows.filter((r) => r.status === "OK"),
+    provenance,
+  };
+}
+
+// Записи единого формата по строкам прогона, включая маршруты без цены и с ошибкой
+function recordsOf(vehicleClass, rows) {
+  return rows.flatMap((r) => toCanonicalRecords(r, vehicleClass));
+}
+
+/**
+ * Парсинг для одного или нескольких классов ТС.
+ * vehicleClass: число, массив чисел или "all" (все классы из NJ_VEHICLE_CLASSES).
+ */
+async function scrapeNJTurnpikeTolls(options = {}) {
+  const { vehicleClass = 5 } = options;
+  const classes =
+    vehicleClass === "all" ? Object.keys(NJ_VEHICLE_CLASSES) : [].concat(vehicleClass);
+
+  const outputs = {};
+  const records = [];
+  for (const cls of classes) {
+    const run = await scrapeNJTurnpikeClass({ ...options, vehicleClass: Number(cls) });
+    outputs[cls] = run.output;
+    records.push(...run.records);
+  }
+
+  return { outputs, records };
+}
+
+async function scrapeNJTurnpikeClass(options = {}) {
+  const {
+    vehicleClass = 5,
+    fetch = globalThis.fetch,
+    DOMParser = globalThis.DOMParser,
+    log = console.log,
+    printResult = true,
+    checkpoint = null,
+    // Физически возможные пары [{ entry, exit }] из scraper/topology; без них — все сочетания
+    pairs = null,
+    // Списки въездов и выездов: по умолчанию встроенные, из Node — прочитанные со страницы
+    catalog = NJ_INTERCHANGES,
+    // Программы скидок (ключи NJ_DISCOUNT_PROGRAMS); по умолчанию — все, что есть у класса ТС
+    discounts = Object.keys(NJ_DISCOUNT_PROGRAMS).filter((name) =>
+      NJ_DISCOUNT_PROGRAMS[name].classes.includes(vehicleClass)
+    ),
+    // Поток результатов NDJSON (createResultStream, scraper/lib/stream.js); null — без потока
+    stream = null,
+    // NJTA может блокировать частые запросы, в браузере делаем аккуратно;
+    // из Node паузы не нужны — темп задаёт scraper/lib/scheduler.js
+    batchSize = 5,
+    pauseMs = 300,
+  } = options;
+
+  const baseUrl = "https://www.njta.gov/wp-json/njta/v1/partials";
+
+  // Контрольная точка (scraper/lib/checkpoint.js): из прошлого запуска берутся все ответы, кроме ошибок
+  // и строк, собранных без нужных программ скидок
+  const isDone = (row) =>
+    row.status !== "Error" &&
+    (row.status !== "OK" || discounts.every((name) => row.discounts && name in row.discounts));
+  const runRoute = (key, job) => (checkpoint ? checkpoint.run(key, job, isDone) : job());
+
+  // Один запрос калькулятора; discount — программа скидок или null
+  async function requestPrices(route, discount, parser) {
+    const params = new URLSearchParams({
+      slug: "map/trip-details",
+      tab: "turnpike",
+      reset: "0",
+      ...Object.fromEntries(
+        Object.entries(NJ_DISCOUNT_PROGRAMS).map(([name, program]) => [program.param, String(name === discount)])
+      ),
+      entrance: route.entry,
+      exit: route.exit,
+      "vehicle-type": vehicleClass,
+    });
+
+    const response = await tracked.fetch(`${baseUrl}?${params.toString()}`, {
+      method: "GET",
+    });
+
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    return parseResponse(await response.text(), parser);
+  }
+
+  // 1. Генерация маршрутов
+  const allowed = pairs && new Set(pairs.map((p) => `${p.entry}|${p.exit}`));
   const routes = [];
-  for (const entry of interchanges) {
-    for (const exit of interchanges) {
-      if (entry.id !== exit.id) {
+  for (const entry of catalog.entries) {
+    for (const exit of catalog.exits) {
+      if (entry.id !== exit.id && (!allowed || allowed.has(`${entry.id}|${exit.id}`))) {
         routes.push({
           entry: entry.id,
           exit: exit.id,
-          entry_name: entry.name,
-          exit_name: exit.name,
+          entry_name: entry.label,
+          exit_name: exit.label,
         });
       }
     }
@@ -53,126 +346,119 @@ async function scrapeNJTurnpikeTolls(vehicleClass = 5) {
 
   const results = [];
   const parser = new DOMParser();
+  const tracked = trackProvenance(fetch, {
+    script: "NJ/files/scripts.js",
+    scraper_version: NJ_SCRIPT_VERSION,
+    source: baseUrl,
+    parameters: { "vehicle-type": vehicleClass, discounts, routes: routes.length },
+  });
+  const events = classStream(stream, vehicleClass, {
+    script: "NJ/files/scripts.js",
+    parameters: { discounts },
+    recordsOf: (rows) => recordsOf(vehicleClass, rows),
+  });
+  events.start(routes.length);
 
-  // Функция очистки цены от '$' и преобразования в число
-  const parsePrice = (str) => {
-    if (!str) return null;
-    const clean = str.replace("$", "").replace(",", "").trim();
-    return parseFloat(clean) || 0;
-  };
-
-  /**
-   * Парсер HTML ответа NJTA
-   */
-  function parseResponse(html) {
-    const doc = parser.parseFromString(html, "text/html");
-
-    // Селекторы на основе предоставленного вами HTML
-    // Cash находится в .trip-calculation__total -> .trip-calculation__cash-sum -> .trip-calculation__number--total
-    const cashEl = doc.querySelector(
-      ".trip-calculation__cash-sum .trip-calculation__number--total"
-    );
-
-    // Peak находится в .trip-calculation__peak -> .trip-calculation__number
-    const peakEl = doc.querySelector(
-      ".trip-calculation__peak .trip-calculation__number"
-    );
-
-    // Off-Peak находится в .trip-calculation__off-peak -> .trip-calculation__number
-    const offPeakEl = doc.querySelector(
-      ".trip-calculation__off-peak .trip-calculation__number"
-    );
-
-    return {
-      cash: cashEl ? parsePrice(cashEl.textContent) : null,
-      ez_pass_peak: peakEl ? parsePrice(peakEl.textContent) : null,
-      ez_pass_off_peak: offPeakEl ? parsePrice(offPeakEl.textContent) : null,
-    };
-  }
-
-  console.log(
+  log(
     `Начинаем обработку ${routes.length} маршрутов для NJ Turnpike (Class ${vehicleClass})...`
   );
 
-  // 3. Выполнение запросов пакетами
-  const BATCH_SIZE = 5; // NJTA может блокировать частые запросы, делаем аккуратно
-
-  for (let i = 0; i < routes.length; i += BATCH_SIZE) {
-    const batch = routes.slice(i, i + BATCH_SIZE);
-
-    const promises = batch.map(async (route) => {
-      // Формируем URL с параметрами
-      const params = new URLSearchParams({
-        slug: "map/trip-details",
-        tab: "turnpike",
-        reset: "0",
-        "senior-discount": "false",
-        "green-discount": "false",
-        entrance: route.entry,
-        exit: route.exit,
-        "vehicle-type": vehicleClass,
-      });
+  // 2. Выполнение запросов пакетами
+  for (let i = 0; i < routes.length; i += batchSize) {
+    const batch = routes.slice(i, i + batchSize);
 
+    const promises = batch.map((route) => runRoute(`${vehicleClass}|${route.entry}|${route.exit}`, async () => {
       try {
-        const response = await fetch(`${baseUrl}?${params.toString()}`, {
-          method: "GET",
-        });
-
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-
-        const htmlText = await response.text();
-        const prices = parseResponse(htmlText);
+        const prices = await requestPrices(route, null, parser);
 
         // Проверяем, удалось ли найти цены (иногда маршруты недоступны)
         if (prices.cash !== null) {
+          // Скидки — только на E-ZPass, наличные у всех вариантов одинаковые
+          const discounted = {};
+          for (const name of discounts) {
+            const variant = await requestPrices(route, name, parser);
+            discounted[name] = {
+              ez_pass_peak: variant.ez_pass_peak,
+              ez_pass_off_peak: variant.ez_pass_off_peak,
+            };
+          }
+
           return {
             entry: route.entry,
             exit: route.exit,
             entry_name: route.entry_name,
             exit_name: route.exit_name,
             ...prices,
+            ...(discounts.length && { discounts: discounted }),
             status: "OK",
           };
         } else {
           return {
             entry: route.entry,
             exit: route.exit,
+            entry_name: route.entry_name,
+            exit_name: route.exit_name,
             status: "No Rates Found",
           };
         }
       } catch (error) {
-        console.error(`Ошибка ${route.entry}->${route.exit}:`, error);
+        log(`Ошибка ${route.entry}->${route.exit}:`, error);
         return {
           entry: route.entry,
           exit: route.exit,
+          entry_name: route.entry_name,
+          exit_name: route.exit_name,
           status: "Error",
           message: error.message,
         };
       }
-    });
+    }));
 
     const batchResults = await Promise.all(promises);
     results.push(...batchResults);
+    events.rows(batchResults);
 
-    console.log(`Обработано: ${results.length} / ${routes.length}`);
+    log(`Обработано: ${results.length} / ${routes.length}`);
 
-    // Пауза 300мс между пакетами
-    await new Promise((r) => setTimeout(r, 300));
+    // Пауза между пакетами
+    if (pauseMs) await new Promise((r) => setTimeout(r, pauseMs));
   }
 
-  // 4. Формирование итогового JSON
-  const finalData = {
-    state: "New Jersey",
-    road: "NJ Turnpike",
-    vehicle_class_id: vehicleClass,
-    description: "5-Axle Truck", // Предполагается, что 5 класс это 5 осей
-    total_checked: results.length,
-    toll_rates: results.filter((r) => r.status === "OK"),
-  };
+  // 3. Формирование итогового JSON
+  const provenance = tracked.finish();
+  events.end(provenance);
+  const finalData = outputOf(vehicleClass, results, { parameters: { discounts }, provenance });
+
+  if (printResult) {
+    log("--- ГОТОВЫЙ JSON (СКОПИРУЙТЕ НИЖЕ) ---");
+    log(JSON.stringify(finalData, null, 4));
+  }
 
-  console.log("--- ГОТОВЫЙ JSON (СКОПИРУЙТЕ НИЖЕ) ---");
-  console.log(JSON.stringify(finalData, null, 4));
+  const records = recordsOf(vehicleClass, results);
+
+  return { output: finalData, records };
 }
 
-// Запуск
-scrapeNJTurnpikeTolls(5);
+// Запуск. В консоли браузера результат скачивается файлами nj-turnpike.ndjson и nj-turnpike.summary.json;
+// файл для C# из них: node scraper/fold.js nj-turnpike.ndjson --target nj-turnpike
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    scrapeNJTurnpikeTolls,
+    parseResponse,
+    parsePrice,
+    toCanonicalRecords,
+    outputOf,
+    recordsOf,
+    readCatalog,
+    discoverCatalog,
+    NJ_VEHICLE_CLASSES,
+    NJ_PAYMENT_METHODS,
+    NJ_RATE_SCHEDULES,
+    NJ_DISCOUNT_PROGRAMS,
+    NJ_INTERCHANGES,
+    NJ_SELECTORS,
+  };
+} else {
+  const stream = createResultStream("nj-turnpike");
+  scrapeNJTurnpikeTolls({ vehicleClass: 5, stream, printResult: false }).finally(() => stream.close());
+}
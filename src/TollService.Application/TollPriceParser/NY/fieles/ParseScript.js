@@ -1,88 +1,342 @@
-(async function scrapeNYThruway() {
-    const vehicleClass = 6; //   ,  
-    const baseUrl = "https://tollcalculator.thruway.ny.gov/index.aspx";
+// Селекторы страницы результата, от которых зависит разбор; их же проверяет canary (scraper/lib/canary.js)
+const NY_SELECTORS = {
+    table: "#tollresults table",
+    header: "#tollresults table thead th",
+    rows: "#tollresults table tbody tr",
+    distance: "#tollresults p"
+};
+
+const toAmount = text => {
+    const n = parseFloat(String(text ?? "").replace(/[$,]/g, ""));
+    return Number.isNaN(n) ? null : n;
+};
+
+/**
+ * Колонки цен таблицы по заголовкам: { ny, nonny, mail } -> номер колонки. Калькулятор
+ * показывает NON-NY E-ZPass и Tolls By Mail одной колонкой — тогда у обоих один номер.
+ * Без заголовков — прежний порядок: участок, NY E-ZPass, NON-NY E-ZPass & Tolls By Mail.
+ */
+function priceColumnsOf(doc) {
+    const headers = [...doc.querySelectorAll(NY_SELECTORS.header)].map(th => th.textContent.trim().toLowerCase());
+    const find = test => {
+        const i = headers.findIndex(test);
+        return i < 0 ? null : i;
+    };
+    if (!headers.length) return { ny: 1, nonny: 2, mail: 2 };
+
+    return {
+        ny: find(h => /\bny e-?zpass/.test(h) && !/non-ny/.test(h)),
+        nonny: find(h => /non-ny/.test(h)),
+        mail: find(h => /by mail/.test(h))
+    };
+}
+
+// Цены строки таблицы по колонкам; колонки, которой нет на странице, нет и в строке (null)
+function pricesOf(row, columns) {
+    const cells = row.querySelectorAll("td");
+    const price = i => (i === null || !cells[i] ? null : toAmount(cells[i].textContent));
+    return { ny: price(columns.ny), nonny: price(columns.nonny), mail: price(columns.mail) };
+}
+
+/**
+ * Разбор страницы калькулятора: строка Total таблицы #tollresults, примерное расстояние
+ * и разбивка — строки участков над Total (билетная система, барьерные пункты):
+ * segments: [{ section, ny, nonny, mail }].
+ */
+function parsePage(html, parser = new globalThis.DOMParser()) {
+    const doc = parser.parseFromString(html, "text/html");
+    const tbl = doc.querySelector(NY_SELECTORS.table);
+    if (!tbl) return { error: "нет таблицы" };
+
+    const rows = [...doc.querySelectorAll(NY_SELECTORS.rows)];
+    const isTotal = r => r.textContent.trim().toLowerCase().startsWith("total");
+    const totalRow = rows.filter(isTotal).pop();
+    if (!totalRow) return { error: "нет строки total" };
+
+    const columns = priceColumnsOf(doc);
+    const { ny, nonny, mail } = pricesOf(totalRow, columns);
+
+    const segments = rows
+        .filter(r => !isTotal(r) && r.querySelector("td"))
+        .map(r => ({ section: r.querySelector("td").textContent.trim(), ...pricesOf(r, columns) }));
+
+    const distEl = [...doc.querySelectorAll(NY_SELECTORS.distance)].find(p =>
+        p.textContent.toLowerCase().includes("approximate distance")
+    );
+
+    let miles = null;
+    if (distEl) {
+        const match = distEl.textContent.match(/([\d.]+)\s*miles/i);
+        if (match) miles = parseFloat(match[1]);
+    }
+
+    return { ny, nonny, mail, miles, segments, error: null };
+}
+
+// Сумма колонки по участкам разбивки; null — разбивки нет
+function segmentsSum(segments, column) {
+    if (!segments || !segments.length) return null;
+    return Math.round(segments.reduce((sum, s) => sum + (s[column] || 0), 0) * 100) / 100;
+}
+
+/**
+ * Сходится ли разбивка с Total: колонки, где сумма участков отличается от итога больше
+ * чем на цент, — [{ column, segments, total }]. Без разбивки проверять нечего.
+ * Расхождения остаются в строке результата (segment_mismatches), а в отчёт аномалий
+ * попадают через segments_amount записей (scraper/lib/consistency.js).
+ */
+function segmentMismatches(page) {
+    if (!page.segments || !page.segments.length) return [];
+
+    return ["ny", "nonny", "mail"]
+        .filter(column => Number.isFinite(page[column]))
+        .map(column => ({ column, segments: segmentsSum(page.segments, column), total: page[column] }))
+        .filter(m => Math.abs(m.segments - m.total) > 0.005);
+}
+
+// Коды въездов/выездов калькулятора (одни и те же для въезда и выезда) — последний известный
+// список. Перед прогоном scraper/run.js читает актуальный со страницы (discoverCatalog)
+const NY_POINTS = [
+    "m00x", "m01x", "m02x", "m03x", "m04x", "m05x", "m06x", "m06a", "m07x", "m07a", "m08x", "m08a", "m09x", "m10x", "m11x", "m12x", "m13x", "m14x", "m14a", "m14b", "m15x", "m15a", "m16x", "m17x", "m18x", "m19x",
+    "m20x", "m21x", "m21b", "b1x", "b2x", "b3x", "bxx", "m22x", "m23x", "m24x", "m25x", "m25a", "m26x", "m27x", "m28x", "m29x", "m29a", "m30x", "m31x", "m32x", "m33x", "m34x", "m34a", "m35x", "m36x", "m37x",
+    "m38x", "m39x", "m40x", "m41x", "m42x", "m43x", "m44x", "m45x", "m46x", "m47x", "m48x", "m48a", "m49x", "m50x", "m50a", "m51x", "m52x", "m52a", "m53x", "m54x", "m55x", "m56x", "m57x", "m57a", "m58x",
+    "m59x", "m60x", "m61x", "mpax", "ns01x", "ns02x", "ns03x", "ns04x", "ns05x", "ns06x", "ns07x", "ns08x", "ns09x", "ns11x", "ns12x", "ns13x",
+    "ns14x", "ns15x", "ns16x", "ns17x", "ns18a", "ns18b", "ns18x", "ns19x", "ns20x", "ns20a", "ns20b", "ns21x", "nsnex", "ne00x", "ne08x", "ne09x", "ne10x", "ne11x", "ne12x", "ne13x", "ne14x",
+    "ne15x", "ne16x", "ne17x", "ne18a", "ne18b", "ne19x", "ne20x", "ne21x", "ne22x", "nectx", "sub"
+];
+
+// Подписей во встроенном списке нет — они появятся после первого чтения страницы
+const NY_INTERCHANGES = {
+    entries: NY_POINTS.map(id => ({ id, label: null })),
+    exits: NY_POINTS.map(id => ({ id, label: null }))
+};
+
+const NY_CATALOG_URL = "https://tollcalculator.thruway.ny.gov/index.aspx";
+
+// Меняется вместе с parsePage: колонки цен и разбивка по участкам
+const NY_SCRIPT_VERSION = "1.0.0";
+
+// Общий код скриптов штатов (scraper/lib/runtime.js). В консоль браузера вставляется сборка с ним:
+// scraper/dist/ny-thruway.console.js (node scraper/console.js)
+const { trackProvenance, createResultStream, classStream } =
+    typeof SCRAPER_RUNTIME !== "undefined" ? SCRAPER_RUNTIME : require("../../scraper/lib/runtime");
+
+function readCatalog(html, parser = new globalThis.DOMParser()) {
+    const doc = parser.parseFromString(html, "text/html");
+    const options = name => [...doc.querySelectorAll(`select[name$="${name}"] option`)]
+        .map(o => ({ id: (o.getAttribute("value") || "").trim(), label: o.textContent.trim() }))
+        .filter(o => o.id);
+
+    return { entries: options("Entry"), exits: options("Exit") };
+}
+
+async function discoverCatalog({ fetch = globalThis.fetch, DOMParser = globalThis.DOMParser } = {}) {
+    const res = await fetch(NY_CATALOG_URL);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    const catalog = readCatalog(await res.text(), new DOMParser());
+    if (!catalog.entries.length || !catalog.exits.length) {
+        throw new Error("На странице калькулятора нет списков въездов и выездов");
+    }
+    return catalog;
+}
+
+// Классы ТС калькулятора Thruway (параметр Class) -> общая шкала: число осей и тип ТС
+const NY_VEHICLE_CLASSES = {
+    "1": { axles: 2, vehicle_type: "passenger", label: "2 Axle Passenger Vehicle" },
+    "2": { axles: 2, vehicle_type: "truck", label: "2 Axle Truck" },
+    "3": { axles: 3, vehicle_type: "truck", label: "3 Axle" },
+    "4": { axles: 4, vehicle_type: "truck", label: "4 Axle" },
+    "5": { axles: 5, vehicle_type: "truck", label: "5 Axle" },
+    "6": { axles: 6, vehicle_type: "truck", label: "6 Axle" },
+    "7": { axles: 7, vehicle_type: "truck", label: "7+ Axle" }
+};
+
+// Колонки строки Total (поле строки результата) -> способы оплаты и общие категории.
+// Пока калькулятор показывал "NON-NY E-ZPass & Tolls By Mail" одной колонкой, mail в строках не было —
+// для таких строк цена Tolls By Mail берётся из fallback
+const NY_PAYMENT_METHODS = {
+    ny_ez_pass: { column: "ny", label: "NY E-ZPass", payment_method: "ny_ez_pass", payment_category: "transponder_in_state" },
+    non_ny_ez_pass: { column: "nonny", label: "NON-NY E-ZPass", payment_method: "non_ny_ez_pass", payment_category: "transponder_out_of_state" },
+    tolls_by_mail: { column: "mail", fallback: "nonny", label: "Tolls By Mail", payment_method: "tolls_by_mail", payment_category: "plate_billing" }
+};
+
+// Перевод строки результата в записи единого формата (scraper/schema/toll-rates.v1.schema.json):
+// по записи на каждый способ оплаты из NY_PAYMENT_METHODS
+function toCanonicalRecords(row, vehicleClass) {
+    const classInfo = NY_VEHICLE_CLASSES[vehicleClass] || {};
+    const status = row.status === "OK" ? "ok" : row.status === "ERR" ? "no_rate" : "error";
+
+    const columnOf = ({ column, fallback }) => (column in row || !fallback ? column : fallback);
+    const priceOf = payment => row[columnOf(payment)];
+
+    return Object.values(NY_PAYMENT_METHODS).map(payment => ({
+        state: "NY",
+        road: "NYS Thruway",
+        entry_id: row.entry,
+        entry_label: null,
+        exit_id: row.exit,
+        exit_label: null,
+        direction: null,
+        vehicle_class: String(vehicleClass),
+        axles: classInfo.axles ?? null,
+        vehicle_type: classInfo.vehicle_type ?? null,
+        payment_method: payment.payment_method,
+        payment_category: payment.payment_category,
+        amount: status === "ok" && Number.isFinite(priceOf(payment)) ? priceOf(payment) : null,
+        currency: "USD",
+        distance_miles: Number.isFinite(row.miles) ? row.miles : null,
+        segments_amount: status === "ok" ? segmentsSum(row.segments, columnOf(payment)) : null,
+        status: status === "ok" && !Number.isFinite(priceOf(payment)) ? "no_rate" : status,
+        message: row.error || null
+    }));
+}
+
+// Файл для C# по строкам прогона класса: в tolls только найденные цены.
+// Тем же способом scraper/fold.js собирает файл из потока результатов
+function outputOf(vehicleClass, rows, { provenance = null } = {}) {
+    const ok = rows.filter(x => x.status === "OK");
+    return {
+        state: "New York",
+        road: "NYS Thruway",
+        vehicle_class: vehicleClass,
+        total_checked: rows.length,
+        total_success: ok.length,
+        tolls: ok,
+        provenance
+    };
+}
+
+function recordsOf(vehicleClass, rows) {
+    return rows.flatMap(r => toCanonicalRecords(r, vehicleClass));
+}
+
+// vehicleClass: номер класса, массив номеров или "all" (все классы из NY_VEHICLE_CLASSES)
+async function scrapeNYThruway(options = {}) {
+    const { vehicleClass = 6 } = options;
+    const classes = vehicleClass === "all" ? Object.keys(NY_VEHICLE_CLASSES) : [].concat(vehicleClass);
+
+    const outputs = {};
+    const records = [];
+    for (const cls of classes) {
+        const run = await scrapeNYThruwayClass({ ...options, vehicleClass: Number(cls) });
+        outputs[cls] = run.output;
+        records.push(...run.records);
+    }
+
+    return { outputs, records };
+}
+
+async function scrapeNYThruwayClass(options = {}) {
+    const {
+        vehicleClass = 6,
+        fetch = globalThis.fetch,
+        DOMParser = globalThis.DOMParser,
+        log = console.log,
+        printResult = true,
+        checkpoint = null,
+        // Физически возможные пары [{ entry, exit }] из scraper/topology; без них — все сочетания
+        pairs = null,
+        // Списки въездов и выездов: по умолчанию встроенные, из Node — прочитанные со страницы
+        catalog = NY_INTERCHANGES,
+        // Поток результатов NDJSON (createResultStream, scraper/lib/stream.js); null — без потока
+        stream = null,
+        // Темп для браузера; из Node паузы не нужны — его задаёт scraper/lib/scheduler.js
+        batchSize = 500,
+        pauseMs = 250
+    } = options;
+
+    const baseUrl = NY_CATALOG_URL;
     const parser = new DOMParser();
+    const tracked = trackProvenance(fetch, {
+        script: "NY/fieles/ParseScript.js",
+        scraper_version: NY_SCRIPT_VERSION,
+        source: baseUrl,
+        parameters: { Class: vehicleClass }
+    });
+
+    // Контрольная точка (scraper/lib/checkpoint.js): собранные в прошлый запуск пары не запрашиваются,
+    // повторяются только FAIL
+    const runPair = (key, job) => checkpoint ? checkpoint.run(key, job, row => row.status !== "FAIL") : job();
 
-    // ---- FULL LIST ENTRY / EXIT ----
-    const points = [
-        "m00x", "m01x", "m02x", "m03x", "m04x", "m05x", "m06x", "m06a", "m07x", "m07a", "m08x", "m08a", "m09x", "m10x", "m11x", "m12x", "m13x", "m14x", "m14a", "m14b", "m15x", "m15a", "m16x", "m17x", "m18x", "m19x",
-        "m20x", "m21x", "m21b", "b1x", "b2x", "b3x", "bxx", "m22x", "m23x", "m24x", "m25x", "m25a", "m26x", "m27x", "m28x", "m29x", "m29a", "m30x", "m31x", "m32x", "m33x", "m34x", "m34a", "m35x", "m36x", "m37x",
-        "m38x", "m39x", "m40x", "m41x", "m42x", "m43x", "m44x", "m45x", "m46x", "m47x", "m48x", "m48a", "m49x", "m50x", "m50a", "m51x", "m52x", "m52a", "m53x", "m54x", "m55x", "m56x", "m57x", "m57a", "m58x",
-        "m59x", "m60x", "m61x", "mpax", "ns01x", "ns02x", "ns03x", "ns04x", "ns05x", "ns06x", "ns07x", "ns08x", "ns09x", "ns11x", "ns12x", "ns13x",
-        "ns14x", "ns15x", "ns16x", "ns17x", "ns18a", "ns18b", "ns18x", "ns19x", "ns20x", "ns20a", "ns20b", "ns21x", "nsnex", "ne00x", "ne08x", "ne09x", "ne10x", "ne11x", "ne12x", "ne13x", "ne14x",
-        "ne15x", "ne16x", "ne17x", "ne18a", "ne18b", "ne19x", "ne20x", "ne21x", "ne22x", "nectx", "sub"
-    ];
-
-    // ---- GENERATE ALL ROUTES ----
+    // ---- GENERATE ROUTES ----
+    const allowed = pairs && new Set(pairs.map(p => `${p.entry}|${p.exit}`));
     const routes = [];
-    for (const e of points) for (const x of points) if (e !== x) routes.push({ entry: e, exit: x });
-
-    console.log(`  : ${routes.length}`);
-
-    function parsePage(html) {
-        const doc = parser.parseFromString(html, "text/html");
-        const tbl = doc.querySelector("#tollresults table");
-        if (!tbl) return { error: " " };
-
-        const rows = tbl.querySelectorAll("tbody tr");
-        let totalRow = null;
-        rows.forEach(r => {
-            const t = r.textContent.trim().toLowerCase();
-            if (t.startsWith("total")) totalRow = r;
-        });
-        if (!totalRow) return { error: "  total" };
-
-        const cells = totalRow.querySelectorAll("td");
-        const ny = parseFloat(cells[1].textContent.replace(/[$,]/g, ""));
-        const nonny = parseFloat(cells[2].textContent.replace(/[$,]/g, ""));
-
-        const distEl = [...doc.querySelectorAll("#tollresults p")].find(p =>
-            p.textContent.toLowerCase().includes("approximate distance")
-        );
-
-        let miles = null;
-        if (distEl) {
-            const match = distEl.textContent.match(/([\d.]+)\s*miles/i);
-            if (match) miles = parseFloat(match[1]);
-        }
-
-        return { ny, nonny, miles, error: null };
-    }
+    for (const { id: e } of catalog.entries)
+        for (const { id: x } of catalog.exits)
+            if (e !== x && (!allowed || allowed.has(`${e}|${x}`))) routes.push({ entry: e, exit: x });
 
-    const result = [];
-    const BATCH = 500;
+    log(`Маршрутов для проверки: ${routes.length}`);
 
-    for (let i = 0; i < routes.length; i += BATCH) {
-        const batch = routes.slice(i, i + BATCH);
+    const events = classStream(stream, vehicleClass, {
+        script: "NY/fieles/ParseScript.js",
+        recordsOf: rows => recordsOf(vehicleClass, rows)
+    });
+    events.start(routes.length);
 
-        const jobs = batch.map(async r => {
+    const result = [];
+    for (let i = 0; i < routes.length; i += batchSize) {
+        const batch = routes.slice(i, i + batchSize);
+
+        const jobs = batch.map(r => runPair(`${vehicleClass}|${r.entry}|${r.exit}`, async () => {
             const url = `${baseUrl}?Class=${vehicleClass}&Entry=${r.entry}&Exit=${r.exit}`;
             try {
-                const html = await (await fetch(url)).text();
-                const p = parsePage(html);
-                return { ...r, ...p, status: p.error ? "ERR" : "OK" };
+                const res = await tracked.fetch(url);
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                const html = await res.text();
+                const p = parsePage(html, parser);
+                const mismatches = segmentMismatches(p);
+                return {
+                    ...r,
+                    ...p,
+                    ...(mismatches.length ? { segment_mismatches: mismatches } : {}),
+                    status: p.error ? "ERR" : "OK"
+                };
             } catch (e) {
                 return { ...r, error: e.message, status: "FAIL" };
             }
-        });
+        }));
 
         const out = await Promise.all(jobs);
         result.push(...out);
-        console.log(` ${result.length}/${routes.length}`);
-        await new Promise(r => setTimeout(r, 250));
+        events.rows(out);
+        log(`Готово ${result.length}/${routes.length}`);
+        if (pauseMs) await new Promise(r => setTimeout(r, pauseMs));
     }
 
-    const ok = result.filter(x => x.status === "OK");
+    const provenance = tracked.finish();
+    events.end(provenance);
+    const json = outputOf(vehicleClass, result, { provenance });
 
-    const json = {
-        state: "New York",
-        road: "NYS Thruway",
-        vehicle_class: vehicleClass,
-        total_checked: result.length,
-        total_success: ok.length,
-        tolls: ok
-    };
+    if (printResult) {
+        log("=== FINAL JSON ===");
+        log(JSON.stringify(json, null, 2));
+    }
 
-    console.log("=== FINAL JSON ===");
-    console.log(JSON.stringify(json, null, 2));
-})();
\ No newline at end of file
+    const records = recordsOf(vehicleClass, result);
+
+    return { output: json, records };
+}
+
+// Из Node: node scraper/run.js ny-thruway. В консоли браузера результат скачивается файлами
+// ny-thruway.ndjson и ny-thruway.summary.json; файл для C# из них:
+// node scraper/fold.js ny-thruway.ndjson --target ny-thruway
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        scrapeNYThruway,
+        parsePage,
+        segmentMismatches,
+        toCanonicalRecords,
+        outputOf,
+        recordsOf,
+        readCatalog,
+        discoverCatalog,
+        NY_VEHICLE_CLASSES,
+        NY_PAYMENT_METHODS,
+        NY_INTERCHANGES,
+        NY_SELECTORS
+    };
+} else {
+    const stream = createResultStream("ny-thruway");
+    scrapeNYThruway({ stream, printResult: false }).finally(() => stream.close());
+}
\ No newline at end of file
@@ -0,0 +1,312 @@
+/**
+ * Ohio Turnpike: тарифы из файла калькулятора rate_calculator_*.js (его же читает
+ * ParseTollPricesCommand). Калькулятор считает цену в браузере по таблицам из этого файла:
+ *
+ *   interchangesrate[0] = { name: 'SR 49 Edon', milepost: 2, showOnDropdown: true };
+ *   tolls[2][13][5][2] = 3.25;   // tolls[въезд][выезд][класс ТС][способ оплаты]
+ *
+ * Въезд и выезд — миля развязки. Файл запрашивается один раз, дальше перебор пар идёт по таблице.
+ */
+
+/**
+ * Классы ТС калькулятора -> общая шкала. Класс считается по осям и высоте (граница 7'6"):
+ * класс 1 — две оси ниже 7'6", классы 2–9 — ТС выше 7'6" с соответствующим числом осей.
+ */
+const OH_VEHICLE_CLASSES = {
+  1: { axles: 2, vehicle_type: "passenger", label: "Class 1" },
+  2: { axles: 2, vehicle_type: "truck", label: "Class 2" },
+  3: { axles: 3, vehicle_type: "truck", label: "Class 3" },
+  4: { axles: 4, vehicle_type: "truck", label: "Class 4" },
+  5: { axles: 5, vehicle_type: "truck", label: "Class 5" },
+  6: { axles: 6, vehicle_type: "truck", label: "Class 6" },
+  7: { axles: 7, vehicle_type: "truck", label: "Class 7" },
+  8: { axles: 8, vehicle_type: "truck", label: "Class 8" },
+  9: { axles: 9, vehicle_type: "truck", label: "Class 9" },
+};
+
+/**
+ * Последний индекс tolls[..][..][..][i] -> способ оплаты (поле строки результата) и общая категория.
+ * E-ZPass калькулятор не делит на свой и чужой штат. Цену без транспондера C# записывает
+ * и как PayOnline, и как Cash.
+ */
+const OH_PAYMENT_METHODS = {
+  2: { label: "E-ZPass", payment_method: "ez_pass", payment_category: "transponder_in_state" },
+  3: { label: "Unpaid / Pay Online", payment_method: "pay_online", payment_category: "plate_billing" },
+};
+
+/**
+ * Развязки — последний известный список, только для сравнения с каталогом из файла калькулятора.
+ * id — миля развязки, растёт с запада (граница с Индианой) на восток.
+ */
+const OH_MILEPOSTS = [
+  { id: "2", label: "SR 49 Edon" },
+  { id: "13", label: "SR 15 Bryan-Montpelier" },
+  { id: "25", label: "SR 66 Archbold-Fayette" },
+  { id: "34", label: "SR 108 Wauseon" },
+  { id: "39", label: "SR 109 Delta-Lyons" },
+  { id: "52", label: "SR 2 Toledo Airport-Swanton" },
+  { id: "59", label: "US 20 Maumee-Toledo" },
+  { id: "64", label: "I-75 Perrysburg-Toledo" },
+  { id: "71", label: "I-280 Stony Ridge-Toledo" },
+  { id: "81", label: "SR 51 Elmore-Woodville-Gibsonburg" },
+  { id: "91", label: "SR 53 Fremont-Port Clinton" },
+  { id: "110", label: "SR 4 Sandusky-Bellevue" },
+  { id: "118", label: "US 250 Sandusky-Norwalk" },
+  { id: "135", label: "Baumhart Rd Vermilion" },
+  { id: "140", label: "SR 58 Amherst-Oberlin" },
+  { id: "142", label: "I-90 / SR 2 West Cleveland-Lorain" },
+  { id: "145", label: "SR 57 Lorain-Elyria" },
+  { id: "151", label: "I-480 North Ridgeville-Cleveland" },
+  { id: "152", label: "SR 10 North Olmsted-Cleveland" },
+  { id: "161", label: "I-71 / US 42 Strongsville-Cleveland" },
+  { id: "173", label: "I-77 Cleveland-Akron" },
+  { id: "180", label: "SR 8 Akron" },
+  { id: "187", label: "I-480 / SR 14 Streetsboro" },
+  { id: "193", label: "SR 44 Ravenna" },
+  { id: "209", label: "SR 5 Warren" },
+  { id: "215", label: "Lordstown West" },
+  { id: "216", label: "Lordstown East" },
+  { id: "218", label: "I-80 Niles-Youngstown" },
+  { id: "232", label: "SR 7 Boardman-Youngstown" },
+  { id: "234", label: "I-680 Youngstown-Poland" },
+  { id: "239", label: "SR 11 Canfield-Ashtabula" },
+];
+
+const OH_INTERCHANGES = { entries: OH_MILEPOSTS, exits: OH_MILEPOSTS };
+
+const OH_RATES_URL = "https://www.ohioturnpike.org/js/rate_calculator_2025_combined.js";
+
+// Поднимать, если на сайте поменяется формат таблицы тарифов в JS (readRateTable)
+const OH_SCRIPT_VERSION = "1.0.0";
+
+// Общий код скриптов штатов (scraper/lib/runtime.js). В консоль браузера вставляется сборка с ним:
+// scraper/dist/oh-turnpike.console.js (node scraper/console.js)
+const { trackProvenance, createResultStream, classStream } =
+  typeof SCRAPER_RUNTIME !== "undefined" ? SCRAPER_RUNTIME : require("../../scraper/lib/runtime");
+
+/**
+ * Таблицы из текста файла калькулятора:
+ * { interchanges: [{ id, label, showOnDropdown }], tolls: Map "въезд|выезд|класс" -> { [индекс]: цена } }.
+ */
+function readRateTable(js) {
+  const interchanges = [];
+  for (const [, body] of js.matchAll(/interchangesrate\[\d+\]\s*=\s*\{([^}]*)\}/g)) {
+    const name = /name\s*:\s*(['"])(.*?)\1/.exec(body);
+    const milepost = /milepost\s*:\s*(\d+)/.exec(body);
+    if (!name || !milepost) continue;
+    interchanges.push({
+      id: milepost[1],
+      label: name[2].trim(),
+      showOnDropdown: !/showOnDropdown\s*:\s*false/.test(body),
+    });
+  }
+
+  const tolls = new Map();
+  for (const [, entry, exit, cls, index, price] of js.matchAll(
+    /tolls\[(\d+)\]\[(\d+)\]\[(\d+)\]\[(\d+)\]\s*=\s*([\d.]+)/g
+  )) {
+    const key = `${entry}|${exit}|${cls}`;
+    if (!tolls.has(key)) tolls.set(key, {});
+    tolls.get(key)[index] = parseFloat(price);
+  }
+
+  return { interchanges, tolls };
+}
+
+/**
+ * Каталог — развязки из выпадающих списков калькулятора (showOnDropdown).
+ */
+function readCatalog(js) {
+  const listed = readRateTable(js)
+    .interchanges.filter((i) => i.showOnDropdown)
+    .map(({ id, label }) => ({ id, label }));
+  return { entries: listed, exits: listed };
+}
+
+async function discoverCatalog({ fetch = globalThis.fetch } = {}) {
+  const response = await fetch(OH_RATES_URL);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const catalog = readCatalog(await response.text());
+  if (!catalog.entries.length) {
+    throw new Error("В файле калькулятора нет списка развязок interchangesrate");
+  }
+  return catalog;
+}
+
+// Направление по милям: к большей — на восток
+function directionOf(entryId, exitId) {
+  const from = Number(entryId);
+  const to = Number(exitId);
+  if (Number.isNaN(from) || Number.isNaN(to) || from === to) return null;
+  return to > from ? "eastbound" : "westbound";
+}
+
+/**
+ * Строка результата -> записи единого формата (scraper/schema/toll-rates.v1.schema.json),
+ * по одной на способ оплаты из OH_PAYMENT_METHODS.
+ */
+function toCanonicalRecords(row) {
+  const classInfo = OH_VEHICLE_CLASSES[row.vehicle_class] || {};
+
+  return Object.values(OH_PAYMENT_METHODS).map((payment) => {
+    const amount = row[payment.payment_method];
+    const status = typeof amount === "number" ? "ok" : row.status === "error" ? "error" : "no_rate";
+
+    return {
+      state: "OH",
+      road: "Ohio Turnpike",
+      entry_id: row.entry_id,
+      entry_label: row.entry,
+      exit_id: row.exit_id,
+      exit_label: row.exit,
+      direction: row.direction,
+      vehicle_class: String(row.vehicle_class),
+      axles: classInfo.axles ?? null,
+      vehicle_type: classInfo.vehicle_type ?? null,
+      payment_method: payment.payment_method,
+      payment_category: payment.payment_category,
+      amount: status === "ok" ? amount : null,
+      currency: "USD",
+      distance_miles: null,
+      status,
+      message: status === "ok" ? null : row.message,
+    };
+  });
+}
+
+/**
+ * Файл для C# по строкам класса; parameters.source — файл калькулятора, из которого они прочитаны.
+ * Тем же способом scraper/fold.js собирает файл из потока результатов.
+ */
+function outputOf(vehicleClass, rows, { parameters = {}, provenance = null } = {}) {
+  return {
+    state: "Ohio",
+    road: "Ohio Turnpike",
+    vehicle_class: Number(vehicleClass),
+    description: (OH_VEHICLE_CLASSES[vehicleClass] || {}).label || `Class ${vehicleClass}`,
+    source: parameters.source || OH_RATES_URL,
+    total_checked: rows.length,
+    total_success: rows.filter((r) => r.status === "ok").length,
+    rates: rows,
+    provenance,
+  };
+}
+
+// Класс ТС уже есть в строке (vehicle_class)
+function recordsOf(vehicleClass, rows) {
+  return rows.flatMap((r) => toCanonicalRecords(r));
+}
+
+/**
+ * Парсинг для одного или нескольких классов ТС.
+ * vehicleClass: код из OH_VEHICLE_CLASSES, массив или "all".
+ * В браузере скрипт запускается на сайте ohioturnpike.org.
+ */
+async function scrapeOhioTurnpike(options = {}) {
+  const {
+    vehicleClass = 5,
+    fetch = globalThis.fetch,
+    log = console.log,
+    printResult = true,
+    // Физически возможные пары [{ entry, exit }] из scraper/topology; без них — все сочетания
+    pairs = null,
+    // Списки въездов и выездов; по умолчанию — из того же файла калькулятора
+    catalog = null,
+    ratesUrl = OH_RATES_URL,
+    // Поток результатов NDJSON (createResultStream, scraper/lib/stream.js); null — без потока
+    stream = null,
+  } = options;
+
+  const classes = vehicleClass === "all" ? Object.keys(OH_VEHICLE_CLASSES) : [].concat(vehicleClass);
+
+  const tracked = trackProvenance(fetch, {
+    script: "OH/files/scripts.js",
+    scraper_version: OH_SCRIPT_VERSION,
+    source: ratesUrl,
+    parameters: { vehicle_class: classes.map(Number) },
+  });
+  const response = await tracked.fetch(ratesUrl);
+  if (!response.ok) throw new Error(`Файл калькулятора ${ratesUrl}: HTTP ${response.status}`);
+  const js = await response.text();
+
+  const { tolls } = readRateTable(js);
+  const { entries, exits } = catalog || readCatalog(js);
+  if (!entries.length) throw new Error(`В файле калькулятора ${ratesUrl} нет списка развязок`);
+
+  const allowed = pairs && new Set(pairs.map((p) => `${p.entry}|${p.exit}`));
+  const routes = [];
+  for (const entry of entries)
+    for (const exit of exits)
+      if (entry.id !== exit.id && (!allowed || allowed.has(`${entry.id}|${exit.id}`)))
+        routes.push({ entry, exit });
+
+  log(`Ohio Turnpike: ${routes.length} пар, классы ${classes.join(", ")}`);
+
+  // Вся таблица — один ответ, provenance общий для всех классов
+  const provenance = tracked.finish();
+  const outputs = {};
+  const records = [];
+  for (const cls of classes) {
+    const rates = routes.map(({ entry, exit }) => {
+      const prices = tolls.get(`${entry.id}|${exit.id}|${cls}`) || {};
+      const amounts = Object.fromEntries(
+        Object.entries(OH_PAYMENT_METHODS).map(([index, p]) => [p.payment_method, prices[index] ?? null])
+      );
+      const priced = Object.values(amounts).some((a) => a !== null);
+
+      return {
+        entry_id: entry.id,
+        entry: entry.label,
+        exit_id: exit.id,
+        exit: exit.label,
+        direction: directionOf(entry.id, exit.id),
+        vehicle_class: Number(cls),
+        ...amounts,
+        status: priced ? "ok" : "no_rate",
+        message: priced ? null : "Нет тарифа в таблице калькулятора",
+      };
+    });
+
+    const events = classStream(stream, Number(cls), {
+      script: "OH/files/scripts.js",
+      parameters: { source: ratesUrl },
+      recordsOf: (rows) => recordsOf(Number(cls), rows),
+    });
+    events.start(routes.length);
+    events.rows(rates);
+    events.end(provenance);
+
+    outputs[cls] = outputOf(cls, rates, { parameters: { source: ratesUrl }, provenance });
+    records.push(...recordsOf(cls, rates));
+  }
+
+  if (printResult) {
+    log("=== FINAL JSON ===");
+    log(JSON.stringify(outputs, null, 2));
+  }
+
+  return { outputs, records };
+}
+
+// В консоли браузера (ohioturnpike.org) скрипт запускается сам; результат скачивается файлами
+// oh-turnpike.ndjson и oh-turnpike.summary.json, файл для C# из них:
+// node scraper/fold.js oh-turnpike.ndjson --target oh-turnpike. Из Node: node scraper/run.js oh-turnpike
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    scrapeOhioTurnpike,
+    readRateTable,
+    directionOf,
+    toCanonicalRecords,
+    outputOf,
+    recordsOf,
+    readCatalog,
+    discoverCatalog,
+    OH_VEHICLE_CLASSES,
+    OH_PAYMENT_METHODS,
+    OH_INTERCHANGES,
+  };
+} else {
+  const stream = createResultStream("oh-turnpike");
+  scrapeOhioTurnpike({ stream, printResult: false }).finally(() => stream.close());
+}
@@ -0,0 +1,445 @@
+/**
+ * Pennsylvania Turnpike: тарифы через API расписания калькулятора (тот же, что читает
+ * ParsePaTurnpikePricesCommand).
+ *
+ * Один запрос get-toll-schedule отдаёт для въезда (entryInterchangeKey — PlazaKey развязки)
+ * цены до всех выездов сразу, по всем классам ТС: колонки L2Axle..H8Axle. Поэтому перебор
+ * идёт по въездам × способам оплаты, а пары въезд/выезд собираются из ответов.
+ */
+
+/**
+ * Классы ТС калькулятора: число осей и высота (L — ниже 7'6", H — 7'6" и выше) -> колонка ответа.
+ * Коды классов — по порядку колонок, на общей шкале (оси + тип).
+ */
+const PA_VEHICLE_CLASSES = {
+  1: { axles: 2, vehicle_type: "passenger", column: "L2Axle", label: "2 Axle, under 7'6\"" },
+  2: { axles: 2, vehicle_type: "truck", column: "H2Axle", label: "2 Axle, 7'6\" and over" },
+  3: { axles: 3, vehicle_type: "truck", column: "L3Axle", label: "3 Axle, under 7'6\"" },
+  4: { axles: 3, vehicle_type: "truck", column: "H3Axle", label: "3 Axle, 7'6\" and over" },
+  5: { axles: 4, vehicle_type: "truck", column: "L4Axle", label: "4 Axle, under 7'6\"" },
+  6: { axles: 4, vehicle_type: "truck", column: "H4Axle", label: "4 Axle, 7'6\" and over" },
+  7: { axles: 5, vehicle_type: "truck", column: "L5Axle", label: "5 Axle, under 7'6\"" },
+  8: { axles: 5, vehicle_type: "truck", column: "H5Axle", label: "5 Axle, 7'6\" and over" },
+  9: { axles: 6, vehicle_type: "truck", column: "L6Axle", label: "6 Axle, under 7'6\"" },
+  10: { axles: 6, vehicle_type: "truck", column: "H6Axle", label: "6 Axle, 7'6\" and over" },
+  11: { axles: 7, vehicle_type: "truck", column: "L7Axle", label: "7 Axle, under 7'6\"" },
+  12: { axles: 7, vehicle_type: "truck", column: "H7Axle", label: "7 Axle, 7'6\" and over" },
+  13: { axles: 8, vehicle_type: "truck", column: "L8Axle", label: "8 Axle, under 7'6\"" },
+  14: { axles: 8, vehicle_type: "truck", column: "H8Axle", label: "8 Axle, 7'6\" and over" },
+};
+
+/**
+ * tollType запроса -> способ оплаты (поле строки результата) и общая категория.
+ * Дорога без наличных: без транспондера — счёт по номеру (Toll By Plate).
+ */
+const PA_PAYMENT_METHODS = {
+  1: { label: "E-ZPass", payment_method: "ez_pass", payment_category: "transponder_in_state" },
+  2: { label: "Toll By Plate", payment_method: "toll_by_plate", payment_category: "plate_billing" },
+};
+
+/**
+ * Развязки основной линии (I-76 / I-276) — последний известный список, только для сравнения
+ * с каталогом страницы. Номер развязки — миля от границы с Огайо, растёт с запада на восток.
+ * PlazaKey для запроса есть только в каталоге, прочитанном со страницы (serverData).
+ */
+const PA_MAINLINE = [
+  { id: "2", label: "Gateway" },
+  { id: "10", label: "New Castle" },
+  { id: "13", label: "Beaver Valley" },
+  { id: "28", label: "Cranberry" },
+  { id: "39", label: "Butler Valley" },
+  { id: "48", label: "Allegheny Valley" },
+  { id: "57", label: "Pittsburgh" },
+  { id: "67", label: "Irwin" },
+  { id: "75", label: "New Stanton" },
+  { id: "91", label: "Donegal" },
+  { id: "110", label: "Somerset" },
+  { id: "146", label: "Bedford" },
+  { id: "161", label: "Breezewood" },
+  { id: "180", label: "Fort Littleton" },
+  { id: "189", label: "Willow Hill" },
+  { id: "201", label: "Blue Mountain" },
+  { id: "226", label: "Carlisle" },
+  { id: "236", label: "Gettysburg Pike" },
+  { id: "242", label: "Harrisburg West Shore" },
+  { id: "247", label: "Harrisburg East" },
+  { id: "266", label: "Lebanon-Lancaster" },
+  { id: "286", label: "Reading" },
+  { id: "298", label: "Morgantown" },
+  { id: "312", label: "Downingtown" },
+  { id: "320", label: "Route 29" },
+  { id: "326", label: "Valley Forge" },
+  { id: "333", label: "Norristown" },
+  { id: "339", label: "Fort Washington" },
+  { id: "343", label: "Willow Grove" },
+  { id: "351", label: "Philadelphia" },
+  { id: "358", label: "Delaware Valley" },
+  { id: "359", label: "Delaware River Bridge" },
+];
+
+const PA_INTERCHANGES = { entries: PA_MAINLINE, exits: PA_MAINLINE };
+
+const PA_CATALOG_URL = "https://www.paturnpike.com/toll-calculator";
+const PA_SCHEDULE_URL = "https://www.paturnpike.com/toll-schedule-v2/get-toll-schedule";
+
+// Версия разбора JSON-расписания тарифов (parseSchedule)
+const PA_SCRIPT_VERSION = "1.0.0";
+
+// Общий код скриптов штатов (scraper/lib/runtime.js). В консоль браузера вставляется сборка с ним:
+// scraper/dist/pa-turnpike.console.js (node scraper/console.js)
+const { trackProvenance, createResultStream, classStream } =
+  typeof SCRAPER_RUNTIME !== "undefined" ? SCRAPER_RUNTIME : require("../../scraper/lib/runtime");
+
+// Редакция расписания тарифов (effectiveDateKey), которую использует C#
+const PA_EFFECTIVE_DATE_KEY = "4";
+
+// ptcExternalIdentifier "10.0" и ExitInterchangeId 10 -> "10"
+function interchangeId(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? String(value).trim() : String(number);
+}
+
+// "10 - [I-376] New Castle" -> "New Castle"
+const cleanTitle = (title) => String(title || "").replace(/^\s*\d+\s*-\s*\[[^\]]+\]\s*/, "").trim();
+
+/**
+ * Каталог из объекта serverData страницы калькулятора: { entries, exits } с [{ id, label, key }],
+ * key — PlazaKey для запроса. IgnoredEnteringInterchanges не попадают во въезды,
+ * IgnoredExitingInterchanges — в выезды.
+ */
+function catalogFromServerData(serverData) {
+  const all = new Map();
+  const add = (interchange) => {
+    const id = interchange && interchangeId(interchange.ptcExternalIdentifier);
+    if (!id || !interchange.PlazaKey) return;
+    all.set(id, { id, label: cleanTitle(interchange.Title || interchange.Name) || null, key: interchange.PlazaKey });
+  };
+
+  const roads = [...(serverData.Roadways || [])];
+  while (roads.length) {
+    const road = roads.pop();
+    if (!road) continue;
+    add(road.StartInterchange);
+    add(road.EndInterchange);
+    roads.push(...(road.ConnectedRoadways || []));
+  }
+  for (const interchange of serverData.TollInterchanges || []) add(interchange);
+
+  const ignored = (list) => new Set((list || []).map((i) => interchangeId(i.ptcExternalIdentifier)));
+  const noEntry = ignored(serverData.IgnoredEnteringInterchanges);
+  const noExit = ignored(serverData.IgnoredExitingInterchanges);
+
+  const byNumber = [...all.values()].sort((a, b) => Number(a.id) - Number(b.id));
+  return {
+    entries: byNumber.filter((i) => !noEntry.has(i.id)),
+    exits: byNumber.filter((i) => !noExit.has(i.id)),
+  };
+}
+
+/**
+ * Объект `var serverData = {...}` из HTML страницы калькулятора (скобки считаются,
+ * как в ParsePaTurnpikeInterchangesCommand).
+ */
+function readServerData(html) {
+  const marker = html.indexOf("var serverData");
+  const start = marker === -1 ? -1 : html.indexOf("{", marker);
+  if (start === -1) return null;
+
+  let depth = 0;
+  for (let i = start; i < html.length; i++) {
+    if (html[i] === "{") depth++;
+    else if (html[i] === "}" && --depth === 0) return JSON.parse(html.slice(start, i + 1));
+  }
+  return null;
+}
+
+function readCatalog(html) {
+  const serverData = readServerData(html);
+  return serverData ? catalogFromServerData(serverData) : { entries: [], exits: [] };
+}
+
+async function discoverCatalog({ fetch = globalThis.fetch } = {}) {
+  const response = await fetch(PA_CATALOG_URL);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const catalog = readCatalog(await response.text());
+  if (!catalog.entries.length || !catalog.exits.length) {
+    throw new Error("На странице калькулятора нет serverData со списком развязок");
+  }
+  return catalog;
+}
+
+/**
+ * Ответ get-toll-schedule -> [{ exit_id, exit, prices: { L2Axle: ..., ... } }].
+ * Строка самого въезда (IsSelected) пропускается.
+ */
+function parseSchedule(json) {
+  const response = typeof json === "string" ? JSON.parse(json) : json;
+  const data = response && response.Data;
+  if (!response || !response.Success || !data || data.HasErrors || !Array.isArray(data.ResultObject)) {
+    throw new Error(`Калькулятор не вернул расписание (StatusCode ${response && response.StatusCode})`);
+  }
+
+  const columns = Object.values(PA_VEHICLE_CLASSES).map((c) => c.column);
+  return data.ResultObject.filter((r) => !r.IsSelected).map((r) => ({
+    exit_id: interchangeId(r.ExitInterchangeId),
+    exit: cleanTitle(r.ExitInterchangeName || r.ExitInterchange) || null,
+    prices: Object.fromEntries(columns.map((column) => [column, r[column]])),
+  }));
+}
+
+// Цена из колонки; 0 и пустое значение — у пары нет тарифа, бесплатного проезда по дороге нет
+function amountOf(value) {
+  return typeof value === "number" && value > 0 ? value : null;
+}
+
+/**
+ * Направление по номерам развязок основной линии: к большему — на восток.
+ * Для остальных линий (Northeast Extension и др.) номера — их собственные мили, направление неизвестно.
+ */
+function directionOf(entryId, exitId) {
+  const mainline = new Set(PA_MAINLINE.map((i) => i.id));
+  if (!mainline.has(entryId) || !mainline.has(exitId) || entryId === exitId) return null;
+  return Number(exitId) > Number(entryId) ? "eastbound" : "westbound";
+}
+
+/**
+ * Строка результата -> записи единого формата (scraper/schema/toll-rates.v1.schema.json),
+ * по одной на способ оплаты из PA_PAYMENT_METHODS. Способа оплаты, расписание которого
+ * не запрашивалось (paymentMethods), в строке нет — и записи по нему тоже.
+ */
+function toCanonicalRecords(row) {
+  const classInfo = PA_VEHICLE_CLASSES[row.vehicle_class] || {};
+  const requested = Object.values(PA_PAYMENT_METHODS).filter((payment) => payment.payment_method in row);
+
+  return requested.map((payment) => {
+    const amount = row[payment.payment_method];
+    const status = typeof amount === "number" ? "ok" : row.status === "error" ? "error" : "no_rate";
+
+    return {
+      state: "PA",
+      road: "Pennsylvania Turnpike",
+      entry_id: row.entry_id,
+      entry_label: row.entry,
+      exit_id: row.exit_id,
+      exit_label: row.exit,
+      direction: row.direction,
+      vehicle_class: String(row.vehicle_class),
+      axles: classInfo.axles ?? null,
+      vehicle_type: classInfo.vehicle_type ?? null,
+      payment_method: payment.payment_method,
+      payment_category: payment.payment_category,
+      amount: status === "ok" ? amount : null,
+      currency: "USD",
+      distance_miles: null,
+      status,
+      message: status === "ok" ? null : row.message,
+    };
+  });
+}
+
+/**
+ * Файл для C# по строкам класса; parameters.effectiveDateKey — расписание, по которому они собраны.
+ * Тем же способом scraper/fold.js собирает файл из потока результатов.
+ */
+function outputOf(vehicleClass, rows, { parameters = {}, provenance = null } = {}) {
+  const classInfo = PA_VEHICLE_CLASSES[vehicleClass] || {};
+  return {
+    state: "Pennsylvania",
+    road: "Pennsylvania Turnpike",
+    vehicle_class: Number(vehicleClass),
+    column: classInfo.column || null,
+    description: classInfo.label || `Class ${vehicleClass}`,
+    effective_date_key: parameters.effectiveDateKey || PA_EFFECTIVE_DATE_KEY,
+    total_checked: rows.length,
+    total_success: rows.filter((r) => r.status === "ok").length,
+    rates: rows,
+    provenance,
+  };
+}
+
+// Класс ТС уже есть в строке (vehicle_class)
+function recordsOf(vehicleClass, rows) {
+  return rows.flatMap((r) => toCanonicalRecords(r));
+}
+
+/**
+ * Парсинг для одного или нескольких классов ТС.
+ * vehicleClass: код из PA_VEHICLE_CLASSES, массив или "all". Расписание одного въезда содержит
+ * все классы, поэтому запросы не повторяются для каждого класса.
+ * В браузере скрипт запускается на странице калькулятора: каталог с PlazaKey берётся из её serverData.
+ */
+async function scrapePennsylvaniaTurnpike(options = {}) {
+  const {
+    vehicleClass = 8,
+    fetch = globalThis.fetch,
+    log = console.log,
+    printResult = true,
+    checkpoint = null,
+    // Физически возможные пары [{ entry, exit }] из scraper/topology; без них — все сочетания
+    pairs = null,
+    // Списки въездов и выездов с PlazaKey: из Node — прочитанные со страницы
+    catalog = globalThis.serverData ? catalogFromServerData(globalThis.serverData) : PA_INTERCHANGES,
+    effectiveDateKey = PA_EFFECTIVE_DATE_KEY,
+    // Коды tollType (ключи PA_PAYMENT_METHODS); по умолчанию — все
+    paymentMethods = null,
+    // Поток результатов NDJSON (createResultStream, scraper/lib/stream.js); null — без потока
+    stream = null,
+    // Темп для браузера; из Node паузы не нужны — его задаёт scraper/lib/scheduler.js
+    batchSize = 5,
+    pauseMs = 300,
+  } = options;
+
+  const classes = vehicleClass === "all" ? Object.keys(PA_VEHICLE_CLASSES) : [].concat(vehicleClass);
+  const tollTypes = Object.keys(PA_PAYMENT_METHODS).filter(
+    (tollType) => !paymentMethods || paymentMethods.map(String).includes(tollType)
+  );
+  if (!tollTypes.length) throw new Error(`Нет способов оплаты ${paymentMethods} в PA_PAYMENT_METHODS`);
+
+  const withoutKey = catalog.entries.filter((e) => !e.key);
+  if (withoutKey.length) {
+    throw new Error(
+      `Нет PlazaKey у въездов ${withoutKey.map((e) => e.id).join(", ")}: ` +
+        "запустите скрипт на странице калькулятора или из Node (каталог читается со страницы)"
+    );
+  }
+
+  const allowed = pairs && new Set(pairs.map((p) => `${p.entry}|${p.exit}`));
+  const routes = [];
+  for (const entry of catalog.entries)
+    for (const exit of catalog.exits)
+      if (entry.id !== exit.id && (!allowed || allowed.has(`${entry.id}|${exit.id}`)))
+        routes.push({ entry, exit });
+
+  // Запрашиваются только въезды, у которых есть хотя бы одна нужная пара
+  const entries = catalog.entries.filter((e) => routes.some((r) => r.entry === e));
+  const jobs = entries.flatMap((entry) => tollTypes.map((tollType) => ({ entry, tollType })));
+
+  // Контрольная точка (scraper/lib/checkpoint.js): расписания, полученные в прошлый запуск, не запрашиваются
+  const runSchedule = (key, job) => (checkpoint ? checkpoint.run(key, job, (r) => r.status === "ok") : job());
+  const tracked = trackProvenance(fetch, {
+    script: "PA/files/scripts.js",
+    scraper_version: PA_SCRIPT_VERSION,
+    source: PA_SCHEDULE_URL,
+    parameters: {
+      effectiveDateKey,
+      vehicle_class: classes.map(Number),
+      ...(paymentMethods && { tollType: tollTypes.map(Number) }),
+    },
+  });
+
+  async function fetchSchedule({ entry, tollType }) {
+    const params = new URLSearchParams({
+      tollType,
+      entryInterchangeKey: String(entry.key),
+      effectiveDateKey,
+    });
+    try {
+      const response = await tracked.fetch(`${PA_SCHEDULE_URL}?${params}`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return { status: "ok", rows: parseSchedule(await response.text()), message: null };
+    } catch (error) {
+      return { status: "error", rows: [], message: `${PA_PAYMENT_METHODS[tollType].label}: ${error.message}` };
+    }
+  }
+
+  log(`Pennsylvania Turnpike: ${entries.length} въездов x ${tollTypes.length} способа оплаты, ${routes.length} пар`);
+
+  // entry id -> tollType -> расписание
+  const schedules = new Map();
+  for (let i = 0; i < jobs.length; i += batchSize) {
+    const batch = jobs.slice(i, i + batchSize);
+    const results = await Promise.all(
+      batch.map((job) => runSchedule(`${job.tollType}|${job.entry.id}`, () => fetchSchedule(job)))
+    );
+    batch.forEach((job, j) => {
+      if (!schedules.has(job.entry.id)) schedules.set(job.entry.id, {});
+      schedules.get(job.entry.id)[job.tollType] = results[j];
+    });
+
+    log(`Расписаний: ${Math.min(i + batchSize, jobs.length)}/${jobs.length}`);
+    if (pauseMs) await new Promise((r) => setTimeout(r, pauseMs));
+  }
+
+  function rowOf({ entry, exit }, cls) {
+    const { column } = PA_VEHICLE_CLASSES[cls] || {};
+    const bySchedule = schedules.get(entry.id);
+    const amounts = {};
+    const errors = [];
+    let exitLabel = exit.label;
+
+    for (const tollType of tollTypes) {
+      const payment = PA_PAYMENT_METHODS[tollType];
+      const schedule = bySchedule[tollType];
+      if (schedule.status === "error") errors.push(schedule.message);
+      const price = schedule.rows.find((r) => r.exit_id === exit.id);
+      amounts[payment.payment_method] = price && column ? amountOf(price.prices[column]) : null;
+      exitLabel = exitLabel || (price && price.exit) || null;
+    }
+
+    const priced = Object.values(amounts).some((a) => a !== null);
+    return {
+      entry_id: entry.id,
+      entry: entry.label,
+      exit_id: exit.id,
+      exit: exitLabel,
+      direction: directionOf(entry.id, exit.id),
+      vehicle_class: Number(cls),
+      ...amounts,
+      status: errors.length ? "error" : priced ? "ok" : "no_rate",
+      message: errors.length ? errors.join("; ") : priced ? null : "Нет тарифа в расписании",
+    };
+  }
+
+  // Расписания общие для всех классов — и provenance у выходов один
+  const provenance = tracked.finish();
+  const outputs = {};
+  const records = [];
+  for (const cls of classes) {
+    const rates = routes.map((route) => rowOf(route, cls));
+
+    // Строки класса появляются разом, когда все расписания уже получены
+    const events = classStream(stream, Number(cls), {
+      script: "PA/files/scripts.js",
+      parameters: { effectiveDateKey },
+      recordsOf: (rows) => recordsOf(Number(cls), rows),
+    });
+    events.start(routes.length);
+    events.rows(rates);
+    events.end(provenance);
+
+    outputs[cls] = outputOf(cls, rates, { parameters: { effectiveDateKey }, provenance });
+    records.push(...recordsOf(cls, rates));
+  }
+
+  if (printResult) {
+    log("=== FINAL JSON ===");
+    log(JSON.stringify(outputs, null, 2));
+  }
+
+  return { outputs, records };
+}
+
+// В консоли браузера (страница калькулятора paturnpike.com) скрипт запускается сам.
+// Из Node: node scraper/run.js pa-turnpike. В браузере результат скачивается файлами pa-turnpike.ndjson
+// и pa-turnpike.summary.json; файл для C# из них: node scraper/fold.js pa-turnpike.ndjson --target pa-turnpike
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    scrapePennsylvaniaTurnpike,
+    parseSchedule,
+    directionOf,
+    toCanonicalRecords,
+    outputOf,
+    recordsOf,
+    catalogFromServerData,
+    readCatalog,
+    discoverCatalog,
+    PA_VEHICLE_CLASSES,
+    PA_PAYMENT_METHODS,
+    PA_INTERCHANGES,
+  };
+} else {
+  const stream = createResultStream("pa-turnpike");
+  scrapePennsylvaniaTurnpike({ stream, printResult: false }).finally(() => stream.close());
+}
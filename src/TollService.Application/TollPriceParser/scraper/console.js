@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Сборка скриптов штатов для вставки в консоль браузера.
+ *
+ *   node scraper/console.js [цель ...] [--out-dir scraper/dist]
+ *
+ * Общий код скриптов штатов (lib/runtime.js) в Node подключается через require, а в консоли
+ * браузера require нет: скрипт берёт его из SCRAPER_RUNTIME. Сборка — SCRAPER_RUNTIME и сам
+ * скрипт без изменений; в консоли он запускается сам и в конце скачивает <id>.ndjson и
+ * <id>.summary.json (createResultStream из lib/runtime.js). Без целей собираются все
+ * из registry.js, результат — scraper/dist/<id>.console.js. После правки скрипта штата или
+ * lib/runtime.js сборку нужно повторить.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const { PARSER_ROOT, TARGETS, findTarget } = require("./registry");
+
+const RUNTIME_PATH = path.join(__dirname, "lib", "runtime.js");
+const DEFAULT_OUT_DIR = path.join(__dirname, "dist");
+
+// lib/runtime.js со своим module.exports — SCRAPER_RUNTIME для скриптов штатов
+function runtimeOf() {
+  return [
+    "const SCRAPER_RUNTIME = (function () {",
+    "  const module = { exports: {} };",
+    fs.readFileSync(RUNTIME_PATH, "utf8").trimEnd(),
+    "  return module.exports;",
+    "})();",
+  ].join("\n");
+}
+
+/**
+ * Скрипт штата для консоли браузера: SCRAPER_RUNTIME и сам скрипт без изменений.
+ */
+function buildConsoleScript(target) {
+  return [
+    `// Собрано scraper/console.js из ${target.script} и scraper/lib/runtime.js — не править вручную.`,
+    runtimeOf(),
+    "",
+    fs.readFileSync(path.join(PARSER_ROOT, target.script), "utf8").trimEnd(),
+    "",
+  ].join("\n");
+}
+
+function usage() {
+  return "Использование: node scraper/console.js [цель ...] [--out-dir scraper/dist]";
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      "out-dir": { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(usage());
+    return 0;
+  }
+
+  const targets = positionals.length ? positionals.map((name) => [name, findTarget(name)]) : TARGETS.map((t) => [t.id, t]);
+  const unknown = targets.filter(([, target]) => !target).map(([name]) => name);
+  if (unknown.length) {
+    console.error(`Неизвестная цель: ${unknown.join(", ")}`);
+    return 1;
+  }
+
+  const dir = path.resolve(values["out-dir"] || DEFAULT_OUT_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [, target] of targets) {
+    const file = path.join(dir, `${target.id}.console.js`);
+    fs.writeFileSync(file, buildConsoleScript(target));
+    console.error(`Консоль браузера: ${target.id} -> ${file}`);
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => process.exit(code),
+    (error) => {
+      console.error(error.message);
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { main, runtimeOf, buildConsoleScript };
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Отчёт об изменении тарифов между старой и свежей выгрузкой одной дороги.
+ *
+ *   node scraper/diff.js <старый файл> <новый файл> [--target ny] [--class 5]
+ *                        [--out отчёт.json] [--json] [--limit 50]
+ *
+ * Файлы — *.canonical.json или файлы для C# (тогда нужен --target, чтобы понять формат).
+ * Отчёт печатается текстом; --json печатает JSON, --out дополнительно сохраняет JSON.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const { findTarget } = require("./registry");
+const { loadRecords } = require("./lib/records");
+const { diffRecords, formatReport } = require("./lib/diff");
+
+function usage() {
+  return [
+    "Использование: node scraper/diff.js <старый> <новый> [--target id] [--class N] [--out отчёт.json] [--json]",
+    "                                    [--limit 50]",
+  ].join("\n");
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      target: { type: "string" },
+      class: { type: "string" },
+      out: { type: "string" },
+      json: { type: "boolean", default: false },
+      limit: { type: "string", default: "50" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(usage());
+    return 0;
+  }
+
+  if (positionals.length !== 2) {
+    console.error(usage());
+    return 1;
+  }
+
+  const target = values.target ? findTarget(values.target) : null;
+  if (values.target && !target) {
+    console.error(`Неизвестная цель: ${values.target}`);
+    return 1;
+  }
+
+  const options = { target, vehicleClass: values.class ? Number(values.class) : undefined };
+  const [oldFile, newFile] = positionals;
+  const before = loadRecords(oldFile, options);
+  const after = loadRecords(newFile, options);
+
+  const report = {
+    state: after.state,
+    road: after.road,
+    old_file: path.resolve(oldFile),
+    new_file: path.resolve(newFile),
+    ...diffRecords(before.records, after.records),
+  };
+
+  if (values.out) {
+    fs.writeFileSync(values.out, JSON.stringify(report, null, 2) + "\n");
+  }
+
+  if (values.json) {
+    process.stdout.write(JSON.stringify(report, null, 2) + "\n");
+  } else {
+    const title = `${report.state} ${report.road}: ${path.basename(oldFile)} → ${path.basename(newFile)}`;
+    console.log(formatReport(report, { title, limit: Number(values.limit) }));
+  }
+
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => process.exit(code),
+    (error) => {
+      console.error(error.message);
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { main };
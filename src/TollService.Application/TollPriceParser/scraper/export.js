@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Выгрузка результата парсера в SQL-скрипт для БД и CSV для аналитиков.
+ *
+ *   node scraper/export.js <файл> [--target ny] [--class 5]
+ *                          [--sql тарифы.sql] [--csv тарифы.csv] [--match Number|Key|Name]
+ *
+ * Файл — *.canonical.json или файл для C# (тогда нужен --target, чтобы понять формат).
+ * SQL идемпотентен (scraper/lib/export.js): его можно применять повторно, дублей цен не будет.
+ * Без --sql и --csv SQL печатается в stdout.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const { findTarget, loadScript } = require("./registry");
+const { loadRecords } = require("./lib/records");
+const { toSql, toCsv } = require("./lib/export");
+
+function usage() {
+  return [
+    "Использование: node scraper/export.js <файл> [--target id] [--class N] [--sql out.sql] [--csv out.csv]",
+    "                                      [--match Number|Key|Name]",
+  ].join("\n");
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      target: { type: "string" },
+      class: { type: "string" },
+      sql: { type: "string" },
+      csv: { type: "string" },
+      match: { type: "string", default: "Number" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(usage());
+    return 0;
+  }
+
+  if (positionals.length !== 1) {
+    console.error(usage());
+    return 1;
+  }
+
+  const target = values.target ? findTarget(values.target) : null;
+  if (values.target && !target) {
+    console.error(`Неизвестная цель: ${values.target}`);
+    return 1;
+  }
+
+  const [file] = positionals;
+  const { state, road, records, provenance } = loadRecords(file, {
+    target,
+    vehicleClass: values.class ? Number(values.class) : undefined,
+  });
+
+  // Класс ТС в Description — по таблице классов штата, одинаково для файла одного класса и общего
+  const script = loadScript(target || findTarget(state));
+  const { sql, rows, skipped } = toSql(records, {
+    state,
+    road,
+    match: values.match,
+    source: path.basename(file),
+    provenance,
+    vehicleClasses: script[`${state}_VEHICLE_CLASSES`],
+  });
+  for (const { record, reason } of skipped) {
+    console.error(`Пропущено ${record.entry_id} -> ${record.exit_id}, класс ${record.vehicle_class}: ${reason}`);
+  }
+
+  if (values.sql) {
+    fs.writeFileSync(values.sql, sql);
+    console.error(`${state} ${road}: ${rows.length} цен -> ${values.sql}`);
+  }
+  if (values.csv) {
+    fs.writeFileSync(values.csv, toCsv(records));
+    console.error(`${state} ${road}: ${records.length} записей -> ${values.csv}`);
+  }
+  if (!values.sql && !values.csv) {
+    process.stdout.write(sql);
+  }
+
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => process.exit(code),
+    (error) => {
+      console.error(error.message);
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { main };
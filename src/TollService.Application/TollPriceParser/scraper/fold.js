@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Сборка файлов для C# и единого формата из потока результатов NDJSON (lib/stream.js).
+ *
+ *   node scraper/fold.js <поток.ndjson> [--target id] [--out путь] [--stdout]
+ *
+ * Поток пишет run.js (scraper/.streams/<id>.ndjson) или скачивает скрипт из консоли браузера.
+ * Файлы собираются теми же outputOf / recordsOf скрипта штата, что и при обычном прогоне,
+ * и пишутся туда же, куда их записал бы run.js. Цель по умолчанию — по скрипту из потока.
+ * Поток упавшего прогона тоже собирается: в файлы попадает всё, что успели получить,
+ * а недоделанные классы выводятся предупреждением.
+ */
+const fs = require("fs");
+const { parseArgs } = require("util");
+
+const { TARGETS, findTarget, loadScript } = require("./registry");
+const { createDocument, validateDocument } = require("./lib/canonical");
+const { canonicalFileOf, writeJson, writeOutputs } = require("./lib/output");
+const { readStream, foldStream } = require("./lib/stream");
+
+function usage() {
+  return "Использование: node scraper/fold.js <поток.ndjson> [--target id] [--out путь] [--stdout]";
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      target: { type: "string" },
+      out: { type: "string" },
+      stdout: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(usage());
+    return 0;
+  }
+
+  if (positionals.length !== 1) {
+    console.error(usage());
+    return 1;
+  }
+
+  const [file] = positionals;
+  const { events, truncated } = readStream(fs.readFileSync(file, "utf8"));
+  if (truncated) console.error(`${file}: последняя строка оборвана — пропущена`);
+
+  const start = events.find((e) => e.type === "start");
+  const target = values.target
+    ? findTarget(values.target)
+    : start && TARGETS.find((t) => t.script === start.script);
+  if (!target) {
+    console.error(values.target ? `Неизвестная цель: ${values.target}` : `Не удалось определить цель по потоку ${file}, укажите --target`);
+    return 1;
+  }
+
+  const { outputs, records, classes } = foldStream(events, loadScript(target));
+  if (!Object.keys(outputs).length) {
+    console.error(`${file}: в потоке нет строк результата`);
+    return 1;
+  }
+  if (values.out && Object.keys(outputs).length > 1) {
+    console.error("--out можно указать только для потока одного класса ТС");
+    return 1;
+  }
+
+  for (const [cls, c] of Object.entries(classes)) {
+    const planned = c.routes === null ? "" : ` из ${c.routes}`;
+    const state = c.finished ? "" : " — прогон не закончен, файл неполный";
+    console.error(`Класс ${cls}: ${c.rows}${planned} строк${state}`);
+  }
+
+  // У PA и OH один provenance на все классы — в документ он попадает один раз
+  const provenance = [
+    ...new Map(
+      Object.values(outputs)
+        .filter((output) => output.provenance)
+        .map((output) => [JSON.stringify(output.provenance), output.provenance])
+    ).values(),
+  ];
+  const canonical = createDocument({ state: target.stateCode, road: target.road, records, provenance });
+  const { valid, errors } = validateDocument(canonical);
+  if (!valid) {
+    console.error(`Результат не прошёл проверку схемой (${errors.length} ошибок), файлы не сохранены:`);
+    for (const error of errors.slice(0, 20)) console.error(`  ${error}`);
+    return 2;
+  }
+
+  if (values.stdout) {
+    process.stdout.write(JSON.stringify(canonical, null, 2) + "\n");
+    return 0;
+  }
+
+  const files = writeOutputs(target, outputs, { out: values.out });
+  const canonicalFile = canonicalFileOf(target, files);
+  writeJson(canonicalFile, canonical);
+  console.error(`Сохранено: ${[...files, canonicalFile].join(", ")}`);
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => process.exit(code),
+    (error) => {
+      console.error(error.message);
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { main };
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * Координаты развязок выгрузки и GeoJSON для QGIS / карты API (lib/geo.js).
+ *
+ *   node scraper/geo.js <файл> --target nj --osm развязки.geojson [--overrides координаты.json]
+ *                       [--class 5] [--road "New Jersey Turnpike"] [--out дорога.geojson]
+ *
+ * Файл — *.canonical.json или файл для C# (формат понимается по --target).
+ * --osm — локальная выгрузка OSM (GeoJSON или JSON Overpass) с highway=motorway_junction /
+ * barrier=toll_booth; --overrides — ручные координаты, важнее OSM, например NJ/files/turnpike_plazas.json.
+ * Нужен хотя бы один из двух. Развязки без координат выводятся списком — для них нужна строка в overrides.
+ * Без --out GeoJSON печатается в stdout.
+ */
+const fs = require("fs");
+const { parseArgs } = require("util");
+
+const { findTarget, loadScript } = require("./registry");
+const { loadRecords } = require("./lib/records");
+const { loadKnownCatalog } = require("./lib/catalog");
+const { readJunctions, geocodeCatalog, catalogOfRecords, toGeoJson } = require("./lib/geo");
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function usage() {
+  return [
+    "Использование: node scraper/geo.js <файл> --target id [--osm развязки.geojson] [--overrides координаты.json]",
+    "                                   [--class N] [--road имя] [--out файл]",
+  ].join("\n");
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      target: { type: "string" },
+      class: { type: "string" },
+      osm: { type: "string" },
+      overrides: { type: "string" },
+      road: { type: "string" },
+      out: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(usage());
+    return 0;
+  }
+
+  if (positionals.length !== 1 || !values.target || (!values.osm && !values.overrides)) {
+    console.error(usage());
+    return 1;
+  }
+
+  const target = findTarget(values.target);
+  if (!target) {
+    console.error(`Неизвестная цель: ${values.target}`);
+    return 1;
+  }
+
+  const { state, road, records } = loadRecords(positionals[0], {
+    target,
+    vehicleClass: values.class ? Number(values.class) : undefined,
+  });
+  const catalog = catalogOfRecords(records, loadKnownCatalog(target, loadScript(target)).catalog);
+  const junctions = values.osm ? readJunctions(readJson(values.osm)) : [];
+
+  const { points, unresolved } = geocodeCatalog(catalog, junctions, {
+    overrides: values.overrides ? readJson(values.overrides) : null,
+    road: values.road || null,
+  });
+  const collection = toGeoJson(records, points, { state, road });
+
+  const bySource = {};
+  for (const p of points.values()) bySource[p.source] = (bySource[p.source] || 0) + 1;
+  const sources = Object.entries(bySource).map(([source, count]) => `${source} ${count}`);
+  console.error(
+    `${state} ${road}: координаты у ${points.size} из ${points.size + unresolved.length} развязок` +
+      (sources.length ? ` (${sources.join(", ")})` : "") +
+      `, пар без координат: ${collection.properties.skipped_pairs}`
+  );
+  for (const item of unresolved) {
+    console.error(`  - ${item.label ? `${item.id} (${item.label})` : item.id}`);
+  }
+
+  const text = JSON.stringify(collection, null, 2) + "\n";
+  if (values.out) fs.writeFileSync(values.out, text);
+  else process.stdout.write(text);
+
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => process.exit(code),
+    (error) => {
+      console.error(error.message);
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { main };
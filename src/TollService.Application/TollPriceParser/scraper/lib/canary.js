@@ -0,0 +1,304 @@
+/**
+ * Canary перед полным перебором: несколько заведомо рабочих пар дороги (canary.pairs в registry.js)
+ * проходят через обычный скрипт штата, а сырые ответы калькулятора проверяются отдельно.
+ *
+ *  - селекторы: у HTML-калькуляторов скрипт экспортирует таблицу *_SELECTORS, по которой разбирает
+ *    ответ; на каждой странице canary каждый селектор должен что-то найти;
+ *  - значения: все записи canary-пар — status "ok" с ценой больше нуля;
+ *  - отпечаток структуры: набор элементов страницы (тег, id, классы и родитель), ключей JSON
+ *    или объявлений JS — меняется при редизайне, даже если селекторы ещё находят своё.
+ *
+ * Доля попаданий селекторов или правильных значений ниже порога — редизайн сайта: run.js
+ * останавливается до перебора тысяч пар с пустым результатом. Последний удачный canary
+ * сохраняется в scraper/canaries/<id>.json; с ним сравниваются отпечаток и цены следующего.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const CANARY_DIR = path.join(__dirname, "..", "canaries");
+const DEFAULT_THRESHOLD = 0.9;
+
+// Служебные элементы меняются от запроса к запросу и в отпечаток не входят
+const SKIPPED_TAGS = new Set(["html", "head", "body", "title", "meta", "link", "script", "style", "noscript"]);
+
+const canaryPath = (target) => path.join(CANARY_DIR, `${target.id}.json`);
+
+// Числа в id и классах (post-1234, ctr1341) — не структура
+const normalize = (name) => name.replace(/\d+/g, "N");
+
+function elementSignature(element) {
+  const tag = element.tagName.toLowerCase();
+  const id = element.getAttribute("id");
+  const classes = (element.getAttribute("class") || "").split(/\s+/).filter(Boolean).map(normalize).sort();
+  return `${tag}${id ? `#${normalize(id)}` : ""}${classes.map((c) => `.${c}`).join("")}`;
+}
+
+function htmlSignatures(doc) {
+  const signatures = new Set();
+  for (const element of doc.querySelectorAll("*")) {
+    const tag = element.tagName.toLowerCase();
+    if (SKIPPED_TAGS.has(tag)) continue;
+    const parent = element.parentElement;
+    const prefix = parent && !SKIPPED_TAGS.has(parent.tagName.toLowerCase()) ? `${elementSignature(parent)} > ` : "";
+    signatures.add(prefix + elementSignature(element));
+  }
+  return signatures;
+}
+
+function jsonSignatures(value, prefix = "$", signatures = new Set()) {
+  if (Array.isArray(value)) {
+    for (const item of value) jsonSignatures(item, `${prefix}[]`, signatures);
+  } else if (value && typeof value === "object") {
+    for (const [key, item] of Object.entries(value)) jsonSignatures(item, `${prefix}.${key}`, signatures);
+  } else {
+    signatures.add(`${prefix}:${value === null ? "null" : typeof value}`);
+  }
+  return signatures;
+}
+
+function parseJson(text) {
+  try {
+    return { value: JSON.parse(text) };
+  } catch {
+    return null;
+  }
+}
+
+const isHtml = (page) => /html/i.test(page.contentType || "") || /^\s*</.test(page.text);
+
+/**
+ * Набор признаков структуры одного ответа: элементы HTML, пути ключей JSON
+ * или имена объявлений файла JS (калькулятор OH).
+ */
+function signaturesOf(page, DOMParser) {
+  if (isHtml(page)) return htmlSignatures(new DOMParser().parseFromString(page.text, "text/html"));
+
+  const json = parseJson(page.text);
+  if (json) return jsonSignatures(json.value);
+
+  const signatures = new Set();
+  for (const [, name] of page.text.matchAll(/\b(?:var|let|const|function)\s+([A-Za-z_$][\w$]*)/g)) {
+    signatures.add(`js:${name}`);
+  }
+  return signatures;
+}
+
+/**
+ * Отпечаток структуры всех страниц canary: отсортированный список признаков и его SHA-256.
+ */
+function fingerprintOf(pages, DOMParser) {
+  const all = new Set();
+  for (const page of pages) for (const signature of signaturesOf(page, DOMParser)) all.add(signature);
+  const signatures = [...all].sort();
+  const hash = crypto.createHash("sha256").update(signatures.join("\n")).digest("hex");
+  return { hash, signatures };
+}
+
+/**
+ * Попадания селекторов по HTML-страницам: [{ name, selector, hits, pages }] и общая доля.
+ * rate null — у скрипта нет селекторов (ответы JSON или JS).
+ */
+function checkSelectors(pages, selectors, DOMParser) {
+  if (!selectors) return { selectors: [], rate: null };
+
+  const html = pages.filter(isHtml);
+  const docs = html.map((page) => new DOMParser().parseFromString(page.text, "text/html"));
+  const results = Object.entries(selectors).map(([name, selector]) => ({
+    name,
+    selector,
+    hits: docs.filter((doc) => doc.querySelector(selector)).length,
+    pages: docs.length,
+  }));
+
+  const total = results.reduce((sum, r) => sum + r.pages, 0);
+  const hits = results.reduce((sum, r) => sum + r.hits, 0);
+  return { selectors: results, rate: total ? hits / total : 0 };
+}
+
+/**
+ * Записи canary-пар: правильная — status "ok" и цена больше нуля.
+ */
+function checkValues(records) {
+  const failed = records.filter((r) => r.status !== "ok" || !(r.amount > 0));
+  return {
+    checked: records.length,
+    ok: records.length - failed.length,
+    records,
+    failed,
+    rate: records.length ? (records.length - failed.length) / records.length : 0,
+  };
+}
+
+// fetch, который запоминает сырые ответы; ответ скрипту отдаётся без изменений
+function capturingFetch(fetch, pages) {
+  return async (url, init = {}) => {
+    const response = await fetch(url, init);
+    pages.push({
+      method: init.method || "GET",
+      url: String(url),
+      status: response.status,
+      contentType: response.headers.get("content-type") || "",
+      text: await response.clone().text(),
+    });
+    return response;
+  };
+}
+
+/**
+ * Прогон canary цели: скрипт штата по canary.pairs с canary.options, проверка страниц и записей.
+ * @param {{ target: object, script: object, fetch: Function, DOMParser: Function,
+ *           catalog?: object, threshold?: number }} options
+ * @returns {Promise<object>} отчёт: passed, selectors, values, fingerprint, error
+ */
+async function runCanary({ target, script, fetch, DOMParser, catalog = null, threshold = DEFAULT_THRESHOLD }) {
+  const canary = target.canary;
+  if (!canary) throw new Error(`У цели ${target.id} нет canary-пар в registry.js`);
+
+  const pages = [];
+  let records = [];
+  let error = null;
+  try {
+    ({ records } = await script[target.entry]({
+      vehicleClass: canary.vehicleClass || target.defaultClass,
+      fetch: capturingFetch(fetch, pages),
+      DOMParser,
+      log: () => {},
+      printResult: false,
+      pairs: canary.pairs,
+      ...(catalog && { catalog }),
+      batchSize: 50,
+      pauseMs: 0,
+      ...canary.options,
+    }));
+  } catch (e) {
+    error = e.message;
+  }
+
+  // Страницы с результатом; у MA первый GET — пустая форма
+  const checked = canary.page ? pages.filter(canary.page) : pages;
+  const selectors = checkSelectors(checked, canary.selectors ? script[canary.selectors] : null, DOMParser);
+  const values = checkValues(records);
+
+  return {
+    target: target.id,
+    threshold,
+    passed: !error && values.rate >= threshold && (selectors.rate === null || selectors.rate >= threshold),
+    error,
+    pages: checked.length,
+    selectors,
+    values,
+    fingerprint: fingerprintOf(checked, DOMParser),
+  };
+}
+
+const valueKey = (r) =>
+  [r.entry_id, r.exit_id, r.vehicle_class, r.payment_method, r.discount || ""].join("|");
+
+/**
+ * Сравнение с последним удачным canary: изменения структуры страниц и цен canary-пар.
+ */
+function compareCanary(report, baseline) {
+  if (!baseline) return null;
+
+  const before = new Set(baseline.fingerprint.signatures);
+  const after = new Set(report.fingerprint.signatures);
+  const previous = new Map(baseline.values.map((v) => [valueKey(v), v.amount]));
+  const prices = valuesOf(report)
+    .filter((v) => previous.has(valueKey(v)) && previous.get(valueKey(v)) !== v.amount)
+    .map((v) => ({ ...v, previous: previous.get(valueKey(v)) }));
+
+  return {
+    checked_at: baseline.checked_at,
+    fingerprint_changed: baseline.fingerprint.hash !== report.fingerprint.hash,
+    added: [...after].filter((s) => !before.has(s)),
+    removed: [...before].filter((s) => !after.has(s)),
+    prices,
+  };
+}
+
+function valuesOf(report) {
+  return report.values.records.map((r) => ({
+    entry_id: r.entry_id,
+    exit_id: r.exit_id,
+    vehicle_class: r.vehicle_class,
+    payment_method: r.payment_method,
+    discount: r.discount || null,
+    amount: r.amount,
+  }));
+}
+
+function formatCanary(report, comparison = null, { limit = 10 } = {}) {
+  const pct = (rate) => `${Math.round(rate * 100)}%`;
+  const selectors =
+    report.selectors.rate === null
+      ? `без селекторов, ответов ${report.pages}`
+      : `селекторы ${pct(report.selectors.rate)} на ${report.pages} страницах`;
+  const lines = [
+    `Canary ${report.target}: ${report.passed ? "пройден" : "НЕ ПРОЙДЕН"} — ${selectors}, ` +
+      `значения ${report.values.ok}/${report.values.checked} (порог ${pct(report.threshold)})`,
+  ];
+
+  if (report.error) lines.push(`  Скрипт упал: ${report.error}`);
+  for (const s of report.selectors.selectors) {
+    if (s.hits < s.pages || !s.pages) lines.push(`  селектор ${s.name} (${s.selector}): ${s.hits}/${s.pages} страниц`);
+  }
+  for (const r of report.values.failed.slice(0, limit)) {
+    const amount = r.amount === null ? "нет цены" : `$${r.amount}`;
+    lines.push(`  ${r.entry_id} -> ${r.exit_id} ${r.payment_method}: ${r.status}, ${amount}${r.message ? ` (${r.message})` : ""}`);
+  }
+  if (report.values.failed.length > limit) lines.push(`  ... и ещё ${report.values.failed.length - limit}`);
+
+  if (comparison && comparison.fingerprint_changed) {
+    lines.push(
+      `  Структура страниц изменилась с ${comparison.checked_at}: ` +
+        `+${comparison.added.length} / -${comparison.removed.length} элементов`
+    );
+    for (const s of comparison.added.slice(0, limit)) lines.push(`    + ${s}`);
+    for (const s of comparison.removed.slice(0, limit)) lines.push(`    - ${s}`);
+  }
+  if (comparison && comparison.prices.length) {
+    lines.push(`  Цены canary-пар изменились с ${comparison.checked_at}: ${comparison.prices.length}`);
+    for (const p of comparison.prices.slice(0, limit)) {
+      lines.push(`    ${p.entry_id} -> ${p.exit_id} ${p.payment_method}: $${p.previous} -> $${p.amount}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Последний удачный canary цели или null.
+ */
+function loadCanaryBaseline(target) {
+  try {
+    return JSON.parse(fs.readFileSync(canaryPath(target), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function saveCanaryBaseline(target, report) {
+  const file = canaryPath(target);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const document = {
+    state: target.stateCode,
+    road: target.road,
+    checked_at: new Date().toISOString(),
+    fingerprint: report.fingerprint,
+    values: valuesOf(report),
+  };
+  fs.writeFileSync(file, JSON.stringify(document, null, 2) + "\n");
+  return file;
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  runCanary,
+  checkSelectors,
+  checkValues,
+  fingerprintOf,
+  compareCanary,
+  formatCanary,
+  loadCanaryBaseline,
+  saveCanaryBaseline,
+};
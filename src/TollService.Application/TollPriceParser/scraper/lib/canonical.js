@@ -0,0 +1,63 @@
+/**
+ * Единый (канонический) формат результатов парсеров — schema/toll-rates.v1.schema.json.
+ * Скрипты штатов сами переводят свои строки в записи этого формата (toCanonicalRecords),
+ * здесь — сборка документа и проверка по JSON Schema перед сохранением.
+ */
+const Ajv = require("ajv");
+const schema = require("../schema/toll-rates.v1.schema.json");
+
+// 1.1.0: у записей появились axles и vehicle_type (общая шкала классов ТС)
+// 1.2.0: schedule (когда действует цена) и discount (программа скидок), см. lib/schedule.js
+// 1.3.0: payment_category — общая категория способа оплаты
+// 1.4.0: provenance — источник, параметры, время запуска и хеши ответов калькулятора
+// 1.5.0: duration_minutes — время в пути, если калькулятор его показывает (MA)
+// 1.6.0: segments_amount — сумма цен по участкам разбивки (NY), сверяется с amount в lib/consistency.js
+const SCHEMA_VERSION = "1.6.0";
+
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(schema);
+
+function createDocument({ state, road, records, provenance = null, generatedAt = new Date() }) {
+  return {
+    schema_version: SCHEMA_VERSION,
+    state,
+    road,
+    generated_at: generatedAt.toISOString(),
+    records,
+    ...(provenance && provenance.length ? { provenance } : {}),
+  };
+}
+
+/**
+ * Проверяет документ по схеме.
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateDocument(document) {
+  const valid = validate(document);
+  const errors = valid
+    ? []
+    : validate.errors.map((e) => `${e.instancePath || "/"} ${e.message}`);
+  return { valid, errors };
+}
+
+class SchemaValidationError extends Error {
+  constructor(errors) {
+    super(`Результат не соответствует схеме v${SCHEMA_VERSION}: ${errors.length} ошибок`);
+    this.name = "SchemaValidationError";
+    this.errors = errors;
+  }
+}
+
+function assertValidDocument(document) {
+  const { valid, errors } = validateDocument(document);
+  if (!valid) throw new SchemaValidationError(errors);
+  return document;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  createDocument,
+  validateDocument,
+  assertValidDocument,
+  SchemaValidationError,
+};
@@ -0,0 +1,138 @@
+/**
+ * Кассеты HTTP: запись запросов и сырых ответов на диск и воспроизведение их вместо fetch.
+ * Нужны, чтобы парсеры HTML можно было гонять без сети на реальных сохранённых ответах.
+ *
+ * Формат файла:
+ * { "version": 1, "interactions": [ { "request": { method, url, body }, "response": { status, headers, body } } ] }
+ */
+const fs = require("fs");
+const path = require("path");
+
+const CASSETTE_VERSION = 1;
+
+// Статусы, у ответа с которыми не бывает тела: new Response(body, { status }) на них падает
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+
+function responseBody(body, status) {
+  return NULL_BODY_STATUSES.has(status) ? null : body;
+}
+
+/**
+ * Приводит тело запроса к строке, чтобы по нему можно было сопоставлять запросы.
+ * FormData (MA) сериализуется как application/x-www-form-urlencoded.
+ */
+function serializeBody(body) {
+  if (body === undefined || body === null) return null;
+  if (typeof body === "string") return body;
+  if (body instanceof URLSearchParams) return body.toString();
+  if (typeof FormData !== "undefined" && body instanceof FormData) {
+    const params = new URLSearchParams();
+    for (const [k, v] of body.entries()) params.append(k, String(v));
+    return params.toString();
+  }
+  return String(body);
+}
+
+function requestKey({ method, url, body }) {
+  return `${(method || "GET").toUpperCase()} ${url}\n${body || ""}`;
+}
+
+function describeRequest(input, init = {}, origin) {
+  return {
+    method: (init.method || "GET").toUpperCase(),
+    url: new URL(String(input), origin).toString(),
+    body: serializeBody(init.body),
+  };
+}
+
+function loadCassette(file) {
+  const cassette = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (cassette.version !== CASSETTE_VERSION) {
+    throw new Error(`${file}: неподдерживаемая версия кассеты ${cassette.version}`);
+  }
+  return cassette;
+}
+
+/**
+ * Оборачивает fetch: каждый запрос и ответ запоминаются, save() пишет кассету на диск.
+ * Если файл уже есть, новые взаимодействия дописываются к старым.
+ */
+function createRecordingFetch(fetch, file, { origin } = {}) {
+  const interactions = fs.existsSync(file) ? loadCassette(file).interactions : [];
+
+  async function recordingFetch(input, init = {}) {
+    const request = describeRequest(input, init, origin);
+    const response = await fetch(input, init);
+    const body = await response.text();
+    const contentType = response.headers.get("content-type");
+
+    interactions.push({
+      request,
+      response: {
+        status: response.status,
+        headers: contentType ? { "content-type": contentType } : {},
+        body,
+      },
+    });
+
+    return new Response(responseBody(body, response.status), {
+      status: response.status,
+      headers: response.headers,
+    });
+  }
+
+  recordingFetch.save = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ version: CASSETTE_VERSION, interactions }, null, 2) + "\n"
+    );
+    return interactions.length;
+  };
+
+  return recordingFetch;
+}
+
+/**
+ * fetch, отвечающий из кассеты. Одинаковые запросы отдаются по очереди,
+ * последний ответ повторяется. Незаписанный запрос — ошибка, как обрыв сети.
+ */
+function createReplayFetch(file, { origin } = {}) {
+  const { interactions } = loadCassette(file);
+  const byKey = new Map();
+  for (const interaction of interactions) {
+    const key = requestKey(interaction.request);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(interaction.response);
+  }
+
+  const served = new Map();
+
+  async function replayFetch(input, init = {}) {
+    const request = describeRequest(input, init, origin);
+    const key = requestKey(request);
+    const responses = byKey.get(key);
+    if (!responses) {
+      throw new Error(`Нет записи в кассете: ${request.method} ${request.url}`);
+    }
+
+    const index = served.get(key) || 0;
+    served.set(key, index + 1);
+    const recorded = responses[Math.min(index, responses.length - 1)];
+
+    return new Response(responseBody(recorded.body, recorded.status), {
+      status: recorded.status,
+      headers: recorded.headers || {},
+    });
+  }
+
+  return replayFetch;
+}
+
+module.exports = {
+  CASSETTE_VERSION,
+  createRecordingFetch,
+  createReplayFetch,
+  loadCassette,
+  serializeBody,
+};
@@ -0,0 +1,95 @@
+/**
+ * Каталог развязок калькулятора — списки въездов и выездов { entries, exits } вида [{ id, label }].
+ *
+ * Перед прогоном run.js читает актуальный каталог со страницы калькулятора (discoverCatalog
+ * скрипта штата) и сравнивает с последним известным: scraper/catalogs/<id>.json, а если его
+ * ещё нет — со встроенным списком скрипта (*_INTERCHANGES). Новые, исчезнувшие и
+ * переименованные развязки выводятся до начала перебора цен; после прогона прочитанный
+ * каталог сохраняется и становится последним известным.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const CATALOG_DIR = path.join(__dirname, "..", "catalogs");
+
+const catalogPath = (target) => path.join(CATALOG_DIR, `${target.id}.json`);
+
+/**
+ * Сравнение одного списка. renamed — тот же id с другой подписью или та же подпись
+ * под другим id; пустая подпись в старом списке (встроенные списки MA/NY) переименованием не считается.
+ */
+function diffList(previous, current) {
+  const before = new Map(previous.map((item) => [item.id, item]));
+  const after = new Map(current.map((item) => [item.id, item]));
+
+  let added = current.filter((item) => !before.has(item.id));
+  let removed = previous.filter((item) => !after.has(item.id));
+  const renamed = current
+    .filter((item) => before.has(item.id) && before.get(item.id).label && item.label !== before.get(item.id).label)
+    .map((item) => ({ id: item.id, from: before.get(item.id).label, to: item.label }));
+
+  for (const item of [...added]) {
+    const old = removed.find((r) => r.label && r.label === item.label);
+    if (!old) continue;
+    renamed.push({ id: item.id, previous_id: old.id, from: old.label, to: item.label });
+    added = added.filter((a) => a !== item);
+    removed = removed.filter((r) => r !== old);
+  }
+
+  return { added, removed, renamed };
+}
+
+function diffCatalog(previous, current) {
+  const entries = diffList(previous.entries, current.entries);
+  const exits = diffList(previous.exits, current.exits);
+  const changed = [entries, exits].some((d) => d.added.length || d.removed.length || d.renamed.length);
+  return { entries, exits, changed };
+}
+
+function formatCatalogDiff(diff, source) {
+  if (!diff.changed) return `Каталог развязок совпадает с ${source}`;
+
+  const name = (item) => (item.label ? `${item.id} (${item.label})` : item.id);
+  const lines = [`Каталог развязок изменился по сравнению с ${source}:`];
+  for (const [title, d] of [
+    ["въезды", diff.entries],
+    ["выезды", diff.exits],
+  ]) {
+    for (const item of d.added) lines.push(`  ${title}: + ${name(item)}`);
+    for (const item of d.removed) lines.push(`  ${title}: - ${name(item)}`);
+    for (const item of d.renamed) {
+      const id = item.previous_id ? `${item.previous_id} -> ${item.id}` : item.id;
+      lines.push(`  ${title}: ~ ${id}: "${item.from}" -> "${item.to}"`);
+    }
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Последний известный каталог: сохранённый после прошлого прогона или встроенный в скрипт.
+ */
+function loadKnownCatalog(target, script) {
+  const file = catalogPath(target);
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    return { catalog: saved, source: path.relative(process.cwd(), file) };
+  } catch {
+    return { catalog: script[target.catalog], source: `${target.catalog} (${target.script})` };
+  }
+}
+
+function saveCatalog(target, catalog) {
+  const file = catalogPath(target);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const document = {
+    state: target.stateCode,
+    road: target.road,
+    discovered_at: new Date().toISOString(),
+    entries: catalog.entries,
+    exits: catalog.exits,
+  };
+  fs.writeFileSync(file, JSON.stringify(document, null, 2) + "\n");
+  return file;
+}
+
+module.exports = { diffCatalog, formatCatalogDiff, loadKnownCatalog, saveCatalog };
@@ -0,0 +1,142 @@
+/**
+ * Контрольные точки длинных прогонов (NY — ~15 500 пар, MA — 841 postback).
+ * Строки результата по каждой паре въезд/выезд пишутся на диск по ходу работы;
+ * повторный запуск с теми же параметрами берёт из файла уже собранные пары
+ * и запрашивает заново только упавшие и недостающие.
+ *
+ * Формат файла:
+ * { "version": 1, "params": {...}, "created_at": "...", "updated_at": "...", "rows": { "<ключ пары>": строка скрипта } }
+ *
+ * Скрипт штата получает объект через options.checkpoint и оборачивает запрос каждой пары
+ * в checkpoint.run(key, job, isDone); без него (в браузере) скрипты работают как раньше.
+ */
+const fs = require("fs");
+const path = require("path");
+const { isDeepStrictEqual } = require("util");
+
+const CHECKPOINT_VERSION = 1;
+
+// Точка старше суток не используется: иначе недособранный прогон подмешивал бы старые цены в новый
+const DEFAULT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+function readCheckpoint(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} file
+ * @param {{ params?: object, saveEvery?: number, maxAge?: number }} options
+ *   params — параметры прогона (цель, классы ТС); файл с другими параметрами не используется.
+ *   saveEvery — через сколько новых строк сбрасывать файл на диск.
+ *   maxAge — возраст точки в мс, после которого прогон начинается заново.
+ */
+function createCheckpoint(file, { params = {}, saveEvery = 100, maxAge = DEFAULT_MAX_AGE_MS } = {}) {
+  const saved = readCheckpoint(file);
+  const compatible =
+    saved &&
+    saved.version === CHECKPOINT_VERSION &&
+    isDeepStrictEqual(saved.params, params) &&
+    Date.now() - Date.parse(saved.created_at) <= maxAge;
+  const rows = compatible ? saved.rows : {};
+  const createdAt = compatible ? saved.created_at : new Date().toISOString();
+
+  const stats = {
+    // Пар в файле на момент запуска; discarded — файл был, но устарел или от других параметров
+    restored: Object.keys(rows).length,
+    discarded: Boolean(saved) && !compatible,
+    reused: 0,
+    fetched: 0,
+  };
+  let unsaved = 0;
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const document = {
+      version: CHECKPOINT_VERSION,
+      params,
+      created_at: createdAt,
+      updated_at: new Date().toISOString(),
+      rows,
+    };
+    // Через временный файл, чтобы обрыв посреди записи не испортил прошлую точку
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(document));
+    fs.renameSync(tmp, file);
+    unsaved = 0;
+  }
+
+  /**
+   * Возвращает сохранённую строку пары, если isDone(строка) — иначе выполняет job()
+   * и запоминает результат (в том числе ошибочный: следующий запуск повторит только его).
+   */
+  async function run(key, job, isDone = () => true) {
+    const previous = rows[key];
+    if (previous && isDone(previous)) {
+      stats.reused++;
+      return previous;
+    }
+
+    const row = await job();
+    rows[key] = row;
+    stats.fetched++;
+    if (++unsaved >= saveEvery) save();
+    return row;
+  }
+
+  function remove() {
+    fs.rmSync(file, { force: true });
+  }
+
+  return { file, stats, run, save, remove };
+}
+
+/**
+ * Сводка полноты по записям единого формата: пара въезд/выезд/класс считается
+ * собранной с тарифом (ok), без тарифа (no_rate) или с ошибкой (error — хотя бы одна запись).
+ */
+function completenessReport(records, stats = null) {
+  const pairs = new Map();
+  for (const r of records) {
+    const key = [r.entry_id, r.exit_id, r.vehicle_class].join("|");
+    const previous = pairs.get(key);
+    if (previous === "error" || (previous === "ok" && r.status !== "error")) continue;
+    pairs.set(key, r.status);
+  }
+
+  const count = (status) => [...pairs.values()].filter((s) => s === status).length;
+  const total = pairs.size;
+  const errors = count("error");
+
+  return {
+    pairs: total,
+    ok: count("ok"),
+    no_rate: count("no_rate"),
+    error: errors,
+    complete_pct: total === 0 ? 100 : Math.round(((total - errors) / total) * 1000) / 10,
+    reused: stats ? stats.reused : 0,
+    fetched: stats ? stats.fetched : total,
+  };
+}
+
+function formatCompleteness(report) {
+  const n = (value) => value.toLocaleString("en-US");
+  const lines = [
+    `Полнота: ${n(report.pairs)} пар — ${n(report.ok)} с тарифом, ${n(report.no_rate)} без тарифа, ` +
+      `${n(report.error)} с ошибкой (${report.complete_pct}% собрано)`,
+  ];
+  if (report.reused) {
+    lines.push(`Из контрольной точки: ${n(report.reused)}, запрошено заново: ${n(report.fetched)}`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  CHECKPOINT_VERSION,
+  createCheckpoint,
+  completenessReport,
+  formatCompleteness,
+};
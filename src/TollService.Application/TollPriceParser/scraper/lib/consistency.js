@@ -0,0 +1,304 @@
+/**
+ * Проверка правдоподобия собранных цен по матрице въезд × выезд (записи единого формата).
+ *
+ * Проверки (check в отчёте):
+ *  - non_positive   — нулевой или отрицательный тариф;
+ *  - missing_rate   — нет тарифа у пары, которую топология считает проезжаемой;
+ *  - asymmetry      — A -> B и B -> A расходятся больше допуска;
+ *  - subadditivity  — A -> C намного дороже A -> B + B -> C;
+ *  - payment_order  — наличные / оплата по номеру дешевле транспондера на той же паре;
+ *  - mileage        — более длинная поездка от того же въезда заметно дешевле более короткой
+ *                     (по distance_miles, который отдают NY и MA);
+ *  - outlier        — цена в разы отличается от медианы соседних пар;
+ *  - segments       — сумма участков разбивки калькулятора (segments_amount, NY) не сходится с ценой.
+ *
+ * Матрицы строятся отдельно по классу ТС, способу оплаты и программе скидок. Чтобы сложить A -> B и B -> C,
+ * id въезда и выезда приводятся к одной развязке через топологию (lib/topology.js, pointsOf).
+ */
+
+const DEFAULTS = {
+  // Допустимое расхождение A -> B и B -> A, доля от большей цены
+  asymmetry: 0.1,
+  // Во сколько раз A -> C может превышать A -> B + B -> C
+  subadditivity: 1.25,
+  // Более длинная поездка дешевле более короткой больше чем на эту долю
+  mileage: 0.05,
+  // Во сколько раз цена может отличаться от медианы соседних пар
+  outlier: 3,
+  // Расхождения меньше этой суммы ($) не считаются — округление и копеечные тарифы
+  minDifference: 0.5,
+};
+
+// Способы оплаты, которые не должны быть дешевле транспондера своего штата на той же паре:
+// по payment_category (1.3.0), у записей старых выгрузок — по payment_method
+const FULL_PRICE_CATEGORIES = new Set(["transponder_out_of_state", "plate_billing", "cash"]);
+const FULL_PRICE_METHODS = new Set(["cash", "non_ny_ez_pass", "pay_by_plate_ma"]);
+const TRANSPONDER_METHODS = new Set(["ez_pass", "ez_pass_peak", "ez_pass_off_peak", "ny_ez_pass", "avi"]);
+
+const isFullPrice = (r) =>
+  r.payment_category ? FULL_PRICE_CATEGORIES.has(r.payment_category) : FULL_PRICE_METHODS.has(r.payment_method);
+const isTransponder = (r) =>
+  r.payment_category ? r.payment_category === "transponder_in_state" : TRANSPONDER_METHODS.has(r.payment_method);
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const money = (n) => `$${round2(n).toFixed(2)}`;
+
+function describe(r) {
+  return {
+    entry_id: r.entry_id,
+    exit_id: r.exit_id,
+    entry_label: r.entry_label,
+    exit_label: r.exit_label,
+    direction: r.direction,
+    vehicle_class: r.vehicle_class,
+    payment_method: r.payment_method,
+    amount: r.amount,
+    distance_miles: r.distance_miles,
+    status: r.status,
+  };
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Матрица одного класса ТС и способа оплаты: from -> (to -> запись).
+ * Если у пары несколько записей (MA отдаёт оба направления), берётся первая.
+ */
+function buildMatrix(records, point) {
+  const matrix = new Map();
+  for (const r of records) {
+    const from = point.entry(r.entry_id);
+    const to = point.exit(r.exit_id);
+    if (from === to) continue;
+    if (!matrix.has(from)) matrix.set(from, new Map());
+    const row = matrix.get(from);
+    if (!row.has(to)) row.set(to, r);
+  }
+  return matrix;
+}
+
+function checkAsymmetry(matrix, settings, add) {
+  for (const [from, row] of matrix) {
+    for (const [to, forward] of row) {
+      // Каждую пару смотрим один раз
+      if (from > to) continue;
+      const backward = matrix.get(to) && matrix.get(to).get(from);
+      if (!backward) continue;
+
+      const difference = Math.abs(forward.amount - backward.amount);
+      const limit = Math.max(settings.minDifference, settings.asymmetry * Math.max(forward.amount, backward.amount));
+      if (difference > limit) {
+        add(
+          "asymmetry",
+          `${from} -> ${to} ${money(forward.amount)}, обратно ${money(backward.amount)}`,
+          [forward, backward]
+        );
+      }
+    }
+  }
+}
+
+function checkSubadditivity(matrix, settings, add) {
+  for (const [from, row] of matrix) {
+    // Самый дешёвый путь до каждой точки с одной пересадкой
+    const best = new Map();
+    for (const [via, first] of row) {
+      const next = matrix.get(via);
+      if (!next) continue;
+      for (const [to, second] of next) {
+        if (to === from || to === via) continue;
+        const sum = first.amount + second.amount;
+        if (!best.has(to) || sum < best.get(to).sum) best.set(to, { sum, via, first, second });
+      }
+    }
+
+    for (const [to, direct] of row) {
+      const split = best.get(to);
+      if (!split) continue;
+      if (direct.amount > split.sum * settings.subadditivity && direct.amount - split.sum >= settings.minDifference) {
+        add(
+          "subadditivity",
+          `${from} -> ${to} ${money(direct.amount)} дороже, чем через ${split.via}: ` +
+            `${money(split.first.amount)} + ${money(split.second.amount)}`,
+          [direct, split.first, split.second]
+        );
+      }
+    }
+  }
+}
+
+function checkMileage(matrix, settings, add) {
+  for (const [from, row] of matrix) {
+    const trips = [...row.values()]
+      .filter((r) => typeof r.distance_miles === "number")
+      .sort((a, b) => a.distance_miles - b.distance_miles);
+
+    // Сравниваем с ближайшей более короткой поездкой: одна неверная цена или длина
+    // даёт одну-две аномалии, а не по одной на каждую следующую поездку
+    for (let i = 1; i < trips.length; i++) {
+      const shorter = trips[i - 1];
+      const trip = trips[i];
+      if (
+        trip.distance_miles > shorter.distance_miles &&
+        trip.amount < shorter.amount * (1 - settings.mileage) &&
+        shorter.amount - trip.amount >= settings.minDifference
+      ) {
+        add(
+          "mileage",
+          `${from}: ${trip.distance_miles} миль за ${money(trip.amount)} дешевле, ` +
+            `чем ${shorter.distance_miles} миль за ${money(shorter.amount)}`,
+          [shorter, trip]
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Соседние пары — те, у которых въезд или выезд — соседняя развязка в порядке,
+ * в котором они встречаются в выгрузке (это порядок списков калькулятора).
+ */
+function checkOutliers(matrix, records, point, settings, add) {
+  const entries = [...new Set(records.map((r) => point.entry(r.entry_id)))];
+  const exits = [...new Set(records.map((r) => point.exit(r.exit_id)))];
+  const cell = (from, to) => (from !== undefined && to !== undefined && matrix.get(from) && matrix.get(from).get(to)) || null;
+
+  for (const [from, row] of matrix) {
+    const i = entries.indexOf(from);
+    for (const [to, r] of row) {
+      const j = exits.indexOf(to);
+      const neighbours = [
+        cell(from, exits[j - 1]),
+        cell(from, exits[j + 1]),
+        cell(entries[i - 1], to),
+        cell(entries[i + 1], to),
+      ].filter(Boolean);
+      if (neighbours.length < 2) continue;
+
+      const typical = median(neighbours.map((n) => n.amount));
+      const ratio = r.amount / typical;
+      if (
+        (ratio > settings.outlier || ratio < 1 / settings.outlier) &&
+        Math.abs(r.amount - typical) >= settings.minDifference
+      ) {
+        add("outlier", `${from} -> ${to} ${money(r.amount)}, у соседних пар около ${money(typical)}`, [r, ...neighbours]);
+      }
+    }
+  }
+}
+
+function checkPaymentOrder(records, add) {
+  const pairs = groupBy(records, (r) =>
+    [r.entry_id, r.exit_id, r.direction || "", r.vehicle_class, r.discount || ""].join("|")
+  );
+  for (const group of pairs.values()) {
+    const full = group.filter(isFullPrice);
+    const transponder = group.filter(isTransponder);
+    for (const f of full) {
+      for (const t of transponder) {
+        if (f.amount < t.amount - 0.005) {
+          add(
+            "payment_order",
+            `${f.entry_id} -> ${f.exit_id}: ${f.payment_method} ${money(f.amount)} дешевле ${t.payment_method} ${money(t.amount)}`,
+            [f, t]
+          );
+        }
+      }
+    }
+  }
+}
+
+/**
+ * @param {object[]} records — записи единого формата
+ * @param {object} options
+ *   points — pointsOf(topology): приведение id въезда/выезда к развязке (по умолчанию id как есть);
+ *   pairs — возможные пары из топологии: no_rate по ним — аномалия;
+ *   остальное — пороги, см. DEFAULTS.
+ * @returns {{ summary: object, anomalies: object[] }}
+ */
+function checkConsistency(records, { points = null, pairs = null, ...thresholds } = {}) {
+  const settings = { ...DEFAULTS, ...thresholds };
+  const point = points || { entry: (id) => id, exit: (id) => id };
+  const anomalies = [];
+
+  const context = (r) => ({ vehicle_class: r.vehicle_class, payment_method: r.payment_method });
+  const add = (check, message, rows) => anomalies.push({ check, ...context(rows[0]), message, rows: rows.map(describe) });
+
+  const priced = records.filter((r) => r.status === "ok" && typeof r.amount === "number");
+  for (const r of priced) {
+    if (r.amount <= 0) add("non_positive", `${r.entry_id} -> ${r.exit_id}: ${r.payment_method} ${money(r.amount)}`, [r]);
+  }
+  for (const r of priced) {
+    if (typeof r.segments_amount === "number" && Math.abs(r.segments_amount - r.amount) > 0.005) {
+      add(
+        "segments",
+        `${r.entry_id} -> ${r.exit_id}: ${r.payment_method} ${money(r.amount)}, по участкам ${money(r.segments_amount)}`,
+        [r]
+      );
+    }
+  }
+
+  if (pairs) {
+    const expected = new Set(pairs.map((p) => `${p.entry}|${p.exit}`));
+    for (const r of records) {
+      if (r.status === "no_rate" && expected.has(`${r.entry_id}|${r.exit_id}`)) {
+        add("missing_rate", `${r.entry_id} -> ${r.exit_id}: нет тарифа (${r.payment_method})`, [r]);
+      }
+    }
+  }
+
+  // Нули уже отмечены — в сравнениях они дали бы лишние срабатывания
+  const positive = priced.filter((r) => r.amount > 0);
+  for (const group of groupBy(positive, (r) => `${r.vehicle_class}|${r.payment_method}|${r.discount || ""}`).values()) {
+    const matrix = buildMatrix(group, point);
+    checkAsymmetry(matrix, settings, add);
+    checkSubadditivity(matrix, settings, add);
+    checkMileage(matrix, settings, add);
+    checkOutliers(matrix, group, point, settings, add);
+  }
+  checkPaymentOrder(positive, add);
+
+  const summary = { records: records.length, priced: priced.length, anomalies: anomalies.length };
+  for (const a of anomalies) summary[a.check] = (summary[a.check] || 0) + 1;
+
+  return { summary, anomalies };
+}
+
+/**
+ * Файл аномалий (*.anomalies.json): сводка по проверкам и аномалии с записями, на которых они найдены.
+ */
+function createAnomalyReport({ state, road, source = null }, records, options = {}) {
+  const { summary, anomalies } = checkConsistency(records, options);
+  return { state, road, source, generated_at: new Date().toISOString(), summary, anomalies };
+}
+
+function formatAnomalies({ summary, anomalies }, { limit = 20 } = {}) {
+  const counts = Object.entries(summary)
+    .filter(([key]) => !["records", "priced", "anomalies"].includes(key))
+    .map(([check, count]) => `${check}: ${count}`);
+  const lines = [
+    `Проверка цен: ${summary.anomalies} аномалий на ${summary.priced} записей с тарифом` +
+      (counts.length ? ` (${counts.join(", ")})` : ""),
+  ];
+  for (const a of anomalies.slice(0, limit)) {
+    lines.push(`  [${a.check}] класс ${a.vehicle_class}, ${a.payment_method}: ${a.message}`);
+  }
+  if (anomalies.length > limit) lines.push(`  ... и ещё ${anomalies.length - limit}`);
+  return lines.join("\n");
+}
+
+module.exports = { DEFAULTS, checkConsistency, createAnomalyReport, formatAnomalies };
@@ -0,0 +1,156 @@
+/**
+ * Сравнение двух выгрузок тарифов одной дороги (старой и свежей).
+ * Строки сопоставляются по въезду/выезду/направлению/классу ТС/способу оплаты/программе скидок;
+ * сравниваются только записи со status "ok" — у остальных цены нет.
+ */
+
+function recordKey(r) {
+  return [r.entry_id, r.exit_id, r.direction || "", r.vehicle_class, r.payment_method, r.discount || ""].join("|");
+}
+
+function indexRecords(records) {
+  const map = new Map();
+  for (const r of records) {
+    if (r.status === "ok") map.set(recordKey(r), r);
+  }
+  return map;
+}
+
+const toCents = (amount) => Math.round(amount * 100);
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function describe(r) {
+  return {
+    entry_id: r.entry_id,
+    exit_id: r.exit_id,
+    entry_label: r.entry_label,
+    exit_label: r.exit_label,
+    direction: r.direction,
+    vehicle_class: r.vehicle_class,
+    payment_method: r.payment_method,
+  };
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+/**
+ * @returns {{ summary: object, added: object[], removed: object[], changed: object[] }}
+ */
+function diffRecords(oldRecords, newRecords) {
+  const before = indexRecords(oldRecords);
+  const after = indexRecords(newRecords);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+  let oldTotal = 0;
+  let newTotal = 0;
+
+  for (const [key, next] of after) {
+    const prev = before.get(key);
+    if (!prev) {
+      added.push({ ...describe(next), amount: next.amount });
+      continue;
+    }
+
+    oldTotal += prev.amount;
+    newTotal += next.amount;
+
+    if (toCents(prev.amount) === toCents(next.amount)) {
+      unchanged++;
+      continue;
+    }
+
+    const delta = round2(next.amount - prev.amount);
+    changed.push({
+      ...describe(next),
+      old_amount: prev.amount,
+      new_amount: next.amount,
+      delta,
+      // С нулевой старой ценой процент не определён
+      delta_pct: prev.amount === 0 ? null : round2((delta / prev.amount) * 100),
+    });
+  }
+
+  for (const [key, prev] of before) {
+    if (!after.has(key)) removed.push({ ...describe(prev), amount: prev.amount });
+  }
+
+  const up = changed.filter((c) => c.delta > 0);
+  const down = changed.filter((c) => c.delta < 0);
+  const pct = (items) => round2(mean(items.filter((c) => c.delta_pct !== null).map((c) => c.delta_pct)));
+
+  // Крупные изменения — первыми
+  changed.sort((a, b) => Math.abs(b.delta_pct ?? Infinity) - Math.abs(a.delta_pct ?? Infinity));
+
+  return {
+    summary: {
+      old_count: before.size,
+      new_count: after.size,
+      matched: unchanged + changed.length,
+      unchanged,
+      increased: up.length,
+      increased_avg_pct: pct(up),
+      decreased: down.length,
+      decreased_avg_pct: pct(down),
+      added: added.length,
+      removed: removed.length,
+      // Изменение суммы по всем сопоставленным парам
+      overall_pct: oldTotal === 0 ? null : round2(((newTotal - oldTotal) / oldTotal) * 100),
+    },
+    added,
+    removed,
+    changed,
+  };
+}
+
+const count = (n) => n.toLocaleString("en-US");
+
+function pairLabel(r) {
+  const dir = r.direction ? ` ${r.direction}` : "";
+  return `${r.entry_id} → ${r.exit_id}${dir} [class ${r.vehicle_class}, ${r.payment_method}]`;
+}
+
+/**
+ * Человекочитаемый отчёт. limit — сколько строк каждого раздела показывать.
+ */
+function formatReport(report, { title = "", limit = 50 } = {}) {
+  const s = report.summary;
+  const lines = [];
+
+  if (title) lines.push(title, "");
+
+  const parts = [];
+  if (s.increased) parts.push(`${count(s.increased)} pairs up ${s.increased_avg_pct}%`);
+  if (s.decreased) parts.push(`${count(s.decreased)} pairs down ${Math.abs(s.decreased_avg_pct)}%`);
+  parts.push(`${count(s.unchanged)} unchanged`);
+  if (s.added) parts.push(`${count(s.added)} added`);
+  if (s.removed) parts.push(`${count(s.removed)} removed`);
+  lines.push(parts.join(", "));
+
+  if (s.overall_pct !== null) {
+    lines.push(`Overall change across ${count(s.matched)} matched pairs: ${s.overall_pct > 0 ? "+" : ""}${s.overall_pct}%`);
+  }
+
+  const section = (name, items, format) => {
+    if (!items.length) return;
+    lines.push("", `${name} (${count(items.length)}):`);
+    for (const item of items.slice(0, limit)) lines.push(`  ${format(item)}`);
+    if (items.length > limit) lines.push(`  … and ${count(items.length - limit)} more`);
+  };
+
+  section("Changed", report.changed, (c) => {
+    const sign = c.delta > 0 ? "+" : "";
+    const pctText = c.delta_pct === null ? "n/a" : `${sign}${c.delta_pct}%`;
+    return `${pairLabel(c)}: $${c.old_amount.toFixed(2)} → $${c.new_amount.toFixed(2)} (${sign}${c.delta.toFixed(2)}, ${pctText})`;
+  });
+  section("Added", report.added, (a) => `${pairLabel(a)}: $${a.amount.toFixed(2)}`);
+  section("Removed", report.removed, (r) => `${pairLabel(r)}: was $${r.amount.toFixed(2)}`);
+
+  return lines.join("\n");
+}
+
+module.exports = { diffRecords, formatReport, recordKey };
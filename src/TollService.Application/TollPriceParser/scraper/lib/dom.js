@@ -0,0 +1,8 @@
+/**
+ * Серверный DOMParser вместо браузерного.
+ * linkedom поддерживает querySelector с :first-of-type / :nth-child,
+ * поэтому функции парсинга из скриптов работают без изменений.
+ */
+const { DOMParser } = require("linkedom");
+
+module.exports = { DOMParser };
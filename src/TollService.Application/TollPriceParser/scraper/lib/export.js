@@ -0,0 +1,298 @@
+/**
+ * Выгрузка записей единого формата в БД и для аналитиков:
+ *
+ *   toSql — SQL-скрипт (PostgreSQL 13+) для таблиц "CalculatePrices" и "TollPrices"
+ *           (те же, что читает GetTollWithPricesQuery.sql). Повторный запуск не создаёт дублей:
+ *           цена ищется по паре плаз, AxelType, PaymentType и Description и обновляется на месте.
+ *   toCsv — плоский CSV (RFC 4180) со всеми полями записи.
+ *
+ * Плазы ищутся в "Tolls" калькулятора штата ("StateCalculators"."StateCode") по "Number",
+ * как это делают C#-парсеры (FindOrCacheTollsByNumber); можно искать по "Key" или "Name".
+ * Не найденные пары скрипт выводит последним SELECT, цены для них не пишутся.
+ */
+
+/**
+ * Категория оплаты -> TollPaymentType (TollService.Domain).
+ */
+const PAYMENT_TYPES = {
+  transponder_in_state: 4, // EZPass
+  transponder_out_of_state: 5, // OutOfStateEZPass
+  plate_billing: 2, // PayOnline
+  cash: 3, // Cash
+};
+
+/**
+ * Способы оплаты, которые C#-парсеры пишут не по категории.
+ * Tolls by Mail ParseNewYorkTollPricesCommand хранит как Cash.
+ */
+const PAYMENT_METHOD_TYPES = {
+  tolls_by_mail: 3,
+};
+
+const MATCH_COLUMNS = ["Number", "Key", "Name"];
+
+function paymentTypeOf(record) {
+  return PAYMENT_METHOD_TYPES[record.payment_method] ?? PAYMENT_TYPES[record.payment_category] ?? null;
+}
+
+// "off_peak" -> "Off-Peak"
+function periodLabel(period) {
+  return period
+    .split("_")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join("-");
+}
+
+/**
+ * Description цены — как у C#-парсеров: "01 -> 07A", "01 -> 07A (Peak)".
+ * Программа скидок дописывается туда же: "01 -> 07A (Off-Peak, senior)".
+ * withClass — класс ТС тоже: у PA L2Axle и H2Axle один AxelType, "01 -> 07A (class 2, Peak)".
+ */
+function descriptionOf(record, { withClass = false } = {}) {
+  const notes = [
+    withClass && `class ${record.vehicle_class}`,
+    record.schedule && periodLabel(record.schedule.period),
+    record.discount,
+  ].filter(Boolean);
+  const base = `${record.entry_id} -> ${record.exit_id}`;
+  return notes.length ? `${base} (${notes.join(", ")})` : base;
+}
+
+// Числа осей, на которые в таблице *_VEHICLE_CLASSES штата приходится больше одного класса ТС
+function sharedAxles(vehicleClasses) {
+  const counts = new Map();
+  for (const { axles } of Object.values(vehicleClasses)) counts.set(axles, (counts.get(axles) || 0) + 1);
+  return new Set([...counts].filter(([, count]) => count > 1).map(([axles]) => axles));
+}
+
+/**
+ * Строки для БД: только записи со status "ok", по одной на ключ
+ * въезд/выезд/AxelType/PaymentType/Description (первая выигрывает). Если у нескольких классов ТС
+ * одно число осей, класс пишется в Description — иначе их цены легли бы на один ключ.
+ * Решает это таблица классов штата, а не состав выгрузки: файл одного класса и общий файл
+ * дают одни и те же ключи.
+ * @param {{ vehicleClasses?: object }} options vehicleClasses — *_VEHICLE_CLASSES скрипта штата
+ * @returns {{ rows: object[], skipped: { record: object, reason: string }[] }}
+ */
+function toPriceRows(records, { vehicleClasses = {} } = {}) {
+  const rows = [];
+  const skipped = [];
+  const seen = new Map();
+  const shared = sharedAxles(vehicleClasses);
+
+  for (const record of records) {
+    if (record.status !== "ok") continue;
+
+    const paymentType = paymentTypeOf(record);
+    if (paymentType === null) {
+      skipped.push({ record, reason: `Нет PaymentType для способа оплаты ${record.payment_method}` });
+      continue;
+    }
+    if (!Number.isInteger(record.axles) || record.axles < 1 || record.axles > 9) {
+      skipped.push({ record, reason: `Нет AxelType для ${record.axles ?? "неизвестного числа"} осей` });
+      continue;
+    }
+
+    const row = {
+      entry_id: String(record.entry_id),
+      exit_id: String(record.exit_id),
+      payment_type: paymentType,
+      axel_type: record.axles,
+      amount: record.amount,
+      description: descriptionOf(record, { withClass: shared.has(record.axles) }),
+      // Цена без расписания и скидки — ею же заполняются сводные поля "CalculatePrices"
+      plain: !record.schedule && !record.discount,
+    };
+
+    const key = [row.entry_id, row.exit_id, row.axel_type, row.payment_type, row.description].join("|");
+    const first = seen.get(key);
+    if (first) {
+      skipped.push({
+        record,
+        reason: `Тот же ключ в БД, что у ${first.vehicle_class}/${first.payment_method}: ${row.description}`,
+      });
+      continue;
+    }
+    seen.set(key, record);
+    rows.push(row);
+  }
+
+  return { rows, skipped };
+}
+
+function quote(value) {
+  if (value === null || value === undefined) return "NULL";
+  if (typeof value === "number") return String(value);
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * @param {object[]} records записи единого формата одной дороги
+ * @param {{ state: string, road: string, match?: "Number"|"Key"|"Name", source?: string, provenance?: object[],
+ *   vehicleClasses?: object }} options
+ *   provenance — из документа выгрузки: в заголовок скрипта пишется, когда и откуда получены цены;
+ *   vehicleClasses — таблица классов ТС штата для Description (toPriceRows)
+ * @returns {{ sql: string, rows: object[], skipped: object[] }}
+ */
+function toSql(records, { state, road, match = "Number", source = null, provenance = [], vehicleClasses = {} } = {}) {
+  if (!/^[A-Z]{2}$/.test(state || "")) throw new Error(`Нужен код штата из двух букв: ${state}`);
+  if (!MATCH_COLUMNS.includes(match)) {
+    throw new Error(`Плазы ищутся только по ${MATCH_COLUMNS.join(", ")}: ${match}`);
+  }
+
+  const { rows, skipped } = toPriceRows(records, { vehicleClasses });
+  const calculator = `(SELECT "Id" FROM "StateCalculators" WHERE "StateCode" = ${quote(state)} ORDER BY "Id" LIMIT 1)`;
+  const values = rows.map(
+    (r) =>
+      `  (${[r.entry_id, r.exit_id, r.payment_type, r.axel_type, r.amount, r.description, r.plain].map(quote).join(", ")})`
+  );
+
+  const lines = [
+    `-- ${state} ${road}: тарифы парсера для "CalculatePrices" / "TollPrices"`,
+    ...(source ? [`-- Источник: ${source}`] : []),
+    ...provenance.map(
+      (p) =>
+        `-- Получено: ${p.started_at} — ${p.finished_at}, ${p.source} (${p.script} ${p.scraper_version}` +
+        `${p.effective_date ? `, тарифы с ${p.effective_date}` : ""}, ответов: ${p.responses.length})`
+    ),
+    `-- Цен: ${rows.length}, пропущено записей: ${skipped.length}. Плазы ищутся по "Tolls"."${match}".`,
+    "-- Скрипт идемпотентен: повторный запуск обновляет те же строки.",
+    "",
+    "BEGIN;",
+    "",
+    "CREATE TEMP TABLE scraped_prices (",
+    "  entry_id text NOT NULL,",
+    "  exit_id text NOT NULL,",
+    "  payment_type integer NOT NULL,",
+    "  axel_type integer NOT NULL,",
+    "  amount double precision NOT NULL,",
+    "  description varchar(512) NOT NULL,",
+    "  plain boolean NOT NULL",
+    ") ON COMMIT DROP;",
+    "",
+  ];
+
+  if (values.length) {
+    lines.push(
+      "INSERT INTO scraped_prices (entry_id, exit_id, payment_type, axel_type, amount, description, plain) VALUES",
+      values.join(",\n") + ";",
+      ""
+    );
+  }
+
+  lines.push(
+    "-- Калькулятор штата",
+    `INSERT INTO "StateCalculators" ("Id", "Name", "StateCode")`,
+    `SELECT gen_random_uuid(), ${quote(road)}, ${quote(state)}`,
+    `WHERE NOT EXISTS (SELECT 1 FROM "StateCalculators" WHERE "StateCode" = ${quote(state)});`,
+    "",
+    "-- Плазы пар; у одного номера может быть несколько плаз — берутся все сочетания",
+    "CREATE TEMP TABLE scraped_pairs ON COMMIT DROP AS",
+    "SELECT DISTINCT sp.entry_id, sp.exit_id, f.\"Id\" AS from_id, t.\"Id\" AS to_id",
+    "FROM scraped_prices sp",
+    `JOIN "Tolls" f ON f."StateCalculatorId" = ${calculator} AND f."${match}" = sp.entry_id`,
+    `JOIN "Tolls" t ON t."StateCalculatorId" = ${calculator} AND t."${match}" = sp.exit_id;`,
+    "",
+    `INSERT INTO "CalculatePrices" ("Id", "StateCalculatorId", "FromId", "ToId", "Online", "IPass", "Cash")`,
+    `SELECT gen_random_uuid(), ${calculator}, p.from_id, p.to_id, 0, 0, 0`,
+    "FROM (SELECT DISTINCT from_id, to_id FROM scraped_pairs) p",
+    `WHERE NOT EXISTS (SELECT 1 FROM "CalculatePrices" cp WHERE cp."FromId" = p.from_id AND cp."ToId" = p.to_id);`,
+    "",
+    "CREATE TEMP TABLE scraped_targets ON COMMIT DROP AS",
+    "SELECT DISTINCT ON (cp.\"Id\", sp.payment_type, sp.axel_type, sp.description)",
+    "  cp.\"Id\" AS calculate_price_id, p.from_id, sp.payment_type, sp.axel_type, sp.amount, sp.description, sp.plain",
+    "FROM scraped_prices sp",
+    "JOIN scraped_pairs p ON p.entry_id = sp.entry_id AND p.exit_id = sp.exit_id",
+    `JOIN "CalculatePrices" cp ON cp."FromId" = p.from_id AND cp."ToId" = p.to_id`,
+    "ORDER BY cp.\"Id\", sp.payment_type, sp.axel_type, sp.description, sp.amount;",
+    "",
+    `UPDATE "TollPrices" tp SET "Amount" = st.amount`,
+    "FROM scraped_targets st",
+    `WHERE tp."CalculatePriceId" = st.calculate_price_id`,
+    `  AND tp."PaymentType" = st.payment_type`,
+    `  AND tp."AxelType" = st.axel_type`,
+    `  AND tp."Description" = st.description`,
+    `  AND tp."Amount" <> st.amount;`,
+    "",
+    `INSERT INTO "TollPrices" ("Id", "TollId", "CalculatePriceId", "PaymentType", "Amount", "AxelType",`,
+    `  "TimeOfDay", "DayOfWeekFrom", "DayOfWeekTo", "TimeFrom", "TimeTo", "Description")`,
+    "SELECT gen_random_uuid(), st.from_id, st.calculate_price_id, st.payment_type, st.amount, st.axel_type,",
+    "  0, 0, 0, '00:00', '00:00', st.description",
+    "FROM scraped_targets st",
+    `WHERE NOT EXISTS (SELECT 1 FROM "TollPrices" tp`,
+    `  WHERE tp."CalculatePriceId" = st.calculate_price_id`,
+    `    AND tp."PaymentType" = st.payment_type`,
+    `    AND tp."AxelType" = st.axel_type`,
+    `    AND tp."Description" = st.description);`,
+    "",
+    "-- Сводные цены пары (5 осей, без расписания и скидок): IPass — транспондер, Online — по номеру, Cash — наличные",
+    `UPDATE "CalculatePrices" cp SET`,
+    `  "IPass" = COALESCE(s.ipass, cp."IPass"),`,
+    `  "Online" = COALESCE(s.online, cp."Online"),`,
+    `  "Cash" = COALESCE(s.cash, cp."Cash")`,
+    "FROM (",
+    "  SELECT calculate_price_id,",
+    "    MAX(amount) FILTER (WHERE payment_type IN (1, 4)) AS ipass,",
+    "    MAX(amount) FILTER (WHERE payment_type = 2) AS online,",
+    "    MAX(amount) FILTER (WHERE payment_type = 3) AS cash",
+    "  FROM scraped_targets",
+    "  WHERE axel_type = 5 AND plain",
+    "  GROUP BY calculate_price_id",
+    ") s",
+    `WHERE cp."Id" = s.calculate_price_id;`,
+    "",
+    "-- Пары, для которых не нашлись плазы",
+    "SELECT DISTINCT sp.entry_id, sp.exit_id",
+    "FROM scraped_prices sp",
+    "WHERE NOT EXISTS (SELECT 1 FROM scraped_pairs p WHERE p.entry_id = sp.entry_id AND p.exit_id = sp.exit_id)",
+    "ORDER BY sp.entry_id, sp.exit_id;",
+    "",
+    "COMMIT;",
+    ""
+  );
+
+  return { sql: lines.join("\n"), rows, skipped };
+}
+
+const CSV_COLUMNS = [
+  "state",
+  "road",
+  "entry_id",
+  "entry_label",
+  "exit_id",
+  "exit_label",
+  "direction",
+  "vehicle_class",
+  "axles",
+  "vehicle_type",
+  "payment_method",
+  "payment_category",
+  "schedule_period",
+  "discount",
+  "amount",
+  "currency",
+  "distance_miles",
+  "status",
+  "message",
+];
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Все записи (и без цены тоже) — одна строка CSV на запись.
+ */
+function toCsv(records) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const record of records) {
+    const flat = { ...record, schedule_period: record.schedule ? record.schedule.period : null };
+    lines.push(CSV_COLUMNS.map((column) => csvField(flat[column])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = { toSql, toCsv, toPriceRows, descriptionOf, paymentTypeOf, PAYMENT_TYPES, CSV_COLUMNS };
@@ -0,0 +1,233 @@
+/**
+ * Координаты развязок и выгрузка тарифов в GeoJSON (QGIS, карта API).
+ *
+ * Развязки дороги ищутся в локальной выгрузке OSM: развязки шоссе (highway=motorway_junction,
+ * ref — номер выезда) и пункты оплаты (barrier=toll_booth, highway=toll_gantry). Подходит и
+ * GeoJSON FeatureCollection с точками, и JSON Overpass API ({ elements: [{ type: "node", lat, lon, tags }] }).
+ * Сопоставление — тем же lib/match.js, что и для наших плаз. Если кандидатов несколько, но все они
+ * рядом (две проезжие части одного выезда), берётся их центр.
+ *
+ * Ручные координаты (overrides) важнее OSM: { "<id>": { lat, lng } } или массив [{ id, lat, lng }] —
+ * это и формат плаз link-команд (scraper/match.js --links, NJ/files/turnpike_plazas.json).
+ */
+const { matchCatalog } = require("./match");
+
+// Кандидаты дальше друг от друга — уже разные места, центр не берётся
+const CLUSTER_KM = 3;
+// Кандидаты ближе этого по оценке считаются равноценными (как margin в matchCatalog)
+const MARGIN = 0.1;
+
+function distanceKm(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+const round = (n, digits) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+const isJunction = (tags) =>
+  tags.highway === "motorway_junction" || tags.barrier === "toll_booth" || tags.highway === "toll_gantry";
+
+/**
+ * Точки развязок из выгрузки OSM: [{ id, name, number, road, lat, lng, kind }].
+ * Имя — name, иначе exit_to / destination; номер — ref.
+ */
+function readJunctions(extract) {
+  const nodes = [];
+
+  if (extract && Array.isArray(extract.features)) {
+    for (const feature of extract.features) {
+      if (!feature.geometry || feature.geometry.type !== "Point") continue;
+      const [lng, lat] = feature.geometry.coordinates;
+      nodes.push({ id: feature.id ?? null, tags: feature.properties || {}, lat, lng });
+    }
+  } else if (extract && Array.isArray(extract.elements)) {
+    for (const element of extract.elements) {
+      if (element.type !== "node") continue;
+      nodes.push({ id: element.id, tags: element.tags || {}, lat: element.lat, lng: element.lon });
+    }
+  } else {
+    throw new Error("Ожидается GeoJSON FeatureCollection или JSON Overpass API (elements)");
+  }
+
+  return nodes
+    .filter((node) => isJunction(node.tags) && Number.isFinite(node.lat) && Number.isFinite(node.lng))
+    .map(({ id, tags, lat, lng }) => ({
+      id: id === null ? null : String(id),
+      name: tags.name || tags.exit_to || tags.destination || "",
+      number: tags.ref || null,
+      road: tags.road || null,
+      lat,
+      lng,
+      kind: tags.highway === "motorway_junction" ? "junction" : "toll",
+    }));
+}
+
+/**
+ * Ручные координаты -> Map id -> { lat, lng }.
+ */
+function readOverrides(overrides) {
+  if (!overrides) return new Map();
+  const list = Array.isArray(overrides)
+    ? overrides
+    : Object.entries(overrides).map(([id, point]) => ({ id, ...point }));
+  return new Map(
+    list
+      .filter((point) => Number.isFinite(point.lat) && Number.isFinite(point.lng))
+      .map((point) => [String(point.id), { lat: point.lat, lng: point.lng }])
+  );
+}
+
+function centroid(points) {
+  return {
+    lat: points.reduce((sum, p) => sum + p.lat, 0) / points.length,
+    lng: points.reduce((sum, p) => sum + p.lng, 0) / points.length,
+  };
+}
+
+/**
+ * Координаты развязок каталога.
+ * @returns {{ points: Map<string, object>, unresolved: object[] }}
+ *   points: id -> { id, label, lat, lng, source: "override"|"osm"|"osm_centroid", confidence, osm_ids }
+ */
+function geocodeCatalog(catalog, junctions, { overrides = null, road = null, threshold = 0.75 } = {}) {
+  const manual = readOverrides(overrides);
+  const points = new Map();
+  const point = (item, source, location, confidence, osm) => ({
+    id: item.id,
+    label: item.label ?? null,
+    lat: round(location.lat, 6),
+    lng: round(location.lng, 6),
+    source,
+    confidence,
+    osm_ids: osm.map((j) => j.id).filter(Boolean),
+  });
+
+  const rest = new Map();
+  for (const item of [...catalog.entries, ...catalog.exits]) {
+    if (points.has(item.id) || rest.has(item.id)) continue;
+    if (manual.has(item.id)) points.set(item.id, point(item, "override", manual.get(item.id), 1, []));
+    else rest.set(item.id, item);
+  }
+
+  const unknown = { entries: [...rest.values()], exits: [] };
+  const mapping = matchCatalog(unknown, junctions, { road, threshold, margin: MARGIN });
+  for (const m of mapping.matched) points.set(m.id, point(m, "osm", m.plaza, m.confidence, [m.plaza]));
+
+  const unresolved = [...mapping.unmatched];
+  for (const item of mapping.ambiguous) {
+    const best = item.candidates.filter((c) => item.candidates[0].confidence - c.confidence < MARGIN);
+    const center = centroid(best.map((c) => c.plaza));
+    const spread = Math.max(...best.map((c) => distanceKm(center, c.plaza)));
+    if (best[0].confidence >= threshold && spread <= CLUSTER_KM) {
+      points.set(item.id, point(item, "osm_centroid", center, best[0].confidence, best.map((c) => c.plaza)));
+    } else {
+      unresolved.push(item);
+    }
+  }
+
+  return { points, unresolved };
+}
+
+/**
+ * Развязки, которые встречаются в записях выгрузки; подписи без значения берутся из каталога.
+ */
+function catalogOfRecords(records, known = null) {
+  const labels = new Map();
+  for (const item of known ? [...known.entries, ...known.exits] : []) {
+    if (item.label) labels.set(item.id, item.label);
+  }
+
+  const entries = new Map();
+  const exits = new Map();
+  for (const r of records) {
+    if (!entries.has(r.entry_id)) {
+      entries.set(r.entry_id, { id: r.entry_id, label: r.entry_label || labels.get(r.entry_id) || null });
+    }
+    if (!exits.has(r.exit_id)) {
+      exits.set(r.exit_id, { id: r.exit_id, label: r.exit_label || labels.get(r.exit_id) || null });
+    }
+  }
+  return { entries: [...entries.values()], exits: [...exits.values()] };
+}
+
+/**
+ * Ключ цены в свойствах линии: price_<класс>_<способ оплаты>[_<скидка>] — плоско, чтобы QGIS показал столбцами.
+ */
+function priceKey(r) {
+  return ["price", r.vehicle_class, r.payment_method, r.discount].filter(Boolean).join("_");
+}
+
+/**
+ * FeatureCollection: точки развязок и линии пар въезд/выезд с ценами (только status "ok").
+ * Пары без координат одной из развязок пропускаются и считаются в skipped_pairs.
+ */
+function toGeoJson(records, points, { state = null, road = null } = {}) {
+  const features = [...points.values()].map((p) => ({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [p.lng, p.lat] },
+    properties: {
+      kind: "interchange",
+      id: p.id,
+      label: p.label,
+      source: p.source,
+      confidence: p.confidence,
+    },
+  }));
+
+  const pairs = new Map();
+  for (const r of records) {
+    if (r.status !== "ok") continue;
+    const key = `${r.entry_id}|${r.exit_id}`;
+    if (!pairs.has(key)) {
+      pairs.set(key, {
+        kind: "pair",
+        entry_id: r.entry_id,
+        entry_label: r.entry_label,
+        exit_id: r.exit_id,
+        exit_label: r.exit_label,
+        direction: r.direction,
+        distance_miles: r.distance_miles ?? null,
+      });
+    }
+    pairs.get(key)[priceKey(r)] = r.amount;
+  }
+
+  let skipped = 0;
+  for (const properties of pairs.values()) {
+    const from = points.get(properties.entry_id);
+    const to = points.get(properties.exit_id);
+    if (!from || !to) {
+      skipped++;
+      continue;
+    }
+    features.push({
+      type: "Feature",
+      geometry: {
+        type: "LineString",
+        coordinates: [
+          [from.lng, from.lat],
+          [to.lng, to.lat],
+        ],
+      },
+      properties: { ...properties, straight_km: round(distanceKm(from, to), 2) },
+    });
+  }
+
+  return {
+    type: "FeatureCollection",
+    properties: { state, road, skipped_pairs: skipped },
+    features,
+  };
+}
+
+module.exports = {
+  readJunctions,
+  readOverrides,
+  geocodeCatalog,
+  catalogOfRecords,
+  toGeoJson,
+  distanceKm,
+};
@@ -0,0 +1,101 @@
+/**
+ * HTTP-клиент для запуска браузерных скриптов из Node.
+ * Повторяет то, что в консоли браузера делает сам браузер:
+ *  - относительные URL (например "/wp-admin/admin-ajax.php") резолвятся от origin сайта;
+ *  - cookies из Set-Cookie сохраняются и отправляются в следующих запросах
+ *    (аналог credentials: "include").
+ */
+
+/**
+ * Простая cookie-банка: имя -> значение, без учёта path/expires.
+ * Калькуляторам достаточно одной сессии на домен.
+ */
+function createCookieJar() {
+  const cookiesByHost = new Map();
+
+  function store(host, response) {
+    const setCookies =
+      typeof response.headers.getSetCookie === "function"
+        ? response.headers.getSetCookie()
+        : [];
+
+    if (setCookies.length === 0) return;
+
+    const cookies = cookiesByHost.get(host) || new Map();
+    for (const line of setCookies) {
+      const [pair] = line.split(";");
+      const eq = pair.indexOf("=");
+      if (eq <= 0) continue;
+
+      const name = pair.slice(0, eq).trim();
+      const value = pair.slice(eq + 1).trim();
+
+      // Max-Age=0 / пустое значение — сервер удаляет cookie
+      if (!value || /max-age=0/i.test(line)) cookies.delete(name);
+      else cookies.set(name, value);
+    }
+    cookiesByHost.set(host, cookies);
+  }
+
+  function header(host) {
+    const cookies = cookiesByHost.get(host);
+    if (!cookies || cookies.size === 0) return null;
+    return [...cookies].map(([k, v]) => `${k}=${v}`).join("; ");
+  }
+
+  return { store, header };
+}
+
+/**
+ * Возвращает fetch-совместимую функцию, привязанную к origin калькулятора.
+ * maxRedirects — сколько редиректов подряд проходить; больше — ошибка (петля, например
+ * вход при истёкшей сессии, иначе повесила бы прогон).
+ * @param {{ origin: string, userAgent?: string, maxRedirects?: number }} options
+ */
+function createHttpClient({ origin, userAgent, maxRedirects = 10 } = {}) {
+  const jar = createCookieJar();
+  const agent =
+    userAgent ||
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36";
+
+  async function fetchWithCookies(input, init = {}, redirects = 0) {
+    const url = new URL(String(input), origin);
+    const headers = new Headers(init.headers || {});
+
+    if (!headers.has("User-Agent")) headers.set("User-Agent", agent);
+
+    const cookie = jar.header(url.host);
+    if (cookie) headers.set("Cookie", cookie);
+
+    // credentials — браузерная опция, в Node cookies отправляем сами
+    const { credentials, ...rest } = init;
+
+    const response = await fetch(url, { ...rest, headers, redirect: "manual" });
+    jar.store(url.host, response);
+
+    // Редиректы обрабатываем вручную, чтобы не терять cookies промежуточных ответов
+    if (response.status >= 300 && response.status < 400 && response.headers.has("location")) {
+      const location = new URL(response.headers.get("location"), url);
+      if (redirects >= maxRedirects) {
+        throw new Error(`${url}: больше ${maxRedirects} редиректов подряд (последний — на ${location})`);
+      }
+      const keepBody = response.status === 307 || response.status === 308;
+      return fetchWithCookies(
+        location,
+        {
+          ...rest,
+          method: keepBody ? rest.method : "GET",
+          body: keepBody ? rest.body : undefined,
+          headers: init.headers,
+        },
+        redirects + 1
+      );
+    }
+
+    return response;
+  }
+
+  return (input, init) => fetchWithCookies(input, init);
+}
+
+module.exports = { createHttpClient, createCookieJar };
@@ -0,0 +1,308 @@
+/**
+ * Сопоставление развязок каталога калькулятора ({ entries, exits } вида [{ id, label }])
+ * с нашими плазами (выгрузка "Tolls": name, road, number, координаты).
+ *
+ * Подписи калькуляторов и имена плаз пишутся по-разному: "01: DELAWARE MEMORIAL BRIDGE",
+ * "Calumet E/B Entry", "Northbound - Levels Rd", коды вида "m21b" без подписи; у нас — "93-Northbound",
+ * "Levels Road". Поэтому сравниваются не строки, а признаки:
+ *   номер выезда — префикс подписи ("01:"), код без подписи (m21b -> 21b) или number/начало имени плазы;
+ *   направление — Northbound, E/B, NB и т.п.;
+ *   слова — после раскрытия сокращений (Rd -> road, Mt. -> mount, I-95 -> i95) и без служебных слов.
+ *
+ * Результат для каждой развязки: matched (уверенное совпадение), ambiguous (несколько близких
+ * кандидатов — решает человек) или unmatched.
+ */
+
+const ABBREVIATIONS = {
+  rd: "road",
+  st: "street",
+  ave: "avenue",
+  av: "avenue",
+  blvd: "boulevard",
+  hwy: "highway",
+  pkwy: "parkway",
+  pky: "parkway",
+  tpk: "turnpike",
+  tpke: "turnpike",
+  expy: "expressway",
+  expwy: "expressway",
+  mt: "mount",
+  ft: "fort",
+  jct: "junction",
+  br: "bridge",
+  brg: "bridge",
+  ctr: "center",
+  intl: "international",
+  n: "north",
+  s: "south",
+  e: "east",
+  w: "west",
+};
+
+const STOPWORDS = new Set([
+  "entry",
+  "entrance",
+  "exit",
+  "plaza",
+  "toll",
+  "tolls",
+  "interchange",
+  "ramp",
+  "barrier",
+  "mainline",
+  "only",
+  "the",
+  "and",
+  "of",
+  "at",
+  "to",
+  "via",
+]);
+
+const DIRECTIONS = { n: "northbound", s: "southbound", e: "eastbound", w: "westbound" };
+
+// Номер выезда: "07A" -> "7a", "0" -> "0"
+function normalizeNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const match = /^0*(\d+[a-z]?)$/i.exec(String(value).trim());
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Направление из подписи: "Northbound", "E/B", "NB", "93-Norhbound". "E/W" — оба, то есть null.
+ */
+function directionOf(text) {
+  const found = new Set();
+  for (const [, word] of String(text).matchAll(/\b(north|nort|norh|south|east|west)\s*-?\s*bound\b/gi)) {
+    found.add(DIRECTIONS[word[0].toLowerCase()]);
+  }
+  for (const [, letter] of String(text).matchAll(/\b([nsew])\s*\/?\s*b\b/gi)) {
+    found.add(DIRECTIONS[letter.toLowerCase()]);
+  }
+  return found.size === 1 ? [...found][0] : null;
+}
+
+/**
+ * Значимые слова подписи: без номера выезда, направления и служебных слов,
+ * сокращения раскрыты, дороги свёрнуты в один токен (Interstate 95 -> i95, US-1 -> us1, NJ 73 -> r73).
+ */
+function tokensOf(text) {
+  const cleaned = String(text)
+    .toLowerCase()
+    .replace(/\b(north|nort|norh|south|east|west)\s*-?\s*bound\b/g, " ")
+    .replace(/\b[nsew]\s*\/\s*[bw]\b|\b[nsew]b\b/g, " ")
+    .replace(/\b(?:interstate|i)\s*-?\s*(\d+)\b/g, " i$1 ")
+    .replace(/\bus\s*-?\s*(\d+)\b/g, " us$1 ")
+    .replace(/\b(?!us)(?:state\s+route|route|rte|rt|sr|[a-z]{2})\s*-?\s*(\d+)\b/g, " r$1 ")
+    .replace(/[^a-z0-9]+/g, " ");
+
+  return cleaned
+    .split(" ")
+    .filter(Boolean)
+    .map((word) => ABBREVIATIONS[word] || word)
+    .filter((word) => !STOPWORDS.has(word) && !/^\d+[a-z]?$/.test(word));
+}
+
+/**
+ * Признаки развязки каталога. Номер — из префикса подписи ("01: ..."),
+ * а если подписи нет — из кода (m21b, m07x — x значит «без буквы», Entry_5); коды с подписью (IN, DE) номерами выездов не являются.
+ */
+function describeInterchange(item) {
+  const label = item.label || "";
+  const prefix = /^\s*(\d+[a-z]?)\s*[:.-]/i.exec(label);
+  const code = !label && /^(?:[a-z]|entry_|exit_)?0*(\d+[a-wyz]?)x?$/i.exec(String(item.id));
+
+  return {
+    number: normalizeNumber(prefix ? prefix[1] : code ? code[1] : null),
+    direction: directionOf(label),
+    tokens: tokensOf(label.replace(/^\s*\d+[a-z]?\s*[:.-]/i, " ")),
+  };
+}
+
+/**
+ * Признаки плазы. Номер — поле number или начало имени ("93-Northbound", "Exit 21B").
+ */
+function describePlaza(plaza) {
+  const name = plaza.name || "";
+  const leading = /^\s*(?:exit\s+)?(\d+[a-z]?)\b/i.exec(name);
+  return {
+    number: normalizeNumber(plaza.number) || normalizeNumber(leading && leading[1]),
+    direction: directionOf(name),
+    tokens: tokensOf(name),
+  };
+}
+
+function levenshtein(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+// Опечатка в одну букву в длинном слове — то же слово
+const sameWord = (a, b) => a === b || (a.length >= 5 && b.length >= 5 && levenshtein(a, b) <= 1);
+
+/**
+ * Коэффициент Дайса по словам (0..1); null, если у одной из сторон слов нет.
+ */
+function nameSimilarity(a, b) {
+  if (!a.length || !b.length) return null;
+  const rest = [...b];
+  let common = 0;
+  for (const word of a) {
+    const index = rest.findIndex((other) => sameWord(word, other));
+    if (index === -1) continue;
+    rest.splice(index, 1);
+    common++;
+  }
+  return (2 * common) / (a.length + b.length);
+}
+
+// "New Jersey Turnpike" и "New Jersey Turnpike (I-95)" — одна дорога, если одно содержит слова другого
+function sameRoad(a, b) {
+  const [x, y] = [tokensOf(a), tokensOf(b)];
+  const contains = (all, part) => part.length > 0 && part.every((w) => all.includes(w));
+  return contains(x, y) || contains(y, x);
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Оценка 0..1 и причины — для файла на проверку.
+ */
+function scorePair(interchange, plaza) {
+  const names = nameSimilarity(interchange.tokens, plaza.tokens);
+  const reasons = [];
+  let score;
+
+  if (interchange.number && plaza.number) {
+    const sameNumber = interchange.number === plaza.number;
+    reasons.push(sameNumber ? `номер ${plaza.number}` : `номер ${interchange.number} ≠ ${plaza.number}`);
+    score = sameNumber ? (names === null ? 0.85 : 0.6 + 0.4 * names) : 0.3 * (names ?? 0);
+  } else {
+    score = names ?? 0;
+  }
+  if (names !== null) reasons.push(`слова ${round2(names)}`);
+
+  if (interchange.direction && plaza.direction) {
+    if (interchange.direction === plaza.direction) {
+      score = Math.min(1, score + 0.1);
+      reasons.push(interchange.direction);
+    } else {
+      score *= 0.5;
+      reasons.push(`${interchange.direction} ≠ ${plaza.direction}`);
+    }
+  }
+
+  return { score: round2(score), reasons };
+}
+
+/**
+ * @param {{ entries: object[], exits: object[] }} catalog
+ * @param {object[]} plazas [{ id, name, road, number, key, lat, lng }]
+ * @param {{ road?: string, threshold?: number, minimum?: number, margin?: number, candidates?: number }} options
+ *   road — только плазы этой дороги (плазы без дороги не отбрасываются);
+ *   threshold — с какой оценки совпадение уверенное; minimum — ниже неё кандидат не показывается;
+ *   margin — насколько лучший кандидат должен опережать второго
+ * @returns {{ summary: object, matched: object[], ambiguous: object[], unmatched: object[] }}
+ */
+function matchCatalog(
+  catalog,
+  plazas,
+  { road = null, threshold = 0.75, minimum = 0.4, margin = 0.1, candidates = 3 } = {}
+) {
+  const interchanges = new Map();
+  for (const item of [...catalog.entries, ...catalog.exits]) {
+    if (!interchanges.has(item.id)) interchanges.set(item.id, item);
+  }
+  const described = plazas.filter((plaza) => !road || !plaza.road || sameRoad(road, plaza.road)).map((plaza) => ({ plaza, features: describePlaza(plaza) }));
+
+  const matched = [];
+  const ambiguous = [];
+  const unmatched = [];
+
+  for (const item of interchanges.values()) {
+    const features = describeInterchange(item);
+    const ranked = described
+      .map(({ plaza, features: other }) => ({ plaza, ...scorePair(features, other) }))
+      .filter((c) => c.score >= minimum)
+      .sort((a, b) => b.score - a.score)
+      .map(({ plaza, score, reasons }) => ({ plaza, confidence: score, reasons }));
+
+    const base = { id: item.id, label: item.label ?? null };
+    const [best, second] = ranked;
+    if (!best) {
+      unmatched.push(base);
+    } else if (best.confidence >= threshold && (!second || best.confidence - second.confidence >= margin)) {
+      matched.push({ ...base, ...best });
+    } else {
+      ambiguous.push({ ...base, candidates: ranked.slice(0, candidates) });
+    }
+  }
+
+  return {
+    summary: {
+      total: interchanges.size,
+      matched: matched.length,
+      ambiguous: ambiguous.length,
+      unmatched: unmatched.length,
+    },
+    matched,
+    ambiguous,
+    unmatched,
+  };
+}
+
+/**
+ * Плазы для link-команд (формат NewJerseyPlaza: id развязки калькулятора, подпись, координаты нашей плазы).
+ * Только уверенные совпадения с координатами.
+ */
+function toLinkPlazas(mapping) {
+  return mapping.matched
+    .filter((m) => typeof m.plaza.lat === "number" && typeof m.plaza.lng === "number")
+    .map((m) => ({
+      id: m.id,
+      name: (m.label || m.plaza.name).replace(/^\s*\d+[a-z]?\s*:\s*/i, ""),
+      lat: m.plaza.lat,
+      lng: m.plaza.lng,
+    }));
+}
+
+/**
+ * Выгрузка плаз в общий вид: принимает и поля "Tolls" как есть (Name, Number, Latitude…).
+ */
+function normalizePlazas(list) {
+  const pick = (row, ...names) => names.map((n) => row[n]).find((v) => v !== undefined && v !== null);
+  const coordinate = (value) => (Number.isFinite(Number(value)) && value !== null ? Number(value) : null);
+
+  return list.map((row) => {
+    // GeoJSON-точка "Location": [lng, lat]
+    const [lng, lat] = (row.Location && row.Location.coordinates) || [];
+    return {
+      id: pick(row, "id", "Id") ?? null,
+      name: pick(row, "name", "Name") ?? "",
+      road: pick(row, "road", "Road", "road_name", "RoadName") ?? null,
+      number: pick(row, "number", "Number") ?? null,
+      key: pick(row, "key", "Key") ?? null,
+      lat: coordinate(pick(row, "lat", "Lat", "latitude", "Latitude") ?? lat),
+      lng: coordinate(pick(row, "lng", "Lng", "lon", "longitude", "Longitude") ?? lng),
+    };
+  });
+}
+
+module.exports = {
+  matchCatalog,
+  toLinkPlazas,
+  normalizePlazas,
+  describeInterchange,
+  describePlaza,
+  tokensOf,
+  directionOf,
+};
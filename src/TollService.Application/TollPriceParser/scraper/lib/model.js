@@ -0,0 +1,275 @@
+/**
+ * Компактная модель цен закрытой (билетной) системы вместо матрицы въезд × выезд
+ * (записи единого формата): N² цен заменяются тарифами участков и сборами развязок.
+ *
+ *   цена(A -> B) = сбор за въезд в A + сбор за выезд в B + сумма тарифов участков пути A -> B
+ *
+ * Путь — цепочка остановок топологии (lib/topology.js, routePaths). Модель подбирается
+ * методом наименьших квадратов отдельно для каждой матрицы: класс ТС, способ оплаты, период
+ * (schedule) и программа скидок. По одним ценам пар сборы и участки однозначно не разделить:
+ * если поднять на t тариф участка к развязке K и сбор за въезд в K, а тариф участка после K
+ * и сбор за выезд в K уменьшить на t, цены всех пар останутся прежними. Поэтому сборы
+ * штрафуются (feePenalty) и остаются ненулевыми, только когда участками цену не объяснить —
+ * плата за билет, барьер.
+ *
+ * Отклонение пары от модели — ошибка подбора; большое отклонение значит, что пару тарифицируют
+ * не так, как соседние. По модели же оцениваются пары без цены (ошибка запроса, нет записи).
+ */
+
+const MODEL_VERSION = "1.0.0";
+
+const DEFAULTS = {
+  // Штраф за ненулевые сборы въезда и выезда (на квадрат суммы в $)
+  feePenalty: 0.001,
+  // Отклонение пары от модели больше этой суммы ($) — в списке необычных пар
+  threshold: 0.5,
+};
+
+// Участки, которые всегда проходят вместе, по ценам не различить — небольшой штраф делит их поровну
+const SEGMENT_PENALTY = 1e-6;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+const matrixOf = (r) => ({
+  vehicle_class: r.vehicle_class,
+  payment_method: r.payment_method,
+  period: r.schedule ? r.schedule.period : null,
+  discount: r.discount || null,
+});
+const matrixKey = (m) => [m.vehicle_class, m.payment_method, m.period || "", m.discount || ""].join("|");
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+// Пути пар топологии: "entry|exit" -> { entry, exit, segments }
+function pathsOf(routes) {
+  return new Map(routes.map((r) => [`${r.entry}|${r.exit}`, r]));
+}
+
+/**
+ * Решение системы M x = b с симметричной положительно определённой M (разложение Холецкого).
+ * M — n×n построчно в Float64Array, портится.
+ */
+function solveSymmetric(M, b, n) {
+  for (let j = 0; j < n; j++) {
+    let d = M[j * n + j];
+    for (let k = 0; k < j; k++) d -= M[j * n + k] * M[j * n + k];
+    if (d <= 0) throw new Error("Система модели вырождена");
+    d = Math.sqrt(d);
+    M[j * n + j] = d;
+    for (let i = j + 1; i < n; i++) {
+      let s = M[i * n + j];
+      for (let k = 0; k < j; k++) s -= M[i * n + k] * M[j * n + k];
+      M[i * n + j] = s / d;
+    }
+  }
+
+  const x = Float64Array.from(b);
+  for (let i = 0; i < n; i++) {
+    for (let k = 0; k < i; k++) x[i] -= M[i * n + k] * x[k];
+    x[i] /= M[i * n + i];
+  }
+  for (let i = n - 1; i >= 0; i--) {
+    for (let k = i + 1; k < n; k++) x[i] -= M[k * n + i] * x[k];
+    x[i] /= M[i * n + i];
+  }
+  return x;
+}
+
+/**
+ * Подбор одной матрицы. observations — [{ route, amount }], route из routePaths.
+ * @returns {{ segments: object, entry_fees: object, exit_fees: object }}
+ */
+function fitMatrix(observations, { feePenalty = DEFAULTS.feePenalty } = {}) {
+  const index = new Map();
+  const penalties = [];
+  const unknown = (key, penalty) => {
+    if (!index.has(key)) {
+      index.set(key, index.size);
+      penalties.push(penalty);
+    }
+    return index.get(key);
+  };
+
+  const rows = observations.map(({ route, amount }) => ({
+    columns: [
+      ...route.segments.map((s) => unknown(`segment:${s}`, SEGMENT_PENALTY)),
+      unknown(`entry:${route.entry}`, feePenalty),
+      unknown(`exit:${route.exit}`, feePenalty),
+    ],
+    amount,
+  }));
+
+  // Нормальные уравнения (AᵀA + штрафы) x = Aᵀb; у строки A единицы в колонках пути и сборов
+  const n = index.size;
+  const M = new Float64Array(n * n);
+  const b = new Float64Array(n);
+  for (const { columns, amount } of rows) {
+    for (const i of columns) {
+      b[i] += amount;
+      for (const j of columns) M[i * n + j] += 1;
+    }
+  }
+  penalties.forEach((penalty, i) => (M[i * n + i] += penalty));
+
+  const x = solveSymmetric(M, b, n);
+  const model = { segments: {}, entry_fees: {}, exit_fees: {} };
+  for (const [key, i] of index) {
+    const [kind, id] = [key.slice(0, key.indexOf(":")), key.slice(key.indexOf(":") + 1)];
+    const value = round4(x[i]);
+    if (kind === "segment") model.segments[id] = value;
+    // Сборы меньше цента — след штрафа, а не плата: в модель не попадают
+    else if (Math.abs(value) >= 0.005) model[kind === "entry" ? "entry_fees" : "exit_fees"][id] = value;
+  }
+  return model;
+}
+
+/**
+ * Цена пары по модели матрицы; null — на пути есть участок, которого в подборе не было.
+ */
+function predictAmount(matrix, route) {
+  let amount = (matrix.entry_fees[route.entry] || 0) + (matrix.exit_fees[route.exit] || 0);
+  for (const segment of route.segments) {
+    if (!(segment in matrix.segments)) return null;
+    amount += matrix.segments[segment];
+  }
+  return round2(amount);
+}
+
+// Цены для подбора: у пары берётся первая запись с тарифом (MA в старых выгрузках даёт оба направления)
+function pricedByPair(records) {
+  const priced = new Map();
+  for (const r of records) {
+    const key = `${r.entry_id}|${r.exit_id}`;
+    if (r.status === "ok" && typeof r.amount === "number" && !priced.has(key)) priced.set(key, r);
+  }
+  return priced;
+}
+
+/**
+ * Модель по записям выгрузки: по матрице на класс ТС, способ оплаты, период и скидку.
+ * Пары, которых нет в топологии, в подбор не входят (unmodeled).
+ */
+function fitModel({ state, road, source = null }, records, routes, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const paths = pathsOf(routes);
+  const matrices = [];
+  let unmodeled = 0;
+
+  for (const group of groupBy(records, (r) => matrixKey(matrixOf(r))).values()) {
+    const observations = [];
+    for (const [pair, r] of pricedByPair(group)) {
+      if (paths.has(pair)) observations.push({ route: paths.get(pair), amount: r.amount });
+      else unmodeled++;
+    }
+    if (!observations.length) continue;
+
+    matrices.push({ ...matrixOf(group[0]), pairs: observations.length, ...fitMatrix(observations, settings) });
+  }
+
+  return {
+    model_version: MODEL_VERSION,
+    state,
+    road,
+    source,
+    generated_at: new Date().toISOString(),
+    fee_penalty: settings.feePenalty,
+    unmodeled_pairs: unmodeled,
+    matrices,
+  };
+}
+
+// Сколько чисел хранит модель — для сравнения с числом пар матрицы
+function modelSize(matrix) {
+  return (
+    Object.keys(matrix.segments).length + Object.keys(matrix.entry_fees).length + Object.keys(matrix.exit_fees).length
+  );
+}
+
+/**
+ * Сверка выгрузки с моделью (своей или подобранной раньше):
+ *  - errors — отклонение каждой пары с ценой от модели, по убыванию;
+ *  - unusual — пары с отклонением больше threshold;
+ *  - predictions — пары топологии без цены (ошибка, no_rate, нет записи) с оценкой по модели.
+ */
+function evaluateModel(model, records, routes, options = {}) {
+  const { threshold } = { ...DEFAULTS, ...options };
+  const paths = pathsOf(routes);
+  const groups = groupBy(records, (r) => matrixKey(matrixOf(r)));
+
+  const matrices = model.matrices.map((matrix) => {
+    const group = groups.get(matrixKey(matrix)) || [];
+    const priced = pricedByPair(group);
+    const context = { vehicle_class: matrix.vehicle_class, payment_method: matrix.payment_method };
+
+    const errors = [];
+    for (const [pair, r] of priced) {
+      const predicted = paths.has(pair) ? predictAmount(matrix, paths.get(pair)) : null;
+      if (predicted === null) continue;
+      errors.push({ entry_id: r.entry_id, exit_id: r.exit_id, amount: r.amount, predicted, error: round2(r.amount - predicted) });
+    }
+    errors.sort((a, b) => Math.abs(b.error) - Math.abs(a.error));
+
+    const statusOf = new Map(group.map((r) => [`${r.entry_id}|${r.exit_id}`, r.status]));
+    const predictions = [];
+    for (const [pair, route] of paths) {
+      if (priced.has(pair)) continue;
+      const predicted = predictAmount(matrix, route);
+      if (predicted === null) continue;
+      predictions.push({ entry_id: route.entry, exit_id: route.exit, status: statusOf.get(pair) || "missing", predicted });
+    }
+
+    const squares = errors.reduce((sum, e) => sum + e.error * e.error, 0);
+    return {
+      ...context,
+      period: matrix.period,
+      discount: matrix.discount,
+      pairs: errors.length,
+      parameters: modelSize(matrix),
+      rmse: errors.length ? round4(Math.sqrt(squares / errors.length)) : null,
+      max_error: errors.length ? Math.abs(errors[0].error) : null,
+      unusual: errors.filter((e) => Math.abs(e.error) > threshold).map((e) => ({ ...context, ...e })),
+      predictions,
+      errors,
+    };
+  });
+
+  return {
+    state: model.state,
+    road: model.road,
+    generated_at: new Date().toISOString(),
+    threshold,
+    matrices,
+  };
+}
+
+function formatModelReport({ state, road, threshold, matrices }, { limit = 20 } = {}) {
+  const lines = [`Модель участков ${state} ${road}: ${matrices.length} матриц, порог отклонения $${threshold}`];
+  for (const m of matrices) {
+    const name = [`класс ${m.vehicle_class}`, m.payment_method, m.period, m.discount].filter(Boolean).join(", ");
+    lines.push(
+      `  ${name}: ${m.pairs} пар -> ${m.parameters} чисел, RMSE $${m.rmse ?? "—"}, ` +
+        `максимум $${m.max_error ?? "—"}, необычных ${m.unusual.length}, оценено без цены ${m.predictions.length}`
+    );
+  }
+
+  const unusual = matrices.flatMap((m) => m.unusual).sort((a, b) => Math.abs(b.error) - Math.abs(a.error));
+  for (const u of unusual.slice(0, limit)) {
+    lines.push(
+      `  [unusual] класс ${u.vehicle_class}, ${u.payment_method}: ${u.entry_id} -> ${u.exit_id} ` +
+        `$${u.amount} при модели $${u.predicted} (${u.error > 0 ? "+" : ""}${u.error})`
+    );
+  }
+  if (unusual.length > limit) lines.push(`  ... и ещё ${unusual.length - limit}`);
+  return lines.join("\n");
+}
+
+module.exports = { MODEL_VERSION, DEFAULTS, fitModel, fitMatrix, predictAmount, evaluateModel, formatModelReport };
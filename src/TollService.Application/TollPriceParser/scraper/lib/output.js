@@ -0,0 +1,74 @@
+/**
+ * Запись результатов прогона: файлы для C# по классам (формат target.format) и рядом
+ * единый формат *.canonical.json. Общая для run.js и fold.js — файл, собранный из потока
+ * результатов, не отличается от записанного сразу после прогона.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const { PARSER_ROOT } = require("../registry");
+
+// Поля, которые добавляются в файлы вручную и должны пережить перезапись
+const PRESERVED_FIELDS = ["link", "payment_methods"];
+
+function readExisting(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// Файл в едином формате лежит рядом с файлом для C#: 301.json -> 301.canonical.json
+function canonicalPath(file) {
+  return file.slice(0, file.length - path.extname(file).length) + ".canonical.json";
+}
+
+function writeJson(file, document) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(document, null, 2) + "\n");
+}
+
+function writeOutput(file, document) {
+  const existing = readExisting(file);
+  if (existing && !Array.isArray(existing) && !Array.isArray(document)) {
+    for (const field of PRESERVED_FIELDS) {
+      if (existing[field] !== undefined && document[field] === undefined) {
+        document[field] = existing[field];
+      }
+    }
+  }
+
+  writeJson(file, document);
+}
+
+/**
+ * Файлы для C# по классам: { класс: выход скрипта } -> пути записанных файлов.
+ * out — свой путь вместо target.output (только для одного класса).
+ */
+function writeOutputs(target, outputs, { out = null } = {}) {
+  return Object.entries(outputs).map(([cls, output]) => {
+    const document = target.format ? target.format(output) : output;
+    const file = path.resolve(out || path.join(PARSER_ROOT, target.output({ vehicleClass: Number(cls) })));
+    writeOutput(file, document);
+    return file;
+  });
+}
+
+/**
+ * Куда писать единый формат: рядом с файлом класса, а при нескольких классах (или --class all) —
+ * общий <id>.canonical.json в той же папке.
+ */
+function canonicalFileOf(target, files, { singleClass = files.length === 1 } = {}) {
+  return singleClass
+    ? canonicalPath(files[0])
+    : path.join(path.dirname(files[0]), `${target.id}.canonical.json`);
+}
+
+module.exports = {
+  canonicalPath,
+  canonicalFileOf,
+  writeJson,
+  writeOutput,
+  writeOutputs,
+};
@@ -0,0 +1,41 @@
+/**
+ * Загрузка результатов парсера как записей единого формата — и из *.canonical.json,
+ * и из уже закоммиченных файлов для C# (responceAxel5.json, turnpike_prices.json и т.п.).
+ */
+const fs = require("fs");
+
+const { loadScript } = require("../registry");
+
+/**
+ * @param {string} file
+ * @param {{ target?: object, vehicleClass?: number }} options
+ *   target обязателен для файлов старого формата — по нему выбирается преобразование;
+ *   без vehicleClass класс берётся из имени файла (target.classOf), иначе target.defaultClass
+ * @returns {{ state: string, road: string, records: object[], provenance: object[] }}
+ */
+function loadRecords(file, { target, vehicleClass } = {}) {
+  const document = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  if (document && document.schema_version) {
+    return {
+      state: document.state,
+      road: document.road,
+      records: document.records,
+      provenance: document.provenance || [],
+    };
+  }
+
+  if (!target) {
+    throw new Error(`${file}: файл не в едином формате, укажите --target`);
+  }
+
+  const records = target.fromLegacy(
+    document,
+    { vehicleClass: vehicleClass || (target.classOf && target.classOf(file)) || target.defaultClass },
+    loadScript(target)
+  );
+  // Файлы для C# с provenance — у выгрузок после версии 1.4.0 схемы
+  return { state: target.stateCode, road: target.road, records, provenance: [].concat(document.provenance || []) };
+}
+
+module.exports = { loadRecords };
@@ -0,0 +1,154 @@
+/**
+ * Общее для скриптов штатов: provenance выгрузки (когда, откуда и какой версией скрипта получены цены)
+ * и поток результатов прогона.
+ *
+ * Код выполняется и в Node, и в браузере, поэтому без require и API Node. В Node скрипт штата
+ * подключает этот файл сам; в браузер его приносят сборки scraper/console.js и
+ * scraper/userscript.js (SCRAPER_RUNTIME перед скриптом штата).
+ */
+
+const EFFECTIVE_DATE =
+  /effective(?:[\s_-]*date)?(?:\s|&nbsp;|<[^>]+>|["':=]|as of|from)*(\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}\/\d{4}|[a-z]{3,9}\.?\s+\d{1,2},?\s+\d{4})/i;
+
+/**
+ * Дата вступления тарифов в силу, если калькулятор её показывает:
+ * "Effective January 1, 2025", "rates effective 01/05/2025", "EffectiveDate":"2025-01-05" -> "2025-01-05".
+ */
+function effectiveDateOf(text) {
+  const match = EFFECTIVE_DATE.exec(text);
+  if (!match) return null;
+
+  const value = match[1];
+  if (/^\d{4}-/.test(value)) return value;
+  const pad = (n) => String(n).padStart(2, "0");
+  const numeric = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+  if (numeric) return `${numeric[3]}-${pad(numeric[1])}-${pad(numeric[2])}`;
+
+  const [, name, day, year] = /^([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})$/i.exec(value);
+  const month = "janfebmaraprmayjunjulaugsepoctnovdec".indexOf(name.toLowerCase());
+  return month % 3 === 0 ? `${year}-${pad(month / 3 + 1)}-${pad(day)}` : null;
+}
+
+async function sha256(text) {
+  const digest = await globalThis.crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Возвращённый fetch запоминает каждый ответ — запрос, статус и SHA-256 сырого текста —
+ * и ищет в нём дату вступления тарифов в силу. Ответы, взятые из контрольной точки,
+ * заново не запрашиваются и в responses не попадают.
+ * script, scraper_version — путь и версия скрипта штата (версия поднимается при каждой правке
+ * разбора ответов калькулятора); bodyOf — тело запроса для responses.
+ */
+function trackProvenance(fetch, { script, scraper_version, source, parameters, bodyOf = String }) {
+  const provenance = {
+    script,
+    scraper_version,
+    source,
+    parameters,
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    effective_date: null,
+    responses: [],
+  };
+
+  async function trackedFetch(url, init = {}) {
+    const response = await fetch(url, init);
+    const text = await response.clone().text();
+    provenance.effective_date = provenance.effective_date || effectiveDateOf(text);
+    provenance.responses.push({
+      method: init.method || "GET",
+      url: String(url),
+      body: init.body === undefined ? null : bodyOf(init.body),
+      status: response.status,
+      sha256: await sha256(text),
+    });
+    return response;
+  }
+
+  const finish = () => {
+    provenance.finished_at = new Date().toISOString();
+    return provenance;
+  };
+
+  return { fetch: trackedFetch, finish };
+}
+
+/**
+ * Поток результатов в браузере вместо одного огромного console.log: каждое событие прогона
+ * (start, row, end — формат в scraper/lib/stream.js) — строка NDJSON, строки только дописываются.
+ * download() в любой момент скачивает собранное: <name>.ndjson и <name>.summary.json
+ * (строки по статусам и классам, первые ошибки, время); close() — то же в конце прогона.
+ * Файл для C# из потока собирает scraper/fold.js. В Node поток передаёт scraper/run.js.
+ */
+function createResultStream(name) {
+  const lines = [];
+  const summary = { started_at: null, finished_at: null, duration_s: null, classes: {}, failures: [], failures_total: 0 };
+
+  const save = (fileName, parts, type) => {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob(parts, { type }));
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  };
+
+  return {
+    write(event) {
+      lines.push(JSON.stringify(event) + "\n");
+
+      const counts = (summary.classes[event.vehicle_class] = summary.classes[event.vehicle_class] || {
+        routes: null,
+        rows: 0,
+        ok: 0,
+        no_rate: 0,
+        error: 0,
+        finished: false,
+      });
+      if (event.type === "start") {
+        summary.started_at = summary.started_at || event.at;
+        counts.routes = event.routes;
+      } else if (event.type === "row") {
+        counts.rows++;
+        counts[event.status]++;
+        if (event.status === "error" && summary.failures_total++ < 100) {
+          summary.failures.push({ vehicle_class: event.vehicle_class, row: event.row });
+        }
+      } else if (event.type === "end") {
+        counts.finished = true;
+      }
+    },
+    download() {
+      const now = new Date();
+      summary.finished_at = now.toISOString();
+      summary.duration_s = summary.started_at ? Math.round((now - new Date(summary.started_at)) / 100) / 10 : null;
+      save(`${name}.ndjson`, lines, "application/x-ndjson");
+      save(`${name}.summary.json`, [JSON.stringify({ stream: `${name}.ndjson`, ...summary }, null, 2)], "application/json");
+    },
+    close() {
+      this.download();
+    },
+  };
+}
+
+/**
+ * События прогона одного класса ТС в поток (stream — createResultStream или поток scraper/run.js);
+ * без потока ничего не пишется. Статус строки — по её записям единого формата:
+ * recordsOf(rows) — записи скрипта штата по строкам этого класса.
+ */
+function classStream(stream, vehicleClass, { script, parameters = {}, recordsOf }) {
+  const write = (type, fields) => stream && stream.write({ type, vehicle_class: vehicleClass, ...fields });
+  const statusOf = (records) =>
+    records.some((r) => r.status === "error") ? "error" : records.some((r) => r.status === "ok") ? "ok" : "no_rate";
+
+  return {
+    start: (routes) => write("start", { script, routes, parameters, at: new Date().toISOString() }),
+    rows: (rows) => rows.forEach((row) => write("row", { status: statusOf(recordsOf([row])), row })),
+    end: (provenance) => write("end", { provenance, at: new Date().toISOString() }),
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { effectiveDateOf, sha256, trackProvenance, createResultStream, classStream };
+}
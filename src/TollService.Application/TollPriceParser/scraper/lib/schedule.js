@@ -0,0 +1,95 @@
+/**
+ * Цены, зависящие от времени суток и программ скидок (schema 1.2.0: поля schedule и discount записи).
+ *
+ * schedule записи — когда действует её цена:
+ *
+ *   { "period": "peak", "timezone": "America/New_York",
+ *     "windows": [{ "days": ["mon", "tue", "wed", "thu", "fri"], "start": "07:00", "end": "09:00" }] }
+ *
+ * Окно — полуинтервал [start, end) в местном времени дороги, end может быть "24:00".
+ * Способ оплаты такой записи — <базовый способ>_<period> (ez_pass_peak, ez_pass_off_peak),
+ * поэтому на вопрос «сколько стоит E-ZPass во вторник в 07:30» отвечает priceAt с paymentMethod "ez_pass".
+ * schedule = null (или поля нет) — цена действует в любое время.
+ *
+ * discount — программа скидок, с которой калькулятор посчитал цену (senior, green); null — без скидки.
+ */
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// "07:30" -> 450
+function toMinutes(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+  if (!match) throw new Error(`Время должно быть в формате HH:MM: ${time}`);
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * День недели и минуты от полуночи в часовом поясе дороги.
+ * at — Date или { day: "tue", time: "07:30" } (уже местное время).
+ */
+function localMoment(at, timezone) {
+  if (!(at instanceof Date)) {
+    const day = String(at.day).toLowerCase().slice(0, 3);
+    if (!DAYS.includes(day)) throw new Error(`Неизвестный день недели: ${at.day}`);
+    return { day, minutes: toMinutes(at.time) };
+  }
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(at)
+      .map((p) => [p.type, p.value])
+  );
+  return { day: parts.weekday.toLowerCase(), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+/**
+ * Действует ли расписание в момент at. Без расписания — всегда.
+ */
+function isActive(schedule, at) {
+  if (!schedule) return true;
+  const { day, minutes } = localMoment(at, schedule.timezone);
+  return schedule.windows.some(
+    (w) => w.days.includes(day) && minutes >= toMinutes(w.start) && minutes < toMinutes(w.end)
+  );
+}
+
+const paysWith = (r, paymentMethod) =>
+  r.payment_method === paymentMethod ||
+  Boolean(r.schedule && r.payment_method === `${paymentMethod}_${r.schedule.period}`);
+
+/**
+ * Цена проезда entry -> exit в момент at.
+ *
+ * @param {object[]} records — записи единого формата
+ * @param {object} query
+ *   entry, exit — id въезда и выезда; vehicleClass — класс ТС калькулятора;
+ *   paymentMethod — cash, ez_pass (пиковая/внепиковая запись выбирается по времени) или точный способ;
+ *   at — Date или { day, time } в местном времени; discount — программа скидок или null.
+ *   Если по программе скидок цены нет (наличные), берётся цена без скидки.
+ * @returns {object|null} запись со status "ok" или null
+ */
+function priceAt(records, { entry, exit, vehicleClass, paymentMethod, at, discount = null }) {
+  const candidates = records.filter(
+    (r) =>
+      r.status === "ok" &&
+      r.entry_id === entry &&
+      r.exit_id === exit &&
+      (vehicleClass === undefined || r.vehicle_class === String(vehicleClass)) &&
+      paysWith(r, paymentMethod) &&
+      isActive(r.schedule, at)
+  );
+
+  const withDiscount = (name) => candidates.filter((r) => (r.discount || null) === name);
+  const matching = discount && withDiscount(discount).length ? withDiscount(discount) : withDiscount(null);
+
+  // Запись с расписанием точнее записи, которая действует всегда
+  return matching.find((r) => r.schedule) || matching[0] || null;
+}
+
+module.exports = { DAYS, isActive, priceAt };
@@ -0,0 +1,214 @@
+/**
+ * Общий планировщик запросов для всех парсеров: оборачивает fetch и
+ *  - ограничивает число одновременных запросов к одному хосту;
+ *  - повторяет запрос при сетевой ошибке, 429 и 5xx с экспоненциальной задержкой и джиттером,
+ *    а если сервер прислал Retry-After — ждёт столько, сколько он просит;
+ *  - сам сбавляет темп, когда доля ошибок по хосту растёт (меньше параллельных запросов,
+ *    пауза между стартами), и постепенно возвращается к исходному, когда ошибки уходят.
+ *
+ * Скрипты штатов своих пауз в Node не делают (run.js передаёт pauseMs: 0) — темп задаёт
+ * только планировщик. Если все попытки исчерпаны, сетевая ошибка пробрасывается,
+ * а ответ 429/5xx возвращается как есть — скрипт запишет маршрут с ошибкой.
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+/**
+ * Retry-After: число секунд или HTTP-дата. Возвращает задержку в мс или null.
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Задержка перед попыткой attempt (с 1): base * 2^(attempt-1), не больше max,
+ * половина — случайная, чтобы параллельные повторы не приходили одновременно.
+ */
+function backoffDelay(attempt, { baseDelay, maxDelay, random = Math.random }) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return delay / 2 + random() * (delay / 2);
+}
+
+/**
+ * Ограничитель одного хоста. limit и interval меняются на ходу по доле ошибок
+ * в последних window ответах.
+ */
+function createHostLimiter({ concurrency, window, slowdownAt, recoverAt, maxInterval, now, wait }) {
+  const state = {
+    limit: concurrency,
+    interval: 0,
+    active: 0,
+    nextStart: 0,
+    slowdowns: 0,
+  };
+  const waiting = [];
+  let outcomes = [];
+
+  async function acquire() {
+    while (state.active >= state.limit) {
+      await new Promise((resolve) => waiting.push(resolve));
+    }
+    state.active++;
+
+    // Пауза между стартами запросов появляется только после замедления
+    const start = Math.max(now(), state.nextStart);
+    state.nextStart = start + state.interval;
+    if (start > now()) await wait(start - now());
+  }
+
+  function release() {
+    state.active--;
+    const next = waiting.shift();
+    if (next) next();
+  }
+
+  // Retry-After относится ко всему хосту: следующие запросы тоже ждут
+  function pauseUntil(time) {
+    state.nextStart = Math.max(state.nextStart, time);
+  }
+
+  /**
+   * Учитывает исход запроса. Возвращает "slowdown"/"recover", если темп изменился.
+   */
+  function record(failed) {
+    outcomes.push(failed);
+    if (outcomes.length < window) return null;
+
+    const rate = outcomes.filter(Boolean).length / outcomes.length;
+    outcomes = [];
+
+    if (rate >= slowdownAt) {
+      state.limit = Math.max(1, Math.floor(state.limit / 2));
+      state.interval = Math.min(maxInterval, Math.max(250, state.interval * 2));
+      state.slowdowns++;
+      return "slowdown";
+    }
+
+    if (rate <= recoverAt && (state.limit < concurrency || state.interval > 0)) {
+      state.limit = Math.min(concurrency, state.limit + 1);
+      state.interval = state.interval <= 250 ? 0 : state.interval / 2;
+      // Лимит вырос — будим ожидающих, они сами перепроверят условие в acquire
+      for (let free = state.limit - state.active; free > 0 && waiting.length; free--) waiting.shift()();
+      return "recover";
+    }
+
+    return null;
+  }
+
+  return { state, acquire, release, record, pauseUntil };
+}
+
+/**
+ * @param {typeof fetch} fetch
+ * @param {object} options
+ *   concurrency — одновременных запросов на хост (по умолчанию 4);
+ *   retries — повторов после первой попытки (4);
+ *   baseDelay / maxDelay — границы экспоненциальной задержки, мс;
+ *   window — по скольким последним ответам считать долю ошибок (20);
+ *   slowdownAt / recoverAt — доля ошибок, при которой замедляемся / разгоняемся обратно;
+ *   origin — от него считаются относительные URL (IN: /wp-admin/admin-ajax.php);
+ *   log — куда писать о повторах и замедлениях.
+ * @returns {typeof fetch & { stats: () => object }}
+ */
+function createScheduledFetch(
+  fetch,
+  {
+    concurrency = 4,
+    retries = 4,
+    baseDelay = 500,
+    maxDelay = 30000,
+    window = 20,
+    slowdownAt = 0.2,
+    recoverAt = 0.05,
+    maxInterval = 5000,
+    origin,
+    log = () => {},
+    random = Math.random,
+    now = Date.now,
+    wait = sleep,
+  } = {}
+) {
+  const hosts = new Map();
+  const counters = new Map();
+
+  const hostOf = (input) => new URL(String(input), origin).host;
+
+  function limiterFor(host) {
+    if (!hosts.has(host)) {
+      hosts.set(host, createHostLimiter({ concurrency, window, slowdownAt, recoverAt, maxInterval, now, wait }));
+      counters.set(host, { requests: 0, retries: 0, failed: 0 });
+    }
+    return hosts.get(host);
+  }
+
+  async function scheduledFetch(input, init = {}) {
+    const host = hostOf(input);
+    const limiter = limiterFor(host);
+    const counter = counters.get(host);
+
+    for (let attempt = 0; ; attempt++) {
+      await limiter.acquire();
+      counter.requests++;
+
+      let response = null;
+      let error = null;
+      try {
+        response = await fetch(input, init);
+      } catch (e) {
+        error = e;
+      } finally {
+        limiter.release();
+      }
+
+      const failed = error !== null || isRetryableStatus(response.status);
+      const change = limiter.record(failed);
+      if (change === "slowdown") {
+        log(`${host}: много ошибок — не больше ${limiter.state.limit} запросов сразу, пауза ${limiter.state.interval} мс`);
+      } else if (change === "recover") {
+        log(`${host}: ошибок меньше — до ${limiter.state.limit} запросов сразу, пауза ${limiter.state.interval} мс`);
+      }
+
+      if (!failed) return response;
+
+      if (attempt >= retries) {
+        counter.failed++;
+        if (error) throw error;
+        return response;
+      }
+
+      counter.retries++;
+      const retryAfter = response ? parseRetryAfter(response.headers.get("retry-after"), now()) : null;
+      // Непрочитанное тело держит соединение undici занятым всю задержку
+      if (response) await response.body?.cancel();
+      if (retryAfter !== null) limiter.pauseUntil(now() + retryAfter);
+      const delay = retryAfter ?? backoffDelay(attempt + 1, { baseDelay, maxDelay, random });
+      log(
+        `${host}: ${error ? error.message : `HTTP ${response.status}`}, ` +
+          `повтор ${attempt + 1}/${retries} через ${Math.round(delay)} мс`
+      );
+      await wait(delay);
+    }
+  }
+
+  scheduledFetch.stats = () =>
+    Object.fromEntries(
+      [...counters].map(([host, counter]) => [
+        host,
+        {
+          ...counter,
+          slowdowns: hosts.get(host).state.slowdowns,
+          concurrency: hosts.get(host).state.limit,
+        },
+      ])
+    );
+
+  return scheduledFetch;
+}
+
+module.exports = { createScheduledFetch, parseRetryAfter, backoffDelay };
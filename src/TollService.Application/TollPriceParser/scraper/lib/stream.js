@@ -0,0 +1,159 @@
+/**
+ * Поток результатов NDJSON: скрипты штатов пишут каждое событие прогона отдельной строкой,
+ * как только оно произошло, — без одного огромного JSON в конце. Файл только дописывается,
+ * поэтому после падения в нём остаётся всё, что успели собрать.
+ *
+ *   { "type": "start", "vehicle_class": 6, "script": "...", "routes": 15252, "parameters": {...}, "at": "..." }
+ *   { "type": "row", "vehicle_class": 6, "status": "ok" | "no_rate" | "error", "row": { ...строка скрипта } }
+ *   { "type": "end", "vehicle_class": 6, "provenance": {...}, "at": "..." }
+ *
+ * Рядом пишется <поток>.summary.json: сколько строк каждого статуса по классам, первые ошибки и время.
+ * Файл для C# из потока собирает scraper/fold.js — тем же outputOf / recordsOf скрипта, что и run.js.
+ * В браузере то же самое делает createResultStream (scraper/lib/runtime.js).
+ */
+const fs = require("fs");
+
+// В сводку попадают первые ошибки, остальные только считаются
+const FAILURES_LIMIT = 100;
+
+function summaryPath(file) {
+  return file.replace(/\.ndjson$/i, "") + ".summary.json";
+}
+
+/**
+ * Сводка потока, которая обновляется по мере событий.
+ */
+function createSummary() {
+  const summary = {
+    started_at: null,
+    finished_at: null,
+    duration_s: null,
+    classes: {},
+    failures: [],
+    failures_total: 0,
+  };
+
+  function add(event) {
+    const cls = String(event.vehicle_class);
+    if (!summary.classes[cls]) {
+      summary.classes[cls] = { routes: null, rows: 0, ok: 0, no_rate: 0, error: 0, finished: false };
+    }
+    const counts = summary.classes[cls];
+
+    if (event.type === "start") {
+      summary.started_at = summary.started_at || event.at;
+      counts.routes = event.routes ?? null;
+    } else if (event.type === "row") {
+      counts.rows++;
+      counts[event.status] = (counts[event.status] || 0) + 1;
+      if (event.status === "error") {
+        summary.failures_total++;
+        if (summary.failures.length < FAILURES_LIMIT) {
+          summary.failures.push({ vehicle_class: event.vehicle_class, row: event.row });
+        }
+      }
+    } else if (event.type === "end") {
+      counts.finished = true;
+      summary.finished_at = event.at;
+    }
+  }
+
+  function finish(at = new Date()) {
+    summary.finished_at = at.toISOString();
+    if (summary.started_at) {
+      summary.duration_s = Math.round((at - new Date(summary.started_at)) / 100) / 10;
+    }
+    return summary;
+  }
+
+  return { add, finish, summary };
+}
+
+/**
+ * Поток в файл для scraper/run.js: write(event) — строка сразу на диск, close() — сводка.
+ * Каждый прогон начинает файл заново; пары из контрольной точки скрипт пишет в поток ещё раз.
+ */
+function createNdjsonStream(file) {
+  const fd = fs.openSync(file, "w");
+  const summary = createSummary();
+  let closed = false;
+
+  return {
+    file,
+    write(event) {
+      fs.writeSync(fd, JSON.stringify(event) + "\n");
+      summary.add(event);
+    },
+    close() {
+      if (closed) return summary.summary;
+      closed = true;
+      fs.closeSync(fd);
+      const result = { stream: file, ...summary.finish() };
+      fs.writeFileSync(summaryPath(file), JSON.stringify(result, null, 2) + "\n");
+      return result;
+    },
+  };
+}
+
+/**
+ * Разбор потока. Последняя строка, оборванная падением, пропускается (truncated: true);
+ * битая строка в середине — ошибка с номером строки.
+ */
+function readStream(text) {
+  const lines = text.split("\n");
+  const events = [];
+  let truncated = false;
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      events.push(JSON.parse(line));
+    } catch (error) {
+      if (index === lines.length - 1) truncated = true;
+      else throw new Error(`Строка ${index + 1} потока — не JSON: ${error.message}`);
+    }
+  });
+
+  return { events, truncated };
+}
+
+/**
+ * Сборка потока в результат прогона, как его вернул бы скрипт: { outputs, records, classes }.
+ * classes — по классам: строк, сколько пар было запланировано и дошёл ли прогон до конца.
+ * Если класс запускался несколько раз, берётся последний запуск.
+ */
+function foldStream(events, script) {
+  const runs = new Map();
+  for (const event of events) {
+    const cls = String(event.vehicle_class);
+    if (event.type === "start") {
+      runs.set(cls, { parameters: event.parameters || {}, routes: event.routes ?? null, rows: [], provenance: null });
+    } else if (event.type === "row") {
+      if (!runs.has(cls)) runs.set(cls, { parameters: {}, routes: null, rows: [], provenance: null });
+      runs.get(cls).rows.push(event.row);
+    } else if (event.type === "end" && runs.has(cls)) {
+      runs.get(cls).provenance = event.provenance || null;
+    }
+  }
+
+  const outputs = {};
+  const records = [];
+  const classes = {};
+  for (const [cls, run] of runs) {
+    const vehicleClass = Number(cls);
+    const context = { parameters: run.parameters, provenance: run.provenance };
+    outputs[cls] = script.outputOf(vehicleClass, run.rows, context);
+    records.push(...script.recordsOf(vehicleClass, run.rows, context));
+    classes[cls] = { rows: run.rows.length, routes: run.routes, finished: Boolean(run.provenance) };
+  }
+
+  return { outputs, records, classes };
+}
+
+module.exports = {
+  createSummary,
+  createNdjsonStream,
+  readStream,
+  foldStream,
+  summaryPath,
+};
@@ -0,0 +1,158 @@
+/**
+ * Топология дорог (scraper/topology/*.json) и генерация физически возможных пар въезд/выезд
+ * вместо полного перебора «каждый въезд × каждый выезд».
+ *
+ * Дорога описывается линиями — цепочками остановок в порядке движения в одну сторону:
+ *
+ *   { "id": "nb", "direction": "northbound", "stops": ["01", "02", { "entry": "121" }, ...],
+ *     "from": ["sb:14"], "to": ["nb:14"] }
+ *
+ * Остановка — строка (один и тот же id для въезда и выезда), объект
+ * { id?, name?, entry?, exit? } (нет entry — въезда в эту сторону нет; нет ни того, ни другого —
+ * просто развязка). На остановку ссылаются как "<линия>:<id | entry | exit>".
+ * from — откуда можно попасть в начало линии, to — куда ведёт её конец (ответвления, съезды
+ * на другую дорогу). Пара возможна, если выезд достижим из въезда по направлению движения;
+ * разворота нет, поэтому противоположные направления — разные линии.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const { PARSER_ROOT } = require("../registry");
+
+const stopKey = (stop) => (typeof stop === "string" ? stop : stop.id || stop.entry || stop.exit);
+
+function stopIds(stop) {
+  if (typeof stop === "string") return { entry: stop, exit: stop };
+  return { entry: stop.entry || null, exit: stop.exit || null };
+}
+
+const refs = (value) => (value === undefined ? [] : [].concat(value));
+
+/**
+ * Граф: узел — остановка конкретной линии, ребро — проезд к следующей остановке.
+ */
+function buildGraph(topology) {
+  const nodes = new Map();
+
+  for (const line of topology.lines) {
+    let previous = null;
+    for (const stop of line.stops) {
+      const key = `${line.id}:${stopKey(stop)}`;
+      if (nodes.has(key)) {
+        throw new Error(`${topology.road}: остановка ${key} встречается дважды`);
+      }
+      nodes.set(key, { key, ...stopIds(stop), next: new Set() });
+      if (previous) nodes.get(previous).next.add(key);
+      previous = key;
+    }
+  }
+
+  const node = (ref, line) => {
+    if (!nodes.has(ref)) {
+      throw new Error(`${topology.road}: линия ${line.id} ссылается на неизвестную остановку ${ref}`);
+    }
+    return nodes.get(ref);
+  };
+
+  for (const line of topology.lines) {
+    const first = `${line.id}:${stopKey(line.stops[0])}`;
+    const last = `${line.id}:${stopKey(line.stops[line.stops.length - 1])}`;
+    for (const ref of refs(line.from)) node(ref, line).next.add(first);
+    for (const ref of refs(line.to)) nodes.get(last).next.add(node(ref, line).key);
+  }
+
+  return nodes;
+}
+
+/**
+ * Все физически возможные пары без повторов, в порядке описания линий, и путь каждой:
+ * { entry, exit, segments } — участки "<узел>><узел>" (например "eb:9>eb:10") от въезда
+ * до выезда по кратчайшей цепочке остановок. Один id въезда бывает на линиях обоих
+ * направлений, а через развязку можно развернуться, поэтому путь выбирается кратчайший
+ * из всех остановок с этим въездом.
+ */
+function routePaths(topology) {
+  const nodes = buildGraph(topology);
+  const seen = new Map();
+  const routes = [];
+
+  for (const start of nodes.values()) {
+    if (!start.entry) continue;
+
+    const previous = new Map([[start.key, null]]);
+    const queue = [start.key];
+    while (queue.length) {
+      const key = queue.shift();
+      const { exit, next } = nodes.get(key);
+      const pair = `${start.entry}|${exit}`;
+      if (key !== start.key && exit && exit !== start.entry) {
+        const segments = [];
+        for (let at = key; previous.get(at) !== null; at = previous.get(at)) {
+          segments.unshift(`${previous.get(at)}>${at}`);
+        }
+        if (!seen.has(pair)) {
+          seen.set(pair, { entry: start.entry, exit, segments });
+          routes.push(seen.get(pair));
+        } else if (segments.length < seen.get(pair).segments.length) {
+          seen.get(pair).segments = segments;
+        }
+      }
+      for (const to of next) {
+        if (!previous.has(to)) {
+          previous.set(to, key);
+          queue.push(to);
+        }
+      }
+    }
+  }
+
+  return routes;
+}
+
+/**
+ * Все физически возможные пары { entry, exit } без повторов, в порядке описания линий.
+ */
+function generateRoutes(topology) {
+  return routePaths(topology).map(({ entry, exit }) => ({ entry, exit }));
+}
+
+/**
+ * Все id въездов и выездов, встречающиеся в топологии.
+ */
+function topologyIds(topology) {
+  const entries = new Set();
+  const exits = new Set();
+  for (const line of topology.lines) {
+    for (const stop of line.stops) {
+      const { entry, exit } = stopIds(stop);
+      if (entry) entries.add(entry);
+      if (exit) exits.add(exit);
+    }
+  }
+  return { entries, exits };
+}
+
+/**
+ * Какой остановке соответствует id въезда и выезда. У DE и MA это разные id одной развязки
+ * (122/125, Entry_6/Exit_6) — по ним проверка цен сопоставляет A -> B и B -> C.
+ * Неизвестный id возвращается как есть.
+ */
+function pointsOf(topology) {
+  const entries = new Map();
+  const exits = new Map();
+  for (const line of topology.lines) {
+    for (const stop of line.stops) {
+      const { entry, exit } = stopIds(stop);
+      if (entry && !entries.has(entry)) entries.set(entry, stopKey(stop));
+      if (exit && !exits.has(exit)) exits.set(exit, stopKey(stop));
+    }
+  }
+  return { entry: (id) => entries.get(id) ?? id, exit: (id) => exits.get(id) ?? id };
+}
+
+function loadTopology(target) {
+  if (!target.topology) return null;
+  return JSON.parse(fs.readFileSync(path.join(PARSER_ROOT, target.topology), "utf8"));
+}
+
+module.exports = { generateRoutes, routePaths, loadTopology, pointsOf, topologyIds };
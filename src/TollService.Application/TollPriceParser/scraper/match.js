@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * Сопоставление развязок калькулятора с нашими плазами (lib/match.js) — файл на проверку
+ * перед link-командами (LinkNewJerseyTollsCommand, LinkMarylandTollsCommand и т.п.).
+ *
+ *   node scraper/match.js <плазы.json> --target nj [--catalog каталог.json] [--road "New Jersey Turnpike"]
+ *                         [--out сопоставление.json] [--links плазы-для-link.json] [--threshold 0.75]
+ *
+ * Плазы — выгрузка "Tolls" массивом [{ Id, Name, Number, Key, Road, Latitude, Longitude }]
+ * (подходят и id/name/lat/lng). Каталог — { entries, exits } или массив [{ id, label }];
+ * по умолчанию — последний известный каталог цели (scraper/catalogs/<id>.json или встроенный список).
+ *
+ * --out — сопоставление: matched с оценкой и причинами, ambiguous с кандидатами, unmatched.
+ * --links — только уверенные совпадения в формате плаз link-команд: [{ id, name, lat, lng }].
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const { findTarget, loadScript } = require("./registry");
+const { loadKnownCatalog } = require("./lib/catalog");
+const { matchCatalog, toLinkPlazas, normalizePlazas } = require("./lib/match");
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function formatSummary(mapping) {
+  const name = (item) => (item.label ? `${item.id} (${item.label})` : item.id);
+  const lines = [
+    `${mapping.summary.total} развязок: ${mapping.summary.matched} сопоставлено, ` +
+      `${mapping.summary.ambiguous} неоднозначно, ${mapping.summary.unmatched} не найдено`,
+  ];
+  for (const item of mapping.ambiguous) {
+    const candidates = item.candidates.map((c) => `${c.plaza.name} ${c.confidence}`).join("; ");
+    lines.push(`  ? ${name(item)}: ${candidates}`);
+  }
+  for (const item of mapping.unmatched) lines.push(`  - ${name(item)}`);
+  return lines.join("\n");
+}
+
+function usage() {
+  return [
+    "Использование: node scraper/match.js <плазы.json> --target id [--catalog каталог.json] [--road имя]",
+    "                                     [--out файл] [--links файл] [--threshold 0.75]",
+  ].join("\n");
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      target: { type: "string" },
+      catalog: { type: "string" },
+      road: { type: "string" },
+      out: { type: "string" },
+      links: { type: "string" },
+      threshold: { type: "string", default: "0.75" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(usage());
+    return 0;
+  }
+
+  if (positionals.length !== 1 || !values.target) {
+    console.error(usage());
+    return 1;
+  }
+
+  const target = findTarget(values.target);
+  if (!target) {
+    console.error(`Неизвестная цель: ${values.target}`);
+    return 1;
+  }
+
+  let catalog;
+  let catalogSource;
+  if (values.catalog) {
+    const loaded = readJson(values.catalog);
+    catalog = Array.isArray(loaded) ? { entries: loaded, exits: [] } : loaded;
+    catalogSource = path.basename(values.catalog);
+  } else {
+    ({ catalog, source: catalogSource } = loadKnownCatalog(target, loadScript(target)));
+  }
+
+  const [plazasFile] = positionals;
+  const loaded = readJson(plazasFile);
+  const plazas = normalizePlazas(Array.isArray(loaded) ? loaded : loaded.plazas || []);
+
+  const mapping = {
+    state: target.stateCode,
+    road: target.road,
+    catalog_source: catalogSource,
+    plazas_source: path.basename(plazasFile),
+    generated_at: new Date().toISOString(),
+    ...matchCatalog(catalog, plazas, { road: values.road || null, threshold: Number(values.threshold) }),
+  };
+
+  if (values.out) fs.writeFileSync(values.out, JSON.stringify(mapping, null, 2) + "\n");
+  if (values.links) fs.writeFileSync(values.links, JSON.stringify(toLinkPlazas(mapping), null, 2) + "\n");
+
+  console.log(`${target.stateCode} ${target.road}: ${formatSummary(mapping)}`);
+  if (!values.out && !values.links) process.stdout.write(JSON.stringify(mapping, null, 2) + "\n");
+
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => process.exit(code),
+    (error) => {
+      console.error(error.message);
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { main };
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Модель участков вместо матрицы въезд × выезд (lib/model.js): тарифы участков по порядку
+ * развязок топологии и сборы за въезд/выезд, отклонение каждой пары и оценка пар без цены.
+ *
+ *   node scraper/model.js <файл> [--target ny] [--class 5] [--out модель.json] [--report отчёт.json]
+ *                         [--threshold 0.5] [--limit 20]
+ *   node scraper/model.js <файл> --model модель.json [--report отчёт.json]
+ *
+ * Файл — *.canonical.json или файл для C# (тогда нужен --target, чтобы понять формат).
+ * Модель сохраняется в scraper/.models/<цель>-<имя>.model.json (или в --out), отчёт — в
+ * scraper/.models/<цель>-<имя>.model-report.json (или в --report): отклонение каждой пары,
+ * необычные пары и цены по модели для пар с ошибкой, без тарифа или без записи. С --model модель не подбирается,
+ * а берётся готовая — так новая выгрузка сверяется с прежней моделью.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const { TARGETS, findTarget } = require("./registry");
+const { loadRecords } = require("./lib/records");
+const { loadTopology, routePaths } = require("./lib/topology");
+const { DEFAULTS, fitModel, evaluateModel, formatModelReport } = require("./lib/model");
+
+const MODEL_DIR = path.join(__dirname, ".models");
+
+// ny-thruway, responceAxel5.json -> .models/ny-thruway-responceAxel5.model.json;
+// цель в имени — чтобы rates5.json разных штатов не затирали модели друг друга
+function modelPath(id, file, suffix) {
+  return path.join(MODEL_DIR, `${id}-${path.basename(file).replace(/(\.canonical)?\.json$/i, "")}${suffix}`);
+}
+
+function usage() {
+  return [
+    "Использование: node scraper/model.js <файл> [--target id] [--class N] [--model модель.json] [--out модель.json]",
+    "                                     [--report отчёт.json] [--threshold 0.5] [--limit 20]",
+  ].join("\n");
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      target: { type: "string" },
+      class: { type: "string" },
+      model: { type: "string" },
+      out: { type: "string" },
+      report: { type: "string" },
+      threshold: { type: "string", default: String(DEFAULTS.threshold) },
+      limit: { type: "string", default: "20" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(usage());
+    return 0;
+  }
+
+  if (positionals.length !== 1) {
+    console.error(usage());
+    return 1;
+  }
+
+  const target = values.target ? findTarget(values.target) : null;
+  if (values.target && !target) {
+    console.error(`Неизвестная цель: ${values.target}`);
+    return 1;
+  }
+
+  const [file] = positionals;
+  const { state, road, records } = loadRecords(file, {
+    target,
+    vehicleClass: values.class ? Number(values.class) : undefined,
+  });
+
+  // Порядок развязок и пути пар — из топологии; для canonical-файла цель узнаём по штату
+  const stateTarget = target || TARGETS.find((t) => t.stateCode === state);
+  const topology = loadTopology(stateTarget || {});
+  if (!topology) {
+    console.error(`${state} ${road}: нет топологии (scraper/topology), модель участков не построить`);
+    return 1;
+  }
+  const routes = routePaths(topology);
+
+  let model;
+  if (values.model) {
+    model = JSON.parse(fs.readFileSync(values.model, "utf8"));
+  } else {
+    model = fitModel({ state, road, source: path.resolve(file) }, records, routes);
+    const out = path.resolve(values.out || modelPath(stateTarget.id, file, ".model.json"));
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, JSON.stringify(model, null, 2) + "\n");
+    console.log(`Модель: ${out}` + (model.unmodeled_pairs ? ` (пар вне топологии: ${model.unmodeled_pairs})` : ""));
+  }
+
+  const report = evaluateModel(model, records, routes, { threshold: Number(values.threshold) });
+  const reportPath = path.resolve(values.report || modelPath(stateTarget.id, file, ".model-report.json"));
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + "\n");
+
+  console.log(formatModelReport(report, { limit: Number(values.limit) }));
+  console.log(`Отчёт: ${reportPath}`);
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => process.exit(code),
+    (error) => {
+      console.error(error.message);
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { main };
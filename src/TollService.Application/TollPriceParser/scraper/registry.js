@@ -0,0 +1,358 @@
+/**
+ * Реестр скриптов-парсеров калькуляторов.
+ * Каждая запись описывает: где лежит браузерный скрипт, какую функцию из него вызывать,
+ * с какого origin он должен работать и в какой файл из files/ пишется результат
+ * (тот самый, который читают C# Parse*TollPricesCommand).
+ * concurrency — сколько запросов к сайту держать одновременно (scraper/lib/scheduler.js).
+ * catalog — встроенный в скрипт список въездов/выездов (scraper/lib/catalog.js).
+ * topology — описание дороги, из которого строятся физически возможные пары (scraper/lib/topology.js).
+ * canary — заведомо рабочие пары для проверки перед полным перебором (scraper/lib/canary.js):
+ *   pairs, selectors (таблица *_SELECTORS скрипта), page (какие ответы — страницы результата),
+ *   options (дополнительные параметры скрипта, чтобы запросов было немного).
+ * browser — страницы калькулятора для userscript с панелью (scraper/userscript.js): match — шаблоны
+ *   @match, classes и payments — таблицы скрипта для выбора, paymentOption — параметр скрипта
+ *   со списком кодов оплаты; без него все способы оплаты приходят одним ответом.
+ * classOf — класс ТС по имени файла для C#, если сам файл класс не хранит (scraper/lib/records.js).
+ * output и format для целей с browser входят в сборку userscript исходным текстом, поэтому
+ * ссылаться могут только на свои параметры.
+ */
+const path = require("path");
+
+// Корень TollPriceParser — пути скриптов и выходных файлов считаются от него
+const PARSER_ROOT = path.resolve(__dirname, "..");
+
+/**
+ * DE: скрипт отдаёт toll_rates со строковыми id, а ParseDelawareTollPricesCommand
+ * ждёт routes с direction и числовыми entry/exit (формат DE/files/301.json).
+ */
+function toDelawareRoutes(data) {
+  return {
+    state: data.state,
+    road: data.road,
+    vehicle_class: data.description,
+    routes: data.toll_rates.map((r) => ({
+      direction: r.entry_label.split(" - ")[0],
+      entry: Number(r.entry),
+      exit: Number(r.exit),
+      ez_pass: r.ez_pass,
+      cash: r.cash,
+    })),
+    provenance: data.provenance,
+  };
+}
+
+/**
+ * Обратное преобразование для уже сохранённых файлов DE: routes (301.json, 1-route.json)
+ * или toll_rates прямо из скрипта.
+ */
+function fromDelawareFile(document, { vehicleClass }, { toCanonicalRecords, DE_VEHICLE_CLASSES, DE_PAYMENT_METHODS }) {
+  const classInfo = DE_VEHICLE_CLASSES[vehicleClass] || {};
+
+  if (document.toll_rates) {
+    return document.toll_rates.flatMap((r) => toCanonicalRecords(r, vehicleClass));
+  }
+
+  return document.routes.flatMap((r) =>
+    Object.entries(DE_PAYMENT_METHODS).map(([field, payment]) => ({
+      state: "DE",
+      road: document.road || "US 301",
+      entry_id: String(r.entry),
+      entry_label: null,
+      exit_id: String(r.exit),
+      exit_label: null,
+      direction: r.direction ? r.direction.toLowerCase() : null,
+      vehicle_class: String(vehicleClass),
+      axles: classInfo.axles ?? null,
+      vehicle_type: classInfo.vehicle_type ?? null,
+      payment_method: payment.payment_method,
+      payment_category: payment.payment_category,
+      amount: r[field],
+      currency: "USD",
+      distance_miles: null,
+      status: "ok",
+      message: null,
+    }))
+  );
+}
+
+/**
+ * IN: документ скрипта (rates с номерами барьеров, числовыми cash/avi и status)
+ * или старый массив result*.Json — имена барьеров и цены строками "$6.50" / "N/A" / "Error".
+ */
+function fromIndianaFile(document, { vehicleClass }, { toCanonicalRecords, directionOf, IN_BARRIERS }) {
+  if (!Array.isArray(document)) {
+    return document.rates.flatMap(toCanonicalRecords);
+  }
+
+  const barrier = (name) => IN_BARRIERS.find((b) => b.name === name) || { id: name, name };
+  const amount = (rate) => {
+    const value = parseFloat(String(rate).replace(/[$,]/g, ""));
+    return Number.isNaN(value) ? null : value;
+  };
+
+  return document.flatMap((r) => {
+    const entry = barrier(r.entry);
+    const exit = barrier(r.exit);
+    const failed = r.cash_rate === "Error" || r.avi_rate === "Error";
+    const [cash, avi] = [amount(r.cash_rate), amount(r.avi_rate)];
+
+    return toCanonicalRecords({
+      entry_id: entry.id,
+      entry: entry.name,
+      exit_id: exit.id,
+      exit: exit.name,
+      direction: directionOf(entry.id, exit.id),
+      axle_class: r.axle_class || vehicleClass,
+      cash,
+      avi,
+      status: failed ? "error" : cash === null && avi === null ? "no_rate" : "ok",
+      message: failed ? "Error" : null,
+    });
+  });
+}
+
+const TARGETS = [
+  {
+    id: "de-us301",
+    aliases: ["de", "delaware", "us301", "301"],
+    state: "Delaware",
+    stateCode: "DE",
+    road: "US 301",
+    script: "DE/files/scripts.js",
+    entry: "scrapeAllUS301TollsV5",
+    origin: "https://deldot.gov",
+    catalog: "DE_INTERCHANGES",
+    topology: "scraper/topology/de-us301.json",
+    canary: {
+      pairs: [
+        { entry: "121", exit: "125" },
+        { entry: "122", exit: "128" },
+      ],
+      selectors: "DE_SELECTORS",
+    },
+    browser: {
+      match: ["https://deldot.gov/public.ejs?command=PublicTollRateUS301*"],
+      classes: "DE_VEHICLE_CLASSES",
+      payments: "DE_PAYMENT_METHODS",
+    },
+    concurrency: 4,
+    defaultClass: 5,
+    // 301.json — 5 осей, остальные классы с суффиксом
+    output: ({ vehicleClass }) =>
+      vehicleClass === 5 ? "DE/files/301.json" : `DE/files/301-class${vehicleClass}.json`,
+    format: toDelawareRoutes,
+    fromLegacy: fromDelawareFile,
+  },
+  {
+    id: "nj-turnpike",
+    aliases: ["nj", "new-jersey", "turnpike"],
+    state: "New Jersey",
+    stateCode: "NJ",
+    road: "NJ Turnpike",
+    script: "NJ/files/scripts.js",
+    entry: "scrapeNJTurnpikeTolls",
+    origin: "https://www.njta.gov",
+    catalog: "NJ_INTERCHANGES",
+    topology: "scraper/topology/nj-turnpike.json",
+    canary: {
+      pairs: [
+        { entry: "01", exit: "02" },
+        { entry: "01", exit: "18W" },
+      ],
+      selectors: "NJ_SELECTORS",
+      options: { discounts: [] },
+    },
+    browser: {
+      match: ["https://www.njta.gov/toll-calculator/*"],
+      classes: "NJ_VEHICLE_CLASSES",
+      payments: "NJ_PAYMENT_METHODS",
+    },
+    // NJTA блокирует частые запросы
+    concurrency: 2,
+    defaultClass: 5,
+    // turnpike_prices.json — 5 осей, остальные классы с суффиксом
+    output: ({ vehicleClass }) =>
+      vehicleClass === 5 ? "NJ/files/turnpike_prices.json" : `NJ/files/turnpike_prices-class${vehicleClass}.json`,
+    fromLegacy: (document, { vehicleClass }, { toCanonicalRecords }) =>
+      document.toll_rates.flatMap((r) =>
+        toCanonicalRecords(r, document.vehicle_class_id || vehicleClass)
+      ),
+  },
+  {
+    id: "ma-turnpike",
+    aliases: ["ma", "massachusetts", "masspike", "ezdrive"],
+    state: "Massachusetts",
+    stateCode: "MA",
+    road: "Massachusetts Turnpike",
+    script: "MA/fieles/ParseScript.js",
+    entry: "scrapeEZDriveMA",
+    origin: "https://www.ezdrivema.com",
+    catalog: "MA_INTERCHANGES",
+    topology: "scraper/topology/ma-turnpike.json",
+    canary: {
+      pairs: [
+        { entry: "Entry_2", exit: "Exit_11" },
+        { entry: "Entry_9", exit: "Exit_14EB" },
+      ],
+      selectors: "MA_SELECTORS",
+      // Первый GET — пустая форма, результат приходит на postback
+      page: (request) => request.method === "POST",
+      options: { paymentMethods: ["1"] },
+    },
+    // Форма WebForms с cookie сессии (credentials: "include")
+    browser: {
+      match: ["https://www.ezdrivema.com/TollCalculator*"],
+      classes: "MA_VEHICLE_CLASSES",
+      payments: "MA_PAYMENT_METHODS",
+      paymentOption: "paymentMethods",
+    },
+    concurrency: 4,
+    defaultClass: 5,
+    // Все способы оплаты; Responce5AxePayByPlate.Json и Responce6Axe.Json — старые прогоны с одним способом
+    output: ({ vehicleClass }) => `MA/fieles/Responce${vehicleClass}AxeAllPayments.Json`,
+    fromLegacy: (document, { vehicleClass }, { toCanonicalRecords, paymentOf }) =>
+      document.data.flatMap((r) =>
+        toCanonicalRecords(r, document.axles || vehicleClass, paymentOf(r.payment || document.payment || "unknown"))
+      ),
+  },
+  {
+    id: "ny-thruway",
+    aliases: ["ny", "new-york", "thruway"],
+    state: "New York",
+    stateCode: "NY",
+    road: "NYS Thruway",
+    script: "NY/fieles/ParseScript.js",
+    entry: "scrapeNYThruway",
+    origin: "https://tollcalculator.thruway.ny.gov",
+    catalog: "NY_INTERCHANGES",
+    topology: "scraper/topology/ny-thruway.json",
+    canary: {
+      pairs: [
+        { entry: "m00x", exit: "m07x" },
+        { entry: "m15x", exit: "m50x" },
+      ],
+      selectors: "NY_SELECTORS",
+    },
+    browser: {
+      match: ["https://tollcalculator.thruway.ny.gov/*"],
+      classes: "NY_VEHICLE_CLASSES",
+      payments: "NY_PAYMENT_METHODS",
+    },
+    concurrency: 8,
+    defaultClass: 6,
+    output: ({ vehicleClass }) => `NY/fieles/responceAxel${vehicleClass}.json`,
+    fromLegacy: (document, { vehicleClass }, { toCanonicalRecords }) =>
+      document.tolls.flatMap((r) => toCanonicalRecords(r, document.vehicle_class || vehicleClass)),
+  },
+  {
+    id: "in-tollroad",
+    aliases: ["in", "indiana", "itr"],
+    state: "Indiana",
+    stateCode: "IN",
+    road: "Indiana Toll Road",
+    script: "IN/files/scripts.js",
+    entry: "scrapeIndianaTollRoad",
+    origin: "https://indianatollroad.org",
+    catalog: "IN_INTERCHANGES",
+    topology: "scraper/topology/in-tollroad.json",
+    // Ответ — JSON-строка с ценой: селекторов нет, проверяются значения и отпечаток
+    canary: { pairs: [{ entry: "0001", exit: "0006" }] },
+    // Запрос на относительный URL — только со страницы сайта
+    browser: {
+      match: ["https://indianatollroad.org/toll-calculator/*"],
+      classes: "IN_VEHICLE_CLASSES",
+      payments: "IN_PAYMENT_METHODS",
+      paymentOption: "paymentMethods",
+    },
+    concurrency: 4,
+    defaultClass: 6,
+    // result.Json — исторически 5 осей, остальные классы с суффиксом
+    output: ({ vehicleClass }) => `IN/files/result${vehicleClass === 5 ? "" : vehicleClass}.Json`,
+    // Старые result*.Json без axle_class: result.Json — 5 осей, resultN.Json — класс N
+    classOf: (file) => {
+      const match = /^result(\d*)\.json$/i.exec(path.basename(file));
+      return match ? Number(match[1] || 5) : null;
+    },
+    fromLegacy: fromIndianaFile,
+  },
+  {
+    id: "pa-turnpike",
+    aliases: ["pa", "pennsylvania", "ptc"],
+    state: "Pennsylvania",
+    stateCode: "PA",
+    road: "Pennsylvania Turnpike",
+    script: "PA/files/scripts.js",
+    entry: "scrapePennsylvaniaTurnpike",
+    origin: "https://www.paturnpike.com",
+    catalog: "PA_INTERCHANGES",
+    topology: "scraper/topology/pa-turnpike.json",
+    canary: { pairs: [{ entry: "10", exit: "57" }] },
+    // PlazaKey въездов — из serverData страницы калькулятора
+    browser: {
+      match: ["https://www.paturnpike.com/toll-calculator*"],
+      classes: "PA_VEHICLE_CLASSES",
+      payments: "PA_PAYMENT_METHODS",
+      paymentOption: "paymentMethods",
+    },
+    concurrency: 2,
+    // 5 осей, 7'6" и выше — см. PA_VEHICLE_CLASSES
+    defaultClass: 8,
+    // ParsePaTurnpikePricesCommand берёт цены из API сам; файл — выгрузка для сверки
+    output: ({ vehicleClass }) => `PA/files/rates${vehicleClass}.json`,
+    fromLegacy: (document, options, { toCanonicalRecords }) => document.rates.flatMap(toCanonicalRecords),
+  },
+  {
+    id: "oh-turnpike",
+    aliases: ["oh", "ohio"],
+    state: "Ohio",
+    stateCode: "OH",
+    road: "Ohio Turnpike",
+    script: "OH/files/scripts.js",
+    entry: "scrapeOhioTurnpike",
+    origin: "https://www.ohioturnpike.org",
+    catalog: "OH_INTERCHANGES",
+    topology: "scraper/topology/oh-turnpike.json",
+    canary: { pairs: [{ entry: "2", exit: "59" }] },
+    // Весь прогон — один запрос файла калькулятора
+    browser: {
+      match: ["https://www.ohioturnpike.org/*"],
+      classes: "OH_VEHICLE_CLASSES",
+      payments: "OH_PAYMENT_METHODS",
+    },
+    concurrency: 1,
+    defaultClass: 5,
+    // ParseTollPricesCommand читает файл калькулятора сам; файл — выгрузка для сверки
+    output: ({ vehicleClass }) => `OH/files/rates${vehicleClass}.json`,
+    fromLegacy: (document, options, { toCanonicalRecords }) => document.rates.flatMap(toCanonicalRecords),
+  },
+];
+
+/**
+ * Ищет цель по id, алиасу, коду штата или названию дороги (без учёта регистра).
+ */
+function findTarget(name) {
+  const key = String(name || "").trim().toLowerCase();
+  return (
+    TARGETS.find(
+      (t) =>
+        t.id === key ||
+        t.aliases.includes(key) ||
+        t.road.toLowerCase() === key ||
+        t.state.toLowerCase() === key
+    ) || null
+  );
+}
+
+function loadScript(target) {
+  return require(path.join(PARSER_ROOT, target.script));
+}
+
+function loadScraper(target) {
+  const fn = loadScript(target)[target.entry];
+  if (typeof fn !== "function") {
+    throw new Error(`${target.script} не экспортирует ${target.entry}`);
+  }
+  return fn;
+}
+
+module.exports = { PARSER_ROOT, TARGETS, findTarget, loadScript, loadScraper };
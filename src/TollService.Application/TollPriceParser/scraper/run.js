@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+/**
+ * Запуск парсеров калькуляторов из Node вместо консоли браузера.
+ *
+ *   node scraper/run.js <цель> [--class 5 | --class 5,6 | --class all] [--out путь] [--stdout]
+ *                              [--record кассета.json | --replay кассета.json]
+ *                              [--checkpoint файл] [--fresh] [--concurrency N] [--all-pairs]
+ *                              [--skip-catalog] [--canary | --skip-canary] [--canary-threshold 0.9]
+ *                              [--stream файл.ndjson]
+ *   node scraper/run.js --list
+ *
+ * Цель — id из registry.js (de-us301, nj-turnpike, ma-turnpike, ny-thruway, in-tollroad,
+ * pa-turnpike, oh-turnpike),
+ * код штата или название дороги. Результат пишется в соответствующий файл в files/
+ * (формат, который читает C#) и рядом в *.canonical.json (единый формат, schema/).
+ * Если результат не проходит проверку схемой, ничего не сохраняется.
+ *
+ * --class принимает один класс, список через запятую или all (все классы из таблицы
+ * *_VEHICLE_CLASSES скрипта). Файлы для C# пишутся по одному на класс, а единый формат
+ * при нескольких классах — одним общим файлом <id>.canonical.json рядом с ними.
+ *
+ * --record сохраняет все запросы и сырые ответы в кассету, --replay отвечает из неё
+ * без сети (см. lib/cassette.js и tests/scrapers).
+ *
+ * Прогресс по ходу работы сохраняется в контрольную точку (по умолчанию
+ * scraper/.checkpoints/<id>.json, см. lib/checkpoint.js). Повторный запуск с теми же
+ * параметрами берёт из неё собранные пары и запрашивает только упавшие и недостающие;
+ * после прогона без ошибок файл удаляется. --fresh начинает с нуля.
+ *
+ * Темп запросов задаёт lib/scheduler.js: не больше concurrency (registry.js или --concurrency)
+ * запросов к сайту одновременно, повторы при сетевых ошибках, 429 и 5xx, замедление при
+ * росте ошибок. Собственные паузы скриптов, рассчитанные на браузер, отключаются.
+ *
+ * Запрашиваются только физически возможные пары въезд/выезд из scraper/topology/<id>.json
+ * (lib/topology.js): «нет тарифа» по такой паре — уже аномалия, а не шум. --all-pairs
+ * возвращает полный перебор, чтобы проверить саму топологию.
+ *
+ * Перед перебором цен списки въездов и выездов читаются со страницы калькулятора и
+ * сравниваются с последним известным каталогом (lib/catalog.js): новые, исчезнувшие и
+ * переименованные развязки выводятся сразу, а перебор идёт по актуальным спискам.
+ * Если страницу прочитать не удалось (или --skip-catalog), используются встроенные списки.
+ *
+ * Затем canary (lib/canary.js): несколько заведомо рабочих пар из registry.js, проверка
+ * селекторов разбора, значений и отпечатка структуры страниц. Если доля попаданий ниже
+ * --canary-threshold, полный перебор не запускается (код выхода 3). --canary — только проверка,
+ * --skip-canary — без неё; при --replay canary запускается только по явному --canary.
+ *
+ * Каждая строка результата сразу дописывается в поток NDJSON (по умолчанию
+ * scraper/.streams/<id>.ndjson, --stream, см. lib/stream.js), рядом — сводка <поток>.summary.json.
+ * Если прогон упал, файлы для C# можно собрать из потока: scraper/fold.js. Тот же поток
+ * скачивается из браузера, когда скрипт запущен там — из консоли или с панели userscript
+ * (scraper/userscript.js).
+ *
+ * После сбора цены проверяются на правдоподобие (lib/consistency.js): нули, асимметрия
+ * A -> B / B -> A, A -> C дороже A -> B + B -> C и т.п. Аномалии с записями, на которых
+ * они найдены, сохраняются рядом с выгрузкой в *.anomalies.json (отдельно — scraper/validate.js).
+ *
+ * Файлы для C# и единый формат из потока результатов (после падения или из браузера) —
+ * scraper/fold.js; SQL-скрипт для БД и CSV из выгрузки — scraper/export.js; сопоставление развязок
+ * каталога с нашими плазами для link-команд — scraper/match.js; координаты развязок и
+ * GeoJSON с парами и ценами — scraper/geo.js; модель участков вместо матрицы пар, отклонения
+ * пар от неё и оценка пар без цены — scraper/model.js.
+ *
+ * Зависимости: linkedom (серверный DOMParser), ajv (проверка JSON Schema) — package.json в корне
+ * репозитория, ставятся npm install.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const { TARGETS, findTarget, loadScript, loadScraper } = require("./registry");
+const { createHttpClient } = require("./lib/http");
+const { createRecordingFetch, createReplayFetch } = require("./lib/cassette");
+const { DOMParser } = require("./lib/dom");
+const { createDocument, validateDocument } = require("./lib/canonical");
+const { canonicalFileOf, writeJson, writeOutputs } = require("./lib/output");
+const { createNdjsonStream, summaryPath } = require("./lib/stream");
+const { createCheckpoint, completenessReport, formatCompleteness } = require("./lib/checkpoint");
+const { createScheduledFetch } = require("./lib/scheduler");
+const { generateRoutes, loadTopology, pointsOf, topologyIds } = require("./lib/topology");
+const { createAnomalyReport, formatAnomalies } = require("./lib/consistency");
+const { diffCatalog, formatCatalogDiff, loadKnownCatalog, saveCatalog } = require("./lib/catalog");
+const {
+  DEFAULT_THRESHOLD,
+  runCanary,
+  compareCanary,
+  formatCanary,
+  loadCanaryBaseline,
+  saveCanaryBaseline,
+} = require("./lib/canary");
+
+const CHECKPOINT_DIR = path.join(__dirname, ".checkpoints");
+const STREAM_DIR = path.join(__dirname, ".streams");
+
+function usage() {
+  const lines = TARGETS.map((t) => `  ${t.id.padEnd(12)} ${t.state} — ${t.road} (${t.aliases.join(", ")})`);
+  return [
+    "Использование: node scraper/run.js <цель> [--class N|N,M|all] [--out путь] [--stdout]",
+    "                                  [--record|--replay кассета] [--checkpoint файл] [--fresh] [--concurrency N]",
+    "                                  [--all-pairs] [--skip-catalog] [--canary | --skip-canary] [--canary-threshold 0.9]",
+    "                                  [--stream файл.ndjson]",
+    "",
+    "Цели:",
+    ...lines,
+  ].join("\n");
+}
+
+/**
+ * "5" -> 5, "5,6" -> [5, 6], "all" -> "all"; null — если строка некорректна.
+ */
+function parseClasses(value, defaultClass) {
+  if (value === undefined) return defaultClass;
+  if (value.trim().toLowerCase() === "all") return "all";
+
+  const classes = value.split(",").map((v) => Number(v.trim()));
+  if (classes.some((c) => !Number.isInteger(c) || c <= 0)) return null;
+  return classes.length === 1 ? classes[0] : classes;
+}
+
+/**
+ * Читает каталог развязок со страницы калькулятора и выводит расхождения с последним известным.
+ * null — страницу прочитать не удалось, скрипт возьмёт встроенные списки.
+ */
+async function discoverInterchanges(target, fetch, topology) {
+  const script = loadScript(target);
+  const known = loadKnownCatalog(target, script);
+
+  let catalog;
+  try {
+    catalog = await script.discoverCatalog({ fetch, DOMParser });
+  } catch (error) {
+    console.error(`Каталог развязок со страницы не прочитан (${error.message}), используем ${known.source}`);
+    return null;
+  }
+
+  const diff = diffCatalog(known.catalog, catalog);
+  console.error(formatCatalogDiff(diff, known.source));
+
+  // Новая развязка без описания в топологии в перебор не попадёт — об этом надо знать заранее
+  if (topology) {
+    const { entries, exits } = topologyIds(topology);
+    const excluded = topology.excluded || {};
+    const missing = [
+      ...catalog.entries.filter((e) => !entries.has(e.id) && !(e.id in excluded)),
+      ...catalog.exits.filter((x) => !exits.has(x.id) && !(x.id in excluded)),
+    ];
+    if (missing.length) {
+      console.error(
+        `Нет в ${target.topology}, пары с ними не запрашиваются: ${[...new Set(missing.map((m) => m.id))].join(", ")}`
+      );
+    }
+  }
+
+  return catalog;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      class: { type: "string" },
+      out: { type: "string" },
+      stdout: { type: "boolean", default: false },
+      record: { type: "string" },
+      replay: { type: "string" },
+      checkpoint: { type: "string" },
+      fresh: { type: "boolean", default: false },
+      concurrency: { type: "string" },
+      "all-pairs": { type: "boolean", default: false },
+      "skip-catalog": { type: "boolean", default: false },
+      canary: { type: "boolean", default: false },
+      "skip-canary": { type: "boolean", default: false },
+      "canary-threshold": { type: "string" },
+      stream: { type: "string" },
+      list: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help || values.list || positionals.length === 0) {
+    console.log(usage());
+    return values.help || values.list ? 0 : 1;
+  }
+
+  const target = findTarget(positionals.join(" "));
+  if (!target) {
+    console.error(`Неизвестная цель: ${positionals.join(" ")}\n\n${usage()}`);
+    return 1;
+  }
+
+  const vehicleClass = parseClasses(values.class, target.defaultClass);
+  if (vehicleClass === null) {
+    console.error(`Некорректный класс ТС: ${values.class}`);
+    return 1;
+  }
+
+  const singleClass = typeof vehicleClass === "number";
+  if (values.out && !singleClass) {
+    console.error("--out можно указать только для одного класса ТС");
+    return 1;
+  }
+
+  if (values.record && values.replay) {
+    console.error("--record и --replay нельзя использовать вместе");
+    return 1;
+  }
+
+  const concurrency = values.concurrency ? Number(values.concurrency) : target.concurrency;
+  if (!Number.isInteger(concurrency) || concurrency <= 0) {
+    console.error(`Некорректное --concurrency: ${values.concurrency}`);
+    return 1;
+  }
+
+  if (values.canary && values["skip-canary"]) {
+    console.error("--canary и --skip-canary нельзя использовать вместе");
+    return 1;
+  }
+
+  const threshold = values["canary-threshold"] ? Number(values["canary-threshold"]) : DEFAULT_THRESHOLD;
+  if (!(threshold > 0 && threshold <= 1)) {
+    console.error(`Некорректный --canary-threshold: ${values["canary-threshold"]} (доля от 0 до 1)`);
+    return 1;
+  }
+
+  const topology = values["all-pairs"] ? null : loadTopology(target);
+  const pairs = topology ? generateRoutes(topology) : null;
+  if (pairs) console.error(`Топология ${target.topology}: ${pairs.length} возможных пар`);
+
+  const scrape = loadScraper(target);
+  const startedAt = Date.now();
+
+  // Повторы идут под записью кассеты: в неё попадает только итоговый ответ
+  let fetch = createScheduledFetch(createHttpClient({ origin: target.origin }), {
+    concurrency,
+    origin: target.origin,
+    log: (...args) => console.error(...args),
+  });
+  const scheduler = fetch;
+  if (values.replay) fetch = createReplayFetch(path.resolve(values.replay), { origin: target.origin });
+  if (values.record) fetch = createRecordingFetch(fetch, path.resolve(values.record), { origin: target.origin });
+
+  const catalog = values["skip-catalog"] ? null : await discoverInterchanges(target, fetch, topology);
+
+  // В кассете может не быть canary-пар — при воспроизведении он только по явному --canary
+  if (target.canary && (values.canary || (!values.replay && !values["skip-canary"]))) {
+    const report = await runCanary({ target, script: loadScript(target), fetch, DOMParser, catalog, threshold });
+    console.error(formatCanary(report, compareCanary(report, loadCanaryBaseline(target))));
+
+    if (!report.passed || values.canary) {
+      if (values.record) console.error(`Кассета: ${values.record} (${fetch.save()} запросов)`);
+    }
+    if (!report.passed) {
+      console.error("Полный перебор остановлен: похоже, разбор страниц калькулятора сломан (--skip-canary — запустить всё равно)");
+      return 3;
+    }
+    if (!values.replay) console.error(`Canary: ${saveCanaryBaseline(target, report)}`);
+    if (values.canary) return 0;
+  }
+
+  // При воспроизведении кассеты сеть не нужна и прогресс сохранять незачем
+  let checkpoint = null;
+  if (!values.replay) {
+    const checkpointFile = path.resolve(values.checkpoint || path.join(CHECKPOINT_DIR, `${target.id}.json`));
+    if (values.fresh) fs.rmSync(checkpointFile, { force: true });
+
+    checkpoint = createCheckpoint(checkpointFile, {
+      params: { target: target.id, vehicleClass, allPairs: values["all-pairs"] },
+    });
+    if (checkpoint.stats.discarded) {
+      console.error(`Контрольная точка ${checkpointFile} устарела или от других параметров — начинаем заново`);
+    } else if (checkpoint.stats.restored) {
+      console.error(`Продолжаем с контрольной точки ${checkpointFile}: ${checkpoint.stats.restored} пар`);
+    }
+  }
+
+  const streamFile = path.resolve(values.stream || path.join(STREAM_DIR, `${target.id}.ndjson`));
+  fs.mkdirSync(path.dirname(streamFile), { recursive: true });
+  const stream = createNdjsonStream(streamFile);
+
+  // Прогресс — в stderr, чтобы --stdout оставался чистым JSON
+  let scraped;
+  try {
+    scraped = await scrape({
+      vehicleClass,
+      fetch,
+      DOMParser,
+      log: (...args) => console.error(...args),
+      printResult: false,
+      checkpoint,
+      stream,
+      pairs,
+      ...(catalog && { catalog }),
+      // Темп задаёт планировщик, пакеты нужны только для прогресса и контрольной точки
+      batchSize: 50,
+      pauseMs: 0,
+    });
+  } finally {
+    // Кассету сохраняем и при падении — записанные ответы пригодятся для разбора
+    if (values.record) console.error(`Кассета: ${values.record} (${fetch.save()} запросов)`);
+    if (checkpoint) checkpoint.save();
+    stream.close();
+    console.error(`Поток результатов: ${streamFile} (сводка ${summaryPath(streamFile)})`);
+  }
+
+  const { outputs, records } = scraped;
+
+  const completeness = completenessReport(records, checkpoint && checkpoint.stats);
+  console.error(formatCompleteness(completeness));
+  if (!values.replay) {
+    for (const [host, s] of Object.entries(scheduler.stats())) {
+      console.error(
+        `${host}: ${s.requests} запросов, ${s.retries} повторов, ${s.failed} неудачных, замедлений: ${s.slowdowns}`
+      );
+    }
+  }
+
+  // У PA и OH один provenance на все классы — в документ он попадает один раз
+  const provenance = [...new Set(Object.values(outputs).map((output) => output.provenance))].filter(Boolean);
+  const canonical = createDocument({ state: target.stateCode, road: target.road, records, provenance });
+  const { valid, errors } = validateDocument(canonical);
+  if (!valid) {
+    console.error(`Результат не прошёл проверку схемой (${errors.length} ошибок), файлы не сохранены:`);
+    for (const error of errors.slice(0, 20)) console.error(`  ${error}`);
+    return 2;
+  }
+
+  const anomalies = createAnomalyReport({ state: target.stateCode, road: target.road }, records, {
+    points: topology && pointsOf(topology),
+    pairs,
+  });
+  console.error(formatAnomalies(anomalies, { limit: 10 }));
+
+  if (values.stdout) {
+    process.stdout.write(JSON.stringify(canonical, null, 2) + "\n");
+  } else {
+    const files = writeOutputs(target, outputs, { out: values.out });
+    const canonicalFile = canonicalFileOf(target, files, { singleClass });
+    writeJson(canonicalFile, canonical);
+    const anomaliesFile = canonicalFile.replace(/\.canonical\.json$/, ".anomalies.json");
+    writeJson(anomaliesFile, { ...anomalies, source: canonicalFile });
+    console.error(`Сохранено: ${[...files, canonicalFile, anomaliesFile].join(", ")}`);
+  }
+
+  // Прочитанный каталог становится последним известным только после удачного прогона
+  if (catalog && !values.replay) console.error(`Каталог развязок: ${saveCatalog(target, catalog)}`);
+
+  if (checkpoint) {
+    if (completeness.error === 0) {
+      checkpoint.remove();
+    } else {
+      console.error(`Ошибок: ${completeness.error}, повторите запуск — будут запрошены только они (${checkpoint.file})`);
+    }
+  }
+
+  console.error(`${target.id}: готово за ${((Date.now() - startedAt) / 1000).toFixed(1)} с`);
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => process.exit(code),
+    (error) => {
+      console.error(error);
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { main, parseClasses };
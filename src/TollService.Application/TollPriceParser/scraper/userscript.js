@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Сборка userscript (Tampermonkey, Violentmonkey) с панелью на страницах калькуляторов.
+ *
+ *   node scraper/userscript.js [--out toll-scrapers.user.js]
+ *
+ * Часть калькуляторов работает только со своего origin: IN шлёт запрос на относительный
+ * /wp-admin/admin-ajax.php, MA держит сессию WebForms в cookie, PA берёт PlazaKey из serverData
+ * страницы. Для них браузер остаётся способом запуска, и вместо вставки скрипта в консоль
+ * ставится userscript: на странице из browser.match (registry.js) появляется панель
+ * (scraper/userscript/panel.js) — выбор классов и способов оплаты, прогресс, пауза и скачивание.
+ *
+ * Скрипты штатов входят в сборку без изменений: каждый выполняется со своим module.exports,
+ * поэтому сам не запускается, а отдаёт функции панели. Общий код скриптов (lib/runtime.js) входит
+ * в сборку один раз — скрипты берут его из SCRAPER_RUNTIME, как и в сборках для консоли
+ * (scraper/console.js). Результат по умолчанию — scraper/dist/toll-scrapers.user.js; после правки
+ * скрипта штата сборку нужно повторить.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const { PARSER_ROOT, TARGETS } = require("./registry");
+const { runtimeOf } = require("./console");
+
+const USERSCRIPT_VERSION = "1.0.0";
+const PANEL_PATH = path.join(__dirname, "userscript", "panel.js");
+const DEFAULT_OUT = path.join(__dirname, "dist", "toll-scrapers.user.js");
+
+function header(targets) {
+  const lines = [
+    ["@name", "Toll price scrapers"],
+    ["@namespace", "TollService.TollPriceParser"],
+    ["@version", USERSCRIPT_VERSION],
+    ["@description", "Панель сбора тарифов на страницах калькуляторов платных дорог"],
+    ...targets.flatMap((t) => t.browser.match.map((pattern) => ["@match", pattern])),
+    ["@grant", "none"],
+    ["@run-at", "document-idle"],
+  ];
+  return ["// ==UserScript==", ...lines.map(([key, value]) => `// ${key.padEnd(12)} ${value}`), "// ==/UserScript=="];
+}
+
+// Запись SITES: то, что нужно панели из registry.js, и скрипт штата внутри load()
+function siteOf(target) {
+  const source = fs.readFileSync(path.join(PARSER_ROOT, target.script), "utf8");
+  const site = {
+    id: target.id,
+    title: `${target.state} — ${target.road}`,
+    entry: target.entry,
+    defaultClass: target.defaultClass,
+    browser: target.browser,
+  };
+  const fields = Object.entries(site).map(([key, value]) => `    ${key}: ${JSON.stringify(value)},`);
+  // output и format входят исходным текстом: панель сохраняет файл для C# с тем же именем
+  // и в том же формате, что и run.js (lib/output.js)
+  for (const key of ["output", "format"]) {
+    if (target[key]) fields.push(`    ${key}: ${target[key].toString()},`);
+  }
+
+  return [
+    "  {",
+    ...fields,
+    "    load() {",
+    "      const module = { exports: {} };",
+    `      // ---- ${target.script} ----`,
+    source.trimEnd(),
+    `      // ---- конец ${target.script} ----`,
+    "      return module.exports;",
+    "    },",
+    "  },",
+  ].join("\n");
+}
+
+/**
+ * Текст userscript для целей с browser в registry.js.
+ */
+function buildUserscript(targets = TARGETS) {
+  const sites = targets.filter((t) => t.browser);
+  return [
+    ...header(sites),
+    "// Собрано scraper/userscript.js из скриптов штатов и scraper/userscript/panel.js — не править вручную.",
+    "(function () {",
+    runtimeOf(),
+    "",
+    "const SITES = [",
+    ...sites.map(siteOf),
+    "];",
+    "",
+    fs.readFileSync(PANEL_PATH, "utf8").trimEnd(),
+    "",
+    "const site = findSite(SITES, location.href);",
+    "if (site) mountPanel(site);",
+    "})();",
+    "",
+  ].join("\n");
+}
+
+function usage() {
+  return "Использование: node scraper/userscript.js [--out toll-scrapers.user.js]";
+}
+
+async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      out: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(usage());
+    return 0;
+  }
+
+  const file = path.resolve(values.out || DEFAULT_OUT);
+  const text = buildUserscript();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, text);
+
+  const sites = TARGETS.filter((t) => t.browser);
+  console.error(`Userscript ${USERSCRIPT_VERSION}: ${sites.map((t) => t.id).join(", ")} -> ${file}`);
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => process.exit(code),
+    (error) => {
+      console.error(error.message);
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { main, buildUserscript };
@@ -0,0 +1,248 @@
+/**
+ * Плавающая панель userscript на странице калькулятора (собирается scraper/userscript.js).
+ * Код выполняется в браузере: site — запись SITES сборки (id, title, browser, output и format
+ * из registry.js и load() — скрипт штата), сам скрипт запускается так же, как из Node, только
+ * с fetch страницы.
+ *
+ *  - классы и способы оплаты выбираются галочками из таблиц *_VEHICLE_CLASSES / *_PAYMENT_METHODS;
+ *  - прогресс и счётчик ошибок — по событиям потока результатов (start, row, end, см. lib/stream.js);
+ *  - пауза задерживает следующие запросы скрипта, уже отправленные дожидаются ответа;
+ *  - «Скачать JSON» в любой момент отдаёт собранное по файлу на класс — те же файлы для C#, что пишет
+ *    run.js (outputOf скрипта, format и имя из output), «Скачать NDJSON» — поток для scraper/fold.js.
+ */
+
+// Пауза: запросы ждут resume(), пока панель на паузе
+function createPauseGate() {
+  let paused = false;
+  let waiting = [];
+
+  return {
+    get paused() {
+      return paused;
+    },
+    pause() {
+      paused = true;
+    },
+    resume() {
+      paused = false;
+      waiting.forEach((release) => release());
+      waiting = [];
+    },
+    wait() {
+      return paused ? new Promise((release) => waiting.push(release)) : Promise.resolve();
+    },
+  };
+}
+
+// "https://deldot.gov/public.ejs?command=*" -> RegExp для location.href
+function matchPattern(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+function findSite(sites, href) {
+  return sites.find((site) => site.browser.match.some((pattern) => matchPattern(pattern).test(href))) || null;
+}
+
+function saveFile(fileName, text, type) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([text], { type }));
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Собранные события прогона: строки и параметры по классам, NDJSON для скачивания и счётчики.
+ */
+function createRunState() {
+  const state = { lines: [], runs: new Map(), current: null, rows: 0, errors: 0 };
+
+  state.write = (event) => {
+    state.lines.push(JSON.stringify(event) + "\n");
+    const cls = String(event.vehicle_class);
+    if (event.type === "start") {
+      state.runs.set(cls, { parameters: event.parameters || {}, routes: event.routes, rows: [], provenance: null });
+      state.current = cls;
+    } else if (event.type === "row" && state.runs.has(cls)) {
+      state.runs.get(cls).rows.push(event.row);
+      state.rows++;
+      if (event.status === "error") state.errors++;
+    } else if (event.type === "end" && state.runs.has(cls)) {
+      state.runs.get(cls).provenance = event.provenance;
+    }
+  };
+
+  return state;
+}
+
+function element(tag, attributes = {}, children = []) {
+  const node = document.createElement(tag);
+  for (const [name, value] of Object.entries(attributes)) {
+    if (name === "text") node.textContent = value;
+    else node.setAttribute(name, value);
+  }
+  children.forEach((child) => node.appendChild(child));
+  return node;
+}
+
+// Галочка с подписью; value — код класса или способа оплаты
+function checkbox(group, value, label, checked, disabled = false) {
+  const input = element("input", { type: "checkbox", name: group, value });
+  input.checked = checked;
+  input.disabled = disabled;
+  return element("label", { style: "display:block;white-space:nowrap" }, [input, document.createTextNode(` ${label}`)]);
+}
+
+const PANEL_STYLE =
+  "position:fixed;right:16px;bottom:16px;z-index:2147483647;width:320px;max-height:80vh;overflow:auto;" +
+  "background:#fff;color:#222;border:1px solid #888;border-radius:6px;box-shadow:0 2px 12px rgba(0,0,0,.3);" +
+  "font:13px/1.4 sans-serif;padding:10px";
+
+/**
+ * Панель для сайта: выбор, запуск, прогресс, пауза и скачивание. Возвращает корневой элемент.
+ */
+function mountPanel(site) {
+  const script = site.load();
+  const classes = script[site.browser.classes];
+  const payments = script[site.browser.payments];
+  const selectable = Boolean(site.browser.paymentOption);
+
+  const classList = element("fieldset", {}, [
+    element("legend", { text: "Классы ТС" }),
+    ...Object.entries(classes).map(([code, c]) =>
+      checkbox("class", code, `${code}: ${c.label || code}`, Number(code) === site.defaultClass)
+    ),
+  ]);
+  const paymentList = element("fieldset", {}, [
+    element("legend", { text: selectable ? "Способы оплаты" : "Способы оплаты (все в одном ответе)" }),
+    ...Object.entries(payments).map(([code, p]) => checkbox("payment", code, p.label || code, true, !selectable)),
+  ]);
+
+  const start = element("button", { type: "button", "data-action": "start", text: "Старт" });
+  const pause = element("button", { type: "button", "data-action": "pause", text: "Пауза", disabled: "" });
+  const json = element("button", { type: "button", "data-action": "json", text: "Скачать JSON", disabled: "" });
+  const ndjson = element("button", { type: "button", "data-action": "ndjson", text: "Скачать NDJSON", disabled: "" });
+  const progress = element("progress", { max: "1", value: "0", style: "width:100%" });
+  const status = element("div", { "data-role": "status", text: "Готов к запуску" });
+  const log = element("div", { "data-role": "log", style: "color:#666;font-size:11px;word-break:break-all" });
+
+  const panel = element("div", { id: "toll-scraper-panel", style: PANEL_STYLE }, [
+    element("strong", { text: `${site.title} — ${site.id}` }),
+    classList,
+    paymentList,
+    element("div", {}, [start, pause]),
+    progress,
+    status,
+    log,
+    element("div", {}, [json, ndjson]),
+  ]);
+  document.body.appendChild(panel);
+
+  const gate = createPauseGate();
+  let run = null;
+  let renderPending = false;
+
+  function render() {
+    renderPending = false;
+    const current = run.runs.get(run.current);
+    const done = current ? current.rows.length : 0;
+    const total = current && current.routes ? current.routes : 0;
+    progress.setAttribute("max", String(total || 1));
+    progress.setAttribute("value", String(done));
+
+    const state = run.finished || (gate.paused ? "пауза" : "идёт");
+    status.textContent =
+      `${state}: класс ${run.current || "—"} (${run.runs.size}/${run.classes.length}), ` +
+      `строк ${done}/${total}, ошибок ${run.errors}`;
+  }
+
+  const scheduleRender = () => {
+    if (renderPending) return;
+    renderPending = true;
+    setTimeout(render, 100);
+  };
+
+  const checked = (group) =>
+    [...panel.querySelectorAll(`input[name="${group}"]`)].filter((input) => input.checked).map((input) => input.value);
+
+  start.addEventListener("click", async () => {
+    const vehicleClass = checked("class").map(Number);
+    if (!vehicleClass.length) {
+      status.textContent = "Выберите хотя бы один класс ТС";
+      return;
+    }
+
+    // Все способы отмечены — параметр не передаётся, скрипт берёт все (у MA — все, что предлагает форма)
+    const codes = checked("payment");
+    const paymentOptions =
+      selectable && codes.length < Object.keys(payments).length ? { [site.browser.paymentOption]: codes } : {};
+    if (selectable && !codes.length) {
+      status.textContent = "Выберите хотя бы один способ оплаты";
+      return;
+    }
+
+    run = createRunState();
+    run.classes = vehicleClass;
+    run.finished = null;
+    start.disabled = true;
+    [pause, json, ndjson].forEach((button) => (button.disabled = false));
+    panel.querySelectorAll("input").forEach((input) => (input.disabled = true));
+
+    const stream = {
+      write(event) {
+        run.write(event);
+        scheduleRender();
+      },
+    };
+
+    try {
+      await script[site.entry]({
+        vehicleClass,
+        ...paymentOptions,
+        fetch: async (url, init) => {
+          await gate.wait();
+          return globalThis.fetch(url, init);
+        },
+        log: (...args) => (log.textContent = args.join(" ")),
+        printResult: false,
+        stream,
+      });
+      run.finished = "готово";
+    } catch (error) {
+      run.finished = "остановлено с ошибкой";
+      log.textContent = error.message;
+    }
+
+    pause.disabled = true;
+    start.disabled = false;
+    panel.querySelectorAll('input[name="class"]').forEach((input) => (input.disabled = false));
+    if (selectable) panel.querySelectorAll('input[name="payment"]').forEach((input) => (input.disabled = false));
+    render();
+  });
+
+  pause.addEventListener("click", () => {
+    if (gate.paused) {
+      gate.resume();
+      pause.textContent = "Пауза";
+    } else {
+      gate.pause();
+      pause.textContent = "Продолжить";
+    }
+    render();
+  });
+
+  // Как writeOutputs в lib/output.js: DE/files/301.json -> 301.json в формате site.format
+  json.addEventListener("click", () => {
+    for (const [cls, r] of run.runs) {
+      const output = script.outputOf(Number(cls), r.rows, { parameters: r.parameters, provenance: r.provenance });
+      const file = site.format ? site.format(output) : output;
+      const name = site.output({ vehicleClass: Number(cls) }).split("/").pop();
+      saveFile(name, JSON.stringify(file, null, 2) + "\n", "application/json");
+    }
+  });
+
+  ndjson.addEventListener("click", () => saveFile(`${site.id}.ndjson`, run.lines.join(""), "application/x-ndjson"));
+
+  return panel;
+}
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Проверка правдоподобия цен в выгрузке одной дороги (lib/consistency.js).
+ *
+ *   node scraper/validate.js <файл> [--target ny] [--class 5] [--out аномалии.json] [--json] [--limit 20]
+ *
+ * Файл — *.canonical.json или файл для C# (тогда нужен --target, чтобы понять формат).
+ * Аномалии сохраняются рядом с файлом в <имя>.anomalies.json (или в --out); в консоль
+ * печатается сводка, --json печатает весь отчёт.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const { TARGETS, findTarget } = require("./registry");
+const { loadRecords } = require("./lib/records");
+const { loadTopology, pointsOf, generateRoutes } = require("./lib/topology");
+const { createAnomalyReport, formatAnomalies } = require("./lib/consistency");
+
+// 301.canonical.json -> 301.anomalies.json, responceAxel5.json -> responceAxel5.anomalies.json
+function anomaliesPath(file) {
+  return file.replace(/(\.canonical)?\.json$/i, "") + ".anomalies.json";
+}
+
+function usage() {
+  return [
+    "Использование: node scraper/validate.js <файл> [--target id] [--class N] [--out аномалии.json] [--json]",
+    "                                        [--limit 20]",
+  ].join("\n");
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      target: { type: "string" },
+      class: { type: "string" },
+      out: { type: "string" },
+      json: { type: "boolean", default: false },
+      limit: { type: "string", default: "20" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(usage());
+    return 0;
+  }
+
+  if (positionals.length !== 1) {
+    console.error(usage());
+    return 1;
+  }
+
+  const target = values.target ? findTarget(values.target) : null;
+  if (values.target && !target) {
+    console.error(`Неизвестная цель: ${values.target}`);
+    return 1;
+  }
+
+  const [file] = positionals;
+  const { state, road, records } = loadRecords(file, {
+    target,
+    vehicleClass: values.class ? Number(values.class) : undefined,
+  });
+
+  // Для canonical-файла цель узнаём по штату — топология нужна, чтобы сопоставить въезды с выездами
+  const topology = loadTopology(target || TARGETS.find((t) => t.stateCode === state) || {});
+  const report = createAnomalyReport({ state, road, source: path.resolve(file) }, records, {
+    points: topology && pointsOf(topology),
+    pairs: topology && generateRoutes(topology),
+  });
+
+  const out = path.resolve(values.out || anomaliesPath(file));
+  fs.writeFileSync(out, JSON.stringify(report, null, 2) + "\n");
+
+  if (values.json) {
+    process.stdout.write(JSON.stringify(report, null, 2) + "\n");
+  } else {
+    console.log(formatAnomalies(report, { limit: Number(values.limit) }));
+    console.log(`Сохранено: ${out}`);
+  }
+
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => process.exit(code),
+    (error) => {
+      console.error(error.message);
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { main, anomaliesPath };
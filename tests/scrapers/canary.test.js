@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { PARSER_ROOT, DOMParser, replay } = require("./helpers");
+const { findTarget, loadScript } = require(path.join(PARSER_ROOT, "scraper/registry"));
+const { runCanary, compareCanary, formatCanary, fingerprintOf } = require(path.join(PARSER_ROOT, "scraper/lib/canary"));
+
+const target = findTarget("de-us301");
+const script = loadScript(target);
+
+// Ответы кассеты, пропущенные через правку HTML — как после редизайна сайта
+function redesigned(fetch, edit) {
+  return async (url, init) => {
+    const response = await fetch(url, init);
+    return new Response(edit(await response.text()), { status: response.status, headers: response.headers });
+  };
+}
+
+function baselineOf(report) {
+  return {
+    checked_at: "2026-10-01T00:00:00.000Z",
+    fingerprint: report.fingerprint,
+    values: report.values.records.map((r) => ({ ...r, discount: r.discount || null })),
+  };
+}
+
+test("canary: рабочие пары — селекторы находят всё, цены правильные", async () => {
+  const report = await runCanary({ target, script, fetch: replay("de-us301"), DOMParser });
+
+  assert.equal(report.passed, true);
+  assert.equal(report.pages, 2);
+  assert.equal(report.selectors.rate, 1);
+  assert.deepEqual(
+    report.selectors.selectors.map((s) => [s.name, s.hits]),
+    [
+      ["container", 2],
+      ["table", 2],
+      ["ez_pass_row", 2],
+      ["video_row", 2],
+    ]
+  );
+  assert.deepEqual([report.values.ok, report.values.checked], [4, 4]);
+  assert.match(report.fingerprint.hash, /^[0-9a-f]{64}$/);
+  assert.ok(report.fingerprint.signatures.includes("div.col-md-N.well > table.table.table-condensed"));
+
+  // Тот же ответ — тот же отпечаток, без изменений
+  const again = await runCanary({ target, script, fetch: replay("de-us301"), DOMParser });
+  const comparison = compareCanary(again, baselineOf(report));
+  assert.deepEqual([comparison.fingerprint_changed, comparison.prices], [false, []]);
+});
+
+test("canary: после редизайна селекторы не находят таблицу — перебор не запускается", async () => {
+  const good = await runCanary({ target, script, fetch: replay("de-us301"), DOMParser });
+  const report = await runCanary({
+    target,
+    script,
+    fetch: redesigned(replay("de-us301"), (html) => html.replace('class="col-md-6 well"', 'class="card rates"')),
+    DOMParser,
+  });
+
+  assert.equal(report.passed, false);
+  assert.equal(report.selectors.rate, 0);
+  assert.equal(report.values.ok, 0);
+
+  const comparison = compareCanary(report, baselineOf(good));
+  assert.equal(comparison.fingerprint_changed, true);
+  assert.ok(comparison.added.includes("div.row > div.card.rates"));
+  assert.ok(comparison.removed.includes("div.row > div.col-md-N.well"));
+
+  const text = formatCanary(report, comparison);
+  assert.match(text, /Canary de-us301: НЕ ПРОЙДЕН — селекторы 0% на 2 страницах, значения 0\/4/);
+  assert.match(text, /селектор container \(\.col-md-6\.well\): 0\/2 страниц/);
+  assert.match(text, /121 -> 125 ez_pass: error, нет цены \(Toll rates container not found\.\)/);
+  assert.match(text, /Структура страниц изменилась с 2026-10-01T00:00:00\.000Z/);
+});
+
+test("canary: порог, цены canary-пар и отпечаток ответов без HTML", async () => {
+  // Одна строка из двух без цены: 2 из 4 записей — ниже порога 0.9, но выше 0.5
+  const edit = (html) => (html.includes("$12.00") ? html.replace("$12.00", "n/a").replace("$14.40", "n/a") : html);
+  const strict = await runCanary({ target, script, fetch: redesigned(replay("de-us301"), edit), DOMParser });
+  const lenient = await runCanary({
+    target,
+    script,
+    fetch: redesigned(replay("de-us301"), edit),
+    DOMParser,
+    threshold: 0.5,
+  });
+  assert.deepEqual([strict.selectors.rate, strict.values.rate, strict.passed, lenient.passed], [1, 0.5, false, true]);
+
+  const good = await runCanary({ target, script, fetch: replay("de-us301"), DOMParser });
+  const cheaper = await runCanary({
+    target,
+    script,
+    fetch: redesigned(replay("de-us301"), (html) => html.replace("$12.00", "$12.50")),
+    DOMParser,
+  });
+  assert.deepEqual(
+    compareCanary(cheaper, baselineOf(good)).prices.map((p) => [p.entry_id, p.payment_method, p.previous, p.amount]),
+    [["121", "ez_pass", 12, 12.5]]
+  );
+
+  // JSON — пути ключей с типами значений, JS — объявления
+  const { signatures } = fingerprintOf(
+    [
+      { contentType: "application/json", text: '{"Data":{"ResultObject":[{"ExitInterchangeId":2,"L5Axle":3.55}]}}' },
+      { contentType: "application/javascript", text: "var tolls = [];\nfunction rate() {}" },
+    ],
+    DOMParser
+  );
+  assert.deepEqual(signatures, [
+    "$.Data.ResultObject[].ExitInterchangeId:number",
+    "$.Data.ResultObject[].L5Axle:number",
+    "js:rate",
+    "js:tolls",
+  ]);
+});
@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { PARSER_ROOT } = require("./helpers");
+const { createDocument, validateDocument, assertValidDocument, SchemaValidationError } = require(
+  path.join(PARSER_ROOT, "scraper/lib/canonical")
+);
+const { findTarget, loadScript } = require(path.join(PARSER_ROOT, "scraper/registry"));
+const { main } = require(path.join(PARSER_ROOT, "scraper/run"));
+
+const record = (fields = {}) => ({
+  state: "OH",
+  road: "Ohio Turnpike",
+  entry_id: "2",
+  entry_label: "Westgate",
+  exit_id: "13",
+  exit_label: null,
+  direction: null,
+  vehicle_class: "5",
+  payment_method: "ez_pass",
+  payment_category: "transponder_in_state",
+  amount: 7.14,
+  currency: "USD",
+  distance_miles: null,
+  status: "ok",
+  message: null,
+  ...fields,
+});
+
+const documentOf = (...records) =>
+  createDocument({ state: "OH", road: "Ohio Turnpike", records, generatedAt: new Date("2025-01-05T00:00:00Z") });
+
+test("canonical: корректный документ проходит проверку схемой", () => {
+  const document = documentOf(record(), record({ amount: null, status: "no_rate", payment_category: null }));
+  assert.deepEqual(validateDocument(document), { valid: true, errors: [] });
+  assert.equal(assertValidDocument(document), document);
+});
+
+test("canonical: запись без amount/status или с неизвестной payment_category отклоняется", () => {
+  const { amount, status, ...incomplete } = record();
+  const { valid, errors } = validateDocument(documentOf(incomplete, record({ payment_category: "card" })));
+
+  assert.equal(valid, false);
+  assert.ok(errors.includes("/records/0 must have required property 'amount'"));
+  assert.ok(errors.includes("/records/0 must have required property 'status'"));
+  assert.ok(errors.includes("/records/1/payment_category must be equal to one of the allowed values"));
+
+  assert.throws(
+    () => assertValidDocument(documentOf(incomplete)),
+    (error) => error instanceof SchemaValidationError && error.errors.length === 2
+  );
+});
+
+test("run.js: результат, не прошедший схему, не сохраняется", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "run-"));
+  const target = findTarget("oh-turnpike");
+  const script = loadScript(target);
+
+  // Скрипт штата отдаёт запись с ценой строкой вместо числа
+  const scrape = script[target.entry];
+  t.after(() => {
+    script[target.entry] = scrape;
+  });
+  script[target.entry] = async (options) => {
+    const result = await scrape(options);
+    result.records[0] = { ...result.records[0], amount: "7.14" };
+    return result;
+  };
+
+  const logged = [];
+  t.mock.method(console, "error", (...args) => logged.push(args.join(" ")));
+
+  const code = await main([
+    "oh-turnpike",
+    "--replay",
+    path.join(__dirname, "cassettes", "oh-turnpike.json"),
+    "--skip-catalog",
+    "--out",
+    path.join(dir, "rates5.json"),
+    "--stream",
+    path.join(dir, "oh.ndjson"),
+  ]);
+
+  assert.equal(code, 2);
+  assert.ok(logged.some((line) => line.startsWith("Результат не прошёл проверку схемой")));
+  assert.ok(logged.includes("  /records/0/amount must be number,null"));
+  assert.deepEqual(fs.readdirSync(dir).filter((file) => file.startsWith("rates5")), []);
+});
@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { PARSER_ROOT } = require("./helpers");
+const { createRecordingFetch, createReplayFetch } = require(path.join(PARSER_ROOT, "scraper/lib/cassette"));
+
+test("кассета: записанный ответ воспроизводится по методу, URL и телу", async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "cassette-")), "c.json");
+  const origin = "https://example.test";
+
+  const live = async (input, init) =>
+    new Response(`ответ на ${init.method} ${init.body}`, { status: 200 });
+  const recording = createRecordingFetch(live, file, { origin });
+
+  const form = new FormData();
+  form.append("entry", "1");
+  await recording("/calc", { method: "POST", body: form });
+  assert.equal(recording.save(), 1);
+
+  const replayFetch = createReplayFetch(file, { origin });
+  const replayForm = new FormData();
+  replayForm.append("entry", "1");
+
+  const response = await replayFetch(`${origin}/calc`, { method: "POST", body: replayForm });
+  assert.equal(await response.text(), "ответ на POST [object FormData]");
+
+  await assert.rejects(
+    replayFetch("/calc", { method: "POST", body: "entry=2" }),
+    /Нет записи в кассете/
+  );
+});
+
+test("кассета: ответы без тела (204, 304) записываются и воспроизводятся", async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "cassette-")), "c.json");
+  const origin = "https://example.test";
+
+  const live = async (input) => new Response(null, { status: input.endsWith("/ping") ? 204 : 304 });
+  const recording = createRecordingFetch(live, file, { origin });
+  assert.equal((await recording("/ping")).status, 204);
+  assert.equal((await recording("/cached")).status, 304);
+  recording.save();
+
+  const replayFetch = createReplayFetch(file, { origin });
+  const ping = await replayFetch("/ping");
+  assert.deepEqual([ping.status, await ping.text()], [204, ""]);
+  assert.equal((await replayFetch("/cached")).status, 304);
+});
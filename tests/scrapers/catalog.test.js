@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { PARSER_ROOT, DOMParser, loadScript, replay } = require("./helpers");
+const { findTarget } = require(path.join(PARSER_ROOT, "scraper/registry"));
+const { diffCatalog, formatCatalogDiff, loadKnownCatalog } = require(path.join(PARSER_ROOT, "scraper/lib/catalog"));
+
+const item = (id, label = null) => ({ id, label });
+
+test("catalog: MA — списки въездов и выездов со страницы калькулятора", async () => {
+  const { discoverCatalog } = loadScript("MA/fieles/ParseScript.js");
+  const catalog = await discoverCatalog({ fetch: replay("ma-turnpike"), DOMParser });
+
+  assert.deepEqual(catalog.entries.map((e) => e.id), ["Entry_1", "Entry_2", "Entry_9"]);
+  assert.deepEqual(catalog.exits[2], {
+    id: "Exit_14EB",
+    label: "123 (old 14) - Weston (Route 128/I-95/Route 30) (Eastbound only)",
+  });
+});
+
+test("catalog: страница без списков — ошибка, а не пустой каталог", async () => {
+  const { discoverCatalog } = loadScript("NJ/files/scripts.js");
+  const fetch = async () => new Response("<html><body>Maintenance</body></html>");
+
+  await assert.rejects(discoverCatalog({ fetch, DOMParser }), /нет списков въездов и выездов/);
+});
+
+test("catalog: новые, исчезнувшие и переименованные развязки", () => {
+  const previous = {
+    entries: [item("01", "01: DELAWARE MEMORIAL BRIDGE"), item("07A", "07A: I-195"), item("08", "08: NJ 33")],
+    exits: [item("m00x"), item("m01x")],
+  };
+  const current = {
+    entries: [item("01", "01: DELAWARE MEMORIAL BRIDGE"), item("07B", "07A: I-195"), item("08", "08: NJ 33, FREEHOLD")],
+    exits: [item("m00x", "Bronx"), item("m02x", "Yonkers")],
+  };
+
+  const diff = diffCatalog(previous, current);
+
+  assert.equal(diff.changed, true);
+  assert.deepEqual(diff.entries, {
+    added: [],
+    removed: [],
+    renamed: [
+      { id: "08", from: "08: NJ 33", to: "08: NJ 33, FREEHOLD" },
+      { id: "07B", previous_id: "07A", from: "07A: I-195", to: "07A: I-195" },
+    ],
+  });
+  // Подпись появилась там, где её не было, — это не переименование
+  assert.deepEqual(diff.exits, { added: [item("m02x", "Yonkers")], removed: [item("m01x")], renamed: [] });
+
+  const report = formatCatalogDiff(diff, "NJ_INTERCHANGES");
+  assert.match(report, /въезды: ~ 07A -> 07B/);
+  assert.match(report, /выезды: \+ m02x \(Yonkers\)/);
+  assert.match(report, /выезды: - m01x/);
+  assert.equal(diffCatalog(previous, previous).changed, false);
+});
+
+test("catalog: без сохранённого каталога сравнение идёт со встроенным списком скрипта", () => {
+  const target = { ...findTarget("de-us301"), id: "no-such-target" };
+  const script = loadScript(target.script);
+
+  const { catalog, source } = loadKnownCatalog(target, script);
+
+  assert.equal(catalog, script.DE_INTERCHANGES);
+  assert.match(source, /DE_INTERCHANGES/);
+});
+
+test("DE US 301: перебор идёт по переданному каталогу", async () => {
+  const { scrapeAllUS301TollsV5 } = loadScript("DE/files/scripts.js");
+  const requested = [];
+  const fetch = async (url, init) => {
+    const body = new URLSearchParams(init.body);
+    requested.push(`${body.get("entry")}-${body.get("exit")}`);
+    return new Response("<div></div>");
+  };
+  const catalog = {
+    entries: [item("121", "Northbound - DE/MD Stateline"), item("140", "Northbound - New Road")],
+    exits: [item("128", "Northbound - SR 1")],
+  };
+
+  const { records } = await scrapeAllUS301TollsV5({ vehicleClass: 5, fetch, DOMParser, log: () => {}, printResult: false, catalog });
+
+  assert.deepEqual(requested.sort(), ["121-128", "140-128"]);
+  assert.equal(records.find((r) => r.entry_id === "140").entry_label, "Northbound - New Road");
+});
@@ -0,0 +1,127 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { PARSER_ROOT, DOMParser, loadScript } = require("./helpers");
+const { createCheckpoint, completenessReport } = require(path.join(PARSER_ROOT, "scraper/lib/checkpoint"));
+
+const { scrapeAllUS301TollsV5 } = loadScript("DE/files/scripts.js");
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "checkpoint-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "run.json");
+}
+
+const isDone = (row) => row.status === "OK";
+
+test("checkpoint: успешные пары берутся из файла, упавшие запрашиваются снова", async (t) => {
+  const file = tempFile(t);
+  const params = { target: "ny-thruway", vehicleClass: 6 };
+
+  const first = createCheckpoint(file, { params });
+  await first.run("a", async () => ({ status: "OK", price: 1 }), isDone);
+  await first.run("b", async () => ({ status: "FAIL" }), isDone);
+  first.save();
+
+  const second = createCheckpoint(file, { params });
+  assert.equal(second.stats.restored, 2);
+
+  const calls = [];
+  const job = (key) => async () => {
+    calls.push(key);
+    return { status: "OK", price: 2 };
+  };
+
+  assert.deepEqual(await second.run("a", job("a"), isDone), { status: "OK", price: 1 });
+  assert.deepEqual(await second.run("b", job("b"), isDone), { status: "OK", price: 2 });
+  assert.deepEqual(await second.run("c", job("c"), isDone), { status: "OK", price: 2 });
+  assert.deepEqual(calls, ["b", "c"]);
+  assert.deepEqual([second.stats.reused, second.stats.fetched], [1, 2]);
+});
+
+test("checkpoint: точка с другими параметрами или устаревшая не используется", async (t) => {
+  const file = tempFile(t);
+
+  const first = createCheckpoint(file, { params: { vehicleClass: 5 } });
+  await first.run("a", async () => ({ status: "OK" }));
+  first.save();
+
+  const otherClass = createCheckpoint(file, { params: { vehicleClass: 6 } });
+  assert.equal(otherClass.stats.restored, 0);
+  assert.equal(otherClass.stats.discarded, true);
+
+  const expired = createCheckpoint(file, { params: { vehicleClass: 5 }, maxAge: -1 });
+  assert.equal(expired.stats.restored, 0);
+  assert.equal(expired.stats.discarded, true);
+});
+
+test("checkpoint: файл пишется по ходу работы, а не только в конце", async (t) => {
+  const file = tempFile(t);
+  const checkpoint = createCheckpoint(file, { saveEvery: 2 });
+
+  await checkpoint.run("a", async () => ({ status: "OK" }));
+  assert.equal(fs.existsSync(file), false);
+
+  await checkpoint.run("b", async () => ({ status: "OK" }));
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, "utf8")).rows), ["a", "b"]);
+});
+
+test("checkpoint: отчёт о полноте считает пары, а не записи", () => {
+  const record = (entry, status) => ({ entry_id: entry, exit_id: "x", vehicle_class: "5", status });
+  const report = completenessReport(
+    [
+      record("1", "ok"),
+      record("1", "ok"),
+      record("2", "ok"),
+      record("2", "error"),
+      record("3", "no_rate"),
+      record("4", "no_rate"),
+      record("4", "ok"),
+    ],
+    { reused: 3, fetched: 1 }
+  );
+
+  assert.deepEqual(report, {
+    pairs: 4,
+    ok: 2,
+    no_rate: 1,
+    error: 1,
+    complete_pct: 75,
+    reused: 3,
+    fetched: 1,
+  });
+});
+
+test("DE US 301: повторный запуск дозапрашивает только упавшие маршруты", async (t) => {
+  const file = tempFile(t);
+  const params = { target: "de-us301", vehicleClass: 5 };
+  const page =
+    '<div class="col-md-6 well"><table class="table table-condensed"><tr><th>Payment</th><th>Rate</th></tr>' +
+    "<tr><td>E-ZPass</td><td>$12.00</td></tr><tr><td>Video</td><td>$14.40</td></tr></table></div>";
+
+  const requests = [];
+  const fetchFailingFor = (failing) => async (url, init) => {
+    const body = new URLSearchParams(init.body);
+    const pair = `${body.get("entry")}-${body.get("exit")}`;
+    requests.push(pair);
+    if (failing.includes(pair)) throw new Error("network down");
+    return new Response(page);
+  };
+  const scrape = (fetch, checkpoint) =>
+    scrapeAllUS301TollsV5({ vehicleClass: 5, fetch, DOMParser, log: () => {}, printResult: false, checkpoint });
+
+  const first = createCheckpoint(file, { params });
+  await scrape(fetchFailingFor(["121-125", "132-136"]), first);
+  first.save();
+
+  requests.length = 0;
+  const second = createCheckpoint(file, { params });
+  const { records } = await scrape(fetchFailingFor([]), second);
+
+  assert.deepEqual(requests.sort(), ["121-125", "132-136"]);
+  assert.equal(completenessReport(records).error, 0);
+  assert.equal(records.length, 128);
+});
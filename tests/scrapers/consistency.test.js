@@ -0,0 +1,142 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { PARSER_ROOT, DOMParser, loadScript } = require("./helpers");
+const { checkConsistency, formatAnomalies } = require(path.join(PARSER_ROOT, "scraper/lib/consistency"));
+const { findTarget } = require(path.join(PARSER_ROOT, "scraper/registry"));
+const { loadTopology, pointsOf } = require(path.join(PARSER_ROOT, "scraper/lib/topology"));
+
+function record(entry, exit, amount, extra = {}) {
+  return {
+    state: "NY",
+    road: "NYS Thruway",
+    entry_id: entry,
+    entry_label: null,
+    exit_id: exit,
+    exit_label: null,
+    direction: null,
+    vehicle_class: "5",
+    axles: 5,
+    vehicle_type: "truck",
+    payment_method: "ny_ez_pass",
+    amount,
+    currency: "USD",
+    distance_miles: null,
+    status: amount === null ? "no_rate" : "ok",
+    message: null,
+    ...extra,
+  };
+}
+
+// Линейная дорога a-b-c-d: тариф 2$ за участок в обе стороны
+function linearMatrix(overrides = {}) {
+  const points = ["a", "b", "c", "d"];
+  const records = [];
+  for (const [i, from] of points.entries()) {
+    for (const [j, to] of points.entries()) {
+      if (i === j) continue;
+      const key = `${from}${to}`;
+      const amount = key in overrides ? overrides[key] : 2 * Math.abs(i - j);
+      records.push(record(from, to, amount, { distance_miles: 10 * Math.abs(i - j) }));
+    }
+  }
+  return records;
+}
+
+const checks = (result) => result.anomalies.map((a) => a.check);
+
+test("consistency: согласованная матрица — без аномалий", () => {
+  const result = checkConsistency(linearMatrix());
+  assert.deepEqual(result.anomalies, []);
+  assert.equal(result.summary.priced, 12);
+});
+
+test("consistency: нулевой тариф и пропущенный тариф возможной пары", () => {
+  const records = linearMatrix({ ab: 0, cd: null });
+  const result = checkConsistency(records, { pairs: [{ entry: "c", exit: "d" }] });
+
+  assert.ok(checks(result).includes("non_positive"));
+  const missing = result.anomalies.find((a) => a.check === "missing_rate");
+  assert.deepEqual([missing.rows[0].entry_id, missing.rows[0].exit_id], ["c", "d"]);
+});
+
+test("consistency: асимметрия, субаддитивность, пробег и выброс", () => {
+  // a -> d втрое дороже, чем a -> c + c -> d, и дороже обратного направления
+  const result = checkConsistency(linearMatrix({ ad: 30 }));
+  const found = new Set(checks(result));
+
+  for (const check of ["asymmetry", "subadditivity", "outlier"]) assert.ok(found.has(check), check);
+
+  const subadditivity = result.anomalies.find((a) => a.check === "subadditivity");
+  assert.deepEqual(
+    subadditivity.rows.map((r) => `${r.entry_id}${r.exit_id}`),
+    ["ad", "ab", "bd"]
+  );
+
+  // Дальняя поездка дешевле ближней
+  const mileage = checkConsistency(linearMatrix({ ac: 1, ca: 1 }), { outlier: 100, subadditivity: 100 });
+  assert.ok(checks(mileage).includes("mileage"));
+});
+
+test("consistency: наличные не дешевле транспондера", () => {
+  const records = [
+    record("a", "b", 5, { payment_method: "cash" }),
+    record("a", "b", 6, { payment_method: "ez_pass" }),
+  ];
+  const result = checkConsistency(records);
+
+  assert.deepEqual(checks(result), ["payment_order"]);
+  assert.match(formatAnomalies(result), /cash \$5\.00 дешевле ez_pass \$6\.00/);
+});
+
+test("consistency: въезды и выезды одной развязки DE сопоставляются через топологию", () => {
+  const points = pointsOf(loadTopology(findTarget("de-us301")));
+  const de = (entry, exit, amount) => record(entry, exit, amount, { state: "DE", payment_method: "ez_pass" });
+
+  // 121 -> 128 (Stateline -> SR 1) при 121 -> 125 = 4 и 122 -> 128 = 4 (Levels Rd)
+  const records = [de("121", "125", 4), de("122", "128", 4), de("121", "128", 20)];
+  assert.ok(checks(checkConsistency(records, { points })).includes("subadditivity"));
+  assert.ok(!checks(checkConsistency(records)).includes("subadditivity"));
+});
+
+test("DE и NJ: нечисловая цена — не бесплатный проезд", () => {
+  const { parseTollHtml } = loadScript("DE/files/scripts.js");
+  const page =
+    '<div class="col-md-6 well"><table class="table table-condensed"><tr><th>Payment</th><th>Rate</th></tr>' +
+    "<tr><td>E-ZPass</td><td>N/A</td></tr><tr><td>Video</td><td>$14.40</td></tr></table></div>";
+  const de = parseTollHtml(page, new DOMParser());
+  assert.equal(de.ez_pass, null);
+  assert.ok(de.error);
+
+  const { parsePrice } = loadScript("NJ/files/scripts.js");
+  assert.equal(parsePrice("N/A"), null);
+  assert.equal(parsePrice("$0.00"), 0);
+});
+
+test("payment_category: словари способов оплаты всех штатов в общей категории", () => {
+  const categories = ["transponder_in_state", "transponder_out_of_state", "plate_billing", "cash"];
+  const vocabularies = {
+    DE: loadScript("DE/files/scripts.js").DE_PAYMENT_METHODS,
+    NJ: loadScript("NJ/files/scripts.js").NJ_PAYMENT_METHODS,
+    NY: loadScript("NY/fieles/ParseScript.js").NY_PAYMENT_METHODS,
+    IN: loadScript("IN/files/scripts.js").IN_PAYMENT_METHODS,
+    MA: loadScript("MA/fieles/ParseScript.js").MA_PAYMENT_METHODS,
+    PA: loadScript("PA/files/scripts.js").PA_PAYMENT_METHODS,
+    OH: loadScript("OH/files/scripts.js").OH_PAYMENT_METHODS,
+  };
+
+  for (const [state, methods] of Object.entries(vocabularies)) {
+    for (const payment of Object.values(methods)) {
+      assert.ok(categories.includes(payment.payment_category), `${state}: ${payment.payment_method}`);
+      assert.match(payment.payment_method, /^[a-z0-9_]+$/, state);
+    }
+  }
+
+  // Категория важнее способа: оплата по номеру дороже транспондера, как бы ни называлась
+  const records = [
+    record("a", "b", 3, { payment_method: "pay_by_plate_ma", payment_category: "plate_billing" }),
+    record("a", "b", 4, { payment_method: "e_zpass_ma", payment_category: "transponder_in_state" }),
+  ];
+  assert.deepEqual(checks(checkConsistency(records)), ["payment_order"]);
+});
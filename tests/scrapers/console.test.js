@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const vm = require("vm");
+const { parseHTML } = require("linkedom");
+
+const { PARSER_ROOT, replay } = require("./helpers");
+const { findTarget } = require(path.join(PARSER_ROOT, "scraper/registry"));
+const { buildConsoleScript } = require(path.join(PARSER_ROOT, "scraper/console"));
+
+test("console: сборка для консоли браузера — скрипт штата с общим кодом, запускается сам", async () => {
+  const { document } = parseHTML("<html><body></body></html>");
+  const downloads = [];
+  vm.runInNewContext(buildConsoleScript(findTarget("oh-turnpike")), {
+    document,
+    fetch: replay("oh-turnpike"),
+    Blob,
+    Response,
+    TextEncoder,
+    crypto,
+    URL: {
+      createObjectURL: (blob) => {
+        downloads.push(blob);
+        return `blob:${downloads.length}`;
+      },
+      revokeObjectURL: () => {},
+    },
+    setTimeout,
+    console: { log: () => {} },
+  });
+
+  for (let i = 0; i < 200 && downloads.length < 2; i++) await new Promise((r) => setTimeout(r, 10));
+  const [ndjson, summary] = await Promise.all(downloads.map((blob) => blob.text()));
+  const end = ndjson.trim().split("\n").map((line) => JSON.parse(line)).pop();
+  assert.deepEqual([end.type, end.provenance.script], ["end", "OH/files/scripts.js"]);
+  assert.equal(JSON.parse(summary).stream, "oh-turnpike.ndjson");
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { DOMParser, loadScript, replay } = require("./helpers");
+const { parseTollHtml, toCanonicalRecords } = loadScript("DE/files/scripts.js");
+
+const URL = "https://deldot.gov/public.ejs?command=PublicTollRateUS301";
+
+async function fetchRates(fetch, entry, exit, vehicleClass = 5) {
+  const formData = new URLSearchParams();
+  formData.append("entry", entry);
+  formData.append("exit", exit);
+  formData.append("vehicle", vehicleClass);
+
+  const response = await fetch(URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: formData.toString(),
+  });
+  return parseTollHtml(await response.text(), new DOMParser());
+}
+
+test("DE US 301: E-ZPass и Video для известных пар", async () => {
+  const fetch = replay("de-us301");
+
+  const cases = [
+    ["121", "125", 12.0, 14.4],
+    ["122", "128", 11.0, 13.2],
+    ["132", "136", 12.0, 14.4],
+    ["129", "133", 11.0, 13.2],
+  ];
+
+  for (const [entry, exit, ezPass, cash] of cases) {
+    assert.deepEqual(await fetchRates(fetch, entry, exit), {
+      ez_pass: ezPass,
+      cash,
+      error: null,
+    }, `${entry} -> ${exit}`);
+  }
+});
+
+test("DE US 301: .errorMsg возвращается как ошибка без цен", async () => {
+  const prices = await fetchRates(replay("de-us301"), "121", "136");
+
+  assert.equal(prices.ez_pass, null);
+  assert.equal(prices.cash, null);
+  assert.match(prices.error, /No toll rate exists/);
+});
+
+test("DE US 301: нет таблицы тарифов — ошибка, а не $0", () => {
+  const prices = parseTollHtml('<div class="col-md-6 well"><h4>Toll Rates</h4></div>', new DOMParser());
+
+  assert.equal(prices.ez_pass, null);
+  assert.equal(prices.error, "Toll rates table not found inside container.");
+});
+
+test("DE US 301: запись единого формата", () => {
+  const records = toCanonicalRecords(
+    {
+      entry: "121",
+      exit: "125",
+      entry_label: "Northbound - DE/MD Stateline",
+      exit_label: "Northbound - Levels Rd",
+      ez_pass: 12,
+      cash: 14.4,
+      status: "OK",
+      message: null,
+    },
+    5
+  );
+
+  assert.deepEqual(
+    records.map((r) => [r.direction, r.payment_method, r.payment_category, r.amount, r.status]),
+    [
+      ["northbound", "ez_pass", "transponder_in_state", 12, "ok"],
+      ["northbound", "video", "plate_billing", 14.4, "ok"],
+    ]
+  );
+});
@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { PARSER_ROOT } = require("./helpers");
+const { diffRecords, formatReport } = require(path.join(PARSER_ROOT, "scraper/lib/diff"));
+
+const record = (entry, exit, payment, amount, status = "ok") => ({
+  entry_id: entry,
+  exit_id: exit,
+  entry_label: null,
+  exit_label: null,
+  direction: null,
+  vehicle_class: "5",
+  payment_method: payment,
+  amount: status === "ok" ? amount : null,
+  status,
+});
+
+test("diff: добавленные, удалённые и изменённые пары с дельтами", () => {
+  const before = [
+    record("01", "02", "cash", 5.95),
+    record("01", "02", "ez_pass_peak", 5.31),
+    record("01", "03", "cash", 12.4),
+    record("01", "04", "cash", 20),
+  ];
+  const after = [
+    record("01", "02", "cash", 6.2),
+    record("01", "02", "ez_pass_peak", 5.31),
+    record("01", "03", "cash", 12.4, "no_rate"),
+    record("01", "04", "cash", 19),
+    record("01", "05", "cash", 25),
+  ];
+
+  const report = diffRecords(before, after);
+
+  assert.deepEqual(report.summary, {
+    old_count: 4,
+    new_count: 4,
+    matched: 3,
+    unchanged: 1,
+    increased: 1,
+    increased_avg_pct: 4.2,
+    decreased: 1,
+    decreased_avg_pct: -5,
+    added: 1,
+    removed: 1,
+    overall_pct: -2.4,
+  });
+  assert.deepEqual(
+    report.changed.map((c) => [c.exit_id, c.old_amount, c.new_amount, c.delta, c.delta_pct]),
+    [
+      ["04", 20, 19, -1, -5],
+      ["02", 5.95, 6.2, 0.25, 4.2],
+    ]
+  );
+  assert.equal(report.removed[0].exit_id, "03");
+  assert.equal(report.added[0].exit_id, "05");
+
+  assert.match(formatReport(report), /^1 pairs up 4.2%, 1 pairs down 5%, 1 unchanged, 1 added, 1 removed/);
+  assert.match(formatReport(report, { limit: 0 }), /Added \(1\):\n  … and 1 more/);
+});
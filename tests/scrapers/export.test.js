@@ -0,0 +1,156 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { PARSER_ROOT, loadScript } = require("./helpers");
+const { toSql, toCsv, toPriceRows } = require(path.join(PARSER_ROOT, "scraper/lib/export"));
+const { NY_VEHICLE_CLASSES } = loadScript("NY/fieles/ParseScript.js");
+const { PA_VEHICLE_CLASSES } = loadScript("PA/files/scripts.js");
+
+const PEAK = {
+  period: "peak",
+  timezone: "America/New_York",
+  windows: [{ days: ["mon", "tue", "wed", "thu", "fri"], start: "07:00", end: "09:00" }],
+};
+
+const record = (exit, payment, category, amount, extra = {}) => ({
+  state: "NJ",
+  road: "New Jersey Turnpike",
+  entry_id: "01",
+  entry_label: "Delaware Memorial Bridge",
+  exit_id: exit,
+  exit_label: `Exit ${exit}`,
+  direction: "northbound",
+  vehicle_class: "5",
+  axles: 5,
+  vehicle_type: "truck",
+  payment_method: payment,
+  payment_category: category,
+  amount,
+  currency: "USD",
+  distance_miles: null,
+  status: amount === null ? "no_rate" : "ok",
+  message: amount === null ? "Нет тарифа" : null,
+  ...extra,
+});
+
+const records = [
+  record("07A", "cash", "cash", 27.35),
+  record("07A", "ez_pass_peak", "transponder_in_state", 24.5, { schedule: PEAK }),
+  record("07A", "ez_pass_off_peak", "transponder_in_state", 22.1, { schedule: { ...PEAK, period: "off_peak" } }),
+  record("07A", "ez_pass_peak", "transponder_in_state", 19.6, { schedule: PEAK, discount: "green" }),
+  record("09", "cash", "cash", null),
+];
+
+test("export: строки БД — PaymentType по категории, Description как у C#-парсера", () => {
+  const { rows, skipped } = toPriceRows(records);
+
+  assert.deepEqual(
+    rows.map((r) => [r.exit_id, r.payment_type, r.axel_type, r.amount, r.description, r.plain]),
+    [
+      ["07A", 3, 5, 27.35, "01 -> 07A", true],
+      ["07A", 4, 5, 24.5, "01 -> 07A (Peak)", false],
+      ["07A", 4, 5, 22.1, "01 -> 07A (Off-Peak)", false],
+      ["07A", 4, 5, 19.6, "01 -> 07A (Peak, green)", false],
+    ]
+  );
+  assert.deepEqual(skipped, []);
+
+  // Два способа оплаты с одним ключом в БД — остаётся первый, второй в отчёте
+  const clash = toPriceRows([
+    record("07A", "ny_ez_pass", "transponder_in_state", 10),
+    record("07A", "ez_pass", "transponder_in_state", 11),
+    record("07A", "mystery", null, 12),
+  ]);
+  assert.deepEqual(clash.rows.map((r) => r.amount), [10]);
+  assert.deepEqual(
+    clash.skipped.map((s) => s.reason),
+    ["Тот же ключ в БД, что у 5/ny_ez_pass: 01 -> 07A", "Нет PaymentType для способа оплаты mystery"]
+  );
+
+  // PA: L2Axle и H2Axle — два класса с двумя осями, у каждого своя строка
+  const pa = toPriceRows(
+    [
+      record("07A", "e_zpass", "transponder_in_state", 4.1, { vehicle_class: "1", axles: 2, vehicle_type: "passenger" }),
+      record("07A", "e_zpass", "transponder_in_state", 8.2, { vehicle_class: "2", axles: 2 }),
+      record("07A", "e_zpass", "transponder_in_state", 30.5, { vehicle_class: "7", axles: 5, schedule: PEAK }),
+    ],
+    { vehicleClasses: PA_VEHICLE_CLASSES }
+  );
+  assert.deepEqual(
+    pa.rows.map((r) => [r.axel_type, r.amount, r.description]),
+    [
+      [2, 4.1, "01 -> 07A (class 1)"],
+      [2, 8.2, "01 -> 07A (class 2)"],
+      [5, 30.5, "01 -> 07A (class 7, Peak)"],
+    ]
+  );
+  assert.deepEqual(pa.skipped, []);
+});
+
+test("export: файлы одного класса по очереди — те же ключи, что у общего файла", () => {
+  // NY пишет файл на класс; классы 1 и 2 — по две оси
+  const ny = (vehicleClass, amount) =>
+    record("07A", "ny_ez_pass", "transponder_in_state", amount, {
+      state: "NY",
+      vehicle_class: vehicleClass,
+      axles: NY_VEHICLE_CLASSES[vehicleClass].axles,
+    });
+  const exportOf = (recs) =>
+    toSql(recs, { state: "NY", road: "NYS Thruway", vehicleClasses: NY_VEHICLE_CLASSES }).rows.map((r) =>
+      [r.entry_id, r.exit_id, r.axel_type, r.payment_type, r.description].join("|")
+    );
+
+  const first = exportOf([ny("1", 1.5)]);
+  const second = exportOf([ny("2", 3)]);
+  assert.deepEqual(first, ["01|07A|2|4|01 -> 07A (class 1)"]);
+  assert.deepEqual(second, ["01|07A|2|4|01 -> 07A (class 2)"]);
+  assert.deepEqual(exportOf([ny("1", 1.5), ny("2", 3)]), [...first, ...second]);
+
+  // Класс с уникальным числом осей — Description как у C#-парсера
+  assert.deepEqual(exportOf([ny("5", 12)]), ["01|07A|5|4|01 -> 07A"]);
+});
+
+test("export: SQL — обновление на месте и вставка только отсутствующих цен", () => {
+  const { sql, rows } = toSql(records, { state: "NJ", road: "New Jersey Turnpike", source: "nj.canonical.json" });
+
+  assert.equal(rows.length, 4);
+  assert.match(sql, /^-- NJ New Jersey Turnpike/);
+  assert.match(sql, /\nBEGIN;\n[\s\S]*\nCOMMIT;\n$/);
+  assert.match(sql, /\('01', '07A', 4, 5, 24\.5, '01 -> 07A \(Peak\)', FALSE\)/);
+  assert.match(sql, /f\."Number" = sp\.entry_id/);
+  // Ни одной вставки без проверки на существующую строку
+  assert.equal((sql.match(/INSERT INTO "/g) || []).length, 3);
+  assert.equal((sql.match(/WHERE NOT EXISTS/g) || []).length, 4);
+  assert.match(sql, /UPDATE "TollPrices" tp SET "Amount" = st\.amount/);
+
+  // Тот же вход — тот же скрипт
+  assert.equal(toSql(records, { state: "NJ", road: "New Jersey Turnpike", source: "nj.canonical.json" }).sql, sql);
+
+  assert.match(toSql(records, { state: "NJ", road: "x", match: "Key" }).sql, /t\."Key" = sp\.exit_id/);
+  assert.throws(() => toSql(records, { state: "NJ", road: "x", match: "Id; DROP" }), /Плазы ищутся только по/);
+  assert.throws(() => toSql(records, { state: "New Jersey", road: "x" }), /код штата/);
+
+  // Кавычки в подписях не ломают скрипт
+  const quoted = toSql([record("O'Hare", "cash", "cash", 1)], { state: "NJ", road: "x" }).sql;
+  assert.match(quoted, /'01 -> O''Hare'/);
+});
+
+test("export: CSV — все записи, период расписания и экранирование", () => {
+  const csv = toCsv([records[1], records[4], record("10", "cash", "cash", 5, { exit_label: 'Exit "10", Metuchen' })]);
+  const lines = csv.split("\r\n");
+
+  assert.equal(
+    lines[0],
+    "state,road,entry_id,entry_label,exit_id,exit_label,direction,vehicle_class,axles,vehicle_type," +
+      "payment_method,payment_category,schedule_period,discount,amount,currency,distance_miles,status,message"
+  );
+  assert.equal(
+    lines[1],
+    "NJ,New Jersey Turnpike,01,Delaware Memorial Bridge,07A,Exit 07A,northbound,5,5,truck," +
+      "ez_pass_peak,transponder_in_state,peak,,24.5,USD,,ok,"
+  );
+  assert.match(lines[2], /,cash,cash,,,,USD,,no_rate,Нет тарифа$/);
+  assert.match(lines[3], /,"Exit ""10"", Metuchen",/);
+  assert.equal(lines[4], "");
+});
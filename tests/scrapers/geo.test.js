@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { PARSER_ROOT } = require("./helpers");
+const { readJunctions, geocodeCatalog, catalogOfRecords, toGeoJson } = require(
+  path.join(PARSER_ROOT, "scraper/lib/geo")
+);
+
+const junction = (id, tags, lng, lat) => ({
+  type: "Feature",
+  id,
+  geometry: { type: "Point", coordinates: [lng, lat] },
+  properties: tags,
+});
+
+const osm = {
+  type: "FeatureCollection",
+  features: [
+    junction("node/1", { highway: "motorway_junction", ref: "21B", name: "Coxsackie" }, -73.853, 42.361),
+    // Две проезжие части одного выезда
+    junction("node/2", { highway: "motorway_junction", ref: "24" }, -73.81, 42.69),
+    junction("node/3", { highway: "motorway_junction", ref: "24" }, -73.83, 42.7),
+    junction("node/4", { barrier: "toll_booth", name: "Levels Road Toll Plaza" }, -75.67, 39.46),
+    junction("node/5", { highway: "services", name: "Not a junction" }, -73.9, 42.4),
+  ],
+};
+
+const record = (entry, exit, payment, amount, extra = {}) => ({
+  entry_id: entry,
+  entry_label: null,
+  exit_id: exit,
+  exit_label: null,
+  direction: null,
+  vehicle_class: "5",
+  payment_method: payment,
+  amount,
+  distance_miles: null,
+  status: amount === null ? "no_rate" : "ok",
+  ...extra,
+});
+
+test("geo: развязки из GeoJSON и Overpass, только развязки и пункты оплаты", () => {
+  const fromGeoJson = readJunctions(osm);
+  assert.deepEqual(
+    fromGeoJson.map((j) => [j.id, j.number, j.name, j.kind]),
+    [
+      ["node/1", "21B", "Coxsackie", "junction"],
+      ["node/2", "24", "", "junction"],
+      ["node/3", "24", "", "junction"],
+      ["node/4", null, "Levels Road Toll Plaza", "toll"],
+    ]
+  );
+
+  const fromOverpass = readJunctions({
+    elements: [
+      { type: "node", id: 7, lat: 42.1, lon: -73.9, tags: { highway: "motorway_junction", ref: "20" } },
+      { type: "way", id: 8, nodes: [7] },
+    ],
+  });
+  assert.deepEqual(fromOverpass, [
+    { id: "7", name: "", number: "20", road: null, lat: 42.1, lng: -73.9, kind: "junction" },
+  ]);
+
+  assert.throws(() => readJunctions({ nodes: [] }), /GeoJSON FeatureCollection или JSON Overpass/);
+});
+
+test("geo: ручные координаты, OSM, центр двух проезжих частей и ненайденные", () => {
+  const records = [
+    record("m21b", "m24x", "ny_ez_pass", 4.1),
+    record("m24x", "m99x", "ny_ez_pass", 2),
+    record("122", "m21b", "cash", 1),
+  ];
+  const catalog = catalogOfRecords(records, { entries: [{ id: "122", label: "Northbound - Levels Rd" }], exits: [] });
+  assert.deepEqual(catalog.entries.map((e) => e.label), [null, null, "Northbound - Levels Rd"]);
+
+  const { points, unresolved } = geocodeCatalog(catalog, readJunctions(osm), {
+    overrides: [{ id: "m21b", name: "Exit 21B", lat: 42.36, lng: -73.85 }],
+  });
+
+  assert.deepEqual(
+    [...points.values()].map((p) => [p.id, p.source, p.lat, p.lng, p.osm_ids]),
+    [
+      ["m21b", "override", 42.36, -73.85, []],
+      ["122", "osm", 39.46, -75.67, ["node/4"]],
+      ["m24x", "osm_centroid", 42.695, -73.82, ["node/2", "node/3"]],
+    ]
+  );
+  assert.deepEqual(unresolved.map((u) => u.id), ["m99x"]);
+});
+
+test("geo: GeoJSON — точки развязок и линии пар с ценами по классу и способу оплаты", () => {
+  const points = new Map([
+    ["a", { id: "a", label: "A", lat: 40, lng: -75, source: "override", confidence: 1 }],
+    ["b", { id: "b", label: "B", lat: 40.1, lng: -75, source: "osm", confidence: 0.9 }],
+  ]);
+  const records = [
+    record("a", "b", "cash", 5.5),
+    record("a", "b", "ez_pass", 4.25),
+    record("a", "b", "ez_pass", 3, { discount: "green" }),
+    record("b", "a", "cash", null),
+    record("a", "c", "cash", 9),
+  ];
+
+  const collection = toGeoJson(records, points, { state: "NJ", road: "NJ Turnpike" });
+
+  assert.equal(collection.type, "FeatureCollection");
+  assert.deepEqual(collection.properties, { state: "NJ", road: "NJ Turnpike", skipped_pairs: 1 });
+  assert.deepEqual(
+    collection.features.map((f) => f.geometry.type),
+    ["Point", "Point", "LineString"]
+  );
+
+  const [line] = collection.features.filter((f) => f.properties.kind === "pair");
+  assert.deepEqual(line.geometry.coordinates, [
+    [-75, 40],
+    [-75, 40.1],
+  ]);
+  assert.equal(line.properties.straight_km, 11.12);
+  assert.deepEqual(
+    [line.properties.price_5_cash, line.properties.price_5_ez_pass, line.properties.price_5_ez_pass_green],
+    [5.5, 4.25, 3]
+  );
+});
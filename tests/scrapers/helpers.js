@@ -0,0 +1,20 @@
+/**
+ * Общие помощники для тестов парсеров: пути к скриптам штатов и воспроизведение кассет.
+ * Запуск: npm test из корня репозитория (без сети — все ответы берутся из cassettes/).
+ */
+const path = require("path");
+
+const PARSER_ROOT = path.resolve(__dirname, "../../src/TollService.Application/TollPriceParser");
+
+const { DOMParser } = require(path.join(PARSER_ROOT, "scraper/lib/dom"));
+const { createReplayFetch } = require(path.join(PARSER_ROOT, "scraper/lib/cassette"));
+
+function loadScript(relativePath) {
+  return require(path.join(PARSER_ROOT, relativePath));
+}
+
+function replay(name, origin) {
+  return createReplayFetch(path.join(__dirname, "cassettes", `${name}.json`), { origin });
+}
+
+module.exports = { PARSER_ROOT, DOMParser, loadScript, replay };
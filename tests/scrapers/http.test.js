@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { PARSER_ROOT } = require("./helpers");
+const { createHttpClient } = require(path.join(PARSER_ROOT, "scraper/lib/http"));
+
+const redirect = (location, cookie) =>
+  new Response(null, { status: 302, headers: { location, ...(cookie ? { "set-cookie": cookie } : {}) } });
+
+test("http: редирект проходится с cookies промежуточного ответа", async (t) => {
+  const requests = [];
+  t.mock.method(globalThis, "fetch", async (url, init) => {
+    requests.push([url.pathname, init.headers.get("cookie")]);
+    return url.pathname === "/login" ? redirect("/calc", "session=1; Path=/") : new Response("ok");
+  });
+
+  const fetch = createHttpClient({ origin: "https://example.test" });
+  assert.equal(await (await fetch("/login")).text(), "ok");
+  assert.deepEqual(requests, [
+    ["/login", null],
+    ["/calc", "session=1"],
+  ]);
+});
+
+test("http: петля редиректов обрывается после maxRedirects", async (t) => {
+  t.mock.method(globalThis, "fetch", async (url) => redirect(url.pathname === "/a" ? "/b" : "/a"));
+
+  const fetch = createHttpClient({ origin: "https://example.test", maxRedirects: 3 });
+  await assert.rejects(fetch("/a"), /больше 3 редиректов подряд/);
+  assert.equal(globalThis.fetch.mock.callCount(), 4);
+});
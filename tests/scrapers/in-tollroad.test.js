@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const path = require("path");
+
+const { PARSER_ROOT, loadScript, replay } = require("./helpers");
+const { scrapeIndianaTollRoad, parseRate, directionOf, toCanonicalRecords } = loadScript("IN/files/scripts.js");
+const { findTarget } = loadScript("scraper/registry.js");
+const { loadRecords } = loadScript("scraper/lib/records.js");
+
+const ORIGIN = "https://indianatollroad.org";
+
+async function scrape(pairs, fetch = replay("in-tollroad", ORIGIN), options = {}) {
+  const { outputs, records } = await scrapeIndianaTollRoad({
+    vehicleClass: 6,
+    fetch,
+    log: () => {},
+    printResult: false,
+    pairs,
+    pauseMs: 0,
+    ...options,
+  });
+  return { output: outputs[6], records };
+}
+
+test("Indiana Toll Road: запрос по номерам барьеров, числовые CASH и AVI", async () => {
+  const { output } = await scrape([
+    { entry: "0001", exit: "0006" },
+    { entry: "0001", exit: "0153" },
+  ]);
+
+  assert.deepEqual(
+    { state: output.state, axle_class: output.axle_class, vehicle_class: output.vehicle_class },
+    { state: "Indiana", axle_class: 6, vehicle_class: "6 Axle" }
+  );
+  assert.deepEqual(output.rates[1], {
+    entry_id: "0001",
+    entry: "Westpoint",
+    exit_id: "0153",
+    exit: "Eastpoint",
+    direction: "eastbound",
+    axle_class: 6,
+    cash: 102.5,
+    avi: 102.54,
+    status: "ok",
+    message: null,
+  });
+  assert.equal(output.rates[0].cash, 7.5);
+  assert.equal(output.total_success, 2);
+});
+
+test("Indiana Toll Road: пустой ответ — нет тарифа, сбой запроса — ошибка", async () => {
+  // В кассете для Eastpoint -> Angola записан только пустой ответ CASH, AVI не отвечает
+  const { output, records } = await scrape([{ entry: "0153", exit: "0144" }]);
+  const [row] = output.rates;
+
+  assert.equal(row.direction, "westbound");
+  assert.equal(row.cash, null);
+  assert.equal(row.status, "error");
+  assert.match(row.message, /^AVI: /);
+  assert.deepEqual(
+    records.map((r) => [r.payment_method, r.amount, r.status, r.direction]),
+    [
+      ["cash", null, "error", "westbound"],
+      ["avi", null, "error", "westbound"],
+    ]
+  );
+});
+
+test("Indiana Toll Road: только выбранные способы оплаты — запросы и записи", async () => {
+  // Та же пара, что выше: AVI не запрашивается, поэтому и ошибки по нему нет
+  const { output, records } = await scrape([{ entry: "0153", exit: "0144" }], undefined, { paymentMethods: ["CASH"] });
+  const [row] = output.rates;
+
+  assert.equal("avi" in row, false);
+  assert.deepEqual([row.cash, row.status, row.message], [null, "no_rate", null]);
+  assert.deepEqual(
+    records.map((r) => [r.payment_method, r.status]),
+    [["cash", "no_rate"]]
+  );
+  assert.deepEqual(output.provenance.parameters.payment_type, ["CASH"]);
+});
+
+test("Indiana Toll Road: разбор ответа и направление", () => {
+  assert.equal(parseRate('"$6.50"'), 6.5);
+  assert.equal(parseRate('""'), null);
+  assert.throws(() => parseRate("<html>Forbidden</html>"), /Неожиданный ответ/);
+
+  assert.equal(directionOf("0005", "0153"), "eastbound");
+  assert.equal(directionOf("0144", "0001"), "westbound");
+  assert.equal(directionOf("0001", "new"), null);
+
+  const records = toCanonicalRecords({
+    entry_id: "0001",
+    entry: "Westpoint",
+    exit_id: "0153",
+    exit: "Eastpoint",
+    direction: "eastbound",
+    axle_class: 6,
+    cash: 102.5,
+    avi: null,
+    status: "ok",
+    message: null,
+  });
+  assert.deepEqual(
+    records.map((r) => [r.payment_method, r.amount, r.status, r.axles]),
+    [
+      ["cash", 102.5, "ok", 6],
+      ["avi", null, "no_rate", 6],
+    ]
+  );
+});
+
+test("Indiana Toll Road: класс старых result*.Json — из имени файла", () => {
+  const target = findTarget("in-tollroad");
+  const classesOf = (name) =>
+    new Set(loadRecords(path.join(PARSER_ROOT, "IN/files", name), { target }).records.map((r) => r.vehicle_class));
+
+  assert.deepEqual(classesOf("result.Json"), new Set(["5"]));
+  assert.deepEqual(classesOf("result6.Json"), new Set(["6"]));
+  assert.equal(target.classOf("/tmp/in.json"), null);
+});
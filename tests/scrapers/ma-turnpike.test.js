@@ -0,0 +1,332 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { DOMParser, loadScript, replay } = require("./helpers");
+const {
+  scrapeEZDriveMA,
+  readFormState,
+  buildRouteForm,
+  parseResult,
+  classifyResult,
+  toCanonicalRecords,
+  directionsOf,
+  travelDirectionsOf,
+  paymentOf,
+  MA_PAYMENT_METHODS,
+} = loadScript("MA/fieles/ParseScript.js");
+
+const BASE_URL = "https://www.ezdrivema.com/TollCalculator";
+
+async function postRoute(fetch, entry, exit) {
+  const parser = new DOMParser();
+  const state = readFormState(await (await fetch(BASE_URL)).text(), parser);
+  const form = buildRouteForm(state, entry, exit, "5", "1");
+  return (await fetch(BASE_URL, { method: "POST", body: form })).text();
+}
+
+async function fetchRoute(fetch, entry, exit) {
+  return parseResult(await postRoute(fetch, entry, exit), new DOMParser());
+}
+
+test("MA Turnpike: ViewState читается со страницы калькулятора", async () => {
+  const state = readFormState(await (await replay("ma-turnpike")(BASE_URL)).text(), new DOMParser());
+
+  assert.equal(state.__VIEWSTATEGENERATOR, "CA0B0334");
+  assert.ok(state.__VIEWSTATE);
+  assert.ok(state.__EVENTVALIDATION);
+  assert.ok(state.__RequestVerificationToken);
+});
+
+test("MA Turnpike: тариф, расстояние и время для известных пар", async () => {
+  const fetch = replay("ma-turnpike");
+
+  const lee = await fetchRoute(fetch, "Entry_2", "Exit_11");
+  assert.equal(lee.entryText, "010 (old 02) - Lee");
+  assert.equal(lee.exitText, "096 (old 11) - Millbury/Worcester");
+  assert.deepEqual(lee.eastbound, { toll: "$10.70", mileage: "85.9", time: "01:20" });
+
+  const sturbridge = await fetchRoute(fetch, "Entry_9", "Exit_14EB");
+  assert.deepEqual(sturbridge.westbound, { toll: "$5.80", mileage: "44.8", time: "00:42" });
+
+  const [record] = toCanonicalRecords(
+    { EntryNumber: "Entry_9", ExitNumber: "Exit_14EB", status: "OK", ...sturbridge },
+    5,
+    MA_PAYMENT_METHODS["1"]
+  );
+  assert.equal(record.amount, 5.8);
+  assert.equal(record.distance_miles, 44.8);
+  assert.deepEqual([record.payment_method, record.payment_category], ["pay_by_plate_ma", "plate_billing"]);
+});
+
+test("MA Turnpike: направление поездки — по суффиксам EB/WB и порядку развязок", async () => {
+  assert.deepEqual(travelDirectionsOf("Entry_2", "Exit_11"), ["eastbound"]);
+  assert.deepEqual(travelDirectionsOf("Entry_11", "Exit_10A"), ["westbound"]);
+  assert.deepEqual(travelDirectionsOf("Entry_14WB", "Exit_2"), ["westbound"]);
+  assert.deepEqual(travelDirectionsOf("Entry_1", "Exit_1WB"), ["westbound"]);
+  // Съезд только на восток не принимает поездку на запад, разные суффиксы несовместимы
+  assert.deepEqual(travelDirectionsOf("Entry_15EB", "Exit_2"), []);
+  assert.deepEqual(travelDirectionsOf("Entry_14WB", "Exit_14EB"), []);
+  assert.deepEqual(travelDirectionsOf("Entry_10", "Exit_10"), []);
+
+  // Калькулятор заполняет оба блока, к паре относится только один
+  const fetch = replay("ma-turnpike");
+  const sturbridge = await fetchRoute(fetch, "Entry_9", "Exit_14EB");
+  assert.deepEqual(directionsOf(sturbridge, "Entry_9", "Exit_14EB"), [
+    { direction: "eastbound", amount: 5.8, distance_miles: 44.8, duration_minutes: 42 },
+  ]);
+
+  const records = toCanonicalRecords(
+    { EntryNumber: "Entry_2", ExitNumber: "Exit_11", status: "OK", ...(await fetchRoute(fetch, "Entry_2", "Exit_11")) },
+    5,
+    MA_PAYMENT_METHODS["1"]
+  );
+  assert.deepEqual(
+    records.map((r) => [r.direction, r.amount, r.distance_miles, r.duration_minutes]),
+    [["eastbound", 10.7, 85.9, 80]]
+  );
+});
+
+test("MA Turnpike: маршрут без тарифа не превращается в цену", async () => {
+  const fetch = replay("ma-turnpike");
+  const result = await fetchRoute(fetch, "Entry_1", "Exit_1WB");
+
+  assert.deepEqual(result.eastbound, { toll: null, mileage: null, time: null });
+
+  const records = toCanonicalRecords(
+    { EntryNumber: "Entry_1", ExitNumber: "Exit_1WB", status: "OK", ...result },
+    5,
+    MA_PAYMENT_METHODS["1"]
+  );
+  assert.deepEqual(records.map((r) => r.status), ["no_rate"]);
+});
+
+test("MA Turnpike: пустой ответ — «маршрута нет» или потерянная сессия, а не успех", async () => {
+  const parser = new DOMParser();
+  const html = await postRoute(replay("ma-turnpike"), "Entry_1", "Exit_1WB");
+  const noRoute = classifyResult(html, "Entry_1", "Exit_1WB", parser);
+  assert.equal(noRoute.kind, "no_route");
+  assert.ok(noRoute.state.__VIEWSTATE);
+
+  const errorPage = classifyResult(
+    "<html><body><h2>Error</h2><p>The state information is invalid for this page and might be corrupted.</p></body></html>",
+    "Entry_1",
+    "Exit_11",
+    parser
+  );
+  assert.equal(errorPage.kind, "session");
+
+  // Форма вернулась с выбором по умолчанию — postback не принят
+  const reset = classifyResult(
+    '<form><input name="__VIEWSTATE" value="v2" />' +
+      '<select name="dnn$ctr1341$View$ddlEntry"><option value="Entry_1">1</option></select></form>',
+    "Entry_2",
+    "Exit_11",
+    parser
+  );
+  assert.equal(reset.kind, "session");
+
+  const records = toCanonicalRecords(
+    { EntryNumber: "Entry_1", ExitNumber: "Exit_1WB", status: "NO_ROUTE", error: "Маршрута нет" },
+    5,
+    MA_PAYMENT_METHODS["1"]
+  );
+  assert.deepEqual(records.map((r) => r.status), ["no_rate"]);
+});
+
+const invalidState = "<html><body><h2>Error</h2><p>The state information is invalid for this page.</p></body></html>";
+
+/**
+ * Имитация калькулятора: каждый ответ выдаёт новый __VIEWSTATE, принимаются только
+ * выданные в текущей сессии; после expireAfter postback-ов сессия истекает. Отказ — страница
+ * ошибки с HTTP 500, как у ASP.NET; первые failedGets загрузок страницы тоже отвечают ею.
+ */
+function fakeCalculator({ expireAfter, batchSize, payments = null, failedGets = 0 }) {
+  let counter = 0;
+  let valid = new Set();
+  const stats = { gets: 0, posts: 0, rejected: 0, staleInitial: 0 };
+
+  const issue = () => {
+    const token = `vs${++counter}`;
+    valid.add(token);
+    return `<input type="hidden" name="__VIEWSTATE" value="${token}" />`;
+  };
+  const paymethods = payments
+    ? '<select name="dnn$ctr1341$View$ddlPaymethod">' +
+      Object.entries(payments).map(([code, { label }]) => `<option value="${code}">${label}</option>`).join("") +
+      "</select>"
+    : "";
+  const page = (body) => new Response(`<html><body><form>${paymethods}${body}</form></body></html>`);
+
+  const fetch = async (url, init = {}) => {
+    if (!init.method) {
+      stats.gets++;
+      valid = new Set();
+      if (stats.gets <= failedGets) return new Response(invalidState, { status: 500 });
+      return page(issue());
+    }
+
+    stats.posts++;
+    const body = init.body;
+    const token = body.get("__VIEWSTATE");
+    // Первый пакет уходит одновременно со стартовым состоянием, дальше его быть не должно
+    if (token === "vs1" && stats.posts > batchSize) stats.staleInitial++;
+
+    if (stats.posts % expireAfter === 0) valid = new Set();
+    if (!valid.has(token)) {
+      stats.rejected++;
+      return new Response(invalidState, { status: 500 });
+    }
+
+    const toll = payments ? payments[body.get("dnn$ctr1341$View$ddlPaymethod")].toll : "$1.00";
+    const entry = body.get("dnn$ctr1341$View$ddlEntry");
+    const exit = body.get("dnn$ctr1341$View$ddlExit");
+    const selects =
+      `<select name="dnn$ctr1341$View$ddlEntry"><option selected value="${entry}"></option></select>` +
+      `<select name="dnn$ctr1341$View$ddlExit"><option selected value="${exit}"></option></select>`;
+
+    // Въезд и выезд на одной развязке — маршрута нет
+    if (entry.replace("Entry_", "") === exit.replace("Exit_", "")) return page(issue() + selects);
+
+    return page(
+      issue() +
+        selects +
+        '<span id="dnn_ctr1341_View_lblEntry">in</span><span id="dnn_ctr1341_View_lblExit">out</span>' +
+        `<span id="dnn_ctr1341_View_lblTollEB">${toll}</span><span id="dnn_ctr1341_View_lblTollWB">${toll}</span>`
+    );
+  };
+
+  return { fetch, stats };
+}
+
+test("MA Turnpike: ViewState обновляется из ответов, истёкшая сессия восстанавливается", async () => {
+  const calculator = fakeCalculator({ expireAfter: 250, batchSize: 50 });
+
+  const { outputs, records } = await scrapeEZDriveMA({
+    vehicleClass: 5,
+    fetch: calculator.fetch,
+    DOMParser,
+    log: () => {},
+    printResult: false,
+    batchSize: 50,
+    pauseMs: 0,
+  });
+
+  const rows = outputs[5].data;
+  assert.equal(rows.length, 841);
+
+  // Строка для C#: блоки страницы и применимое направление
+  const lee = rows.find((r) => r.EntryNumber === "Entry_2" && r.ExitNumber === "Exit_11");
+  assert.deepEqual(lee.eastbound, { toll: "$1.00", mileage: null, time: null });
+  assert.deepEqual(lee.directions, [{ direction: "eastbound", amount: 1, distance_miles: null, duration_minutes: null }]);
+  assert.deepEqual(rows.filter((r) => r.status === "SESSION" || r.status === "ERR"), []);
+
+  const noRoute = rows.filter((r) => r.status === "NO_ROUTE").map((r) => `${r.EntryNumber}->${r.ExitNumber}`);
+  assert.ok(noRoute.includes("Entry_2->Exit_2"));
+  assert.ok(!noRoute.includes("Entry_2->Exit_11"));
+  assert.equal(outputs[5].ok, 841 - noRoute.length);
+
+  // Сессия истекала — состояние запрашивалось заново, но не на каждый отказ
+  assert.ok(calculator.stats.rejected > 0);
+  assert.ok(calculator.stats.gets > 1 && calculator.stats.gets < calculator.stats.rejected + 2);
+  assert.equal(calculator.stats.staleInitial, 0);
+
+  assert.ok(records.every((r) => r.status !== "error"));
+});
+
+test("MA Turnpike: ответы пакета приходят не по порядку — поздний ответ не затирает новое состояние", async () => {
+  const calculator = fakeCalculator({ expireAfter: 250, batchSize: 50 });
+  // Ответы задерживаются на 0–19 мс вразнобой, как при разной скорости сети
+  let sent = 0;
+  const fetch = async (url, init) => {
+    const delay = (++sent * 7919) % 20;
+    const response = await calculator.fetch(url, init);
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    return response;
+  };
+
+  const { outputs } = await scrapeEZDriveMA({
+    vehicleClass: 5,
+    fetch,
+    DOMParser,
+    log: () => {},
+    printResult: false,
+    batchSize: 50,
+    pauseMs: 0,
+  });
+
+  assert.deepEqual(outputs[5].data.filter((r) => r.status === "SESSION" || r.status === "ERR"), []);
+  assert.ok(calculator.stats.gets < calculator.stats.rejected + 2);
+});
+
+test("MA Turnpike: обходятся все способы оплаты со страницы, у записей — общая категория", async () => {
+  const calculator = fakeCalculator({
+    expireAfter: 1000,
+    batchSize: 10,
+    payments: {
+      1: { label: "Pay By Plate MA", toll: "$2.50" },
+      2: { label: "E-ZPass MA", toll: "$1.00" },
+      3: { label: "E-ZPass Non-MA", toll: "$1.60" },
+    },
+  });
+
+  const { outputs, records } = await scrapeEZDriveMA({
+    vehicleClass: 5,
+    fetch: calculator.fetch,
+    DOMParser,
+    log: () => {},
+    printResult: false,
+    pairs: [{ entry: "Entry_2", exit: "Exit_11" }],
+    batchSize: 10,
+    pauseMs: 0,
+  });
+
+  assert.deepEqual(
+    outputs[5].payment_methods.map((p) => p.code),
+    ["1", "2", "3"]
+  );
+  assert.deepEqual(
+    records
+      .filter((r) => r.direction === "eastbound")
+      .map((r) => [r.payment_method, r.payment_category, r.amount]),
+    [
+      ["pay_by_plate_ma", "plate_billing", 2.5],
+      ["e_zpass_ma", "transponder_in_state", 1],
+      ["e_zpass_non_ma", "transponder_out_of_state", 1.6],
+    ]
+  );
+
+  // В provenance — поля формы маршрута без скрытого состояния WebForms
+  const posts = outputs[5].provenance.responses.filter((r) => r.method === "POST");
+  const form = new URLSearchParams(posts[0].body);
+  assert.equal(posts.length, 3);
+  assert.deepEqual(
+    [form.get("dnn$ctr1341$View$ddlEntry"), form.get("dnn$ctr1341$View$ddlExit")],
+    ["Entry_2", "Exit_11"]
+  );
+  assert.deepEqual(
+    posts.map((r) => new URLSearchParams(r.body).get("dnn$ctr1341$View$ddlPaymethod")),
+    ["1", "2", "3"]
+  );
+  assert.ok(posts.every((r) => ![...new URLSearchParams(r.body).keys()].some((key) => key.startsWith("__"))));
+
+  assert.equal(paymentOf("Cash").payment_category, "cash");
+  assert.equal(paymentOf("Something new").payment_category, null);
+});
+
+test("MA Turnpike: страница ошибки с HTTP 500 при загрузке калькулятора — состояние запрашивается заново", async () => {
+  const calculator = fakeCalculator({ expireAfter: 1000, batchSize: 10, failedGets: 2 });
+
+  const { outputs } = await scrapeEZDriveMA({
+    vehicleClass: 5,
+    fetch: calculator.fetch,
+    DOMParser,
+    log: () => {},
+    printResult: false,
+    pairs: [{ entry: "Entry_2", exit: "Exit_11" }],
+    batchSize: 10,
+    pauseMs: 0,
+  });
+
+  assert.equal(calculator.stats.gets, 3);
+  assert.equal(outputs[5].data[0].status, "OK");
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { PARSER_ROOT } = require("./helpers");
+const { matchCatalog, toLinkPlazas, normalizePlazas, tokensOf, directionOf } = require(
+  path.join(PARSER_ROOT, "scraper/lib/match")
+);
+
+const catalog = (...items) => ({ entries: items, exits: [] });
+
+test("match: сокращения, дороги и направления приводятся к одному виду", () => {
+  assert.deepEqual(tokensOf("05: BURLINGTON, MT. HOLLY"), ["burlington", "mount", "holly"]);
+  assert.deepEqual(tokensOf("Interchange I-95 / US-1 / NJ 73 Rd"), ["i95", "us1", "r73", "road"]);
+  assert.deepEqual(
+    ["Calumet E/B Entry", "Northbound - Levels Rd", "93-Norhbound", "Cline (Gary) E/W", "Gary NB"].map(directionOf),
+    ["eastbound", "northbound", "northbound", null, "northbound"]
+  );
+});
+
+test("match: уверенные совпадения по номеру, словам и направлению", () => {
+  const plazas = normalizePlazas([
+    { Id: "a", Name: "Burlington - Mount Holly", Number: "5", Latitude: 40.0249, Longitude: -74.8231 },
+    { Id: "b", Name: "Calumet Eastbound", Location: { type: "Point", coordinates: [-87.47, 41.62] } },
+    { Id: "c", Name: "Calumet Westbound" },
+    { Id: "d", Name: "Levels Road NB" },
+    { Id: "e", Name: "Levels Road SB" },
+  ]);
+
+  const mapping = matchCatalog(
+    catalog(
+      { id: "05", label: "05: BURLINGTON, MT. HOLLY" },
+      { id: "0005", label: "Calumet E/B Entry" },
+      { id: "122", label: "Northbound - Levels Rd" }
+    ),
+    plazas
+  );
+
+  assert.deepEqual(mapping.summary, { total: 3, matched: 3, ambiguous: 0, unmatched: 0 });
+  assert.deepEqual(
+    mapping.matched.map((m) => [m.id, m.plaza.id, m.confidence]),
+    [
+      ["05", "a", 1],
+      ["0005", "b", 1],
+      ["122", "d", 1],
+    ]
+  );
+  assert.deepEqual(mapping.matched[0].reasons, ["номер 5", "слова 1"]);
+
+  // В link-команду — id развязки, подпись без номера, координаты нашей плазы
+  assert.deepEqual(toLinkPlazas(mapping).slice(0, 2), [
+    { id: "05", name: "BURLINGTON, MT. HOLLY", lat: 40.0249, lng: -74.8231 },
+    { id: "0005", name: "Calumet E/B Entry", lat: 41.62, lng: -87.47 },
+  ]);
+  assert.equal(toLinkPlazas(mapping).length, 2, "плаза без координат в link-файл не попадает");
+});
+
+test("match: коды без подписи, неоднозначные и ненайденные развязки, фильтр по дороге", () => {
+  const plazas = normalizePlazas([
+    { id: "n", name: "21B-Northbound", road: "NYS Thruway" },
+    { id: "s", name: "21B-Southbound", road: "NYS Thruway" },
+    { id: "x", name: "24-Northbound", road: "NYS Thruway (I-87)" },
+    { id: "z", name: "24-Northbound", road: "Garden State Parkway" },
+  ]);
+
+  const codes = catalog({ id: "m21b", label: null }, { id: "m24x", label: null }, { id: "m99x", label: null });
+  const mapping = matchCatalog(codes, plazas, { road: "NYS Thruway" });
+
+  assert.deepEqual(mapping.summary, { total: 3, matched: 1, ambiguous: 1, unmatched: 1 });
+  assert.deepEqual([mapping.matched[0].id, mapping.matched[0].plaza.id], ["m24x", "x"]);
+  assert.deepEqual(
+    mapping.ambiguous[0].candidates.map((c) => [c.plaza.id, c.confidence]),
+    [
+      ["n", 0.85],
+      ["s", 0.85],
+    ]
+  );
+  assert.deepEqual(mapping.unmatched, [{ id: "m99x", label: null }]);
+});
@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { PARSER_ROOT } = require("./helpers");
+const { findTarget } = require(path.join(PARSER_ROOT, "scraper/registry"));
+const { loadRecords } = require(path.join(PARSER_ROOT, "scraper/lib/records"));
+const { routePaths, loadTopology } = require(path.join(PARSER_ROOT, "scraper/lib/topology"));
+const { fitModel, evaluateModel, predictAmount } = require(path.join(PARSER_ROOT, "scraper/lib/model"));
+
+const record = (entry, exit, amount) => ({
+  entry_id: entry,
+  exit_id: exit,
+  vehicle_class: "5",
+  payment_method: "ez_pass",
+  amount,
+  status: amount === null ? "no_rate" : "ok",
+});
+
+/**
+ * Билетная система в одну сторону: развязки 1..n, тариф от начала дороги — rate(i),
+ * на выезде 3 — барьер $2. skip — пары без записи, unusual — надбавка к цене пары.
+ */
+function road(n, { skip = [], unusual = {} } = {}) {
+  const topology = { road: "Test", lines: [{ id: "eb", stops: Array.from({ length: n }, (_, i) => String(i + 1)) }] };
+  const rate = (id) => Math.round((Number(id) - 1) * 1.35 * 100) / 100;
+  const routes = routePaths(topology);
+  const records = routes
+    .filter(({ entry, exit }) => !skip.includes(`${entry}|${exit}`))
+    .map(({ entry, exit }) => {
+      const amount = (exit === "3" ? 2 : 0) + rate(exit) - rate(entry) + (unusual[`${entry}|${exit}`] || 0);
+      return record(entry, exit, Math.round(amount * 100) / 100);
+    });
+  return { routes, records };
+}
+
+test("model: участки и сбор за выезд воспроизводят матрицу, пары без цены оцениваются", () => {
+  const { routes, records } = road(8, { skip: ["2|5", "4|8"] });
+  records.push(record("4", "8", null));
+  const model = fitModel({ state: "DE", road: "Test" }, records, routes);
+
+  const [m] = model.matrices;
+  assert.deepEqual([m.vehicle_class, m.payment_method, m.pairs], ["5", "ez_pass", 26]);
+  assert.equal(Object.keys(m.segments).length, 7);
+  // Сбор выезда 3 по ценам не отделить от сбора въезда 3 и соседних участков — важно, что он там
+  assert.deepEqual([...Object.keys(m.entry_fees), ...Object.keys(m.exit_fees)], ["3", "3"]);
+
+  const [report] = evaluateModel(model, records, routes).matrices;
+  assert.equal(report.max_error, 0);
+  assert.deepEqual(report.unusual, []);
+  assert.deepEqual(report.predictions, [
+    { entry_id: "2", exit_id: "5", status: "missing", predicted: 4.05 },
+    { entry_id: "4", exit_id: "8", status: "no_rate", predicted: 5.4 },
+  ]);
+  assert.equal(predictAmount(m, { entry: "9", exit: "5", segments: ["eb:9>eb:5"] }), null);
+});
+
+test("model: пара, тарифицированная не как соседние, — в unusual", () => {
+  const { routes, records } = road(16, { unusual: { "4|11": 3 } });
+  const [m] = evaluateModel(fitModel({ state: "DE", road: "Test" }, records, routes), records, routes).matrices;
+
+  assert.equal(m.pairs, 120);
+  assert.deepEqual(
+    m.unusual.map((u) => `${u.entry_id}|${u.exit_id}`),
+    ["4|11"]
+  );
+  assert.ok(m.unusual[0].error > 2);
+});
+
+test("model: MA — матрица файла для C# сводится к участкам с точностью до цента", () => {
+  const target = findTarget("ma-turnpike");
+  const { state, road: name, records } = loadRecords(path.join(PARSER_ROOT, "MA/fieles/Responce6Axe.Json"), {
+    target,
+    vehicleClass: 6,
+  });
+  const routes = routePaths(loadTopology(target));
+  const model = fitModel({ state, road: name }, records, routes);
+  const [m] = evaluateModel(model, records, routes).matrices;
+
+  assert.ok(m.pairs > 400);
+  assert.ok(m.parameters < m.pairs / 5);
+  assert.ok(m.max_error <= 0.01);
+  assert.deepEqual(m.unusual, []);
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { DOMParser, loadScript, replay } = require("./helpers");
+const { parseResponse, parsePrice } = loadScript("NJ/files/scripts.js");
+const { findTarget } = loadScript("scraper/registry.js");
+
+const BASE_URL = "https://www.njta.gov/wp-json/njta/v1/partials";
+
+async function fetchRates(fetch, entry, exit, vehicleClass = 5) {
+  const params = new URLSearchParams({
+    slug: "map/trip-details",
+    tab: "turnpike",
+    reset: "0",
+    "senior-discount": "false",
+    "green-discount": "false",
+    entrance: entry,
+    exit,
+    "vehicle-type": vehicleClass,
+  });
+
+  const response = await fetch(`${BASE_URL}?${params.toString()}`, { method: "GET" });
+  return parseResponse(await response.text(), new DOMParser());
+}
+
+test("NJ Turnpike: cash и E-ZPass peak/off-peak для известных пар", async () => {
+  const fetch = replay("nj-turnpike");
+
+  assert.deepEqual(await fetchRates(fetch, "01", "02"), {
+    cash: 5.95,
+    ez_pass_peak: 5.31,
+    ez_pass_off_peak: 5.04,
+  });
+  assert.deepEqual(await fetchRates(fetch, "01", "18W"), {
+    cash: 76.25,
+    ez_pass_peak: 69.57,
+    ez_pass_off_peak: 66.09,
+  });
+  assert.deepEqual(await fetchRates(fetch, "18E", "09"), {
+    cash: 45.35,
+    ez_pass_peak: 41.33,
+    ez_pass_off_peak: 39.26,
+  });
+});
+
+test("NJ Turnpike: пустой ответ — цен нет", async () => {
+  assert.deepEqual(await fetchRates(replay("nj-turnpike"), "15E", "15E"), {
+    cash: null,
+    ez_pass_peak: null,
+    ez_pass_off_peak: null,
+  });
+});
+
+test("NJ Turnpike: parsePrice убирает $ и разделитель тысяч", () => {
+  assert.equal(parsePrice(" $1,234.50 "), 1234.5);
+  assert.equal(parsePrice(""), null);
+});
+
+test("NJ Turnpike: у каждого класса свой файл для C#", () => {
+  const { output } = findTarget("nj-turnpike");
+
+  assert.equal(output({ vehicleClass: 5 }), "NJ/files/turnpike_prices.json");
+  assert.equal(output({ vehicleClass: 2 }), "NJ/files/turnpike_prices-class2.json");
+  assert.equal(new Set([1, 2, 3, 4, 5, 6].map((vehicleClass) => output({ vehicleClass }))).size, 6);
+});
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { DOMParser, loadScript, replay } = require("./helpers");
+const { checkConsistency } = loadScript("scraper/lib/consistency.js");
+const { parsePage, segmentMismatches, scrapeNYThruway, toCanonicalRecords } = loadScript("NY/fieles/ParseScript.js");
+
+const BASE_URL = "https://tollcalculator.thruway.ny.gov/index.aspx";
+
+async function fetchPage(fetch, entry, exit, vehicleClass = 6) {
+  const html = await (await fetch(`${BASE_URL}?Class=${vehicleClass}&Entry=${entry}&Exit=${exit}`)).text();
+  return parsePage(html, new DOMParser());
+}
+
+test("NYS Thruway: итог NY / NON-NY E-ZPass и расстояние для известных пар", async () => {
+  const fetch = replay("ny-thruway");
+
+  assert.deepEqual(await fetchPage(fetch, "m00x", "m07x"), {
+    ny: 2.74,
+    nonny: 4.8,
+    mail: 4.8,
+    miles: 7.6,
+    segments: [{ section: "Yonkers Barrier / Woodbury Toll Barrier", ny: 2.74, nonny: 4.8, mail: 4.8 }],
+    error: null,
+  });
+  assert.deepEqual(await fetchPage(fetch, "m15x", "m50x"), {
+    ny: 68.77,
+    nonny: 120.36,
+    mail: 120.36,
+    miles: 390.2,
+    segments: [{ section: "Ticket System: Exit 15 - Exit 50", ny: 68.77, nonny: 120.36, mail: 120.36 }],
+    error: null,
+  });
+  assert.deepEqual(await fetchPage(fetch, "m50x", "m15x"), {
+    ny: 68.77,
+    nonny: 120.36,
+    mail: 120.36,
+    miles: 390.2,
+    segments: [{ section: "Ticket System: Exit 50 - Exit 15", ny: 68.77, nonny: 120.36, mail: 120.36 }],
+    error: null,
+  });
+});
+
+const breakdown =
+  '<div id="tollresults"><table><thead><tr><th>Toll Section</th><th>NY E-ZPass</th><th>NON-NY E-ZPass</th>' +
+  "<th>Tolls By Mail</th></tr></thead><tbody>" +
+  "<tr><td>Ticket System: Exit 15 - Exit 24</td><td>$10.00</td><td>$15.00</td><td>$20.00</td></tr>" +
+  "<tr><td>Harriman Barrier</td><td>$1.25</td><td>$2.50</td><td></td></tr>" +
+  "<tr><td>Total</td><td>$11.25</td><td>$17.40</td><td>$20.00</td></tr>" +
+  "</tbody></table><p>Approximate distance: 112.3 miles</p></div>";
+
+test("NYS Thruway: разбивка по участкам — колонки по заголовкам, сверка с Total", async () => {
+  const page = parsePage(breakdown, new DOMParser());
+
+  assert.deepEqual(page.segments, [
+    { section: "Ticket System: Exit 15 - Exit 24", ny: 10, nonny: 15, mail: 20 },
+    { section: "Harriman Barrier", ny: 1.25, nonny: 2.5, mail: null },
+  ]);
+  assert.deepEqual([page.ny, page.nonny, page.mail, page.miles], [11.25, 17.4, 20, 112.3]);
+  assert.deepEqual(segmentMismatches(page), [{ column: "nonny", segments: 17.5, total: 17.4 }]);
+  assert.deepEqual(segmentMismatches({ ...page, mail: 21.25 }), [
+    { column: "nonny", segments: 17.5, total: 17.4 },
+    { column: "mail", segments: 20, total: 21.25 },
+  ]);
+
+  // Расхождение остаётся в строке результата, строка остаётся с ценой
+  const { outputs, records } = await scrapeNYThruway({
+    vehicleClass: 6,
+    fetch: async () => new Response(breakdown),
+    DOMParser,
+    log: () => {},
+    printResult: false,
+    pairs: [{ entry: "m15x", exit: "m24x" }],
+    catalog: { entries: [{ id: "m15x" }], exits: [{ id: "m24x" }] },
+    pauseMs: 0,
+  });
+  assert.equal(outputs[6].tolls[0].segments.length, 2);
+  assert.deepEqual(outputs[6].tolls[0].segment_mismatches, [{ column: "nonny", segments: 17.5, total: 17.4 }]);
+  assert.deepEqual(
+    records.map((r) => [r.payment_method, r.amount, r.segments_amount]),
+    [
+      ["ny_ez_pass", 11.25, 11.25],
+      ["non_ny_ez_pass", 17.4, 17.5],
+      ["tolls_by_mail", 20, 20],
+    ]
+  );
+
+  // ...и в отчёт аномалий
+  const { summary, anomalies } = checkConsistency(records);
+  assert.equal(summary.segments, 1);
+  assert.equal(anomalies[0].message, "m15x -> m24x: non_ny_ez_pass $17.40, по участкам $17.50");
+});
+
+test("NYS Thruway: строки без mail (общая колонка NON-NY & Tolls By Mail) — Tolls By Mail по nonny", () => {
+  const [, , mail] = toCanonicalRecords({ entry: "m15x", exit: "m24x", ny: 11.25, nonny: 17.4, status: "OK" }, 6);
+  assert.equal(mail.amount, 17.4);
+  assert.equal(mail.status, "ok");
+});
+
+test("NYS Thruway: страница без таблицы — ошибка", async () => {
+  assert.deepEqual(await fetchPage(replay("ny-thruway"), "m00x", "m00x"), { error: "нет таблицы" });
+});
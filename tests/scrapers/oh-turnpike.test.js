@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { PARSER_ROOT, loadScript, replay } = require("./helpers");
+const { createDocument, validateDocument } = require(path.join(PARSER_ROOT, "scraper/lib/canonical"));
+const { scrapeOhioTurnpike, readRateTable, discoverCatalog } = loadScript("OH/files/scripts.js");
+
+async function scrape(vehicleClass, pairs) {
+  return scrapeOhioTurnpike({ vehicleClass, fetch: replay("oh-turnpike"), pairs, log: () => {}, printResult: false });
+}
+
+test("Ohio Turnpike: развязки выпадающих списков из файла калькулятора", async () => {
+  const catalog = await discoverCatalog({ fetch: replay("oh-turnpike") });
+
+  // Сервисная площадка в файле есть, но в списках её нет
+  assert.deepEqual(
+    catalog.entries.map((e) => e.id),
+    ["2", "13", "25", "59", "239"]
+  );
+  assert.equal(catalog.entries[4].label, "SR 11 Canfield-Ashtabula");
+});
+
+test("Ohio Turnpike: E-ZPass и цена без транспондера по классу ТС", async () => {
+  const { outputs, records } = await scrape([1, 5], [
+    { entry: "2", exit: "59" },
+    { entry: "239", exit: "13" },
+    { entry: "13", exit: "25" },
+  ]);
+
+  // Строки идут в порядке каталога
+  const [east, missing, west] = outputs[5].rates;
+  assert.deepEqual(
+    [east.entry, east.exit, east.direction, east.ez_pass, east.pay_online, east.status],
+    ["SR 49 Edon", "US 20 Maumee-Toledo", "eastbound", 11.97, 17.96, "ok"]
+  );
+  assert.equal(west.direction, "westbound");
+  assert.equal(outputs[1].rates[0].ez_pass, 2.85);
+
+  // Пары нет в таблице — нет тарифа, а не ноль
+  assert.deepEqual([missing.ez_pass, missing.status], [null, "no_rate"]);
+
+  // Вся таблица — один ответ: его хеш и параметры запуска
+  const { provenance } = outputs[5];
+  assert.equal(outputs[1].provenance, provenance);
+  assert.deepEqual(provenance.parameters, { vehicle_class: [1, 5] });
+  assert.deepEqual(
+    provenance.responses.map((r) => [r.method, r.url, r.status]),
+    [["GET", "https://www.ohioturnpike.org/js/rate_calculator_2025_combined.js", 200]]
+  );
+  assert.match(provenance.responses[0].sha256, /^[0-9a-f]{64}$/);
+
+  const document = createDocument({ state: "OH", road: "Ohio Turnpike", records, provenance: [provenance] });
+  assert.deepEqual(validateDocument(document).errors, []);
+  assert.deepEqual(
+    records.filter((r) => r.vehicle_class === "5" && r.entry_id === "2").map((r) => [r.payment_method, r.payment_category, r.amount]),
+    [
+      ["ez_pass", "transponder_in_state", 11.97],
+      ["pay_online", "plate_billing", 17.96],
+    ]
+  );
+});
+
+test("Ohio Turnpike: разбор таблиц tolls и interchangesrate", () => {
+  const { interchanges, tolls } = readRateTable(
+    'interchangesrate[0] = { milepost: 142, name: "I-90 / SR 2", showOnDropdown: true };\n' +
+      "tolls[142][161][6][2] = 1.50; tolls[142][161][6][3] = 2.25;"
+  );
+
+  assert.deepEqual(interchanges, [{ id: "142", label: "I-90 / SR 2", showOnDropdown: true }]);
+  assert.deepEqual(tolls.get("142|161|6"), { 2: 1.5, 3: 2.25 });
+});
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { PARSER_ROOT, loadScript, replay } = require("./helpers");
+const { createDocument, validateDocument } = require(path.join(PARSER_ROOT, "scraper/lib/canonical"));
+const {
+  scrapePennsylvaniaTurnpike,
+  parseSchedule,
+  directionOf,
+  discoverCatalog,
+  PA_INTERCHANGES,
+} = loadScript("PA/files/scripts.js");
+
+async function scrape(vehicleClass, pairs) {
+  const fetch = replay("pa-turnpike");
+  const catalog = await discoverCatalog({ fetch });
+  return scrapePennsylvaniaTurnpike({ vehicleClass, fetch, catalog, pairs, log: () => {}, printResult: false, pauseMs: 0 });
+}
+
+test("PA Turnpike: каталог с PlazaKey из serverData страницы калькулятора", async () => {
+  const catalog = await discoverCatalog({ fetch: replay("pa-turnpike") });
+
+  assert.deepEqual(
+    catalog.entries.map((e) => [e.id, e.label, e.key]),
+    [
+      ["2", "Gateway", 2002],
+      ["10", "New Castle", 2010],
+      ["20", "Mid-County", 4020],
+      ["28", "Cranberry", 2028],
+      ["57", "Pittsburgh", 2057],
+    ]
+  );
+  // Въезда с моста через Делавэр нет, выезд есть
+  assert.ok(catalog.exits.some((x) => x.id === "359"));
+});
+
+test("PA Turnpike: E-ZPass и Toll By Plate по колонке класса, одно расписание на въезд", async () => {
+  const requested = [];
+  const fetch = replay("pa-turnpike");
+  const catalog = await discoverCatalog({ fetch });
+  const { outputs, records } = await scrapePennsylvaniaTurnpike({
+    vehicleClass: [1, 8],
+    fetch: (url, init) => {
+      requested.push(url);
+      return fetch(url, init);
+    },
+    catalog,
+    pairs: [
+      { entry: "10", exit: "57" },
+      { entry: "10", exit: "2" },
+      { entry: "10", exit: "359" },
+    ],
+    log: () => {},
+    printResult: false,
+    pauseMs: 0,
+  });
+
+  // Два класса — те же два запроса (E-ZPass и Toll By Plate для New Castle)
+  assert.equal(requested.length, 2);
+
+  const rate = (exit) => outputs[8].rates.find((r) => r.exit_id === exit);
+  const [east, west, bridge] = [rate("57"), rate("2"), rate("359")];
+  assert.deepEqual(
+    [east.direction, east.ez_pass, east.toll_by_plate, east.status],
+    ["eastbound", 23.41, 46.81, "ok"]
+  );
+  assert.equal(west.direction, "westbound");
+  assert.equal(outputs[1].rates.find((r) => r.exit_id === "57").ez_pass, 5.64);
+
+  // Нулевая цена в расписании — нет тарифа
+  assert.deepEqual([bridge.ez_pass, bridge.status], [null, "no_rate"]);
+
+  // Расписания общие — и provenance у классов один, с хешем каждого ответа
+  const { provenance } = outputs[8];
+  assert.equal(outputs[1].provenance, provenance);
+  assert.deepEqual(
+    [provenance.script, provenance.source, provenance.parameters],
+    [
+      "PA/files/scripts.js",
+      "https://www.paturnpike.com/toll-schedule-v2/get-toll-schedule",
+      { effectiveDateKey: "4", vehicle_class: [1, 8] },
+    ]
+  );
+  assert.deepEqual(provenance.responses.map((r) => [r.url, r.status]), requested.map((url) => [url, 200]));
+  assert.ok(provenance.responses.every((r) => /^[0-9a-f]{64}$/.test(r.sha256)));
+  assert.ok(provenance.started_at <= provenance.finished_at);
+
+  const document = createDocument({ state: "PA", road: "Pennsylvania Turnpike", records, provenance: [provenance] });
+  assert.deepEqual(validateDocument(document).errors, []);
+  assert.deepEqual(
+    records.filter((r) => r.vehicle_class === "8" && r.exit_id === "57").map((r) => [r.payment_method, r.payment_category, r.axles]),
+    [
+      ["ez_pass", "transponder_in_state", 5],
+      ["toll_by_plate", "plate_billing", 5],
+    ]
+  );
+});
+
+test("PA Turnpike: сбой расписания — ошибка пары, без каталога со страницы — отказ", async () => {
+  const { outputs, records } = await scrape(8, [{ entry: "57", exit: "10" }]);
+  const [row] = outputs[8].rates;
+
+  assert.equal(row.ez_pass, 23.41);
+  assert.equal(row.status, "error");
+  assert.match(row.message, /^Toll By Plate: HTTP 502/);
+  assert.deepEqual(records.map((r) => r.status), ["ok", "error"]);
+
+  assert.throws(() => parseSchedule({ StatusCode: 500, Success: false, Data: null }), /не вернул расписание/);
+  assert.equal(directionOf("10", "20"), null);
+
+  await assert.rejects(
+    scrapePennsylvaniaTurnpike({ catalog: PA_INTERCHANGES, fetch: replay("pa-turnpike"), log: () => {}, printResult: false }),
+    /Нет PlazaKey/
+  );
+});
@@ -0,0 +1,13 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { PARSER_ROOT } = require("./helpers");
+const { effectiveDateOf } = require(path.join(PARSER_ROOT, "scraper/lib/runtime"));
+
+test("runtime: дата вступления тарифов в силу из текста калькулятора", () => {
+  assert.equal(effectiveDateOf("Toll rates effective January 1, 2025"), "2025-01-01");
+  assert.equal(effectiveDateOf("<b>Effective</b> 01/05/2025"), "2025-01-05");
+  assert.equal(effectiveDateOf('{"EffectiveDate":"2024-12-29T00:00:00"}'), "2024-12-29");
+  assert.equal(effectiveDateOf("var tolls = [];"), null);
+});
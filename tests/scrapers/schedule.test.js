@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { PARSER_ROOT, DOMParser, loadScript } = require("./helpers");
+const { DAYS, isActive, priceAt } = require(path.join(PARSER_ROOT, "scraper/lib/schedule"));
+const { createDocument, validateDocument } = require(path.join(PARSER_ROOT, "scraper/lib/canonical"));
+
+const NJ = loadScript("NJ/files/scripts.js");
+
+// Ответ калькулятора NJTA; цены зависят от программы скидок в запросе
+function njtaPage(url) {
+  const params = new URL(url).searchParams;
+  const [peak, offPeak] =
+    params.get("senior-discount") === "true"
+      ? ["$69.57", "$59.48"]
+      : params.get("green-discount") === "true"
+        ? ["$69.57", "$62.79"]
+        : ["$69.57", "$66.09"];
+  return (
+    '<div class="trip-calculation"><div class="trip-calculation__cash-sum">' +
+    '<span class="trip-calculation__number trip-calculation__number--total">$76.25</span></div>' +
+    `<div class="trip-calculation__peak"><span class="trip-calculation__number">${peak}</span></div>` +
+    `<div class="trip-calculation__off-peak"><span class="trip-calculation__number">${offPeak}</span></div></div>`
+  );
+}
+
+async function scrapeNJ(vehicleClass) {
+  const requested = [];
+  const fetch = async (url) => {
+    requested.push(url);
+    return new Response(njtaPage(url));
+  };
+  const { outputs, records } = await NJ.scrapeNJTurnpikeTolls({
+    vehicleClass,
+    fetch,
+    DOMParser,
+    log: () => {},
+    printResult: false,
+    pairs: [{ entry: "01", exit: "18W" }],
+    pauseMs: 0,
+  });
+  return { output: outputs[vehicleClass], records, requested };
+}
+
+test("schedule: часы пик NJ покрывают неделю без пересечений", () => {
+  const { peak, off_peak } = NJ.NJ_RATE_SCHEDULES;
+  for (const day of DAYS) {
+    for (let minutes = 0; minutes < 24 * 60; minutes += 15) {
+      const time = `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+      const at = { day, time };
+      assert.notEqual(isActive(peak, at), isActive(off_peak, at), `${day} ${time}`);
+    }
+  }
+});
+
+test("schedule: 01 -> 18W во вторник в 07:30 с E-ZPass — пиковый тариф", async () => {
+  const { records } = await scrapeNJ(1);
+  const query = { entry: "01", exit: "18W", vehicleClass: 1, paymentMethod: "ez_pass" };
+
+  assert.equal(priceAt(records, { ...query, at: { day: "tue", time: "07:30" } }).amount, 69.57);
+  assert.equal(priceAt(records, { ...query, at: { day: "tue", time: "10:00" } }).amount, 66.09);
+  assert.equal(priceAt(records, { ...query, at: { day: "sat", time: "08:00" }, discount: "senior" }).amount, 59.48);
+  // Наличные от времени и скидок не зависят
+  const cash = { ...query, paymentMethod: "cash", at: { day: "sun", time: "12:00" }, discount: "green" };
+  assert.equal(priceAt(records, cash).amount, 76.25);
+
+  // Date переводится в местное время дороги: 11:30 UTC 3 июня 2025 — вторник 07:30 в Нью-Йорке
+  const at = new Date("2025-06-03T11:30:00Z");
+  assert.equal(priceAt(records, { ...query, at }).payment_method, "ez_pass_peak");
+});
+
+test("schedule: программы скидок запрашиваются только для классов, где они есть", async () => {
+  const passenger = await scrapeNJ(1);
+  assert.equal(passenger.requested.length, 3);
+  assert.ok(passenger.requested.some((url) => url.includes("senior-discount=true&green-discount=false")));
+  assert.deepEqual(passenger.output.discount_programs, ["senior", "green"]);
+  assert.deepEqual(passenger.output.toll_rates[0].discounts.green, { ez_pass_peak: 69.57, ez_pass_off_peak: 62.79 });
+
+  const truck = await scrapeNJ(5);
+  assert.equal(truck.requested.length, 1);
+  assert.ok(truck.records.every((r) => r.discount === null));
+
+  const document = createDocument({ state: "NJ", road: "NJ Turnpike", records: passenger.records });
+  assert.deepEqual(validateDocument(document).errors, []);
+  assert.equal(passenger.records.length, 3 + 2 * 2);
+});
@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { PARSER_ROOT } = require("./helpers");
+const { createScheduledFetch, parseRetryAfter, backoffDelay } = require(path.join(PARSER_ROOT, "scraper/lib/scheduler"));
+
+const ORIGIN = "https://indianatollroad.org";
+
+// Задержки не ждём, а запоминаем
+function fakeTimers() {
+  const waits = [];
+  return { waits, wait: async (ms) => waits.push(ms), random: () => 0 };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test("scheduler: не больше concurrency запросов к хосту одновременно", async () => {
+  let active = 0;
+  let peak = 0;
+  const fetch = async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await tick();
+    active--;
+    return new Response("ok");
+  };
+
+  const scheduled = createScheduledFetch(fetch, { concurrency: 3, origin: ORIGIN, ...fakeTimers() });
+  await Promise.all(Array.from({ length: 20 }, () => scheduled("/wp-admin/admin-ajax.php")));
+
+  assert.equal(peak, 3);
+  assert.equal(scheduled.stats()["indianatollroad.org"].requests, 20);
+});
+
+test("scheduler: 5xx и сетевые ошибки повторяются с растущей задержкой", async () => {
+  const timers = fakeTimers();
+  const answers = [new Error("ECONNRESET"), 503, 502, 200];
+  const fetch = async () => {
+    const next = answers.shift();
+    if (next instanceof Error) throw next;
+    return new Response("body", { status: next });
+  };
+
+  const scheduled = createScheduledFetch(fetch, { origin: ORIGIN, baseDelay: 100, ...timers });
+  const response = await scheduled("/");
+
+  assert.equal(response.status, 200);
+  // random() = 0 — берётся нижняя граница джиттера: половина экспоненциальной задержки
+  assert.deepEqual(timers.waits, [50, 100, 200]);
+  assert.deepEqual(scheduled.stats()["indianatollroad.org"], {
+    requests: 4,
+    retries: 3,
+    failed: 0,
+    slowdowns: 0,
+    concurrency: 4,
+  });
+});
+
+test("scheduler: тело повторяемого ответа освобождается до задержки", async () => {
+  const retried = [new Response("busy", { status: 503 }), new Response("slow down", { status: 429 })];
+  const answers = [...retried, new Response("ok")];
+  const released = [];
+  const wait = async () => released.push(retried.map((response) => response.bodyUsed));
+
+  const scheduled = createScheduledFetch(async () => answers.shift(), { origin: ORIGIN, wait, random: () => 0 });
+  assert.equal(await (await scheduled("/")).text(), "ok");
+  assert.deepEqual(released, [
+    [true, false],
+    [true, true],
+  ]);
+});
+
+test("scheduler: 429 ждёт Retry-After, 4xx не повторяется", async () => {
+  const timers = fakeTimers();
+  const answers = [
+    new Response("slow down", { status: 429, headers: { "Retry-After": "7" } }),
+    new Response("missing", { status: 404 }),
+  ];
+  const scheduled = createScheduledFetch(async () => answers.shift(), { origin: ORIGIN, ...timers });
+
+  const response = await scheduled("/");
+
+  assert.equal(response.status, 404);
+  assert.equal(timers.waits[0], 7000);
+});
+
+test("scheduler: после всех попыток — последний ответ или исключение", async () => {
+  const timers = fakeTimers();
+
+  const always500 = createScheduledFetch(async () => new Response("", { status: 500 }), {
+    retries: 2,
+    origin: ORIGIN,
+    ...timers,
+  });
+  assert.equal((await always500("/")).status, 500);
+  assert.equal(always500.stats()["indianatollroad.org"].failed, 1);
+
+  const offline = createScheduledFetch(
+    async () => {
+      throw new Error("ENOTFOUND");
+    },
+    { retries: 1, origin: ORIGIN, ...timers }
+  );
+  await assert.rejects(offline("/"), /ENOTFOUND/);
+});
+
+test("scheduler: при росте доли ошибок сбавляет темп и потом восстанавливает", async () => {
+  const timers = fakeTimers();
+  let failing = true;
+  const fetch = async () => new Response("", { status: failing ? 503 : 200 });
+  const logs = [];
+
+  const scheduled = createScheduledFetch(fetch, {
+    concurrency: 8,
+    retries: 0,
+    window: 4,
+    origin: ORIGIN,
+    log: (line) => logs.push(line),
+    ...timers,
+  });
+
+  for (let i = 0; i < 4; i++) await scheduled("/");
+  let stats = scheduled.stats()["indianatollroad.org"];
+  assert.equal(stats.concurrency, 4);
+  assert.equal(stats.slowdowns, 1);
+  assert.match(logs.join("\n"), /много ошибок/);
+
+  failing = false;
+  for (let i = 0; i < 4; i++) await scheduled("/");
+  stats = scheduled.stats()["indianatollroad.org"];
+  assert.equal(stats.concurrency, 5);
+  // Пауза между стартами после замедления
+  assert.ok(timers.waits.some((ms) => ms > 0));
+});
+
+test("scheduler: Retry-After в виде даты и границы задержки", () => {
+  const now = Date.parse("2024-01-01T00:00:00Z");
+  assert.equal(parseRetryAfter("Mon, 01 Jan 2024 00:00:30 GMT", now), 30000);
+  assert.equal(parseRetryAfter("garbage", now), null);
+  assert.equal(parseRetryAfter(null, now), null);
+
+  const options = { baseDelay: 500, maxDelay: 4000 };
+  assert.equal(backoffDelay(1, { ...options, random: () => 1 }), 500);
+  assert.equal(backoffDelay(10, { ...options, random: () => 1 }), 4000);
+  assert.equal(backoffDelay(10, { ...options, random: () => 0 }), 2000);
+});
@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { PARSER_ROOT, DOMParser, loadScript, replay } = require("./helpers");
+const { createNdjsonStream, readStream, foldStream, summaryPath } = require(path.join(PARSER_ROOT, "scraper/lib/stream"));
+
+const de = loadScript("DE/files/scripts.js");
+const oh = loadScript("OH/files/scripts.js");
+
+const streamFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), "stream-")), "run.ndjson");
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const page =
+  '<div class="col-md-6 well"><table class="table table-condensed"><tr><th>Payment</th><th>Rate</th></tr>' +
+  "<tr><td>E-ZPass</td><td>$12.00</td></tr><tr><td>Video</td><td>$14.40</td></tr></table></div>";
+
+// Калькулятор DE, который на части пар падает
+const fetchFailingFor = (failing) => async (url, init) => {
+  const body = new URLSearchParams(init.body);
+  if (failing.includes(`${body.get("entry")}-${body.get("exit")}`)) throw new Error("network down");
+  return new Response(page);
+};
+
+test("stream: поток DE собирается в те же файлы и записи, что вернул скрипт", async () => {
+  const file = streamFile();
+  const stream = createNdjsonStream(file);
+  const direct = await de.scrapeAllUS301TollsV5({
+    vehicleClass: 5,
+    fetch: fetchFailingFor(["121-125", "132-136"]),
+    DOMParser,
+    log: () => {},
+    printResult: false,
+    stream,
+  });
+  stream.close();
+
+  const { events, truncated } = readStream(fs.readFileSync(file, "utf8"));
+  assert.equal(truncated, false);
+  assert.deepEqual(
+    [events[0].type, events[0].vehicle_class, events[0].script, events.at(-1).type],
+    ["start", 5, "DE/files/scripts.js", "end"]
+  );
+
+  const folded = foldStream(events, de);
+  assert.deepEqual(folded.outputs, plain(direct.outputs));
+  assert.deepEqual(folded.records, plain(direct.records));
+  assert.deepEqual(folded.classes, { 5: { rows: 64, routes: 64, finished: true } });
+
+  const summary = JSON.parse(fs.readFileSync(summaryPath(file), "utf8"));
+  assert.deepEqual(summary.classes["5"], { routes: 64, rows: 64, ok: 62, no_rate: 0, error: 2, finished: true });
+  assert.equal(summary.failures_total, 2);
+  assert.deepEqual(
+    summary.failures.map((f) => `${f.row.entry}-${f.row.exit}`),
+    ["121-125", "132-136"]
+  );
+  assert.equal(summary.stream, file);
+});
+
+test("stream: OH — несколько классов и общий provenance", async () => {
+  const file = streamFile();
+  const stream = createNdjsonStream(file);
+  const pairs = [
+    { entry: "2", exit: "59" },
+    { entry: "239", exit: "13" },
+  ];
+  const direct = await oh.scrapeOhioTurnpike({
+    vehicleClass: [1, 5],
+    fetch: replay("oh-turnpike"),
+    pairs,
+    log: () => {},
+    printResult: false,
+    stream,
+  });
+  stream.close();
+
+  const folded = foldStream(readStream(fs.readFileSync(file, "utf8")).events, oh);
+  assert.deepEqual(Object.keys(folded.outputs), ["1", "5"]);
+  assert.deepEqual(folded.outputs, plain(direct.outputs));
+  assert.deepEqual(folded.records, plain(direct.records));
+  assert.equal(folded.outputs[5].source, direct.outputs[5].source);
+});
+
+test("stream: оборванный хвост пропускается, незаконченный класс собирается из того, что есть", () => {
+  const row = (entry, exit) => ({
+    entry,
+    entry_label: "Northbound - Levels Rd",
+    exit,
+    exit_label: "Northbound - Summit Bridge",
+    ez_pass: 12,
+    cash: 14.4,
+    status: "OK",
+  });
+  const text = [
+    JSON.stringify({ type: "start", vehicle_class: 5, script: "DE/files/scripts.js", routes: 3, parameters: {} }),
+    JSON.stringify({ type: "row", vehicle_class: 5, status: "ok", row: row("121", "125") }),
+    JSON.stringify({ type: "row", vehicle_class: 5, status: "ok", row: row("122", "128") }),
+    '{"type":"row","vehicle_class":5,"sta',
+  ].join("\n");
+
+  const { events, truncated } = readStream(text);
+  assert.equal(truncated, true);
+  assert.equal(events.length, 3);
+
+  const { outputs, records, classes } = foldStream(events, de);
+  assert.deepEqual(classes, { 5: { rows: 2, routes: 3, finished: false } });
+  assert.deepEqual([outputs[5].toll_rates.length, outputs[5].provenance], [2, null]);
+  assert.deepEqual(
+    records.map((r) => [r.entry_id, r.payment_method, r.amount, r.direction]),
+    [
+      ["121", "ez_pass", 12, "northbound"],
+      ["121", "video", 14.4, "northbound"],
+      ["122", "ez_pass", 12, "northbound"],
+      ["122", "video", 14.4, "northbound"],
+    ]
+  );
+
+  // Битая строка не в конце — поток повреждён, а не оборван
+  assert.throws(() => readStream(`{"type":\n${JSON.stringify({ type: "end", vehicle_class: 5 })}\n`), /Строка 1 потока/);
+});
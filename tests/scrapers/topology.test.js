@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { PARSER_ROOT, DOMParser, loadScript } = require("./helpers");
+const { TARGETS, findTarget } = require(path.join(PARSER_ROOT, "scraper/registry"));
+const { generateRoutes, routePaths, loadTopology, topologyIds } = require(path.join(PARSER_ROOT, "scraper/lib/topology"));
+
+const readJson = (relativePath) => JSON.parse(fs.readFileSync(path.join(PARSER_ROOT, relativePath), "utf8"));
+const routesOf = (id) => generateRoutes(loadTopology(findTarget(id)));
+const keys = (routes) => new Set(routes.map((r) => `${r.entry}|${r.exit}`));
+
+test("topology: у каждой цели есть топология, пары без повторов и без A -> A", () => {
+  for (const target of TARGETS) {
+    const routes = routesOf(target.id);
+    assert.ok(routes.length > 0, target.id);
+    assert.equal(keys(routes).size, routes.length, target.id);
+    assert.ok(routes.every((r) => r.entry !== r.exit), target.id);
+  }
+});
+
+test("topology: ответвления и развязки", () => {
+  const topology = {
+    road: "Test",
+    lines: [
+      { id: "a", stops: ["1", "2", { id: "j" }] },
+      { id: "east", from: "a:j", stops: ["3E", "4E"] },
+      { id: "west", from: "a:j", stops: [{ entry: "3W-in", exit: "3W" }, "4W"] },
+    ],
+  };
+
+  assert.deepEqual(
+    [...keys(generateRoutes(topology))],
+    ["1|2", "1|3E", "1|3W", "1|4E", "1|4W", "2|3E", "2|3W", "2|4E", "2|4W", "3E|4E", "3W-in|4W"]
+  );
+  assert.throws(
+    () => generateRoutes({ road: "Test", lines: [{ id: "a", from: "b:1", stops: ["1"] }] }),
+    /неизвестную остановку b:1/
+  );
+});
+
+test("topology: путь пары — кратчайший, а не через разворот на развязке", () => {
+  // Как у NY: линии обоих направлений сходятся в развязке j, через неё можно развернуться
+  const topology = {
+    road: "Test",
+    lines: [
+      { id: "j", stops: [{ id: "j" }] },
+      { id: "nb", to: "j:j", stops: ["1", "2"] },
+      { id: "sb", from: "j:j", stops: ["2", "1"] },
+    ],
+  };
+
+  const paths = Object.fromEntries(routePaths(topology).map((r) => [`${r.entry}|${r.exit}`, r.segments]));
+  assert.deepEqual(paths["1|2"], ["nb:1>nb:2"]);
+  assert.deepEqual(paths["2|1"], ["sb:2>sb:1"]);
+});
+
+test("DE US 301: только пары в одном направлении", async () => {
+  const routes = routesOf("de-us301");
+  assert.equal(routes.length, 20);
+  assert.ok(keys(routes).has("121|128"));
+  assert.ok(!keys(routes).has("121|136"));
+
+  // Скрипт запрашивает ровно переданные пары
+  const requested = [];
+  const fetch = async (url, init) => {
+    const body = new URLSearchParams(init.body);
+    requested.push(`${body.get("entry")}|${body.get("exit")}`);
+    return new Response("<div></div>");
+  };
+  const { scrapeAllUS301TollsV5 } = loadScript("DE/files/scripts.js");
+  await scrapeAllUS301TollsV5({ vehicleClass: 5, fetch, DOMParser, log: () => {}, printResult: false, pairs: routes });
+
+  assert.deepEqual(new Set(requested), keys(routes));
+});
+
+test("NJ Turnpike: восточная и западная ветки не связаны, HCE — через 14", () => {
+  const routes = keys(routesOf("nj-turnpike"));
+
+  for (const pair of ["15W|16E", "18E|18W", "16W|18E", "15E|15W"]) assert.ok(!routes.has(pair), pair);
+  for (const pair of ["01|18W", "18E|01", "14A|15W", "13|14C", "14C|14"]) assert.ok(routes.has(pair), pair);
+
+  const { entries, exits } = topologyIds(loadTopology(findTarget("nj-turnpike")));
+  const known = new Set(readJson("NJ/files/turnpike_prices.json").toll_rates.map((r) => r.entry));
+  for (const id of [...entries, ...exits]) assert.ok(known.has(id), id);
+});
+
+test("MA Turnpike: пары совпадают с теми, на которые калькулятор дал цену", () => {
+  const hasToll = (side) => /^\$?\d/.test(String(side.toll || "").trim());
+  const priced = readJson("MA/fieles/Responce.Json")
+    .data.filter((r) => hasToll(r.eastbound) || hasToll(r.westbound))
+    .map((r) => `${r.EntryNumber}|${r.ExitNumber}`);
+
+  assert.deepEqual(keys(routesOf("ma-turnpike")), new Set(priced));
+});
+
+test("NY Thruway: все участки связаны, sub исключён", () => {
+  const routes = routesOf("ny-thruway");
+  assert.equal(routes.length, 124 * 123);
+  assert.ok(keys(routes).has("b1x|ns21x"));
+  assert.ok(keys(routes).has("nectx|mpax"));
+  assert.ok(routes.every((r) => r.entry !== "sub" && r.exit !== "sub"));
+});
+
+test("Indiana Toll Road: односторонние барьеры Calumet", () => {
+  const routes = keys(routesOf("in-tollroad"));
+  const { IN_BARRIERS } = loadScript("IN/files/scripts.js");
+  const id = (name) => IN_BARRIERS.find((b) => b.name === name).id;
+  const free = readJson("IN/files/result.Json").filter((r) => r.cash_rate === "$0.00");
+
+  assert.ok(free.length > 0);
+  for (const r of free) assert.ok(!routes.has(`${id(r.entry)}|${id(r.exit)}`), `${r.entry} -> ${r.exit}`);
+  // Westpoint -> Calumet W/B, Calumet E/B Entry -> Eastpoint
+  assert.ok(routes.has("0001|0006"));
+  assert.ok(routes.has("0005|0153"));
+});
@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const vm = require("vm");
+const { parseHTML } = require("linkedom");
+
+const { PARSER_ROOT, DOMParser } = require("./helpers");
+const { TARGETS } = require(path.join(PARSER_ROOT, "scraper/registry"));
+const { buildUserscript } = require(path.join(PARSER_ROOT, "scraper/userscript"));
+
+const userscript = buildUserscript();
+
+const page =
+  '<div class="col-md-6 well"><table class="table table-condensed"><tr><th>Payment</th><th>Rate</th></tr>' +
+  "<tr><td>E-ZPass</td><td>$12.00</td></tr><tr><td>Video</td><td>$14.40</td></tr></table></div>";
+
+/**
+ * Userscript на странице href: DOM из linkedom, fetch теста, скачанные файлы — в downloads,
+ * их имена — в names.
+ * Паузы скриптов, рассчитанные на браузер, сжаты до нуля.
+ */
+function openPage(href, fetch) {
+  const { window, document } = parseHTML("<html><body><h1>Toll calculator</h1></body></html>");
+  const downloads = [];
+  const names = [];
+  const createElement = document.createElement.bind(document);
+  document.createElement = (tag) => {
+    const node = createElement(tag);
+    if (tag === "a") node.click = () => names.push(node.download);
+    return node;
+  };
+  const context = {
+    window,
+    document,
+    location: { href },
+    fetch,
+    DOMParser,
+    Blob,
+    Response,
+    FormData,
+    URLSearchParams,
+    TextEncoder,
+    crypto,
+    URL: {
+      createObjectURL: (blob) => {
+        downloads.push(blob);
+        return `blob:${downloads.length}`;
+      },
+      revokeObjectURL: () => {},
+    },
+    setTimeout: (fn) => setTimeout(fn, 0),
+    console,
+  };
+  vm.runInNewContext(userscript, context);
+
+  const panel = document.getElementById("toll-scraper-panel");
+  const button = (action) => panel.querySelector(`button[data-action="${action}"]`);
+  const status = () => panel.querySelector('[data-role="status"]').textContent;
+  const finished = async () => {
+    for (let i = 0; i < 500 && !/^(готово|остановлено)/.test(status()); i++) {
+      await new Promise((r) => setTimeout(r, 10));
+    }
+    await new Promise((r) => setTimeout(r, 10));
+    return status();
+  };
+  return { panel, button, status, finished, downloads, names };
+}
+
+test("userscript: заголовок с @match каждой страницы калькулятора", () => {
+  const matches = [...userscript.matchAll(/^\/\/ @match\s+(.+)$/gm)].map((m) => m[1]);
+  assert.deepEqual(matches, TARGETS.flatMap((t) => t.browser.match));
+  assert.match(userscript, /^\/\/ @grant\s+none$/m);
+
+  // На чужой странице панели нет
+  const { panel } = openPage("https://example.com/", async () => new Response(""));
+  assert.equal(panel, null);
+});
+
+test("userscript: DE — прогресс, ошибки, пауза и скачивание JSON", async () => {
+  let requests = 0;
+  const fetch = async (url, init) => {
+    requests++;
+    const body = new URLSearchParams(init.body);
+    if (["121-125", "132-136"].includes(`${body.get("entry")}-${body.get("exit")}`)) throw new Error("network down");
+    return new Response(page);
+  };
+  const { panel, button, status, finished, downloads, names } = openPage(
+    "https://deldot.gov/public.ejs?command=PublicTollRateUS301",
+    fetch
+  );
+
+  // По умолчанию отмечен класс из registry.js; оплата DE выбору не подлежит — одна страница на обе цены
+  const checked = (name) => [...panel.querySelectorAll(`input[name="${name}"]`)].filter((i) => i.checked).map((i) => i.value);
+  assert.deepEqual(checked("class"), ["5"]);
+  assert.deepEqual(checked("payment"), ["ez_pass", "cash"]);
+  assert.ok([...panel.querySelectorAll('input[name="payment"]')].every((i) => i.disabled));
+
+  button("start").click();
+  button("pause").click();
+  await new Promise((r) => setTimeout(r, 50));
+  const paused = requests;
+  await new Promise((r) => setTimeout(r, 50));
+  assert.equal(requests, paused, "на паузе новых запросов нет");
+  assert.ok(paused < 64);
+  assert.match(status(), /^пауза: класс 5/);
+
+  button("pause").click();
+  assert.match(await finished(), /^готово: класс 5 \(1\/1\), строк 64\/64, ошибок 2$/);
+  assert.equal(requests, 64);
+
+  button("json").click();
+  button("ndjson").click();
+  const [json, ndjson] = await Promise.all(downloads.map((blob) => blob.text()));
+  assert.deepEqual(names, ["301.json", "de-us301.ndjson"]);
+
+  // Файл для C# — в формате routes (format в registry.js), как его пишет run.js
+  const output = JSON.parse(json);
+  assert.deepEqual(Object.keys(output), ["state", "road", "vehicle_class", "routes", "provenance"]);
+  assert.equal(output.routes.length, 62);
+  assert.deepEqual(Object.keys(output.routes[0]), ["direction", "entry", "exit", "ez_pass", "cash"]);
+  assert.equal(typeof output.routes[0].entry, "number");
+  assert.equal(output.provenance.script, "DE/files/scripts.js");
+  assert.deepEqual(
+    ndjson.trim().split("\n").map((line) => JSON.parse(line).type).filter((t) => t !== "row"),
+    ["start", "end"]
+  );
+});
+
+test("userscript: IN — выбранный способ оплаты уходит в скрипт", async () => {
+  const types = new Set();
+  const fetch = async (url, init) => {
+    types.add(new URLSearchParams(init.body).get("payment_type"));
+    return new Response('"$1.50"');
+  };
+  const { panel, button, finished, downloads, names } = openPage("https://indianatollroad.org/toll-calculator/", fetch);
+
+  panel.querySelector('input[name="payment"][value="CASH"]').checked = false;
+  button("start").click();
+  assert.match(await finished(), /^готово: класс 6 \(1\/1\), строк 380\/380, ошибок 0$/);
+  assert.deepEqual([...types], ["AVI"]);
+
+  button("json").click();
+  assert.deepEqual(names, ["result6.Json"]);
+  const output = JSON.parse(await downloads[0].text());
+  assert.deepEqual(output.rates[0].avi, 1.5);
+  assert.equal("cash" in output.rates[0], false);
+});
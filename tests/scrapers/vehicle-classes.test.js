@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PARSER_ROOT, DOMParser, loadScript } = require("./helpers");
+const { parseClasses } = require(`${PARSER_ROOT}/scraper/run`);
+
+const DE = loadScript("DE/files/scripts.js");
+const NJ = loadScript("NJ/files/scripts.js");
+const MA = loadScript("MA/fieles/ParseScript.js");
+const NY = loadScript("NY/fieles/ParseScript.js");
+const IN = loadScript("IN/files/scripts.js");
+const PA = loadScript("PA/files/scripts.js");
+const OH = loadScript("OH/files/scripts.js");
+
+test("классы ТС: все таблицы на одной шкале (оси + тип)", () => {
+  const tables = [
+    DE.DE_VEHICLE_CLASSES,
+    NJ.NJ_VEHICLE_CLASSES,
+    MA.MA_VEHICLE_CLASSES,
+    NY.NY_VEHICLE_CLASSES,
+    IN.IN_VEHICLE_CLASSES,
+    PA.PA_VEHICLE_CLASSES,
+    OH.OH_VEHICLE_CLASSES,
+  ];
+
+  for (const table of tables) {
+    for (const info of Object.values(table)) {
+      assert.ok(Number.isInteger(info.axles) && info.axles >= 2);
+      assert.ok(["passenger", "truck", "bus", "motorcycle"].includes(info.vehicle_type));
+    }
+  }
+
+  // "NY class 6" и "MA 6 Axle" — одно и то же ТС
+  assert.deepEqual(
+    [NY.NY_VEHICLE_CLASSES["6"].axles, NY.NY_VEHICLE_CLASSES["6"].vehicle_type],
+    [MA.MA_VEHICLE_CLASSES["6"].axles, MA.MA_VEHICLE_CLASSES["6"].vehicle_type]
+  );
+});
+
+test("классы ТС: записи получают axles и vehicle_type", () => {
+  const [record] = NY.toCanonicalRecords(
+    { entry: "m15x", exit: "m24x", ny: 40.1, nonny: 60.15, miles: 120, status: "OK" },
+    6
+  );
+
+  assert.equal(record.vehicle_class, "6");
+  assert.equal(record.axles, 6);
+  assert.equal(record.vehicle_type, "truck");
+
+  // Класс, которого нет в таблице, не ломает запись
+  const [unknown] = DE.toCanonicalRecords(
+    { entry: "121", exit: "125", entry_label: "Northbound - DE/MD Stateline", status: "OK", ez_pass: 1, cash: 1 },
+    42
+  );
+  assert.equal(unknown.axles, null);
+  assert.equal(unknown.vehicle_type, null);
+});
+
+test("run.js: разбор --class", () => {
+  assert.equal(parseClasses(undefined, 6), 6);
+  assert.equal(parseClasses("5", 6), 5);
+  assert.deepEqual(parseClasses("5, 6", 6), [5, 6]);
+  assert.equal(parseClasses("ALL", 6), "all");
+  assert.equal(parseClasses("5,x", 6), null);
+  assert.equal(parseClasses("0", 6), null);
+});
+
+test("DE US 301: несколько классов за один прогон", async () => {
+  const requested = new Set();
+  const fetch = async (url, init) => {
+    const vehicle = new URLSearchParams(init.body).get("vehicle");
+    requested.add(vehicle);
+    const rate = Number(vehicle) * 2;
+    return new Response(
+      '<div class="col-md-6 well"><table class="table table-condensed"><tr><th>Payment</th><th>Rate</th></tr>' +
+        `<tr><td>E-ZPass</td><td>$${rate}.00</td></tr><tr><td>Video</td><td>$${rate + 1}.00</td></tr></table></div>`
+    );
+  };
+
+  const { outputs, records } = await DE.scrapeAllUS301TollsV5({
+    vehicleClass: [1, 5],
+    fetch,
+    DOMParser,
+    log: () => {},
+    printResult: false,
+  });
+
+  assert.deepEqual([...requested].sort(), ["1", "5"]);
+  assert.deepEqual(Object.keys(outputs), ["1", "5"]);
+  assert.equal(outputs[1].description, "2-Axle Passenger Vehicle");
+  assert.equal(outputs[5].description, "5-Axle Truck");
+
+  const byClass = (cls) => records.filter((r) => r.vehicle_class === cls);
+  assert.equal(byClass("1").length, byClass("5").length);
+  assert.ok(byClass("1").every((r) => r.vehicle_type === "passenger" && r.axles === 2));
+  assert.equal(byClass("5").find((r) => r.payment_method === "ez_pass").amount, 10);
+});